@@ -0,0 +1,12 @@
+-- Migration 021: Match Score Versioning & Shadow Scoring
+-- Records which engine version produced each history entry so candidate
+-- versions can score pairs in shadow mode (change_reason = 'shadow')
+-- and their rankings can be diffed against the active version.
+
+ALTER TABLE match_score_history ADD COLUMN IF NOT EXISTS engine_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_match_score_history_shadow
+    ON match_score_history(engine_version, match_score_id, changed_at DESC)
+    WHERE change_reason = 'shadow';
+
+CREATE INDEX IF NOT EXISTS idx_match_scores_version ON match_scores(version);
@@ -0,0 +1,41 @@
+-- Migration 022: Event-driven Recomputation Queue
+-- Scoring-relevant writes enqueue exact student×listing pairs; a worker
+-- drains the queue continuously with retry backoff.
+--
+--   pair_key        — dedupe key; at most one open entry per pair
+--   next_attempt_at — earliest time the worker may (re)try the entry
+--   started_at      — claim timestamp; stale claims are retried
+--   failed_at       — set once attempts are exhausted (dead letter)
+
+ALTER TABLE recomputation_queue
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS pair_key TEXT GENERATED ALWAYS AS (
+        student_id::text || ':' || COALESCE(listing_id::text, '*')
+    ) STORED;
+
+-- Collapse duplicate open entries before enforcing uniqueness
+-- (keep the highest-priority, oldest entry per pair)
+UPDATE recomputation_queue rq
+SET processed_at = NOW(), error = 'deduplicated'
+WHERE rq.processed_at IS NULL
+  AND EXISTS (
+    SELECT 1 FROM recomputation_queue other
+    WHERE other.pair_key = rq.pair_key
+      AND other.processed_at IS NULL
+      AND other.id <> rq.id
+      AND (other.priority, rq.queued_at, rq.id::text) > (rq.priority, other.queued_at, other.id::text)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recomputation_queue_open_pair
+    ON recomputation_queue(pair_key)
+    WHERE processed_at IS NULL AND failed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recomputation_queue_ready
+    ON recomputation_queue(priority DESC, queued_at ASC)
+    WHERE processed_at IS NULL AND failed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recomputation_queue_processed
+    ON recomputation_queue(processed_at DESC)
+    WHERE processed_at IS NOT NULL;
@@ -0,0 +1,33 @@
+-- Migration 023: Match Score Drift & Fairness Monitoring
+-- Daily per-tenant snapshots of the match score distribution, overall and
+-- per protected-proxy cohort (institution, sport, class year). Each row
+-- keeps its histogram so the next run can measure drift against it, and
+-- the top-K selection rate used for disparate-impact ratios.
+
+CREATE TABLE IF NOT EXISTS match_fairness_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    snapshot_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    cohort_type TEXT NOT NULL,            -- tenant | institution | sport | class_year
+    cohort_value TEXT NOT NULL,
+    student_count INTEGER NOT NULL DEFAULT 0,
+    pair_count INTEGER NOT NULL DEFAULT 0,
+    mean_score NUMERIC(5,2) NOT NULL DEFAULT 0,
+    median_score NUMERIC(5,2) NOT NULL DEFAULT 0,
+    histogram JSONB NOT NULL DEFAULT '[]',
+    top_k_rate NUMERIC(6,4) NOT NULL DEFAULT 0,
+    disparate_impact NUMERIC(6,4),
+    mean_delta NUMERIC(6,2),
+    psi NUMERIC(8,4),
+    flags TEXT[] NOT NULL DEFAULT '{}',
+    context JSONB NOT NULL DEFAULT '{}',
+    engine_version INTEGER,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_match_fairness_snapshot_cohort
+    ON match_fairness_snapshots(tenant_id, snapshot_date, cohort_type, cohort_value);
+
+CREATE INDEX IF NOT EXISTS idx_match_fairness_flagged
+    ON match_fairness_snapshots(tenant_id, snapshot_date DESC)
+    WHERE cardinality(flags) > 0;
@@ -0,0 +1,26 @@
+-- Migration 024: AI Token & Cost Metering
+-- One row per LLM call with the provider-reported token counts and the
+-- estimated USD cost, so usage can be billed by what a call actually
+-- cost rather than by interaction count. Per-tenant monthly budgets live
+-- in ai_config.budget / tenant_ai_overrides ('budget' key) and are
+-- enforced against the sums of this table.
+
+CREATE TABLE IF NOT EXISTS ai_usage_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,  -- NULL for platform admins
+    user_id UUID NOT NULL,
+    feature VARCHAR(50) NOT NULL,
+    provider VARCHAR(30) NOT NULL,        -- anthropic | openai_compatible | mock
+    model VARCHAR(100) NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12,6) NOT NULL DEFAULT 0,
+    streamed BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_records_tenant_month
+    ON ai_usage_records(tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_records_user
+    ON ai_usage_records(user_id, created_at DESC);
@@ -0,0 +1,28 @@
+-- Migration 025: Coaching Knowledge Index
+-- Chunked full-text index over content the AI coach can cite: published
+-- Team Huddle posts, published legal policies and FAQ items. Rows with a
+-- NULL tenant_id are platform-wide (platform policies and FAQ) and are
+-- searchable from every tenant. content_hash is the hash of the whole
+-- source so unchanged sources are skipped on reindex.
+
+CREATE TABLE IF NOT EXISTS ai_knowledge_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL,     -- huddle_post | legal_policy | faq
+    source_id TEXT NOT NULL,              -- post/policy id, or faq:<question hash>
+    source_title TEXT NOT NULL,
+    source_url TEXT,
+    chunk_index INTEGER NOT NULL DEFAULT 0,
+    content TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('english', coalesce(source_title, '') || ' ' || coalesce(content, ''))
+    ) STORED,
+    indexed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_knowledge_chunks_source
+    ON ai_knowledge_chunks(tenant_id, source_type, source_id);
+
+CREATE INDEX IF NOT EXISTS idx_ai_knowledge_chunks_search
+    ON ai_knowledge_chunks USING GIN (search_vector);
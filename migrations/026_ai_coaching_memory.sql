@@ -0,0 +1,30 @@
+-- Migration 026: AI Coaching Memory
+-- Rolling summaries keep long coaching conversations inside the tier's
+-- token budget: turns older than summarized_through are represented by
+-- ai_conversations.summary instead of being resent. ai_student_memories
+-- is the student's long-term coaching profile (goals, target roles,
+-- advice already given), extracted from conversations once they go idle
+-- and editable/deletable by the student.
+
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summarized_through TIMESTAMPTZ;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS memory_extracted_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS ai_student_memories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL,        -- goal | target_role | advice
+    content TEXT NOT NULL,
+    source_conversation_id UUID REFERENCES ai_conversations(id) ON DELETE SET NULL,
+    edited_by_student BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_student_memories_user
+    ON ai_student_memories(user_id, category, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_memory_pending
+    ON ai_conversations(updated_at)
+    WHERE memory_extracted_at IS NULL OR memory_extracted_at < updated_at;
@@ -0,0 +1,24 @@
+-- Migration 027: AI Mock Interviews
+-- A mock interview is an ai_conversations row with context_type
+-- 'mock_interview' (listing and competencies in metadata). When it ends
+-- the transcript is scored against a rubric, one 1-5 score per
+-- competency, and the result is stored here so it can be shown next to
+-- the student's skills-gap readiness history.
+
+CREATE TABLE IF NOT EXISTS mock_interview_results (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL UNIQUE REFERENCES ai_conversations(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+    listing_title TEXT NOT NULL,
+    overall_score NUMERIC(5,2) NOT NULL,  -- 0-100, same scale as readiness scores
+    competency_scores JSONB NOT NULL DEFAULT '[]',  -- [{competency, score, evidence, improvement}]
+    summary TEXT,
+    questions_answered INTEGER NOT NULL DEFAULT 0,
+    model_used VARCHAR(100),
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mock_interview_results_student
+    ON mock_interview_results(student_id, completed_at DESC);
@@ -0,0 +1,54 @@
+-- Migration 028: AI Candidate Screening Audit Log & Consistency Audits
+-- Every candidate-screening and talent-discovery call leaves a trace:
+-- a hash of the exact prompt sent, hashes of the students it concerned,
+-- the model and prompt version, and the parsed output. Inputs are only
+-- stored hashed so the log can prove what was asked without keeping a
+-- second copy of student profiles.
+--
+-- A periodic consistency audit runs synthetic profiles through the
+-- screening prompt with one demographic proxy (name, institution, sport)
+-- swapped at a time and records how far the scores moved. Runs take a few
+-- minutes of model calls, so they are started in the background and the
+-- row is filled in when they finish (or error is set).
+
+CREATE TABLE IF NOT EXISTS ai_screening_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- corporate partner who ran it
+    feature VARCHAR(50) NOT NULL,         -- candidate_screening | talent_discovery
+    listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+    input_hash CHAR(64) NOT NULL,         -- sha256 of system prompt + messages, before redaction
+    subject_hashes TEXT[] NOT NULL DEFAULT '{}',  -- sha256 of each screened student id
+    provider VARCHAR(30),
+    model VARCHAR(100) NOT NULL,
+    prompt_version INTEGER NOT NULL,
+    redacted BOOLEAN NOT NULL DEFAULT FALSE,
+    output JSONB,                         -- NULL when the response could not be parsed
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_screening_audit_log_tenant
+    ON ai_screening_audit_log(tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_screening_audit_log_subjects
+    ON ai_screening_audit_log USING GIN (subject_hashes);
+
+CREATE TABLE IF NOT EXISTS ai_screening_consistency_audits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(30),
+    model VARCHAR(100) NOT NULL,
+    prompt_version INTEGER NOT NULL,
+    trial_count INTEGER NOT NULL DEFAULT 0,
+    failed_trials INTEGER NOT NULL DEFAULT 0,
+    max_spread NUMERIC(6,2),              -- largest score difference on one profile from a single swap
+    results JSONB NOT NULL DEFAULT '[]',  -- per-proxy summary: variant means, spreads, flags
+    trials JSONB NOT NULL DEFAULT '[]',   -- every (profile, proxy, variant) score
+    flags TEXT[] NOT NULL DEFAULT '{}',
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,  -- NULL for scheduled runs
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    error TEXT                            -- set when a background run failed
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_screening_consistency_audits_started
+    ON ai_screening_consistency_audits(started_at DESC);
@@ -0,0 +1,50 @@
+-- Migration 029: SCIM 2.0 Provisioning
+-- Tenants with SSO can let their identity provider create, update and
+-- deprovision accounts over SCIM instead of relying on JIT provisioning
+-- at first login. Each tenant authenticates with its own bearer tokens
+-- (only a SHA-256 hash is stored). IdP groups are mirrored so an admin
+-- can map a group to a platform role.
+
+CREATE TABLE IF NOT EXISTS scim_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,           -- e.g. "Okta production"
+    token_hash CHAR(64) NOT NULL UNIQUE,  -- sha256 of the bearer token
+    token_prefix VARCHAR(12) NOT NULL,    -- first characters, shown in the admin UI
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_scim_tokens_tenant ON scim_tokens(tenant_id);
+
+CREATE TABLE IF NOT EXISTS scim_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    display_name VARCHAR(255) NOT NULL,
+    external_id TEXT,
+    role VARCHAR(50) CHECK (role IN ('student', 'educational_admin')),  -- NULL = not mapped
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (tenant_id, display_name)
+);
+
+CREATE TABLE IF NOT EXISTS scim_group_members (
+    group_id UUID NOT NULL REFERENCES scim_groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scim_group_members_user ON scim_group_members(user_id);
+
+-- Deprovisioned accounts are kept (their work and audit trail stay intact)
+-- but can no longer sign in. scim_deleted_at additionally hides the user
+-- from the tenant's SCIM endpoint after a DELETE.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scim_external_id TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deprovisioned_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scim_deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_scim_external_id
+    ON users(tenant_id, scim_external_id) WHERE scim_external_id IS NOT NULL;
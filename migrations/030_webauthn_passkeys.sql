@@ -0,0 +1,22 @@
+-- Migration 030: WebAuthn Passkeys
+-- Phishing-resistant credentials alongside TOTP. A user can register
+-- several named passkeys; each one works as a second factor after a
+-- password, or on its own for passwordless sign-in. Only the public key
+-- is stored — the private key never leaves the authenticator.
+
+CREATE TABLE IF NOT EXISTS user_passkeys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,               -- user-chosen label, e.g. "Work laptop"
+    credential_id TEXT NOT NULL UNIQUE,       -- base64url credential ID
+    public_key TEXT NOT NULL,                 -- base64url COSE public key
+    counter BIGINT NOT NULL DEFAULT 0,        -- signature counter (replay detection)
+    transports TEXT[] NOT NULL DEFAULT '{}',  -- usb | nfc | ble | internal | hybrid
+    device_type VARCHAR(20) NOT NULL,         -- singleDevice | multiDevice (synced)
+    backed_up BOOLEAN NOT NULL DEFAULT FALSE,
+    aaguid VARCHAR(36),                       -- authenticator model
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_passkeys_user ON user_passkeys(user_id);
@@ -0,0 +1,229 @@
+-- Migration 031: Tamper-Evident Audit Log
+-- Every audit_log entry is chained to the previous entry of its tenant:
+-- entry_hash = HMAC-SHA256(canonical row + prev_hash). Editing, inserting
+-- or deleting a row breaks the chain, which the verification endpoint
+-- detects. Chaining happens in a trigger so no writer can skip it; the key
+-- is supplied per transaction by the app (audit_log.hmac_key) and never
+-- stored in the database. Without a key, plain SHA-256 is used.
+--
+-- Appends to one chain are serialised: the trigger locks the chain head
+-- row until the inserting transaction commits. auditLog() writes each
+-- entry in its own short transaction, so the wait is one insert long, but
+-- every write to the same chain (e.g. all platform-level events) queues
+-- behind the one before it. Keep audit inserts out of long transactions.
+--
+-- The table becomes append-only: UPDATE and TRUNCATE are rejected and
+-- DELETE is only allowed for the retention job, which first archives the entries it
+-- removes to gzipped NDJSON and records where the chain continues. A purge
+-- can only remove entries an archive already covers.
+--
+-- The chain heads are guarded too: last_seq/last_hash only move forward,
+-- one entry at a time, from the insert trigger, and the archive marker only
+-- moves to the end of a recorded archive. The app also keeps a copy of each
+-- head outside the database (see audit-integrity.ts), since anyone who can
+-- drop these triggers could still roll a head back.
+--
+-- Rows written before this migration stay unchained (chain_key IS NULL).
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS tenant_id UUID;       -- no FK: rows must outlive their tenant
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS chain_key TEXT;       -- tenant_id, or 'platform' for users without a tenant
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS chain_seq BIGINT;     -- 1, 2, 3 … per chain, no gaps
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS prev_hash CHAR(64);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS entry_hash CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_chain ON audit_log(chain_key, chain_seq);
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant ON audit_log(tenant_id, created_at DESC);
+
+-- Head of each chain. archived_* marks where the live log starts after
+-- retention purges, so verification can pick up from the last archive.
+CREATE TABLE IF NOT EXISTS audit_log_chains (
+    chain_key TEXT PRIMARY KEY,
+    tenant_id UUID,
+    last_seq BIGINT NOT NULL DEFAULT 0,
+    last_hash CHAR(64) NOT NULL DEFAULT repeat('0', 64),
+    archived_through_seq BIGINT NOT NULL DEFAULT 0,
+    archived_hash CHAR(64) NOT NULL DEFAULT repeat('0', 64),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Per-tenant retention. Chains without a policy use the platform default.
+CREATE TABLE IF NOT EXISTS audit_retention_policies (
+    chain_key TEXT PRIMARY KEY,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    retention_days INTEGER NOT NULL CHECK (retention_days BETWEEN 90 AND 3650),
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Entries removed by retention, kept as gzipped NDJSON (one entry per line,
+-- hashes included so the archive can be verified on its own).
+CREATE TABLE IF NOT EXISTS audit_log_archives (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chain_key TEXT NOT NULL,
+    tenant_id UUID,
+    from_seq BIGINT NOT NULL,
+    to_seq BIGINT NOT NULL,
+    entry_count INTEGER NOT NULL,
+    prev_hash CHAR(64) NOT NULL,          -- hash the first archived entry chains from
+    last_hash CHAR(64) NOT NULL,          -- hash of the last archived entry
+    oldest_at TIMESTAMPTZ NOT NULL,
+    newest_at TIMESTAMPTZ NOT NULL,
+    content BYTEA NOT NULL,               -- gzip(NDJSON)
+    content_sha256 CHAR(64) NOT NULL,     -- sha256 of the uncompressed NDJSON
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_archives_chain ON audit_log_archives(chain_key, to_seq DESC);
+
+-- Canonical form of an entry. Shared by the insert trigger and verification
+-- so both hash exactly the same bytes.
+CREATE OR REPLACE FUNCTION audit_log_entry_hash(e audit_log, hmac_key TEXT)
+RETURNS CHAR(64) AS $$
+DECLARE
+    canonical TEXT;
+BEGIN
+    canonical := concat_ws(E'\x1f',
+        e.chain_key,
+        e.chain_seq::text,
+        e.prev_hash,
+        to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"'),
+        COALESCE(e.tenant_id::text, ''),
+        COALESCE(e.user_id::text, ''),
+        e.action,
+        COALESCE(e.resource, ''),
+        COALESCE(e.resource_id, ''),
+        e.details::text,
+        COALESCE(e.ip_address::text, ''),
+        COALESCE(e.user_agent, '')
+    );
+
+    IF hmac_key IS NULL OR hmac_key = '' THEN
+        RETURN encode(digest(canonical, 'sha256'), 'hex');
+    END IF;
+    RETURN encode(hmac(canonical, hmac_key, 'sha256'), 'hex');
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION audit_log_chain_entry()
+RETURNS trigger AS $$
+DECLARE
+    head audit_log_chains%ROWTYPE;
+BEGIN
+    IF NEW.tenant_id IS NULL AND NEW.user_id IS NOT NULL THEN
+        NEW.tenant_id := (SELECT tenant_id FROM users WHERE id = NEW.user_id);
+    END IF;
+    NEW.chain_key := COALESCE(NEW.tenant_id::text, 'platform');
+
+    INSERT INTO audit_log_chains (chain_key, tenant_id)
+    VALUES (NEW.chain_key, NEW.tenant_id)
+    ON CONFLICT (chain_key) DO NOTHING;
+
+    -- Serialise appends per chain
+    SELECT * INTO head FROM audit_log_chains WHERE chain_key = NEW.chain_key FOR UPDATE;
+
+    -- No backdating. Wall-clock time taken under the lock, so created_at
+    -- never goes backwards as chain_seq goes up (NOW() is transaction start).
+    NEW.created_at := clock_timestamp();
+
+    NEW.chain_seq := head.last_seq + 1;
+    NEW.prev_hash := head.last_hash;
+    NEW.entry_hash := audit_log_entry_hash(NEW, current_setting('audit_log.hmac_key', true));
+
+    UPDATE audit_log_chains
+    SET last_seq = NEW.chain_seq, last_hash = NEW.entry_hash, updated_at = NOW()
+    WHERE chain_key = NEW.chain_key;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION audit_log_guard()
+RETURNS trigger AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'TRUNCATE') THEN
+        RAISE EXCEPTION 'audit_log is append-only';
+    END IF;
+    IF current_setting('audit_log.allow_purge', true) IS DISTINCT FROM 'on' THEN
+        RAISE EXCEPTION 'audit_log entries can only be removed by the retention job';
+    END IF;
+    IF NOT EXISTS (
+        SELECT 1 FROM audit_log_archives a
+        WHERE a.chain_key = OLD.chain_key
+          AND OLD.chain_seq BETWEEN a.from_seq AND a.to_seq
+    ) THEN
+        RAISE EXCEPTION 'audit_log entry % of chain % has not been archived', OLD.chain_seq, OLD.chain_key;
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION audit_log_chains_guard()
+RETURNS trigger AS $$
+BEGIN
+    IF TG_OP IN ('DELETE', 'TRUNCATE') THEN
+        RAISE EXCEPTION 'audit_log_chains rows cannot be removed';
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.last_seq <> 0 OR NEW.last_hash <> repeat('0', 64)
+           OR NEW.archived_through_seq <> 0 OR NEW.archived_hash <> repeat('0', 64) THEN
+            RAISE EXCEPTION 'audit_log_chains rows must start empty';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.chain_key IS DISTINCT FROM OLD.chain_key OR NEW.tenant_id IS DISTINCT FROM OLD.tenant_id THEN
+        RAISE EXCEPTION 'audit_log_chains keys cannot be changed';
+    END IF;
+
+    -- Only the insert trigger (nested, so depth 2) may advance the head
+    IF (NEW.last_seq, NEW.last_hash) IS DISTINCT FROM (OLD.last_seq, OLD.last_hash)
+       AND (pg_trigger_depth() < 2 OR NEW.last_seq <> OLD.last_seq + 1) THEN
+        RAISE EXCEPTION 'audit_log_chains head can only advance by appending to audit_log';
+    END IF;
+
+    IF (NEW.archived_through_seq, NEW.archived_hash) IS DISTINCT FROM (OLD.archived_through_seq, OLD.archived_hash)
+       AND (
+           current_setting('audit_log.allow_purge', true) IS DISTINCT FROM 'on'
+           OR NEW.archived_through_seq <= OLD.archived_through_seq
+           OR NEW.archived_through_seq > NEW.last_seq
+           OR NOT EXISTS (
+               SELECT 1 FROM audit_log_archives a
+               WHERE a.chain_key = NEW.chain_key
+                 AND a.to_seq = NEW.archived_through_seq
+                 AND a.last_hash = NEW.archived_hash
+           )
+       ) THEN
+        RAISE EXCEPTION 'audit_log_chains archive marker can only advance to a recorded archive';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_chain ON audit_log;
+CREATE TRIGGER audit_log_chain
+    BEFORE INSERT ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_chain_entry();
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_guard();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_guard();
+
+DROP TRIGGER IF EXISTS audit_log_chains_guard ON audit_log_chains;
+CREATE TRIGGER audit_log_chains_guard
+    BEFORE INSERT OR UPDATE OR DELETE ON audit_log_chains
+    FOR EACH ROW EXECUTE FUNCTION audit_log_chains_guard();
+
+DROP TRIGGER IF EXISTS audit_log_chains_no_truncate ON audit_log_chains;
+CREATE TRIGGER audit_log_chains_no_truncate
+    BEFORE TRUNCATE ON audit_log_chains
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_chains_guard();
@@ -0,0 +1,41 @@
+-- Migration 032: Risk-Based Adaptive Authentication
+-- Every password sign-in is scored against the user's login history
+-- (new device, IP change, impossible travel) and recent failures from the
+-- same IP (credential stuffing). The decision — allow, step up to MFA,
+-- require an emailed code (before MFA, for users who have it), or block —
+-- is kept here so later sign-ins have a baseline to compare against.
+
+CREATE TABLE IF NOT EXISTS login_risk_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    device_fingerprint VARCHAR(16),           -- see sessionClientInfo()
+    country VARCHAR(2),
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    score INTEGER NOT NULL,
+    decision VARCHAR(20) NOT NULL,            -- allow | mfa | email_verification | block
+    signals JSONB NOT NULL DEFAULT '[]',
+    session_id VARCHAR(32),                   -- sessionPublicId() once a session exists
+    trusted BOOLEAN NOT NULL DEFAULT FALSE,   -- sign-in completed (step-up passed if one was asked for)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_risk_events_user ON login_risk_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_risk_events_session ON login_risk_events(session_id) WHERE session_id IS NOT NULL;
+
+-- Pending email step-ups. No session exists until the code is entered;
+-- only a hash of the code is stored.
+CREATE TABLE IF NOT EXISTS login_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    risk_event_id UUID NOT NULL REFERENCES login_risk_events(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_challenges_user ON login_challenges(user_id, created_at DESC);
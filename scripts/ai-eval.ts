@@ -0,0 +1,168 @@
+/**
+ * AI prompt evaluation harness.
+ *
+ * Runs every prompt builder in src/lib/ai/prompts.ts against the golden
+ * datasets in src/lib/ai/eval, scores the outputs with rubric checks and
+ * writes a JSON report. Two reports — e.g. one from main and one from a
+ * branch that edits a prompt — can then be compared.
+ *
+ * prompts.ts pulls in the db module, so DATABASE_URL must be set; no
+ * queries are made. The mock provider (default) needs no API key.
+ *
+ * Usage:
+ *   npx tsx scripts/ai-eval.ts run [--provider mock|anthropic|openai_compatible]
+ *     [--model <model>] [--base-url <url>] [--label <name>] [--builder <name,...>]
+ *     [--out <report.json>] [--baseline <report.json>] [--markdown <report.md>]
+ *     [--fail-on-regression]
+ *   npx tsx scripts/ai-eval.ts compare <baseline.json> <candidate.json>
+ *     [--markdown <report.md>] [--fail-on-regression]
+ *
+ * Example — compare a prompt change against main:
+ *   git stash && npx tsx scripts/ai-eval.ts run --provider anthropic --out /tmp/base.json
+ *   git stash pop && npx tsx scripts/ai-eval.ts run --provider anthropic --baseline /tmp/base.json
+ */
+
+import { execSync } from 'child_process';
+import { readFileSync, writeFileSync } from 'fs';
+import {
+  EVAL_SUITES,
+  runEvalSuites,
+  compareEvalReports,
+  formatReportMarkdown,
+  formatComparisonMarkdown,
+} from '../src/lib/ai/eval';
+import type { EvalComparison, EvalReport } from '../src/lib/ai/eval';
+import type { AiProviderType } from '../src/lib/ai/types';
+
+const PROVIDERS: AiProviderType[] = ['mock', 'anthropic', 'openai_compatible'];
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+function usage(): never {
+  console.error('Usage: npx tsx scripts/ai-eval.ts run [options] | compare <baseline.json> <candidate.json> [options]');
+  process.exit(1);
+}
+
+function parseArgs(argv: string[]): { positional: string[]; flags: Record<string, string | true> } {
+  const positional: string[] = [];
+  const flags: Record<string, string | true> = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        flags[arg.slice(2)] = next;
+        i++;
+      } else {
+        flags[arg.slice(2)] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function stringFlag(flags: Record<string, string | true>, name: string): string | undefined {
+  const value = flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function gitLabel(): string {
+  try {
+    const ref = execSync('git rev-parse --short HEAD', { encoding: 'utf8' }).trim();
+    const dirty = execSync('git status --porcelain -- src/lib/ai', { encoding: 'utf8' }).trim();
+    return dirty ? `${ref}-dirty` : ref;
+  } catch {
+    return 'working-tree';
+  }
+}
+
+function readReport(path: string): EvalReport {
+  return JSON.parse(readFileSync(path, 'utf8')) as EvalReport;
+}
+
+function finishComparison(comparison: EvalComparison, flags: Record<string, string | true>): void {
+  const markdown = formatComparisonMarkdown(comparison);
+  const markdownPath = stringFlag(flags, 'markdown');
+  if (markdownPath) {
+    writeFileSync(markdownPath, markdown + '\n');
+    console.log(`📝 Comparison written to ${markdownPath}`);
+  }
+  console.log('\n' + markdown);
+
+  if (flags['fail-on-regression'] && comparison.regressionCount > 0) {
+    console.error(`\n❌ ${comparison.regressionCount} case(s) regressed`);
+    process.exit(1);
+  }
+}
+
+async function run(flags: Record<string, string | true>): Promise<void> {
+  const providerType = (stringFlag(flags, 'provider') || 'mock') as AiProviderType;
+  if (!PROVIDERS.includes(providerType)) {
+    console.error(`Unknown provider "${providerType}". Expected one of: ${PROVIDERS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const builders = stringFlag(flags, 'builder')?.split(',').map((b) => b.trim()).filter(Boolean);
+  const unknown = (builders || []).filter((b) => !EVAL_SUITES.some((s) => s.builder === b));
+  if (unknown.length > 0) {
+    console.error(`Unknown builder(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const label = stringFlag(flags, 'label') || gitLabel();
+  const model = stringFlag(flags, 'model') || DEFAULT_MODEL;
+  console.log(`🧪 Running AI evals for ${label} (${providerType}/${model})...\n`);
+
+  const report = await runEvalSuites(EVAL_SUITES, {
+    label,
+    model,
+    builders,
+    provider: {
+      type: providerType,
+      baseUrl: stringFlag(flags, 'base-url'),
+    },
+    onCaseComplete: (builder, result) => {
+      const status = result.error ? '💥' : result.score === 1 ? '✅' : '⚠️ ';
+      const failed = result.checks.filter((c) => !c.passed).map((c) => c.name);
+      const suffix = result.error ? ` — ${result.error}` : failed.length > 0 ? ` — failed: ${failed.join(', ')}` : '';
+      console.log(`  ${status} ${builder} / ${result.id}: ${Math.round(result.score * 100)}%${suffix}`);
+    },
+  });
+
+  const outPath = stringFlag(flags, 'out') || `ai-eval-${label}.json`;
+  writeFileSync(outPath, JSON.stringify(report, null, 2) + '\n');
+  console.log(`\n📊 Overall score ${Math.round(report.score * 100)}% — report written to ${outPath}`);
+
+  const baselinePath = stringFlag(flags, 'baseline');
+  if (baselinePath) {
+    finishComparison(compareEvalReports(readReport(baselinePath), report), flags);
+  } else {
+    const markdownPath = stringFlag(flags, 'markdown');
+    if (markdownPath) {
+      writeFileSync(markdownPath, formatReportMarkdown(report) + '\n');
+      console.log(`📝 Summary written to ${markdownPath}`);
+    }
+  }
+}
+
+async function main(): Promise<void> {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (command === 'run') {
+    await run(flags);
+  } else if (command === 'compare') {
+    if (positional.length !== 2) usage();
+    finishComparison(compareEvalReports(readReport(positional[0]), readReport(positional[1])), flags);
+  } else {
+    usage();
+  }
+
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('❌ AI eval failed:', error);
+  process.exit(1);
+});
@@ -39,6 +39,7 @@ import {
   Activity,
   Power,
   PowerOff,
+  DollarSign,
 } from 'lucide-react';
 import { AiDisclaimer } from '@/components/shared/ai-disclaimer';
 
@@ -53,6 +54,34 @@ interface TenantUsage {
   used: number;
   limit: number; // -1 = unlimited
   model: string;
+  inputTokens: number;
+  outputTokens: number;
+  costUsd: number;
+  budget: BudgetStatus | null;
+}
+
+interface BudgetStatus {
+  unit: 'usd' | 'tokens';
+  limit: number;
+  used: number;
+  percentUsed: number;
+  state: 'ok' | 'soft_limit' | 'exhausted';
+  hardLimit: boolean;
+}
+
+interface CostReport {
+  totalCostUsd: number;
+  totalTokens: number;
+  byModel: {
+    provider: string;
+    model: string;
+    calls: number;
+    inputTokens: number;
+    outputTokens: number;
+    costUsd: number;
+  }[];
+  byFeature: { feature: string; calls: number; tokens: number; costUsd: number }[];
+  monthlyCost: { month: string; tokens: number; costUsd: number }[];
 }
 
 interface MonthlyTrend {
@@ -65,6 +94,8 @@ interface UsageData {
   tenantUsage: TenantUsage[];
   monthlyTrend: MonthlyTrend[];
   approachingLimit: TenantUsage[];
+  costReport: CostReport;
+  overBudget: TenantUsage[];
 }
 
 interface TierConfig {
@@ -146,6 +177,27 @@ function formatRemaining(used: number, limit: number): string {
   return String(Math.max(0, limit - used));
 }
 
+function formatUsd(amount: number): string {
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
+
+function formatTokens(tokens: number): string {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+  return String(tokens);
+}
+
+function formatBudget(budget: BudgetStatus): string {
+  const value = (n: number) => (budget.unit === 'usd' ? formatUsd(n) : formatTokens(n));
+  return `${value(budget.used)} / ${value(budget.limit)}`;
+}
+
+const BUDGET_COLORS: Record<BudgetStatus['state'], string> = {
+  ok: 'bg-green-100 text-green-700',
+  soft_limit: 'bg-yellow-100 text-yellow-700',
+  exhausted: 'bg-red-100 text-red-700',
+};
+
 function shortModel(model: string): string {
   if (model.includes('haiku')) return 'Haiku 4.5';
   if (model.includes('sonnet')) return 'Sonnet 4';
@@ -487,6 +539,96 @@ export default function AdminAiPage() {
             </Card>
           )}
 
+          {/* Token & cost metering */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2 text-base">
+                <DollarSign className="h-4 w-4 text-teal-600" />
+                AI Cost This Month
+              </CardTitle>
+              <CardDescription>
+                {formatUsd(usageData.costReport.totalCostUsd)} across{' '}
+                {formatTokens(usageData.costReport.totalTokens)} tokens
+                {usageData.overBudget.length > 0 &&
+                  ` · ${usageData.overBudget.length} tenant${usageData.overBudget.length === 1 ? '' : 's'} over budget warning`}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {usageData.costReport.byModel.length === 0 ? (
+                <p className="py-4 text-center text-sm text-slate-400">No metered AI calls this month</p>
+              ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-slate-200 dark:border-slate-700">
+                          <th className="text-left py-2 px-2 font-medium text-slate-500">Model</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">Calls</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">In / Out</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {usageData.costReport.byModel.map((m) => (
+                          <tr
+                            key={`${m.provider}:${m.model}`}
+                            className="border-b border-slate-100 dark:border-slate-800"
+                          >
+                            <td className="py-2 px-2 text-slate-900 dark:text-white">
+                              {shortModel(m.model)}
+                              {m.provider !== 'anthropic' && (
+                                <span className="ml-1.5 text-xs text-slate-400">{m.provider}</span>
+                              )}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
+                              {m.calls}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
+                              {formatTokens(m.inputTokens)} / {formatTokens(m.outputTokens)}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-900 dark:text-white">
+                              {formatUsd(m.costUsd)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-slate-200 dark:border-slate-700">
+                          <th className="text-left py-2 px-2 font-medium text-slate-500">Feature</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">Calls</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">Tokens</th>
+                          <th className="text-right py-2 px-2 font-medium text-slate-500">Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {usageData.costReport.byFeature.map((f) => (
+                          <tr key={f.feature} className="border-b border-slate-100 dark:border-slate-800">
+                            <td className="py-2 px-2 text-slate-900 dark:text-white">
+                              {f.feature.replace(/_/g, ' ')}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
+                              {f.calls}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
+                              {formatTokens(f.tokens)}
+                            </td>
+                            <td className="py-2 px-2 text-right font-mono text-slate-900 dark:text-white">
+                              {formatUsd(f.costUsd)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
           {/* Per-tenant usage table */}
           <Card>
             <CardHeader>
@@ -509,6 +651,9 @@ export default function AdminAiPage() {
                       <th className="text-right py-3 px-2 font-medium text-slate-500">Used</th>
                       <th className="text-right py-3 px-2 font-medium text-slate-500">Limit</th>
                       <th className="text-right py-3 px-2 font-medium text-slate-500">Remaining</th>
+                      <th className="text-right py-3 px-2 font-medium text-slate-500">Tokens</th>
+                      <th className="text-right py-3 px-2 font-medium text-slate-500">Cost</th>
+                      <th className="text-center py-3 px-2 font-medium text-slate-500">Budget</th>
                       <th className="text-center py-3 px-2 font-medium text-slate-500">Status</th>
                     </tr>
                   </thead>
@@ -540,6 +685,21 @@ export default function AdminAiPage() {
                           <td className="py-3 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
                             {formatRemaining(tenant.used, tenant.limit)}
                           </td>
+                          <td className="py-3 px-2 text-right font-mono text-slate-600 dark:text-slate-400">
+                            {formatTokens(tenant.inputTokens + tenant.outputTokens)}
+                          </td>
+                          <td className="py-3 px-2 text-right font-mono text-slate-900 dark:text-white">
+                            {formatUsd(tenant.costUsd)}
+                          </td>
+                          <td className="py-3 px-2 text-center">
+                            {tenant.budget ? (
+                              <Badge variant="outline" className={BUDGET_COLORS[tenant.budget.state]}>
+                                {formatBudget(tenant.budget)}
+                              </Badge>
+                            ) : (
+                              <span className="text-xs text-slate-400">None</span>
+                            )}
+                          </td>
                           <td className="py-3 px-2 text-center">
                             <Badge variant="outline" className={status.color}>
                               {status.label}
@@ -550,7 +710,7 @@ export default function AdminAiPage() {
                     })}
                     {usageData.tenantUsage.length === 0 && (
                       <tr>
-                        <td colSpan={7} className="py-8 text-center text-slate-400">
+                        <td colSpan={10} className="py-8 text-center text-slate-400">
                           No usage data for the current month
                         </td>
                       </tr>
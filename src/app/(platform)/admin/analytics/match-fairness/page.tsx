@@ -0,0 +1,362 @@
+'use client';
+
+/**
+ * Match Fairness Monitoring Page
+ *
+ * Per-tenant match score drift and disparate impact:
+ * - Tenants ranked by open alerts
+ * - Mean score over time per cohort (institution, sport, class year)
+ * - Latest cohort table with selection rate, disparate-impact ratio and drift
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { StatCard } from '@/components/analytics/stat-card';
+import { ChartCard } from '@/components/analytics/chart-card';
+import { DataTable, type TableColumn } from '@/components/analytics/data-table';
+import { ArrowLeft, Scale, AlertTriangle, Activity, Loader2, Play, AlertCircle } from 'lucide-react';
+
+type CohortType = 'tenant' | 'institution' | 'sport' | 'class_year';
+
+interface TenantSummary {
+  id: string;
+  name: string;
+  snapshotDate: string | null;
+  alerts: number;
+  minDisparateImpact: number | null;
+}
+
+interface CohortDrift {
+  cohortType: CohortType;
+  cohortValue: string;
+  students: number;
+  pairs: number;
+  meanScore: number;
+  topKRate: number;
+  disparateImpact: number | null;
+  previousMean: number | null;
+  meanDelta: number | null;
+  psi: number | null;
+  flags: string[];
+}
+
+interface FairnessReport {
+  snapshotDate: string;
+  k: number;
+  cohorts: CohortDrift[];
+  context: {
+    previousSnapshotAt: string | null;
+    configUpdatedAt: string | null;
+    configChangedSincePrevious: boolean;
+    engineVersion: number;
+    scoreChangesByReason: Record<string, number>;
+  };
+  alerts: number;
+}
+
+interface HistoryPoint {
+  snapshotDate: string;
+  cohortType: CohortType;
+  cohortValue: string;
+  meanScore: number;
+}
+
+const COHORT_LABELS: Record<CohortType, string> = {
+  tenant: 'Whole tenant',
+  institution: 'Institution',
+  sport: 'Sport',
+  class_year: 'Class year',
+};
+
+/** Cohorts drawn on the trend chart */
+const MAX_CHART_SERIES = 6;
+
+const FLAG_STYLES: Record<string, string> = {
+  drift: 'bg-amber-50 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  disparate_impact: 'bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  small_sample: 'bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400',
+};
+
+export default function MatchFairnessPage() {
+  const [tenants, setTenants] = useState<TenantSummary[]>([]);
+  const [tenantId, setTenantId] = useState<string | null>(null);
+  const [cohortType, setCohortType] = useState<CohortType>('institution');
+  const [report, setReport] = useState<FairnessReport | null>(null);
+  const [history, setHistory] = useState<HistoryPoint[]>([]);
+  const [threshold, setThreshold] = useState(0.8);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTenants = useCallback(async () => {
+    try {
+      const res = await fetch('/api/admin/match-fairness');
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error);
+      setTenants(json.tenants || []);
+      setThreshold(json.threshold);
+      setTenantId((current) => current || json.tenants?.[0]?.id || null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load tenants');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchReport = useCallback(async () => {
+    if (!tenantId) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/admin/match-fairness?tenantId=${tenantId}&cohortType=${cohortType}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error);
+      setReport(json.report);
+      setHistory(json.history || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load report');
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId, cohortType]);
+
+  useEffect(() => {
+    fetchTenants();
+  }, [fetchTenants]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleRun = async () => {
+    if (!tenantId) return;
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/admin/match-fairness', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tenantId }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error);
+      await Promise.all([fetchTenants(), fetchReport()]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Monitoring run failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Pivot history into one row per date, one series per cohort (largest cohorts first)
+  const latestCohorts = (report?.cohorts || [])
+    .filter((c) => c.cohortType === cohortType)
+    .sort((a, b) => b.students - a.students);
+  const chartCohorts = latestCohorts.slice(0, MAX_CHART_SERIES).map((c) => c.cohortValue);
+  const trendByDate = new Map<string, Record<string, unknown>>();
+  for (const point of history) {
+    if (!chartCohorts.includes(point.cohortValue)) continue;
+    const row = trendByDate.get(point.snapshotDate) || { date: point.snapshotDate };
+    row[point.cohortValue] = point.meanScore;
+    trendByDate.set(point.snapshotDate, row);
+  }
+  const trendData = Array.from(trendByDate.values());
+
+  const tenantRow = report?.cohorts.find((c) => c.cohortType === 'tenant');
+  const tenantTrend = tenantRow?.meanDelta != null && tenantRow.previousMean
+    ? (tenantRow.meanDelta / tenantRow.previousMean) * 100
+    : null;
+  const minImpact = latestCohorts
+    .map((c) => c.disparateImpact)
+    .filter((v): v is number => v !== null)
+    .reduce((min, v) => Math.min(min, v), 1);
+
+  const cohortColumns: TableColumn[] = [
+    { key: 'cohortValue', label: COHORT_LABELS[cohortType], sortable: true },
+    { key: 'students', label: 'Students', sortable: true, align: 'right' },
+    { key: 'meanScore', label: 'Mean Score', sortable: true, align: 'right', format: (v) => Number(v).toFixed(1) },
+    {
+      key: 'topKRate',
+      label: `Top-${report?.k ?? 10} Rate`,
+      sortable: true,
+      align: 'right',
+      format: (v) => `${(Number(v) * 100).toFixed(1)}%`,
+    },
+    {
+      key: 'disparateImpact',
+      label: 'Impact Ratio',
+      sortable: true,
+      align: 'right',
+      format: (v) => (v === null || v === undefined ? '—' : Number(v).toFixed(2)),
+    },
+    {
+      key: 'meanDelta',
+      label: 'Δ Mean',
+      sortable: true,
+      align: 'right',
+      format: (v) => (v === null || v === undefined ? '—' : `${Number(v) > 0 ? '+' : ''}${Number(v).toFixed(1)}`),
+    },
+    {
+      key: 'psi',
+      label: 'PSI',
+      sortable: true,
+      align: 'right',
+      format: (v) => (v === null || v === undefined ? '—' : Number(v).toFixed(3)),
+    },
+    { key: 'flags', label: 'Flags' },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <div className="flex items-center gap-3">
+          <Link href="/admin/analytics">
+            <Button variant="ghost" size="sm">
+              <ArrowLeft className="h-4 w-4 mr-1" /> Analytics
+            </Button>
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-white">
+              Match Fairness Monitoring
+            </h1>
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              Score drift and disparate impact across institution, sport and class-year cohorts
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={tenantId ?? undefined} onValueChange={setTenantId}>
+            <SelectTrigger className="w-56">
+              <SelectValue placeholder="Select tenant" />
+            </SelectTrigger>
+            <SelectContent>
+              {tenants.map((t) => (
+                <SelectItem key={t.id} value={t.id}>
+                  {t.name}{t.alerts > 0 ? ` (${t.alerts})` : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button size="sm" onClick={handleRun} disabled={!tenantId || running}>
+            {running ? (
+              <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin" />
+            ) : (
+              <Play className="h-3.5 w-3.5 mr-1.5" />
+            )}
+            Run Now
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {[1, 2, 3].map((i) => <Skeleton key={i} className="h-28" />)}
+          </div>
+          <Skeleton className="h-80" />
+        </div>
+      ) : !report ? (
+        <Card>
+          <CardContent className="py-10 text-center text-sm text-slate-500">
+            No snapshots yet for this tenant. Run the monitoring job to take the first one.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Snapshot of {report.snapshotDate}. The impact ratio compares each cohort&apos;s top-{report.k} selection rate with the best-treated cohort of the same type; below {threshold.toFixed(2)} fails the four-fifths rule. Drift is flagged when a cohort&apos;s mean moves 5+ points or its distribution shifts (PSI ≥ 0.2) since the previous snapshot.
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <StatCard
+              label="Open Alerts"
+              value={report.alerts}
+              icon={AlertTriangle}
+              tooltip="Cohorts flagged for drift or disparate impact in the latest snapshot"
+            />
+            <StatCard
+              label="Tenant Mean Score"
+              value={tenantRow ? tenantRow.meanScore.toFixed(1) : '—'}
+              trend={tenantTrend}
+              trendLabel="vs previous snapshot"
+              icon={Activity}
+            />
+            <StatCard
+              label={`Lowest ${COHORT_LABELS[cohortType]} Impact Ratio`}
+              value={minImpact.toFixed(2)}
+              icon={Scale}
+              tooltip="Lowest disparate-impact ratio among cohorts with enough students"
+            />
+          </div>
+
+          {(report.context.configChangedSincePrevious || Object.keys(report.context.scoreChangesByReason).length > 0) && (
+            <div className="text-sm text-slate-600 dark:text-slate-300 bg-slate-50 dark:bg-slate-900/40 p-3 rounded-lg">
+              <span className="font-medium">Changes since the previous snapshot: </span>
+              {report.context.configChangedSincePrevious && 'match engine config saved; '}
+              {Object.entries(report.context.scoreChangesByReason)
+                .map(([reason, count]) => `${count} rescored (${reason.replace(/_/g, ' ')})`)
+                .join(', ') || 'no rescoring'}
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            {(['institution', 'sport', 'class_year'] as CohortType[]).map((type) => (
+              <Button
+                key={type}
+                variant={cohortType === type ? 'secondary' : 'ghost'}
+                size="sm"
+                onClick={() => setCohortType(type)}
+              >
+                {COHORT_LABELS[type]}
+              </Button>
+            ))}
+          </div>
+
+          <ChartCard
+            type="line"
+            title={`Mean Score by ${COHORT_LABELS[cohortType]}`}
+            description="Daily snapshots, largest cohorts"
+            data={trendData}
+            xKey="date"
+            series={chartCohorts.map((value) => ({ key: value, label: value }))}
+          />
+
+          <DataTable
+            title={`${COHORT_LABELS[cohortType]} Cohorts`}
+            data={latestCohorts as unknown as Record<string, unknown>[]}
+            columns={cohortColumns}
+            exportFilename={`match-fairness-${cohortType}-${report.snapshotDate}`}
+            pageSize={15}
+            renderCell={(col, value) => {
+              if (col.key !== 'flags') return undefined;
+              const flags = (value as string[]) || [];
+              if (flags.length === 0) return <span className="text-xs text-slate-400">—</span>;
+              return (
+                <div className="flex flex-wrap gap-1">
+                  {flags.map((flag) => (
+                    <Badge key={flag} variant="secondary" className={`text-xs ${FLAG_STYLES[flag] || ''}`}>
+                      {flag.replace(/_/g, ' ')}
+                    </Badge>
+                  ))}
+                </div>
+              );
+            }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -28,6 +28,8 @@ import {
   FileText,
   CheckCircle2,
   ArrowLeft,
+  Scale,
+  ShieldCheck,
 } from 'lucide-react';
 
 interface AnalyticsData {
@@ -146,7 +148,19 @@ export default function AdminAnalyticsPage() {
             </p>
           </div>
         </div>
-        <DateRangePicker value={range} onChange={setRange} />
+        <div className="flex items-center gap-2">
+          <Link href="/admin/analytics/match-fairness">
+            <Button variant="outline" size="sm">
+              <Scale className="h-4 w-4 mr-1" /> Match Fairness
+            </Button>
+          </Link>
+          <Link href="/admin/analytics/screening-fairness">
+            <Button variant="outline" size="sm">
+              <ShieldCheck className="h-4 w-4 mr-1" /> Screening Audit
+            </Button>
+          </Link>
+          <DateRangePicker value={range} onChange={setRange} />
+        </div>
       </div>
 
       {/* Summary Stats */}
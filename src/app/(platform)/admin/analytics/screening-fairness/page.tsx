@@ -0,0 +1,356 @@
+'use client';
+
+/**
+ * Screening Fairness Audit Page
+ *
+ * AI candidate screening and talent discovery audit trail:
+ * - Latest consistency audit: mean screening score per proxy variant (name, institution, sport)
+ * - Consistency audit history with the largest single-swap score difference
+ * - Runs start in the background; the page polls until the run finishes
+ * - Audit log summary by feature, model and prompt version, with lookup by student
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent } from '@/components/ui/card';
+import { StatCard } from '@/components/analytics/stat-card';
+import { ChartCard } from '@/components/analytics/chart-card';
+import { DataTable, type TableColumn } from '@/components/analytics/data-table';
+import { ArrowLeft, Scale, AlertTriangle, ShieldCheck, Loader2, Play, AlertCircle, Search } from 'lucide-react';
+
+type ProxyType = 'name' | 'institution' | 'sport';
+
+interface ProxyConsistency {
+  proxyType: ProxyType;
+  variants: { variant: string; meanScore: number | null; trials: number }[];
+  meanSpread: number;
+  maxProfileSpread: number;
+  baselineNoise: number;
+  maxExcessSpread: number;
+  flags: string[];
+}
+
+interface ConsistencyAudit {
+  id: string;
+  model: string;
+  promptVersion: number;
+  trialCount: number;
+  failedTrials: number;
+  maxSpread: number | null;
+  results: ProxyConsistency[];
+  flags: string[];
+  triggeredBy: string | null;
+  startedAt: string;
+  completedAt: string | null;
+  error: string | null;
+}
+
+const PROXY_LABELS: Record<ProxyType, string> = {
+  name: 'Name',
+  institution: 'Institution',
+  sport: 'Sport',
+};
+
+const FLAG_STYLES: Record<string, string> = {
+  inconsistent: 'bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  incomplete: 'bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400',
+  noisy: 'bg-amber-50 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+};
+
+const POLL_INTERVAL_MS = 5000;
+const RUN_TIMEOUT_MS = 30 * 60 * 1000; // matches the server's stale-run cutoff
+
+const FEATURE_LABELS: Record<string, string> = {
+  candidate_screening: 'Candidate screening',
+  talent_discovery: 'Talent discovery',
+};
+
+function formatDateTime(value: unknown): string {
+  return value ? new Date(value as string).toLocaleString() : '—';
+}
+
+function renderFlags(value: unknown) {
+  const flags = (value as string[]) || [];
+  if (flags.length === 0) return <span className="text-xs text-slate-400">—</span>;
+  return (
+    <div className="flex flex-wrap gap-1">
+      {flags.map((flag) => (
+        <Badge key={flag} variant="secondary" className={`text-xs ${FLAG_STYLES[flag] || ''}`}>
+          {flag}
+        </Badge>
+      ))}
+    </div>
+  );
+}
+
+export default function ScreeningFairnessPage() {
+  const [audits, setAudits] = useState<ConsistencyAudit[]>([]);
+  const [summary, setSummary] = useState<Record<string, unknown>[]>([]);
+  const [entries, setEntries] = useState<Record<string, unknown>[]>([]);
+  const [threshold, setThreshold] = useState(10);
+  const [proxyType, setProxyType] = useState<ProxyType>('name');
+  const [studentId, setStudentId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [runningId, setRunningId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchReport = useCallback(async (subjectId?: string) => {
+    setError(null);
+    try {
+      const query = subjectId ? `?studentId=${encodeURIComponent(subjectId)}` : '';
+      const res = await fetch(`/api/admin/screening-fairness${query}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error);
+      setAudits(json.audits || []);
+      // Pick up a run started earlier (e.g. before a reload)
+      const pending = (json.audits as ConsistencyAudit[] | undefined)?.find(
+        (a) => !a.completedAt && !a.error && Date.now() - new Date(a.startedAt).getTime() < RUN_TIMEOUT_MS
+      );
+      if (pending) setRunningId(pending.id);
+      setSummary(json.summary || []);
+      setEntries(json.entries || []);
+      setThreshold(json.threshold);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load report');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  // Poll the running audit until it completes or fails
+  useEffect(() => {
+    if (!runningId) return;
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(`/api/admin/screening-fairness?auditId=${runningId}`);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error);
+        const audit = json.audit as ConsistencyAudit;
+        if (audit.error) {
+          setRunningId(null);
+          setError(`Consistency audit failed: ${audit.error}`);
+        } else if (audit.completedAt) {
+          setRunningId(null);
+          await fetchReport(studentId.trim() || undefined);
+        }
+      } catch (err) {
+        setRunningId(null);
+        setError(err instanceof Error ? err.message : 'Consistency audit failed');
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [runningId, studentId, fetchReport]);
+
+  const handleRun = async () => {
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/admin/screening-fairness', { method: 'POST' });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error);
+      setRunningId(json.auditId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Consistency audit failed');
+    }
+  };
+
+  const latest = audits.find((a) => a.completedAt) || null;
+  const latestProxy = latest?.results.find((r) => r.proxyType === proxyType) || null;
+  const variantData = (latestProxy?.variants || []).map((v) => ({ variant: v.variant, meanScore: v.meanScore ?? 0 }));
+  const totalCalls = summary.reduce((sum, row) => sum + Number(row.calls || 0), 0);
+  const openFlags = latest ? latest.results.filter((r) => r.flags.includes('inconsistent')).length : 0;
+
+  const auditColumns: TableColumn[] = [
+    { key: 'startedAt', label: 'Run', sortable: true, format: formatDateTime },
+    { key: 'model', label: 'Model' },
+    { key: 'promptVersion', label: 'Prompt', align: 'right', format: (v) => `v${v}` },
+    { key: 'trialCount', label: 'Trials', align: 'right' },
+    { key: 'failedTrials', label: 'Failed', align: 'right' },
+    {
+      key: 'maxSpread',
+      label: 'Max Spread',
+      sortable: true,
+      align: 'right',
+      format: (v) => (v === null || v === undefined ? '—' : Number(v).toFixed(1)),
+    },
+    { key: 'triggeredBy', label: 'Trigger', format: (v) => (v ? 'Manual' : 'Scheduled') },
+    { key: 'flags', label: 'Flags' },
+  ];
+
+  const summaryColumns: TableColumn[] = [
+    { key: 'feature', label: 'Feature', format: (v) => FEATURE_LABELS[v as string] || String(v) },
+    { key: 'model', label: 'Model' },
+    { key: 'promptVersion', label: 'Prompt', align: 'right', format: (v) => `v${v}` },
+    { key: 'calls', label: 'Calls', sortable: true, align: 'right' },
+    { key: 'unparsed', label: 'Unparsed', sortable: true, align: 'right' },
+    { key: 'redacted', label: 'Redacted', sortable: true, align: 'right' },
+    { key: 'lastCallAt', label: 'Last Call', sortable: true, format: formatDateTime },
+  ];
+
+  const entryColumns: TableColumn[] = [
+    { key: 'createdAt', label: 'Time', sortable: true, format: formatDateTime },
+    { key: 'tenantName', label: 'Tenant', format: (v) => (v as string) || '—' },
+    { key: 'feature', label: 'Feature', format: (v) => FEATURE_LABELS[v as string] || String(v) },
+    { key: 'subjectCount', label: 'Students', align: 'right' },
+    { key: 'model', label: 'Model' },
+    { key: 'promptVersion', label: 'Prompt', align: 'right', format: (v) => `v${v}` },
+    { key: 'inputHash', label: 'Input Hash', format: (v) => `${String(v).slice(0, 12)}…` },
+    { key: 'redacted', label: 'Redacted', format: (v) => (v ? 'Yes' : 'No') },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <div className="flex items-center gap-3">
+          <Link href="/admin/analytics">
+            <Button variant="ghost" size="sm">
+              <ArrowLeft className="h-4 w-4 mr-1" /> Analytics
+            </Button>
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900 dark:text-white">
+              Screening Fairness Audit
+            </h1>
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              AI candidate screening trail and consistency under swapped demographic proxies
+            </p>
+          </div>
+        </div>
+        <Button size="sm" onClick={handleRun} disabled={runningId !== null}>
+          {runningId ? (
+            <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin" />
+          ) : (
+            <Play className="h-3.5 w-3.5 mr-1.5" />
+          )}
+          {runningId ? 'Running Audit…' : 'Run Consistency Audit'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {[1, 2, 3].map((i) => <Skeleton key={i} className="h-28" />)}
+          </div>
+          <Skeleton className="h-80" />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <StatCard
+              label="Screening Calls (30d)"
+              value={totalCalls}
+              icon={ShieldCheck}
+              tooltip="Candidate screening and talent discovery calls written to the audit log"
+            />
+            <StatCard
+              label="Latest Max Spread"
+              value={latest?.maxSpread != null ? latest.maxSpread.toFixed(1) : '—'}
+              icon={Scale}
+              tooltip={`Largest score difference on one synthetic profile from a single proxy swap; ${threshold}+ points beyond the baseline's own noise is flagged`}
+            />
+            <StatCard
+              label="Inconsistent Proxies"
+              value={openFlags}
+              icon={AlertTriangle}
+              tooltip="Proxy types flagged in the latest consistency audit"
+            />
+          </div>
+
+          {!latest ? (
+            <Card>
+              <CardContent className="py-10 text-center text-sm text-slate-500">
+                No consistency audits yet. Run one to screen the synthetic profiles.
+              </CardContent>
+            </Card>
+          ) : (
+            <>
+              <p className="text-sm text-slate-500 dark:text-slate-400">
+                Audit of {formatDateTime(latest.completedAt)} with {latest.model} (prompt v{latest.promptVersion}). Identical synthetic applicants are screened at temperature 0 with one proxy swapped at a time, and each baseline is screened several times to measure the model&apos;s own noise. A swap that moves any profile&apos;s confidence score by {threshold} points or more beyond that noise is flagged.
+              </p>
+
+              <div className="flex items-center gap-2">
+                {(['name', 'institution', 'sport'] as ProxyType[]).map((type) => (
+                  <Button
+                    key={type}
+                    variant={proxyType === type ? 'secondary' : 'ghost'}
+                    size="sm"
+                    onClick={() => setProxyType(type)}
+                  >
+                    {PROXY_LABELS[type]}
+                  </Button>
+                ))}
+              </div>
+
+              <ChartCard
+                type="bar"
+                title={`Mean Screening Score by ${PROXY_LABELS[proxyType]}`}
+                description={
+                  latestProxy
+                    ? `Spread of means ${latestProxy.meanSpread.toFixed(1)}, largest on one profile ${latestProxy.maxProfileSpread.toFixed(1)} (baseline noise ${(latestProxy.baselineNoise ?? 0).toFixed(1)})`
+                    : undefined
+                }
+                data={variantData}
+                xKey="variant"
+                series={[{ key: 'meanScore', label: 'Mean score' }]}
+              />
+            </>
+          )}
+
+          <DataTable
+            title="Consistency Audits"
+            data={audits as unknown as Record<string, unknown>[]}
+            columns={auditColumns}
+            exportFilename="screening-consistency-audits"
+            pageSize={10}
+            renderCell={(col, value) => (col.key === 'flags' ? renderFlags(value) : undefined)}
+          />
+
+          <DataTable
+            title="Screening Calls by Prompt Version (30d)"
+            data={summary}
+            columns={summaryColumns}
+            exportFilename="screening-audit-summary"
+            pageSize={10}
+          />
+
+          <div className="flex items-center gap-2">
+            <Input
+              value={studentId}
+              onChange={(e) => setStudentId(e.target.value)}
+              placeholder="Student ID"
+              className="w-80"
+            />
+            <Button variant="outline" size="sm" onClick={() => fetchReport(studentId.trim() || undefined)}>
+              <Search className="h-3.5 w-3.5 mr-1.5" />
+              Find Screenings
+            </Button>
+          </div>
+
+          <DataTable
+            title={studentId.trim() ? 'Screening Calls for Student' : 'Recent Screening Calls'}
+            data={entries}
+            columns={entryColumns}
+            exportFilename="screening-audit-log"
+            pageSize={15}
+          />
+        </>
+      )}
+    </div>
+  );
+}
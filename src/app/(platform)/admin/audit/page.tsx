@@ -1,28 +1,96 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
 import { Skeleton } from '@/components/ui/skeleton';
-import { Shield, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import { Shield, ChevronLeft, ChevronRight, FileJson, Search, Link2 } from 'lucide-react';
 import { ExportButton } from '@/components/analytics/export-button';
+import { AuditIntegrityCard } from '@/components/audit/audit-integrity-card';
+import { AuditRetentionCard } from '@/components/audit/audit-retention-card';
 
-interface AuditEntry { id: string; userId: string | null; userName: string | null; action: string; resource: string | null; resourceId: string | null; ipAddress: string | null; createdAt: string; }
+interface AuditEntry {
+  id: string;
+  userId: string | null;
+  userName: string | null;
+  userEmail: string | null;
+  action: string;
+  resource: string | null;
+  resourceId: string | null;
+  details: Record<string, unknown>;
+  ipAddress: string | null;
+  createdAt: string;
+  chainKey: string | null;
+  seq: number | null;
+  entryHash: string | null;
+}
+
+interface ChainOption { chainKey: string; tenantName: string | null; }
+
+interface Filters { chain: string; action: string; q: string; from: string; to: string; }
+
+const emptyFilters: Filters = { chain: '', action: '', q: '', from: '', to: '' };
+
+const selectClassName = 'flex h-10 rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring';
+
+/** Query string for the viewer and NDJSON export. `to` is made exclusive of the next day. */
+function buildParams(filters: Filters, page?: number): URLSearchParams {
+  const params = new URLSearchParams();
+  if (page) params.set('page', String(page));
+  if (filters.chain) params.set('chain', filters.chain);
+  if (filters.action) params.set('action', filters.action);
+  if (filters.q) params.set('q', filters.q);
+  if (filters.from) params.set('from', new Date(filters.from).toISOString());
+  if (filters.to) {
+    const end = new Date(filters.to);
+    end.setDate(end.getDate() + 1);
+    params.set('to', end.toISOString());
+  }
+  return params;
+}
 
 export default function AdminAuditPage() {
   const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [actions, setActions] = useState<string[]>([]);
+  const [chains, setChains] = useState<ChainOption[]>([]);
   const [loading, setLoading] = useState(true);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [draft, setDraft] = useState<Filters>(emptyFilters);
+  const [filters, setFilters] = useState<Filters>(emptyFilters);
+  const [expanded, setExpanded] = useState<string | null>(null);
 
   useEffect(() => {
+    fetch('/api/admin/audit-log/retention').then((r) => r.json()).then((d) => {
+      setChains(d.settings || []);
+    }).catch(console.error);
+  }, []);
+
+  const fetchEntries = useCallback(() => {
     setLoading(true);
-    fetch(`/api/admin/audit-log?page=${page}`).then((r) => r.json()).then((d) => {
+    fetch(`/api/admin/audit-log?${buildParams(filters, page)}`).then((r) => r.json()).then((d) => {
       setEntries(d.entries || []);
+      setActions(d.actions || []);
       setTotalPages(d.totalPages || 1);
+      setTotal(d.total || 0);
     }).catch(console.error).finally(() => setLoading(false));
-  }, [page]);
+  }, [filters, page]);
+
+  useEffect(() => { fetchEntries(); }, [fetchEntries]);
+
+  const applyFilters = () => {
+    setPage(1);
+    setFilters({ ...draft, q: draft.q.trim() });
+  };
+
+  const chainLabel = (key: string | null) => {
+    if (!key) return 'Unchained';
+    if (key === 'platform') return 'Platform';
+    return chains.find((c) => c.chainKey === key)?.tenantName || key.slice(0, 8);
+  };
 
   return (
     <div className="space-y-6">
@@ -31,20 +99,71 @@ export default function AdminAuditPage() {
           <h1 className="text-3xl font-bold text-slate-900 dark:text-white">Audit Log</h1>
           <p className="text-slate-500 dark:text-slate-400 mt-1">System activity and changes</p>
         </div>
-        <ExportButton
-          data={entries as unknown as Record<string, unknown>[]}
-          filename="audit-log"
-          columns={[
-            { key: 'userName', label: 'User' },
-            { key: 'action', label: 'Action' },
-            { key: 'resource', label: 'Resource' },
-            { key: 'resourceId', label: 'Resource ID' },
-            { key: 'ipAddress', label: 'IP Address' },
-            { key: 'createdAt', label: 'Timestamp', format: (v) => v ? new Date(v as string).toLocaleString() : '' },
-          ]}
-        />
+        <div className="flex items-center gap-2">
+          <Button variant="outline" asChild>
+            <a href={`/api/admin/audit-log/export?${buildParams(filters)}`}>
+              <FileJson className="h-4 w-4 mr-2" />
+              Export NDJSON
+            </a>
+          </Button>
+          <ExportButton
+            data={entries as unknown as Record<string, unknown>[]}
+            filename="audit-log"
+            columns={[
+              { key: 'userName', label: 'User' },
+              { key: 'action', label: 'Action' },
+              { key: 'resource', label: 'Resource' },
+              { key: 'resourceId', label: 'Resource ID' },
+              { key: 'ipAddress', label: 'IP Address' },
+              { key: 'createdAt', label: 'Timestamp', format: (v) => v ? new Date(v as string).toLocaleString() : '' },
+            ]}
+          />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={draft.chain} onChange={(e) => setDraft({ ...draft, chain: e.target.value })} className={selectClassName}>
+          <option value="">All tenants</option>
+          {chains.map((c) => (
+            <option key={c.chainKey} value={c.chainKey}>{chainLabel(c.chainKey)}</option>
+          ))}
+        </select>
+        <select value={draft.action} onChange={(e) => setDraft({ ...draft, action: e.target.value })} className={selectClassName}>
+          <option value="">All actions</option>
+          {actions.map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+          <Input
+            placeholder="User, email or resource..."
+            value={draft.q}
+            onChange={(e) => setDraft({ ...draft, q: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && applyFilters()}
+            className="pl-9"
+          />
+        </div>
+        <Input type="date" value={draft.from} onChange={(e) => setDraft({ ...draft, from: e.target.value })} className="w-40" aria-label="From date" />
+        <Input type="date" value={draft.to} onChange={(e) => setDraft({ ...draft, to: e.target.value })} className="w-40" aria-label="To date" />
+        <Button onClick={applyFilters} className="bg-teal-600 hover:bg-teal-700">Filter</Button>
+        {JSON.stringify(filters) !== JSON.stringify(emptyFilters) && (
+          <Button variant="ghost" onClick={() => { setDraft(emptyFilters); setFilters(emptyFilters); setPage(1); }}>Clear</Button>
+        )}
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <AuditIntegrityCard chainKey={filters.chain} />
+        {filters.chain ? (
+          <AuditRetentionCard chainKey={filters.chain} />
+        ) : (
+          <Card><CardContent className="py-6 text-sm text-slate-500">
+            Select a tenant to manage its retention window and download archives.
+          </CardContent></Card>
+        )}
       </div>
 
+      <p className="text-sm text-slate-500">{total.toLocaleString()} entries</p>
+
       {loading ? (
         <div className="space-y-2">{[1, 2, 3].map((i) => <Skeleton key={i} className="h-14" />)}</div>
       ) : entries.length === 0 ? (
@@ -55,16 +174,31 @@ export default function AdminAuditPage() {
       ) : (
         <div className="space-y-1">
           {entries.map((e) => (
-            <Card key={e.id}>
-              <CardContent className="py-2 flex items-center justify-between">
-                <div>
-                  <div className="flex items-center gap-2">
-                    <Badge variant="outline" className="text-xs">{e.action}</Badge>
-                    {e.resource && <span className="text-xs text-slate-400">{e.resource} {e.resourceId ? `#${e.resourceId.slice(0, 8)}` : ''}</span>}
+            <Card key={e.id} className="cursor-pointer" onClick={() => setExpanded(expanded === e.id ? null : e.id)}>
+              <CardContent className="py-2">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <Badge variant="outline" className="text-xs">{e.action}</Badge>
+                      {e.resource && <span className="text-xs text-slate-400">{e.resource} {e.resourceId ? `#${e.resourceId.slice(0, 8)}` : ''}</span>}
+                    </div>
+                    <p className="text-xs text-slate-400 mt-0.5">
+                      {e.userName || e.userEmail || 'System'} &middot; {e.ipAddress || 'N/A'} &middot; {chainLabel(e.chainKey)}
+                      {e.seq !== null && <> &middot; #{e.seq}</>}
+                    </p>
                   </div>
-                  <p className="text-xs text-slate-400 mt-0.5">{e.userName || 'System'} &middot; {e.ipAddress || 'N/A'}</p>
+                  <span className="text-xs text-slate-400">{new Date(e.createdAt).toLocaleString()}</span>
                 </div>
-                <span className="text-xs text-slate-400">{new Date(e.createdAt).toLocaleString()}</span>
+                {expanded === e.id && (
+                  <div className="mt-2 space-y-1">
+                    <pre className="text-xs bg-slate-50 dark:bg-slate-900 rounded p-2 overflow-x-auto">{JSON.stringify(e.details, null, 2)}</pre>
+                    {e.entryHash && (
+                      <p className="text-xs text-slate-400 font-mono flex items-center gap-1">
+                        <Link2 className="h-3 w-3" /> {e.entryHash}
+                      </p>
+                    )}
+                  </div>
+                )}
               </CardContent>
             </Card>
           ))}
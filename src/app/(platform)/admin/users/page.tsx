@@ -29,6 +29,7 @@ import {
   RefreshCw,
   Star,
   Download,
+  LogOut,
 } from 'lucide-react';
 import { ExportButton } from '@/components/analytics/export-button';
 
@@ -95,11 +96,18 @@ export default function AdminUsersPage() {
     if (!actionTarget || !actionType) return;
     setActionLoading(true);
     try {
-      const res = await csrfFetch(`/api/admin/users/${actionTarget.id}/status`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: actionType, reason: actionReason }),
-      });
+      // Signing out everywhere is a session action, not an account status change
+      const res = actionType === 'revoke_sessions'
+        ? await csrfFetch(`/api/admin/users/${actionTarget.id}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: actionType, reason: actionReason }),
+          })
+        : await csrfFetch(`/api/admin/users/${actionTarget.id}/status`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: actionType, reason: actionReason }),
+          });
       if (res.ok) {
         setActionTarget(null);
         setActionType('');
@@ -236,6 +244,10 @@ export default function AdminUsersPage() {
                       )}
                     </div>
                   )}
+
+                  <Button variant="ghost" size="sm" className="h-7 ml-auto text-slate-500 hover:text-red-600 hover:bg-red-50" onClick={() => openAction(u, 'revoke_sessions')}>
+                    <LogOut className="h-3.5 w-3.5 mr-1" /> Sign out everywhere
+                  </Button>
                 </div>
               </CardContent>
             </Card>
@@ -260,22 +272,28 @@ export default function AdminUsersPage() {
               {actionType === 'reject' && <><XCircle className="h-5 w-5 text-red-600" /> Reject Corporate Partner</>}
               {actionType === 'discontinue' && <><Ban className="h-5 w-5 text-red-600" /> Discontinue Corporate Partner</>}
               {actionType === 'reactivate' && <><RefreshCw className="h-5 w-5 text-teal-600" /> Reactivate Corporate Partner</>}
+              {actionType === 'revoke_sessions' && <><LogOut className="h-5 w-5 text-red-600" /> Sign Out Everywhere</>}
             </DialogTitle>
             <DialogDescription>
               {actionType === 'approve' && `Approving ${actionTarget?.name} will grant them full access to create listings, search students, and send invitations.`}
               {actionType === 'reject' && `Rejecting ${actionTarget?.name} will prevent them from using the platform. They will be notified.`}
               {actionType === 'discontinue' && `Discontinuing ${actionTarget?.name} will immediately revoke their platform access. Their existing listings will be closed.`}
               {actionType === 'reactivate' && `Reactivating ${actionTarget?.name} will restore their platform access and allow them to manage listings again.`}
+              {actionType === 'revoke_sessions' && `This ends every active session for ${actionTarget?.name} on all devices. Use it when an account may be compromised — they will need to sign in again.`}
             </DialogDescription>
           </DialogHeader>
 
-          {(actionType === 'reject' || actionType === 'discontinue') && (
+          {(actionType === 'reject' || actionType === 'discontinue' || actionType === 'revoke_sessions') && (
             <div className="space-y-2">
               <label className="text-sm font-medium">Reason (optional)</label>
               <Textarea
                 value={actionReason}
                 onChange={(e) => setActionReason(e.target.value)}
-                placeholder={actionType === 'reject' ? 'Reason for rejection...' : 'Reason for discontinuation...'}
+                placeholder={
+                  actionType === 'reject' ? 'Reason for rejection...' :
+                  actionType === 'revoke_sessions' ? 'Reason for signing out...' :
+                  'Reason for discontinuation...'
+                }
                 rows={3}
               />
             </div>
@@ -292,7 +310,7 @@ export default function AdminUsersPage() {
                 'bg-red-600 hover:bg-red-700'
               }
             >
-              {actionLoading ? 'Processing...' : actionType === 'approve' ? 'Approve' : actionType === 'reject' ? 'Reject' : actionType === 'discontinue' ? 'Discontinue' : 'Reactivate'}
+              {actionLoading ? 'Processing...' : actionType === 'approve' ? 'Approve' : actionType === 'reject' ? 'Reject' : actionType === 'discontinue' ? 'Discontinue' : actionType === 'revoke_sessions' ? 'Sign Out Everywhere' : 'Reactivate'}
             </Button>
           </DialogFooter>
         </DialogContent>
@@ -0,0 +1,53 @@
+'use client';
+
+/**
+ * Mock Interview
+ *
+ * Practise interview for a specific listing (?listingId=). Results are
+ * also shown on the Skills Gap dashboard.
+ */
+
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { MockInterviewPanel } from '@/components/coaching/mock-interview-panel';
+import { AiDisclaimer } from '@/components/shared/ai-disclaimer';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Mic } from 'lucide-react';
+
+export default function MockInterviewPage() {
+  const searchParams = useSearchParams();
+  const listingId = searchParams.get('listingId');
+
+  return (
+    <div className="space-y-4 max-w-3xl">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <Mic className="h-6 w-6 text-teal-600" />
+          Mock Interview
+        </h1>
+        <p className="text-sm text-slate-500 mt-1">
+          Rehearse for a project with questions built from the skills it requires, then see how you scored on each one.
+        </p>
+      </div>
+
+      <AiDisclaimer variant="inline" />
+
+      {listingId ? (
+        <MockInterviewPanel listingId={listingId} />
+      ) : (
+        <Card>
+          <CardContent className="py-12 text-center space-y-3">
+            <Mic className="h-12 w-12 text-slate-300 mx-auto" />
+            <p className="text-sm text-slate-500">
+              Open a project and choose &ldquo;Practice Mock Interview&rdquo; to start.
+            </p>
+            <Link href="/projects">
+              <Button variant="outline">Browse Projects</Button>
+            </Link>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -122,6 +122,7 @@ export default function DashboardPage() {
   const [loading, setLoading] = useState(true);
   const [fetchError, setFetchError] = useState(false);
   const [userName, setUserName] = useState('');
+  const [userId, setUserId] = useState('');
   const [institution, setInstitution] = useState<{domain: string; name: string; ai_coaching_enabled: boolean; ai_coaching_url: string} | null>(null);
   const [tenantFeatures, setTenantFeatures] = useState<TenantFeatures>({});
   const [expandedRec, setExpandedRec] = useState<string | null>(null);
@@ -137,6 +138,7 @@ export default function DashboardPage() {
       .then(([dashboard, auth, matching, profileData, featuresData]) => {
         setData(dashboard);
         setUserName(auth.user?.firstName || '');
+        setUserId(auth.user?.id || '');
         setRecommendations(matching.recommendations || []);
         if (profileData.institution) {
           setInstitution(profileData.institution);
@@ -552,6 +554,8 @@ export default function DashboardPage() {
                         ]}
                         matchedSkills={rec.matchedSkills}
                         missingSkills={rec.missingSkills}
+                        studentId={userId || undefined}
+                        listingId={rec.listingId}
                         defaultExpanded
                       />
                     </div>
@@ -13,6 +13,8 @@ import { ReadinessScoreCard } from '@/components/skills-gap/readiness-score-card
 import { SkillGapBreakdown } from '@/components/skills-gap/skill-gap-breakdown';
 import { RecommendedActions } from '@/components/skills-gap/recommended-actions';
 import { GapHistoryTimeline } from '@/components/skills-gap/gap-history-timeline';
+import { MockInterviewHistory } from '@/components/skills-gap/mock-interview-history';
+import type { MockInterviewResult } from '@/components/skills-gap/mock-interview-history';
 import { Crosshair } from 'lucide-react';
 
 interface GapItem {
@@ -56,6 +58,7 @@ export default function SkillsGapPage() {
   const [analysis, setAnalysis] = useState<AnalysisResult | null>(null);
   const [history, setHistory] = useState<Snapshot[]>([]);
   const [loading, setLoading] = useState(false);
+  const [interviews, setInterviews] = useState<MockInterviewResult[]>([]);
 
   const fetchAnalysis = useCallback(async (roleId: string) => {
     setLoading(true);
@@ -77,6 +80,14 @@ export default function SkillsGapPage() {
     }
   }, []);
 
+  // Mock interview scores aren't tied to a target role, so load them once
+  useEffect(() => {
+    fetch('/api/ai/mock-interview')
+      .then((r) => (r.ok ? r.json() : { results: [] }))
+      .then((data) => setInterviews(data.results || []))
+      .catch(() => {}); // Non-fatal: the card is simply hidden
+  }, []);
+
   useEffect(() => {
     if (selectedRoleId) {
       fetchAnalysis(selectedRoleId);
@@ -142,6 +153,8 @@ export default function SkillsGapPage() {
           {history.length > 1 && <GapHistoryTimeline snapshots={history} />}
         </div>
       )}
+
+      {!loading && interviews.length > 0 && <MockInterviewHistory results={interviews} />}
     </div>
   );
 }
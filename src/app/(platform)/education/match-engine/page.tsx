@@ -1,10 +1,12 @@
 'use client';
 
 import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
 import { csrfFetch } from '@/lib/security/csrf-fetch';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Skeleton } from '@/components/ui/skeleton';
+import { WeightProposalCard } from '@/components/matching/WeightProposalCard';
 import {
   Tooltip,
   TooltipContent,
@@ -19,6 +21,7 @@ import {
   CheckCircle2,
   Loader2,
   Info,
+  FlaskConical,
 } from 'lucide-react';
 
 interface EngineStats {
@@ -106,6 +109,12 @@ export default function MatchEngineDashboard() {
           </p>
         </div>
         <div className="flex items-center gap-2">
+          <Link href="/education/match-engine/sandbox">
+            <Button variant="outline" size="sm">
+              <FlaskConical className="h-3.5 w-3.5 mr-1.5" />
+              Sandbox
+            </Button>
+          </Link>
           <Button variant="outline" size="sm" onClick={fetchData}>
             <RefreshCw className="h-3.5 w-3.5 mr-1.5" />
             Refresh
@@ -187,6 +196,9 @@ export default function MatchEngineDashboard() {
           )}
         </>
       )}
+
+      {/* Learned weights — before/after ranking quality */}
+      <WeightProposalCard />
     </div>
     </TooltipProvider>
   );
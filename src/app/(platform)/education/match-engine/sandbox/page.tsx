@@ -0,0 +1,269 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Skeleton } from '@/components/ui/skeleton';
+import { SimulationResults, type Simulation } from '@/components/matching/SimulationResults';
+import { cn } from '@/lib/utils';
+import {
+  FlaskConical,
+  ArrowLeft,
+  AlertCircle,
+  Loader2,
+  Play,
+  RotateCcw,
+  Scale,
+} from 'lucide-react';
+
+interface SignalInfo {
+  name: string;
+  label: string;
+  defaultWeight: number;
+}
+
+/** Defaults come back camelCased, a saved row comes back as stored */
+interface LiveConfig {
+  signalWeights?: Record<string, number>;
+  disabledSignals?: string[];
+  signal_weights?: Record<string, number>;
+  config?: { disabled_signals?: string[] };
+}
+
+export default function MatchEngineSandboxPage() {
+  const [signals, setSignals] = useState<SignalInfo[]>([]);
+  const [liveWeights, setLiveWeights] = useState<Record<string, number>>({});
+  const [liveDisabled, setLiveDisabled] = useState<string[]>([]);
+  const [weights, setWeights] = useState<Record<string, number>>({});
+  const [disabled, setDisabled] = useState<string[]>([]);
+  const [topK, setTopK] = useState(5);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [simulation, setSimulation] = useState<Simulation | null>(null);
+
+  const fetchConfig = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/match-engine/admin/config');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load config');
+
+      const config = data.config as LiveConfig;
+      const signalList: SignalInfo[] = data.signals || [];
+      const current: Record<string, number> = {
+        ...Object.fromEntries(signalList.map((s) => [s.name, s.defaultWeight])),
+        ...(config.signalWeights || config.signal_weights || {}),
+      };
+      const off = config.disabledSignals || config.config?.disabled_signals || [];
+      setSignals(signalList);
+      setLiveWeights(current);
+      setLiveDisabled(off);
+      setWeights(current);
+      setDisabled(off);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load config');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConfig();
+  }, [fetchConfig]);
+
+  const enabledSum = signals
+    .filter((s) => !disabled.includes(s.name))
+    .reduce((sum, s) => sum + (weights[s.name] || 0), 0);
+  const sumValid = Math.abs(enabledSum - 1) < 0.01;
+
+  const toggleSignal = (name: string) => {
+    setDisabled((prev) => (prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]));
+  };
+
+  const normalise = () => {
+    if (enabledSum <= 0) return;
+    const next: Record<string, number> = { ...weights };
+    for (const s of signals) {
+      if (!disabled.includes(s.name)) {
+        next[s.name] = Math.round(((weights[s.name] || 0) / enabledSum) * 1000) / 1000;
+      }
+    }
+    setWeights(next);
+  };
+
+  const reset = () => {
+    setWeights(liveWeights);
+    setDisabled(liveDisabled);
+    setSimulation(null);
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/match-engine/admin/simulate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          config: { signalWeights: weights, disabledSignals: disabled },
+          k: topK,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Simulation failed');
+      setSimulation(data.simulation);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Simulation failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link
+            href="/education/match-engine"
+            className="inline-flex items-center gap-1 text-xs text-slate-500 hover:text-slate-700 mb-1"
+          >
+            <ArrowLeft className="h-3 w-3" />
+            Match Engine&trade;
+          </Link>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-2">
+            <FlaskConical className="h-6 w-6 text-teal-600" />
+            Simulation Sandbox
+          </h1>
+          <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+            Try draft signal weights against a sample of your students and published projects. Scores are computed in memory &mdash; live rankings do not change until you save the config.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="text-base flex items-center gap-2">
+                <Scale className="h-4 w-4 text-teal-600" />
+                Draft Config
+              </CardTitle>
+              <CardDescription>
+                Weights of enabled signals must sum to 1.0.
+              </CardDescription>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={reset} disabled={loading}>
+                <RotateCcw className="h-3.5 w-3.5 mr-1.5" />
+                Reset
+              </Button>
+              <Button variant="outline" size="sm" onClick={normalise} disabled={loading || sumValid}>
+                Normalise
+              </Button>
+              <Button size="sm" onClick={handleRun} disabled={loading || running || !sumValid}>
+                {running ? (
+                  <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin" />
+                ) : (
+                  <Play className="h-3.5 w-3.5 mr-1.5" />
+                )}
+                Run Simulation
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="space-y-2">
+              {Array.from({ length: 4 }).map((_, i) => (
+                <Skeleton key={i} className="h-9 w-full" />
+              ))}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {signals.map((signal) => {
+                const off = disabled.includes(signal.name);
+                const live = liveWeights[signal.name] ?? 0;
+                const changed = (weights[signal.name] ?? 0) !== live || off !== liveDisabled.includes(signal.name);
+                return (
+                  <div
+                    key={signal.name}
+                    className={cn(
+                      'flex items-center gap-3 rounded-lg border p-2',
+                      changed
+                        ? 'border-teal-200 dark:border-teal-800 bg-teal-50/50 dark:bg-teal-900/10'
+                        : 'border-slate-100 dark:border-slate-800'
+                    )}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!off}
+                      onChange={() => toggleSignal(signal.name)}
+                      className="h-4 w-4 accent-teal-600"
+                      aria-label={`Enable ${signal.label}`}
+                    />
+                    <span className={cn('flex-1 text-sm', off ? 'text-slate-400 line-through' : 'text-slate-700 dark:text-slate-300')}>
+                      {signal.label}
+                    </span>
+                    <span className="text-xs text-slate-400 w-20 text-right">live {live.toFixed(2)}</span>
+                    <Input
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={weights[signal.name] ?? 0}
+                      disabled={off}
+                      onChange={(e) =>
+                        setWeights((prev) => ({ ...prev, [signal.name]: Number(e.target.value) }))
+                      }
+                      className="w-24 h-8 text-sm"
+                    />
+                  </div>
+                );
+              })}
+              <div className="flex items-center justify-between pt-2 text-sm">
+                <label className="flex items-center gap-2 text-slate-500">
+                  Top-N per listing
+                  <Input
+                    type="number"
+                    min={1}
+                    max={20}
+                    value={topK}
+                    onChange={(e) => setTopK(Math.min(20, Math.max(1, Number(e.target.value) || 1)))}
+                    className="w-20 h-8 text-sm"
+                  />
+                </label>
+                <span className={cn('font-medium', sumValid ? 'text-emerald-600' : 'text-red-600')}>
+                  Sum of enabled weights: {enabledSum.toFixed(3)}
+                </span>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {running && !simulation && (
+        <Card>
+          <CardContent className="p-6 flex items-center justify-center gap-2 text-sm text-slate-500">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Scoring sample under both configs...
+          </CardContent>
+        </Card>
+      )}
+
+      {simulation && <SimulationResults simulation={simulation} />}
+    </div>
+  );
+}
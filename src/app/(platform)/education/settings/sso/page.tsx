@@ -22,6 +22,7 @@ import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
+import { ScimProvisioningCard } from '@/components/auth/scim-provisioning-card';
 import {
   ArrowLeft,
   CheckCircle2,
@@ -695,6 +696,9 @@ export default function SSOSettingsPage() {
         </Card>
       )}
 
+      {/* SCIM provisioning (needs a saved SSO config) */}
+      {existingConfig && <ScimProvisioningCard />}
+
       {/* Save Button */}
       <div className="flex items-center justify-end gap-3 sticky bottom-4">
         <Button
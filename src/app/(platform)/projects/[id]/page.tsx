@@ -39,6 +39,7 @@ import {
   Trophy,
   ExternalLink,
   Star,
+  Mic,
 } from 'lucide-react';
 import { MatchInsightsCard } from '@/components/coaching/match-insights-card';
 
@@ -429,6 +430,16 @@ export default function ProjectDetailPage() {
             />
           )}
 
+          {/* AI Mock Interview (students on plans with interview prep) */}
+          {isStudent && hasMatchInsights && (
+            <Link href={`/coaching/mock-interview?listingId=${project.id}`} className="block">
+              <Button variant="outline" className="w-full">
+                <Mic className="h-4 w-4 mr-2" />
+                Practice Mock Interview
+              </Button>
+            </Link>
+          )}
+
           {/* Project Details */}
           <Card>
             <CardHeader>
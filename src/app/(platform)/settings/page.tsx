@@ -38,6 +38,7 @@ import {
 } from 'lucide-react';
 import Link from 'next/link';
 import { DiffView } from '@/components/coaching/diff-view';
+import { CoachingMemoryCard } from '@/components/coaching/coaching-memory-card';
 
 interface Profile {
   id: string;
@@ -263,7 +264,7 @@ export default function SettingsPage() {
     }
 
     try {
-      const res = await csrfFetch('/api/auth/reset-password', {
+      const res = await csrfFetch('/api/auth/change-password', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -275,7 +276,7 @@ export default function SettingsPage() {
         const data = await res.json();
         throw new Error(data.error || 'Failed to change password');
       }
-      setPasswordMsg({ type: 'success', text: 'Password changed successfully' });
+      setPasswordMsg({ type: 'success', text: 'Password changed. You have been signed out on all other devices.' });
       setCurrentPassword('');
       setNewPassword('');
       setConfirmPassword('');
@@ -910,6 +911,9 @@ export default function SettingsPage() {
         </CardFooter>
       </Card>
 
+      {/* AI Coaching Memory — Students only */}
+      {profile?.role === 'student' && <CoachingMemoryCard />}
+
       {/* Account Info */}
       <Card>
         <CardHeader>
@@ -4,7 +4,8 @@
  * Security Settings Page
  *
  * MFA enrollment, status management, backup codes, and disable controls.
- * Uses TOTP (authenticator app) for multi-factor authentication.
+ * Supports TOTP (authenticator app) and WebAuthn passkeys as second factors.
+ * Also lists active sessions so they can be reviewed and revoked.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -37,11 +38,15 @@ import {
   ArrowLeft,
 } from 'lucide-react';
 import Link from 'next/link';
+import { PasskeySettingsCard } from '@/components/auth/passkey-settings-card';
+import { ActiveSessionsCard } from '@/components/auth/active-sessions-card';
 
 interface MFAStatusData {
   isEnabled: boolean;
   method: string;
   backupCodesRemaining: number;
+  totpEnabled: boolean;
+  passkeyCount: number;
   isMFARequired: boolean;
 }
 
@@ -257,7 +262,7 @@ export default function SecuritySettingsPage() {
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
               <Shield className="h-5 w-5 text-teal-600" />
-              Multi-Factor Authentication
+              Authenticator App
             </CardTitle>
             <CardDescription>
               Add an extra layer of security to your account using an authenticator app
@@ -266,8 +271,8 @@ export default function SecuritySettingsPage() {
           <CardContent className="space-y-4">
             <div className="flex items-center justify-between p-4 rounded-lg border border-slate-200 dark:border-slate-700">
               <div className="flex items-center gap-3">
-                <div className={`p-2 rounded-full ${mfaStatus?.isEnabled ? 'bg-green-100 dark:bg-green-900/30' : 'bg-slate-100 dark:bg-slate-800'}`}>
-                  {mfaStatus?.isEnabled ? (
+                <div className={`p-2 rounded-full ${mfaStatus?.totpEnabled ? 'bg-green-100 dark:bg-green-900/30' : 'bg-slate-100 dark:bg-slate-800'}`}>
+                  {mfaStatus?.totpEnabled ? (
                     <ShieldCheck className="h-5 w-5 text-green-600" />
                   ) : (
                     <ShieldOff className="h-5 w-5 text-slate-400" />
@@ -275,17 +280,19 @@ export default function SecuritySettingsPage() {
                 </div>
                 <div>
                   <p className="font-medium text-slate-900 dark:text-white">
-                    {mfaStatus?.isEnabled ? 'MFA Enabled' : 'MFA Not Enabled'}
+                    {mfaStatus?.totpEnabled ? 'Authenticator App Enabled' : 'Authenticator App Not Enabled'}
                   </p>
                   <p className="text-sm text-slate-500 dark:text-slate-400">
-                    {mfaStatus?.isEnabled
+                    {mfaStatus?.totpEnabled
                       ? 'Your account is protected with TOTP authentication'
-                      : 'Enable MFA to add an extra layer of security'}
+                      : mfaStatus?.isEnabled
+                        ? 'Your account is protected with passkeys — an app adds a fallback'
+                        : 'Enable MFA to add an extra layer of security'}
                   </p>
                 </div>
               </div>
-              <Badge variant={mfaStatus?.isEnabled ? 'default' : 'outline'} className={mfaStatus?.isEnabled ? 'bg-green-600' : ''}>
-                {mfaStatus?.isEnabled ? 'Active' : 'Inactive'}
+              <Badge variant={mfaStatus?.totpEnabled ? 'default' : 'outline'} className={mfaStatus?.totpEnabled ? 'bg-green-600' : ''}>
+                {mfaStatus?.totpEnabled ? 'Active' : 'Inactive'}
               </Badge>
             </div>
 
@@ -296,7 +303,7 @@ export default function SecuritySettingsPage() {
               </div>
             )}
 
-            {mfaStatus?.isEnabled && (
+            {mfaStatus?.totpEnabled && (
               <>
                 <Separator />
                 <div className="grid grid-cols-2 gap-4 text-sm">
@@ -319,7 +326,7 @@ export default function SecuritySettingsPage() {
             )}
           </CardContent>
           <CardFooter className="flex justify-end gap-3">
-            {mfaStatus?.isEnabled ? (
+            {mfaStatus?.totpEnabled ? (
               <>
                 <Button
                   variant="outline"
@@ -344,13 +351,16 @@ export default function SecuritySettingsPage() {
                 className="bg-teal-600 hover:bg-teal-700"
               >
                 <ShieldCheck className="h-4 w-4 mr-2" />
-                {processing ? 'Starting...' : 'Enable MFA'}
+                {processing ? 'Starting...' : 'Set Up Authenticator App'}
               </Button>
             )}
           </CardFooter>
         </Card>
       )}
 
+      {/* Passkeys */}
+      {step === 'status' && <PasskeySettingsCard onChange={fetchStatus} />}
+
       {/* Regenerate Backup Codes Form */}
       {showRegenForm && step === 'status' && (
         <Card>
@@ -632,6 +642,9 @@ export default function SecuritySettingsPage() {
         </Card>
       )}
 
+      {/* Active Sessions */}
+      {step === 'status' && <ActiveSessionsCard />}
+
       {/* Info Card */}
       <Card>
         <CardHeader>
@@ -651,6 +664,11 @@ export default function SecuritySettingsPage() {
             backup codes. Save these in a safe place in case you lose access to your
             authenticator app.
           </p>
+          <p>
+            <strong>Passkeys:</strong> A passkey uses your device&apos;s fingerprint, face or
+            screen lock instead of a code, and can&apos;t be phished. Once added, you can also
+            use it to sign in without a password.
+          </p>
         </CardContent>
       </Card>
     </div>
@@ -101,6 +101,7 @@ export async function DELETE(request: NextRequest) {
           SELECT id FROM ai_conversations WHERE user_id = ${userId}
         )
       `;
+      await tx`DELETE FROM ai_student_memories WHERE user_id = ${userId}`;
       await tx`DELETE FROM ai_conversations WHERE user_id = ${userId}`;
       await tx`DELETE FROM ai_usage_counters_v2 WHERE user_id = ${userId}`;
       await tx`DELETE FROM portfolio_intelligence_reports WHERE student_user_id = ${userId}`;
@@ -2,14 +2,18 @@
  * GET /api/admin/ai/usage — AI usage analytics across all tenants
  *
  * Returns per-tenant usage for the current month (legacy + v2 per-feature),
- * monthly trends, and tenants approaching their usage limits.
+ * monthly trends, and tenants approaching their usage limits, plus a cost
+ * report from ai_usage_records: tokens and USD per tenant, model and
+ * feature, monthly spend, and each tenant's budget status.
  */
 
 import { NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { AI_TIER_CONFIGS } from '@/lib/ai/config';
-import { getFullUsageStatus } from '@/lib/ai/feature-gate';
+import { getFullUsageStatus, getTenantAiConfig } from '@/lib/ai/feature-gate';
+import { getBudgetStatus, getTenantMonthlySpend } from '@/lib/ai/metering';
+import type { AiBudgetStatus } from '@/lib/ai/types';
 
 /** Get current month key in YYYY-MM format */
 function getMonthKey(): string {
@@ -68,6 +72,16 @@ export async function GET() {
           // Table may not exist yet
         }
 
+        // Token/cost metering and budget for this tenant
+        const spend = await getTenantMonthlySpend(tenantId);
+        let budget: AiBudgetStatus | null = null;
+        try {
+          const aiConfig = await getTenantAiConfig(tenantId);
+          budget = await getBudgetStatus(tenantId, aiConfig.budget);
+        } catch {
+          // Config lookup failure shouldn't hide usage
+        }
+
         return {
           tenantId,
           tenantName: row.tenant_name as string,
@@ -76,6 +90,10 @@ export async function GET() {
           limit,
           model,
           featureUsage,
+          inputTokens: spend.inputTokens,
+          outputTokens: spend.outputTokens,
+          costUsd: spend.costUsd,
+          budget,
         };
       })
     );
@@ -126,12 +144,90 @@ export async function GET() {
       // ai_usage_counters_v2 may not exist yet
     }
 
+    // Cost report: current month by model and by feature, last 6 months of spend
+    let costReport = {
+      totalCostUsd: 0,
+      totalTokens: 0,
+      byModel: [] as Record<string, unknown>[],
+      byFeature: [] as Record<string, unknown>[],
+      monthlyCost: [] as Record<string, unknown>[],
+    };
+    try {
+      const [byModelRows, byFeatureRows, monthlyCostRows] = await Promise.all([
+        sql`
+          SELECT provider, model,
+                 COUNT(*)::int AS calls,
+                 SUM(input_tokens)::bigint AS input_tokens,
+                 SUM(output_tokens)::bigint AS output_tokens,
+                 SUM(cost_usd) AS cost_usd
+          FROM ai_usage_records
+          WHERE created_at >= date_trunc('month', NOW())
+          GROUP BY provider, model
+          ORDER BY SUM(cost_usd) DESC
+        `,
+        sql`
+          SELECT feature,
+                 COUNT(*)::int AS calls,
+                 SUM(input_tokens + output_tokens)::bigint AS tokens,
+                 SUM(cost_usd) AS cost_usd
+          FROM ai_usage_records
+          WHERE created_at >= date_trunc('month', NOW())
+          GROUP BY feature
+          ORDER BY SUM(cost_usd) DESC
+        `,
+        sql`
+          SELECT to_char(created_at, 'YYYY-MM') AS month_key,
+                 SUM(input_tokens + output_tokens)::bigint AS tokens,
+                 SUM(cost_usd) AS cost_usd
+          FROM ai_usage_records
+          WHERE created_at >= date_trunc('month', NOW() - INTERVAL '5 months')
+          GROUP BY month_key
+          ORDER BY month_key ASC
+        `,
+      ]);
+
+      const byModel = byModelRows.map((row: Record<string, unknown>) => ({
+        provider: row.provider as string,
+        model: row.model as string,
+        calls: Number(row.calls),
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens),
+        costUsd: Number(row.cost_usd),
+      }));
+
+      costReport = {
+        totalCostUsd: byModel.reduce((sum, m) => sum + m.costUsd, 0),
+        totalTokens: byModel.reduce((sum, m) => sum + m.inputTokens + m.outputTokens, 0),
+        byModel,
+        byFeature: byFeatureRows.map((row: Record<string, unknown>) => ({
+          feature: row.feature as string,
+          calls: Number(row.calls),
+          tokens: Number(row.tokens),
+          costUsd: Number(row.cost_usd),
+        })),
+        monthlyCost: monthlyCostRows.map((row: Record<string, unknown>) => ({
+          month: row.month_key as string,
+          tokens: Number(row.tokens),
+          costUsd: Number(row.cost_usd),
+        })),
+      };
+    } catch {
+      // ai_usage_records may not exist yet
+    }
+
+    // Tenants past their budget's soft limit
+    const overBudget = tenantUsage.filter(
+      (t: { budget: AiBudgetStatus | null }) => t.budget && t.budget.state !== 'ok'
+    );
+
     return NextResponse.json({
       totalUsage,
       tenantUsage,
       monthlyTrend,
       featureTrend,
       approachingLimit,
+      costReport,
+      overBudget,
     });
   } catch (error) {
     console.error('Admin AI usage error:', error);
@@ -0,0 +1,52 @@
+/**
+ * GET /api/admin/audit-log/archives/:id — Download a retention archive
+ *
+ * Returns the archive as gzipped NDJSON (.ndjson.gz), exactly as stored.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireRole } from '@/lib/auth/middleware';
+import { getAuditArchive, getAuditScope } from '@/lib/security/audit-integrity';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+    const { id } = await params;
+
+    const archive = z.string().uuid().safeParse(id).success ? await getAuditArchive(id) : null;
+    if (!archive) {
+      return NextResponse.json({ error: 'Archive not found' }, { status: 404 });
+    }
+
+    // Edu admins may only download their own tenant's archives
+    getAuditScope(session, archive.chainKey);
+
+    await auditLog('EXPORT_DOWNLOADED', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/admin/audit-log/archives',
+      resource: 'audit_log_archives',
+      resourceId: id,
+      details: { format: 'ndjson.gz', chainKey: archive.chainKey, fromSeq: archive.fromSeq, toSeq: archive.toSeq },
+    });
+
+    const filename = `audit-log-${archive.chainKey}-${archive.fromSeq}-${archive.toSeq}.ndjson.gz`;
+    return new NextResponse(new Uint8Array(archive.content), {
+      headers: {
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit archive download error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * GET /api/admin/audit-log/archives — Retention archives
+ *
+ * Lists the NDJSON archives written when expired entries were purged
+ * (?chain= to narrow). Download one via /api/admin/audit-log/archives/:id.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { requireRole } from '@/lib/auth/middleware';
+import { getAuditScope, listAuditArchives } from '@/lib/security/audit-integrity';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+    const chainKey = getAuditScope(session, new URL(request.url).searchParams.get('chain'));
+
+    return NextResponse.json({ archives: await listAuditArchives(chainKey) });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit archives error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
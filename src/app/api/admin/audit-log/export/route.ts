@@ -0,0 +1,54 @@
+/**
+ * GET /api/admin/audit-log/export — Download audit entries as NDJSON
+ *
+ * Accepts the same filters as GET /api/admin/audit-log. One entry per line,
+ * ordered by chain and sequence, with prevHash/entryHash so the export can be
+ * checked offline.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { requireRole } from '@/lib/auth/middleware';
+import {
+  getAuditScope,
+  parseAuditFilters,
+  streamAuditEntriesNdjson,
+} from '@/lib/security/audit-integrity';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+
+    const { searchParams } = new URL(request.url);
+    const chainKey = getAuditScope(session, searchParams.get('chain'));
+    const filters = { ...parseAuditFilters(searchParams), chainKey };
+
+    await auditLog('EXPORT_DOWNLOADED', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/admin/audit-log/export',
+      resource: 'audit_log',
+      details: {
+        format: 'ndjson',
+        chainKey: chainKey || 'all',
+        action: filters.action,
+        from: filters.from?.toISOString(),
+        to: filters.to?.toISOString(),
+      },
+    });
+
+    const filename = `audit-log-${chainKey || 'all'}-${new Date().toISOString().slice(0, 10)}.ndjson`;
+    return new NextResponse(streamAuditEntriesNdjson(filters), {
+      headers: {
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit log export error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
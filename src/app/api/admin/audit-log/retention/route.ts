@@ -0,0 +1,102 @@
+/**
+ * GET/PUT /api/admin/audit-log/retention — Audit log retention per tenant
+ *
+ * GET: Retention window and live-log size for each chain (?chain= to narrow)
+ * PUT: { chainKey, retentionDays } — days between 90 and 3650, or null to
+ *      use the platform default. Expired entries are archived to NDJSON and
+ *      purged by the audit-log-retention cron job. Edu admins may only
+ *      lengthen their tenant's retention; shortening is for platform admins.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireRole } from '@/lib/auth/middleware';
+import {
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  MIN_RETENTION_DAYS,
+  getAuditScope,
+  listRetentionSettings,
+  setRetentionPolicy,
+} from '@/lib/security/audit-integrity';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+const retentionSchema = z.object({
+  chainKey: z.string().min(1).max(64),
+  retentionDays: z.number().int().min(MIN_RETENTION_DAYS).max(MAX_RETENTION_DAYS).nullable(),
+});
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+    const chainKey = getAuditScope(session, new URL(request.url).searchParams.get('chain'));
+
+    return NextResponse.json({
+      defaultRetentionDays: DEFAULT_RETENTION_DAYS,
+      minRetentionDays: MIN_RETENTION_DAYS,
+      maxRetentionDays: MAX_RETENTION_DAYS,
+      canShorten: session.data.role === 'admin',
+      settings: await listRetentionSettings(chainKey),
+    });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit retention GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function PUT(request: NextRequest) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+
+    const body = await request.json();
+    const parsed = retentionSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    const chainKey = getAuditScope(session, parsed.data.chainKey);
+    if (!chainKey) {
+      return NextResponse.json({ error: 'chainKey is required' }, { status: 400 });
+    }
+
+    const [existing] = await listRetentionSettings(chainKey);
+    if (!existing) {
+      return NextResponse.json({ error: 'No audit log exists for this tenant yet' }, { status: 404 });
+    }
+
+    // The people the log holds to account must not be able to shrink it
+    const newDays = parsed.data.retentionDays ?? DEFAULT_RETENTION_DAYS;
+    if (session.data.role !== 'admin' && newDays < existing.retentionDays) {
+      return NextResponse.json(
+        { error: 'Only platform admins can shorten audit log retention' },
+        { status: 403 }
+      );
+    }
+
+    await setRetentionPolicy(chainKey, parsed.data.retentionDays, session.data.userId);
+
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/admin/audit-log/retention',
+      resource: 'audit_retention_policies',
+      resourceId: chainKey,
+      details: {
+        action: 'audit_retention_updated',
+        from: existing.isDefault ? null : existing.retentionDays,
+        to: parsed.data.retentionDays,
+      },
+    });
+
+    return NextResponse.json({ settings: await listRetentionSettings(chainKey) });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit retention PUT error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
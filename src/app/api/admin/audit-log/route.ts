@@ -1,52 +1,43 @@
 /**
  * GET /api/admin/audit-log — View audit log entries
+ *
+ * Filters: ?chain= (tenant ID or 'platform'), action, userId, q (user, resource),
+ * from, to (ISO dates, `to` exclusive), page.
+ * Platform admins see every tenant; edu admins only their own.
  */
 
 import { NextRequest, NextResponse } from 'next/server';
-import { sql } from '@/lib/db';
-import { getCurrentSession } from '@/lib/auth/middleware';
+import { requireRole } from '@/lib/auth/middleware';
+import {
+  getAuditScope,
+  listAuditActions,
+  listAuditEntries,
+  parseAuditFilters,
+} from '@/lib/security/audit-integrity';
 
 export async function GET(request: NextRequest) {
   try {
-    const session = await getCurrentSession();
-    if (!session || session.data.role !== 'admin') {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
-    }
+    const session = await requireRole('admin', 'educational_admin');
 
     const { searchParams } = new URL(request.url);
+    const chainKey = getAuditScope(session, searchParams.get('chain'));
     const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
     const limit = 50;
-    const offset = (page - 1) * limit;
 
-    const entries = await sql`
-      SELECT al.id, al.user_id, al.action, al.resource, al.resource_id,
-             al.details, al.ip_address, al.created_at,
-             u.display_name as user_name
-      FROM audit_log al
-      LEFT JOIN users u ON u.id = al.user_id
-      ORDER BY al.created_at DESC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-
-    const total = await sql`SELECT COUNT(*) as count FROM audit_log`;
+    const [{ entries, total }, actions] = await Promise.all([
+      listAuditEntries({ ...parseAuditFilters(searchParams), chainKey }, page, limit),
+      listAuditActions(chainKey),
+    ]);
 
     return NextResponse.json({
-      entries: entries.map((e: Record<string, unknown>) => ({
-        id: e.id,
-        userId: e.user_id,
-        userName: e.user_name,
-        action: e.action,
-        resource: e.resource,
-        resourceId: e.resource_id,
-        details: e.details,
-        ipAddress: e.ip_address,
-        createdAt: e.created_at,
-      })),
-      total: parseInt(total[0].count as string),
+      entries,
+      actions,
+      total,
       page,
-      totalPages: Math.ceil(parseInt(total[0].count as string) / limit),
+      totalPages: Math.ceil(total / limit),
     });
   } catch (error) {
+    if (error instanceof NextResponse) return error;
     console.error('Audit log error:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
   }
@@ -0,0 +1,42 @@
+/**
+ * GET /api/admin/audit-log/verify — Check audit log integrity
+ *
+ * Recomputes the hash chain for one tenant (?chain=) or every chain and
+ * reports modified entries, sequence gaps and broken links. Each check is
+ * itself audited so verification history is part of the record.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { requireRole } from '@/lib/auth/middleware';
+import { getAuditScope, verifyAuditChains } from '@/lib/security/audit-integrity';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await requireRole('admin', 'educational_admin');
+    const chainKey = getAuditScope(session, new URL(request.url).searchParams.get('chain'));
+
+    const reports = await verifyAuditChains(chainKey);
+    const verified = reports.every((r) => r.verified);
+
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/admin/audit-log/verify',
+      resource: 'audit_log',
+      details: {
+        action: 'audit_log_verified',
+        chainKey: chainKey || 'all',
+        verified,
+        failedChains: reports.filter((r) => !r.verified).map((r) => r.chainKey),
+      },
+    });
+
+    return NextResponse.json({ verified, chains: reports });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('Audit log verify error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
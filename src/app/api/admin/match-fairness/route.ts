@@ -0,0 +1,129 @@
+/**
+ * /api/admin/match-fairness — Match score drift & fairness monitoring
+ *
+ * GET  — Without tenantId: tenants with their latest snapshot and alert count.
+ *        With tenantId: latest cohort report plus history (?days=, ?cohortType=)
+ * POST — Run the monitoring job for one tenant now ({ tenantId })
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+import {
+  runFairnessMonitoring,
+  getLatestFairnessReport,
+  getFairnessHistory,
+  DISPARATE_IMPACT_THRESHOLD,
+} from '@/lib/match-engine';
+import type { CohortType } from '@/lib/match-engine';
+
+const COHORT_TYPES = ['tenant', 'institution', 'sport', 'class_year'] as const;
+
+const runSchema = z.object({
+  tenantId: z.string().uuid(),
+});
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session || session.data.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const tenantId = searchParams.get('tenantId');
+
+    if (!tenantId) {
+      const tenants = await sql`
+        SELECT t.id, t.name,
+               latest.snapshot_date,
+               latest.alerts,
+               latest.min_disparate_impact
+        FROM tenants t
+        LEFT JOIN LATERAL (
+          SELECT s.snapshot_date,
+                 COUNT(*) FILTER (WHERE 'drift' = ANY(s.flags) OR 'disparate_impact' = ANY(s.flags)) as alerts,
+                 MIN(s.disparate_impact) as min_disparate_impact
+          FROM match_fairness_snapshots s
+          WHERE s.tenant_id = t.id
+            AND s.snapshot_date = (
+              SELECT MAX(snapshot_date) FROM match_fairness_snapshots WHERE tenant_id = t.id
+            )
+          GROUP BY s.snapshot_date
+        ) latest ON TRUE
+        WHERE t.features->>'matchEngine' = 'true'
+        ORDER BY latest.alerts DESC NULLS LAST, t.name
+      `;
+
+      return NextResponse.json({
+        threshold: DISPARATE_IMPACT_THRESHOLD,
+        tenants: tenants.map((t) => ({
+          id: t.id,
+          name: t.name,
+          snapshotDate: t.snapshot_date ? new Date(t.snapshot_date as string).toISOString().split('T')[0] : null,
+          alerts: Number(t.alerts || 0),
+          minDisparateImpact: t.min_disparate_impact != null ? Number(t.min_disparate_impact) : null,
+        })),
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(searchParams.get('days') || '90'), 1), 365);
+    const cohortParam = searchParams.get('cohortType');
+    const cohortType = COHORT_TYPES.includes(cohortParam as CohortType)
+      ? (cohortParam as CohortType)
+      : undefined;
+
+    const [report, history] = await Promise.all([
+      getLatestFairnessReport(tenantId),
+      getFairnessHistory(tenantId, { days, cohortType }),
+    ]);
+
+    return NextResponse.json({
+      threshold: DISPARATE_IMPACT_THRESHOLD,
+      report,
+      history,
+    });
+  } catch (error) {
+    console.error('Failed to get match fairness report:', error);
+    return NextResponse.json({ error: 'Failed to get match fairness report' }, { status: 500 });
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session || session.data.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { tenantId } = runSchema.parse(body);
+
+    const report = await runFairnessMonitoring(tenantId);
+
+    const { ip, userAgent } = extractRequestInfo(request);
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ip,
+      userAgent,
+      path: '/api/admin/match-fairness',
+      resource: 'match_fairness_snapshots',
+      resourceId: tenantId,
+      details: {
+        action: 'match_fairness_monitoring_run',
+        alerts: report.alerts,
+      },
+    });
+
+    return NextResponse.json({ threshold: DISPARATE_IMPACT_THRESHOLD, report });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: 'Invalid input', details: error.errors }, { status: 400 });
+    }
+    console.error('Failed to run match fairness monitoring:', error);
+    return NextResponse.json({ error: 'Failed to run match fairness monitoring' }, { status: 500 });
+  }
+}
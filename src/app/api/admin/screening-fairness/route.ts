@@ -0,0 +1,115 @@
+/**
+ * /api/admin/screening-fairness — AI candidate screening audit
+ *
+ * GET  — Recent consistency audits, the audit log summary (?days=) and
+ *        audit log entries (?tenantId=, ?studentId=, ?feature=);
+ *        with ?auditId= just that audit, for polling a run
+ * POST — Start the screening consistency audit in the background and
+ *        return its ID (202); the run takes minutes
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+import {
+  startScreeningConsistencyAudit,
+  getScreeningConsistencyAudit,
+  getScreeningConsistencyAudits,
+  getScreeningAuditSummary,
+  getScreeningAuditEntries,
+  SPREAD_THRESHOLD,
+} from '@/lib/ai/screening-audit';
+import type { ScreeningAuditFeature } from '@/lib/ai/types';
+
+const FEATURES: ScreeningAuditFeature[] = ['candidate_screening', 'talent_discovery'];
+const idSchema = z.string().uuid();
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session || session.data.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+
+    const auditId = searchParams.get('auditId');
+    if (auditId) {
+      if (!idSchema.safeParse(auditId).success) {
+        return NextResponse.json({ error: 'Invalid auditId' }, { status: 400 });
+      }
+      const audit = await getScreeningConsistencyAudit(auditId);
+      if (!audit) {
+        return NextResponse.json({ error: 'Audit not found' }, { status: 404 });
+      }
+      return NextResponse.json({ threshold: SPREAD_THRESHOLD, audit });
+    }
+
+    const days = Math.min(Math.max(parseInt(searchParams.get('days') || '30'), 1), 365);
+    const tenantId = searchParams.get('tenantId');
+    const studentId = searchParams.get('studentId');
+    const featureParam = searchParams.get('feature');
+
+    if ((tenantId && !idSchema.safeParse(tenantId).success) || (studentId && !idSchema.safeParse(studentId).success)) {
+      return NextResponse.json({ error: 'Invalid tenantId or studentId' }, { status: 400 });
+    }
+
+    const [audits, summary, entries] = await Promise.all([
+      getScreeningConsistencyAudits(),
+      getScreeningAuditSummary(days),
+      getScreeningAuditEntries({
+        tenantId: tenantId || undefined,
+        subjectId: studentId || undefined,
+        feature: FEATURES.includes(featureParam as ScreeningAuditFeature)
+          ? (featureParam as ScreeningAuditFeature)
+          : undefined,
+      }),
+    ]);
+
+    return NextResponse.json({
+      threshold: SPREAD_THRESHOLD,
+      audits,
+      summary,
+      entries,
+    });
+  } catch (error) {
+    console.error('Failed to get screening fairness report:', error);
+    return NextResponse.json({ error: 'Failed to get screening fairness report' }, { status: 500 });
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session || session.data.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
+    }
+
+    const { audit, started } = await startScreeningConsistencyAudit(session.data.userId);
+    if (!started) {
+      return NextResponse.json({ auditId: audit.id, started: false }, { status: 202 });
+    }
+
+    const { ip, userAgent } = extractRequestInfo(request);
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ip,
+      userAgent,
+      path: '/api/admin/screening-fairness',
+      resource: 'ai_screening_consistency_audits',
+      resourceId: audit.id,
+      details: {
+        action: 'screening_consistency_audit_run',
+        model: audit.model,
+        promptVersion: audit.promptVersion,
+      },
+    });
+
+    return NextResponse.json({ auditId: audit.id, started: true }, { status: 202 });
+  } catch (error) {
+    console.error('Failed to start screening consistency audit:', error);
+    return NextResponse.json({ error: 'Failed to start screening consistency audit' }, { status: 500 });
+  }
+}
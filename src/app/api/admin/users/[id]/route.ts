@@ -0,0 +1,117 @@
+/**
+ * GET/POST /api/admin/users/:id — Session controls for a user account
+ *
+ * GET: List the user's active sessions (device, IP, sign-in method, MFA status)
+ * POST: { action: 'revoke_sessions', reason? } — sign the user out everywhere,
+ *       e.g. when an account is suspected to be compromised
+ *
+ * Works for both platform admins and edu admins (tenant-scoped).
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { deleteUserSessions, listUserSessions } from '@/lib/auth/session';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+import type { Session } from '@/lib/auth/types';
+import { z } from 'zod';
+
+const actionSchema = z.object({
+  action: z.enum(['revoke_sessions']),
+  reason: z.string().max(500).optional(),
+});
+
+/**
+ * Resolve the target user, enforcing admin / same-tenant edu admin access.
+ * Returns an error response when the caller may not manage the user.
+ */
+async function authorizeTarget(
+  session: Session | null,
+  userId: string
+): Promise<{ session: Session; user: { id: string; email: string } } | { error: NextResponse }> {
+  if (!session) {
+    return { error: NextResponse.json({ error: 'Authentication required' }, { status: 401 }) };
+  }
+
+  // Allow platform admins and edu admins
+  if (!['admin', 'educational_admin'].includes(session.data.role)) {
+    return { error: NextResponse.json({ error: 'Insufficient permissions' }, { status: 403 }) };
+  }
+
+  if (!z.string().uuid().safeParse(userId).success) {
+    return { error: NextResponse.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  const [targetUser] = await sql`
+    SELECT id, email, tenant_id FROM users WHERE id = ${userId}
+  `;
+
+  if (!targetUser) {
+    return { error: NextResponse.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  // Edu admins can only manage users within their tenant
+  if (session.data.role === 'educational_admin' && targetUser.tenant_id !== session.data.tenantId) {
+    return { error: NextResponse.json({ error: 'Cannot manage users outside your institution' }, { status: 403 }) };
+  }
+
+  return { session, user: { id: targetUser.id, email: targetUser.email } };
+}
+
+export async function GET(
+  _request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const target = await authorizeTarget(await getCurrentSession(), params.id);
+    if ('error' in target) return target.error;
+
+    const sessions = await listUserSessions(target.user.id, target.session.sid);
+    return NextResponse.json({ sessions });
+  } catch (error) {
+    console.error('Admin user sessions error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const target = await authorizeTarget(await getCurrentSession(), params.id);
+    if ('error' in target) return target.error;
+
+    const body = await request.json();
+    const parsed = actionSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Invalid request', details: parsed.error.flatten().fieldErrors },
+        { status: 400 }
+      );
+    }
+
+    const revoked = await deleteUserSessions(target.user.id);
+
+    await auditLog('SESSION_REVOKED', {
+      userId: target.session.data.userId,
+      email: target.session.data.email,
+      ...extractRequestInfo(request),
+      path: `/api/admin/users/${target.user.id}`,
+      resource: 'users',
+      resourceId: target.user.id,
+      details: {
+        scope: 'all',
+        revokedBy: 'admin',
+        targetEmail: target.user.email,
+        revoked,
+        reason: parsed.data.reason || null,
+      },
+    });
+
+    return NextResponse.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -4,6 +4,8 @@
  * Analyzes a specific applicant against a specific listing and returns
  * structured insights: fit assessment, strengths, concerns, interview questions,
  * and a confidence score.
+ *
+ * Every call is written to the screening audit log (see @/lib/ai/screening-audit).
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -13,66 +15,16 @@ import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { askClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { safeParseAiJson } from '@/lib/ai/parse-json';
-import { AI_FAIRNESS_CONSTRAINTS, AI_DISCLAIMER_TEXT } from '@/lib/ai/prompts';
+import { buildCandidateScreeningPrompt, AI_DISCLAIMER_TEXT } from '@/lib/ai/prompts';
+import { recordScreeningCall } from '@/lib/ai/screening-audit';
+import type { ConversationMessage } from '@/lib/ai/types';
 
 const candidateScreeningSchema = z.object({
   applicationId: z.string().uuid(),
 });
 
-function buildScreeningPrompt(
-  listing: Record<string, unknown>,
-  student: Record<string, unknown>,
-  studentSkills: string[],
-  application: Record<string, unknown>,
-  matchedSkills: string[],
-  missingSkills: string[],
-): string {
-  return [
-    `You are a candidate screening analyst for Proveground, helping corporate partners evaluate applicants for project-based work.`,
-    ``,
-    `## Listing Details`,
-    `- Title: ${listing.title as string}`,
-    `- Description: ${(listing.description as string) || 'No description'}`,
-    `- Required Skills: ${((listing.skills_required as string[]) || []).join(', ') || 'None specified'}`,
-    `- Category: ${(listing.category as string) || 'Not specified'}`,
-    `- Compensation: ${(listing.compensation as string) || 'Not specified'}`,
-    `- Hours/Week: ${(listing.hours_per_week as string) || 'Not specified'}`,
-    `- Remote: ${listing.remote_allowed ? 'Yes' : 'No'}`,
-    ``,
-    `## Applicant Profile`,
-    `- Name: ${(student.first_name as string) || ''} ${(student.last_name as string) || ''}`.trim(),
-    `- University: ${(student.university as string) || 'Not specified'}`,
-    `- Major: ${(student.major as string) || 'Not specified'}`,
-    `- Graduation Year: ${(student.graduation_year as string) || 'Not specified'}`,
-    `- GPA: ${(student.gpa as string) || 'Not specified'}`,
-    `- Bio: ${(student.bio as string) || 'Not provided'}`,
-    `- Skills: ${studentSkills.join(', ') || 'None listed'}`,
-    ``,
-    `## Application Details`,
-    `- Cover Letter: ${(application.cover_letter as string) || 'Not provided'}`,
-    `- Interest Reason: ${(application.interest_reason as string) || 'Not provided'}`,
-    `- Relevant Coursework: ${(application.relevant_coursework as string) || 'Not provided'}`,
-    `- Availability: ${(application.hours_per_week as string) || 'Not specified'} hours/week`,
-    ``,
-    `## Skill Comparison`,
-    `- Matched Skills: ${matchedSkills.join(', ') || 'None'}`,
-    `- Missing Skills: ${missingSkills.join(', ') || 'None'}`,
-    ``,
-    AI_FAIRNESS_CONSTRAINTS,
-    `## Instructions`,
-    `Analyze this candidate's fit for the project and return a JSON object with:`,
-    `- "fit_assessment": A 2-3 sentence assessment of the applicant's overall fit for this project based ONLY on their stated skills, coursework, and experience vs. the stated project requirements`,
-    `- "strengths": An array of 3-5 specific strengths this applicant brings to this project (based only on explicitly stated qualifications)`,
-    `- "concerns": An array of skill gaps or missing qualifications relative to the stated requirements (can be empty if excellent fit)`,
-    `- "interview_questions": An array of 3-5 tailored interview questions focused on verifying stated skills and project-relevant competencies`,
-    `- "confidence_score": A number from 0-100 representing how confident the skills match is (based only on stated facts)`,
-    `- "disclaimer": The exact text: "${AI_DISCLAIMER_TEXT}"`,
-    ``,
-    `Return ONLY valid JSON, no markdown.`,
-  ].join('\n');
-}
-
 export async function POST(request: NextRequest) {
   try {
     const session = await getCurrentSession();
@@ -149,22 +101,40 @@ export async function POST(request: NextRequest) {
     const missingSkills = requiredSkills.filter((s) => !studentLower.includes(s.toLowerCase()));
 
     // Step 7: Build prompt and call Claude
-    const systemPrompt = buildScreeningPrompt(listing, student, studentSkills, application, matchedSkills, missingSkills);
+    const systemPrompt = buildCandidateScreeningPrompt(listing, student, studentSkills, application, matchedSkills, missingSkills);
+    const messages: ConversationMessage[] = [
+      { role: 'user', content: 'Please analyze this candidate and provide screening insights.' },
+    ];
 
     const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([application.student_id as string], accessCheck.config.redaction);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'candidate_screening' },
       systemPrompt,
-      messages: [
-        { role: 'user', content: 'Please analyze this candidate and provide screening insights.' },
-      ],
+      messages,
       maxTokens: 2048,
       aiTrainingOptOut,
+      redactor,
       metadata: { user_id: userId },
     });
 
-    // Step 8: Parse response
+    // Step 8: Parse response and record the call in the screening audit log
     const aiParsed = safeParseAiJson<Record<string, unknown>>(aiResponse, 'candidate-screening');
+    await recordScreeningCall({
+      tenantId,
+      userId,
+      feature: 'candidate_screening',
+      listingId: application.listing_id as string,
+      subjectIds: [application.student_id as string],
+      systemPrompt,
+      messages,
+      model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      redacted: Boolean(redactor),
+      output: aiParsed,
+    });
     if (!aiParsed) {
       return NextResponse.json({ error: 'Failed to parse AI response' }, { status: 500 });
     }
@@ -2,7 +2,10 @@
  * POST /api/ai/chat — Send a message and get AI response (non-streaming)
  *
  * Validates AI access, saves user message, builds context-aware prompt,
- * calls Claude, saves assistant response, and returns the result with usage info.
+ * calls Claude (with coaching tools — see @/lib/ai/coaching-tools), saves
+ * assistant response, and returns the result with usage info. Long
+ * conversations are summarised to fit the tier's token budget when
+ * conversation memory is enabled (see @/lib/ai/memory).
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -12,8 +15,12 @@ import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { askClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { buildCoachingSystemPrompt } from '@/lib/ai/prompts';
-import type { ConversationMessage, StudentProfileForAi, QuickAction } from '@/lib/ai/types';
+import { retrieveKnowledge, findCitedPassages } from '@/lib/ai/knowledge';
+import { loadCoachingContext } from '@/lib/ai/memory';
+import { buildCoachingTools, saveToolCallMessage } from '@/lib/ai/coaching-tools';
+import type { StudentProfileForAi, QuickAction } from '@/lib/ai/types';
 
 const chatSchema = z.object({
   conversationId: z.string().uuid(),
@@ -64,7 +71,7 @@ export async function POST(request: NextRequest) {
     // Step 2: Verify conversation exists and is owned by user
     const conversations = await sql`
       SELECT id FROM ai_conversations
-      WHERE id = ${conversationId} AND user_id = ${userId}
+      WHERE id = ${conversationId} AND user_id = ${userId} AND context_type <> 'mock_interview'
     `;
 
     if (conversations.length === 0) {
@@ -106,25 +113,28 @@ export async function POST(request: NextRequest) {
       activities: (metadata.activities as string) || null,
     };
 
-    // Step 6: Fetch last 20 messages for context
-    const historyRows = await sql`
-      SELECT role, content
-      FROM ai_messages
-      WHERE conversation_id = ${conversationId}
-      ORDER BY created_at DESC
-      LIMIT 20
-    `;
-
-    // Reverse to chronological order (oldest first)
-    const conversationHistory: ConversationMessage[] = historyRows
-      .reverse()
-      .map((m: Record<string, unknown>) => ({
-        role: m.role as ConversationMessage['role'],
-        content: m.content as string,
-      }));
-
-    // Step 7: Build system prompt (includes skills gap context when available)
-    const systemPrompt = await buildCoachingSystemPrompt(studentProfile, undefined, userId);
+    // Step 6: Check AI training opt-out and decide on redaction, then load the
+    // turns to resend; with conversation memory, older turns are folded into
+    // a rolling summary and long-term memories are included
+    const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([userId], accessCheck.config.redaction);
+    const { history: conversationHistory, memory } = await loadCoachingContext(
+      conversationId,
+      accessCheck.config,
+      { tenantId, userId, redactor, aiTrainingOptOut }
+    );
+
+    // Step 7: Retrieve institution resources for this turn, build the tenant- and
+    // student-scoped tools and the system prompt (includes skills gap context
+    // when available)
+    const passages = await retrieveKnowledge(tenantId, message);
+    const tools = await buildCoachingTools({ userId, tenantId });
+    const systemPrompt = await buildCoachingSystemPrompt(studentProfile, {
+      userId,
+      passages,
+      includeTools: true,
+      memory,
+    });
 
     // Step 8: If quickAction is set, prepend a context message
     if (quickAction && quickAction in QUICK_ACTION_LABELS) {
@@ -135,21 +145,30 @@ export async function POST(request: NextRequest) {
       });
     }
 
-    // Step 9: Check AI training opt-out and call Claude
-    const aiTrainingOptOut = await getUserAIOptOut(userId);
+    // Step 9: Call Claude; each tool call is logged to ai_messages as it completes
+    const toolsUsed: string[] = [];
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'student_coaching' },
       systemPrompt,
       messages: conversationHistory,
       maxTokens: 2048,
       aiTrainingOptOut,
+      redactor,
       metadata: { user_id: userId },
+      tools,
+      onToolCall: async (call) => {
+        toolsUsed.push(call.name);
+        await saveToolCallMessage(conversationId, call);
+      },
     });
 
-    // Step 10: Save assistant response
+    // Step 10: Save assistant response with the resources it cited and the tools it used
+    const citations = findCitedPassages(aiResponse, passages);
     await sql`
-      INSERT INTO ai_messages (conversation_id, role, content)
-      VALUES (${conversationId}, 'assistant', ${aiResponse})
+      INSERT INTO ai_messages (conversation_id, role, content, metadata)
+      VALUES (${conversationId}, 'assistant', ${aiResponse}, ${JSON.stringify({ citations, toolsUsed })}::jsonb)
     `;
 
     // Step 11: Increment usage
@@ -182,6 +201,7 @@ export async function POST(request: NextRequest) {
       message: {
         role: 'assistant',
         content: aiResponse,
+        metadata: { citations, toolsUsed },
       },
       usage,
     });
@@ -0,0 +1,96 @@
+/**
+ * GET /api/ai/chat/stream/[messageId] — Resume a streamed coaching answer
+ *
+ * Replays the answer's SSE events from ?offset= (or the Last-Event-ID
+ * header, +1) and follows it until it finishes. Once the buffer has
+ * expired, a finished answer is served from ai_messages as a single
+ * `done` event.
+ */
+
+import { NextRequest } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { z } from 'zod';
+import { getUsageStatusV2 } from '@/lib/ai/config';
+import { readStreamEvents, streamBufferResponse, formatStreamEvent } from '@/lib/ai/stream-buffer';
+
+export const dynamic = 'force-dynamic';
+
+function jsonError(error: string, status: number): Response {
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ messageId: string }> }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return jsonError('Authentication required', 401);
+    }
+
+    const { messageId } = await params;
+    if (!z.string().uuid().safeParse(messageId).success) {
+      return jsonError('Message not found', 404);
+    }
+
+    const { searchParams } = new URL(request.url);
+    const lastEventId = request.headers.get('last-event-id');
+    const offset = searchParams.has('offset')
+      ? parseInt(searchParams.get('offset') || '0')
+      : lastEventId !== null
+        ? parseInt(lastEventId) + 1
+        : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      return jsonError('Invalid offset', 400);
+    }
+
+    const userId = session.data.userId;
+
+    const buffered = await readStreamEvents(messageId, offset);
+    if (buffered) {
+      if (buffered.owner.userId !== userId) {
+        return jsonError('Message not found', 404);
+      }
+      return streamBufferResponse(messageId, offset, request.signal);
+    }
+
+    // Buffer gone — fall back to the saved answer
+    const rows = await sql`
+      SELECT m.content, m.metadata
+      FROM ai_messages m
+      JOIN ai_conversations c ON c.id = m.conversation_id
+      WHERE m.id = ${messageId} AND m.role = 'assistant' AND c.user_id = ${userId}
+    `;
+    if (rows.length === 0) {
+      return jsonError('Message not found', 404);
+    }
+
+    const metadata = (rows[0].metadata || {}) as Record<string, unknown>;
+    const usage = await getUsageStatusV2(session.data.tenantId, userId, 'student_coaching');
+    const done = formatStreamEvent(offset, {
+      event: 'done',
+      data: {
+        messageId,
+        content: rows[0].content,
+        citations: metadata.citations || [],
+        toolsUsed: metadata.toolsUsed || [],
+        usage,
+      },
+    });
+
+    return new Response(done, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+      },
+    });
+  } catch (error) {
+    console.error('AI chat stream resume error:', error);
+    return jsonError('Internal server error', 500);
+  }
+}
@@ -2,18 +2,32 @@
  * POST /api/ai/chat/stream — Streaming chat via Server-Sent Events
  *
  * Same auth and validation as /api/ai/chat, but streams tokens via SSE
- * using streamClaude() instead of askClaude().
+ * using streamClaude() instead of askClaude(). A `tool` event is sent as
+ * each coaching tool call completes.
+ *
+ * The answer is generated in the background into a buffer keyed by the
+ * assistant message id (see @/lib/ai/stream-buffer), announced in the
+ * first `start` event. If the connection drops, generation continues and
+ * the answer is still saved; the client resumes with
+ * GET /api/ai/chat/stream/{messageId}?offset=N.
  */
 
 import { NextRequest } from 'next/server';
+import { randomUUID } from 'crypto';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { streamClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { buildCoachingSystemPrompt } from '@/lib/ai/prompts';
-import type { ConversationMessage, StudentProfileForAi, QuickAction } from '@/lib/ai/types';
+import { retrieveKnowledge, findCitedPassages } from '@/lib/ai/knowledge';
+import { loadCoachingContext } from '@/lib/ai/memory';
+import { buildCoachingTools, saveToolCallMessage, COACHING_TOOL_LABELS } from '@/lib/ai/coaching-tools';
+import { createStreamBuffer, appendStreamEvent, streamBufferResponse } from '@/lib/ai/stream-buffer';
+import type { StudentProfileForAi, QuickAction, ClaudeOptions } from '@/lib/ai/types';
+import type { KnowledgePassage } from '@/lib/ai/knowledge';
 
 export const dynamic = 'force-dynamic';
 
@@ -75,7 +89,7 @@ export async function POST(request: NextRequest) {
     // Verify conversation exists and is owned by user
     const conversations = await sql`
       SELECT id FROM ai_conversations
-      WHERE id = ${conversationId} AND user_id = ${userId}
+      WHERE id = ${conversationId} AND user_id = ${userId} AND context_type <> 'mock_interview'
     `;
 
     if (conversations.length === 0) {
@@ -119,24 +133,29 @@ export async function POST(request: NextRequest) {
       activities: (metadata.activities as string) || null,
     };
 
-    // Fetch last 20 messages for context
-    const historyRows = await sql`
-      SELECT role, content
-      FROM ai_messages
-      WHERE conversation_id = ${conversationId}
-      ORDER BY created_at DESC
-      LIMIT 20
-    `;
+    // Check AI training opt-out and decide on redaction
+    const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([userId], accessCheck.config.redaction);
 
-    const conversationHistory: ConversationMessage[] = historyRows
-      .reverse()
-      .map((m: Record<string, unknown>) => ({
-        role: m.role as ConversationMessage['role'],
-        content: m.content as string,
-      }));
+    // Load the turns to resend; with conversation memory, older turns are
+    // folded into a rolling summary and long-term memories are included
+    const { history: conversationHistory, memory } = await loadCoachingContext(
+      conversationId,
+      accessCheck.config,
+      { tenantId, userId, redactor, aiTrainingOptOut }
+    );
 
-    // Build system prompt (includes skills gap context when available)
-    const systemPrompt = await buildCoachingSystemPrompt(studentProfile, undefined, userId);
+    // Retrieve institution resources for this turn, build the tenant- and
+    // student-scoped tools and the system prompt (includes skills gap context
+    // when available)
+    const passages = await retrieveKnowledge(tenantId, message);
+    const tools = await buildCoachingTools({ userId, tenantId });
+    const systemPrompt = await buildCoachingSystemPrompt(studentProfile, {
+      userId,
+      passages,
+      includeTools: true,
+      memory,
+    });
 
     // If quickAction is set, prepend context
     if (quickAction && quickAction in QUICK_ACTION_LABELS) {
@@ -147,82 +166,31 @@ export async function POST(request: NextRequest) {
       });
     }
 
-    // Check AI training opt-out
-    const aiTrainingOptOut = await getUserAIOptOut(userId);
-
-    // Stream response via SSE
-    const encoder = new TextEncoder();
-    const stream = new ReadableStream({
-      async start(controller) {
-        try {
-          let fullResponse = '';
-
-          for await (const delta of streamClaude({
-            model: accessCheck.config.model,
-            systemPrompt,
-            messages: conversationHistory,
-            maxTokens: 2048,
-            aiTrainingOptOut,
-            metadata: { user_id: userId },
-          })) {
-            fullResponse += delta;
-            controller.enqueue(
-              encoder.encode(`event: token\ndata: ${JSON.stringify({ text: delta })}\n\n`)
-            );
-          }
-
-          // Save complete assistant response
-          await sql`
-            INSERT INTO ai_messages (conversation_id, role, content)
-            VALUES (${conversationId}, 'assistant', ${fullResponse})
-          `;
-
-          // Increment usage
-          await incrementUsageV2(tenantId, userId, 'student_coaching');
-
-          // Update conversation title if first user message
-          const messageCount = await sql`
-            SELECT COUNT(*) as count FROM ai_messages
-            WHERE conversation_id = ${conversationId} AND role = 'user'
-          `;
-
-          if (parseInt(messageCount[0].count as string) === 1) {
-            const autoTitle = message.length > 50 ? message.substring(0, 50) + '...' : message;
-            await sql`
-              UPDATE ai_conversations
-              SET title = ${autoTitle}, updated_at = NOW()
-              WHERE id = ${conversationId}
-            `;
-          } else {
-            await sql`
-              UPDATE ai_conversations SET updated_at = NOW()
-              WHERE id = ${conversationId}
-            `;
-          }
-
-          // Send done event with full response and usage
-          const usage = await getUsageStatusV2(tenantId, userId, 'student_coaching');
-          controller.enqueue(
-            encoder.encode(`event: done\ndata: ${JSON.stringify({ content: fullResponse, usage })}\n\n`)
-          );
-          controller.close();
-        } catch (error) {
-          console.error('AI stream error:', error);
-          controller.enqueue(
-            encoder.encode(`event: error\ndata: ${JSON.stringify({ error: 'AI response failed' })}\n\n`)
-          );
-          controller.close();
-        }
+    // Generate in the background; this response (and any resumed one) tails the buffer
+    const messageId = randomUUID();
+    createStreamBuffer(messageId, { userId, conversationId });
+    void generateAnswer({
+      messageId,
+      conversationId,
+      message,
+      tenantId,
+      userId,
+      passages,
+      options: {
+        model: accessCheck.config.model,
+        provider: accessCheck.config.provider,
+        meter: { tenantId, userId, feature: 'student_coaching' },
+        systemPrompt,
+        messages: conversationHistory,
+        maxTokens: 2048,
+        aiTrainingOptOut,
+        redactor,
+        metadata: { user_id: userId },
+        tools,
       },
     });
 
-    return new Response(stream, {
-      headers: {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache, no-transform',
-        Connection: 'keep-alive',
-      },
-    });
+    return streamBufferResponse(messageId, 0, request.signal);
   } catch (error) {
     console.error('AI chat stream error:', error);
     return new Response(JSON.stringify({ error: 'Internal server error' }), {
@@ -231,3 +199,80 @@ export async function POST(request: NextRequest) {
     });
   }
 }
+
+/**
+ * Stream the answer into the message's buffer, then save it, count usage
+ * and update the conversation. Runs to completion whether or not any
+ * client is still listening.
+ */
+async function generateAnswer(params: {
+  messageId: string;
+  conversationId: string;
+  message: string;
+  tenantId: string | null;
+  userId: string;
+  passages: KnowledgePassage[];
+  options: ClaudeOptions;
+}): Promise<void> {
+  const { messageId, conversationId, message, tenantId, userId, passages } = params;
+
+  try {
+    let fullResponse = '';
+    const toolsUsed: string[] = [];
+
+    for await (const delta of streamClaude({
+      ...params.options,
+      onToolCall: async (call) => {
+        toolsUsed.push(call.name);
+        appendStreamEvent(messageId, {
+          event: 'tool',
+          data: { name: call.name, label: COACHING_TOOL_LABELS[call.name] || call.name },
+        });
+        await saveToolCallMessage(conversationId, call);
+      },
+    })) {
+      fullResponse += delta;
+      appendStreamEvent(messageId, { event: 'token', data: { text: delta } });
+    }
+
+    // Save complete assistant response with the resources it cited and the tools it used
+    const citations = findCitedPassages(fullResponse, passages);
+    await sql`
+      INSERT INTO ai_messages (id, conversation_id, role, content, metadata)
+      VALUES (${messageId}, ${conversationId}, 'assistant', ${fullResponse}, ${JSON.stringify({ citations, toolsUsed })}::jsonb)
+    `;
+
+    // Increment usage
+    await incrementUsageV2(tenantId, userId, 'student_coaching');
+
+    // Update conversation title if first user message
+    const messageCount = await sql`
+      SELECT COUNT(*) as count FROM ai_messages
+      WHERE conversation_id = ${conversationId} AND role = 'user'
+    `;
+
+    if (parseInt(messageCount[0].count as string) === 1) {
+      const autoTitle = message.length > 50 ? message.substring(0, 50) + '...' : message;
+      await sql`
+        UPDATE ai_conversations
+        SET title = ${autoTitle}, updated_at = NOW()
+        WHERE id = ${conversationId}
+      `;
+    } else {
+      await sql`
+        UPDATE ai_conversations SET updated_at = NOW()
+        WHERE id = ${conversationId}
+      `;
+    }
+
+    // Send done event with full response and usage
+    const usage = await getUsageStatusV2(tenantId, userId, 'student_coaching');
+    appendStreamEvent(messageId, {
+      event: 'done',
+      data: { messageId, content: fullResponse, citations, toolsUsed, usage },
+    });
+  } catch (error) {
+    console.error('AI stream error:', error);
+    appendStreamEvent(messageId, { event: 'error', data: { error: 'AI response failed' } });
+  }
+}
@@ -33,11 +33,11 @@ export async function GET(
 
     const conv = conversations[0];
 
-    // Fetch all messages for this conversation
+    // Fetch all messages for this conversation (tool call log rows are internal)
     const messages = await sql`
       SELECT id, role, content, metadata, created_at
       FROM ai_messages
-      WHERE conversation_id = ${id}
+      WHERE conversation_id = ${id} AND role <> 'tool'
       ORDER BY created_at ASC
     `;
 
@@ -1,6 +1,9 @@
 /**
  * GET /api/ai/conversations — List user's conversations
  * POST /api/ai/conversations — Create a new conversation
+ *
+ * Mock interviews are conversations too but have their own API
+ * (/api/ai/mock-interview) and are left out of the list.
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -10,7 +13,7 @@ import { z } from 'zod';
 
 const createConversationSchema = z.object({
   title: z.string().min(1).max(200).optional(),
-  contextType: z.string().max(50).optional(),
+  contextType: z.string().max(50).refine((v) => v !== 'mock_interview', 'Start mock interviews via /api/ai/mock-interview').optional(),
 });
 
 export async function GET() {
@@ -25,7 +28,7 @@ export async function GET() {
     const rows = await sql`
       SELECT id, title, context_type, metadata, created_at, updated_at
       FROM ai_conversations
-      WHERE user_id = ${userId}
+      WHERE user_id = ${userId} AND context_type <> 'mock_interview'
       ORDER BY updated_at DESC
       LIMIT 50
     `;
@@ -13,6 +13,7 @@ import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { askClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { safeParseAiJson } from '@/lib/ai/parse-json';
 
 const diffViewSchema = z.object({
@@ -143,8 +144,11 @@ export async function POST(request: NextRequest) {
       .join('\n');
 
     const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([userId], accessCheck.config.redaction);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'diff_view' },
       systemPrompt,
       messages: [
         {
@@ -154,6 +158,7 @@ export async function POST(request: NextRequest) {
       ],
       maxTokens: 2048,
       aiTrainingOptOut,
+      redactor,
       metadata: { user_id: userId },
     });
 
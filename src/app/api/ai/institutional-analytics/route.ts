@@ -267,6 +267,8 @@ export async function POST(_request: NextRequest) {
     const aiTrainingOptOut = await getUserAIOptOut(userId);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'institutional_analytics' },
       systemPrompt,
       messages: [
         {
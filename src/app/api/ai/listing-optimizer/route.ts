@@ -146,6 +146,8 @@ export async function POST(request: NextRequest) {
     const aiTrainingOptOut = await getUserAIOptOut(userId);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'listing_optimizer' },
       systemPrompt,
       messages: [
         { role: 'user', content: 'Please analyze this listing and provide optimization recommendations.' },
@@ -0,0 +1,92 @@
+/**
+ * PATCH /api/ai/memory/:id — Edit a coaching memory
+ * DELETE /api/ai/memory/:id — Delete a coaching memory
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { z } from 'zod';
+import { MEMORY_MAX_CHARS, toStudentMemory } from '@/lib/ai/memory';
+
+const updateMemorySchema = z.object({
+  content: z.string().trim().min(1).max(MEMORY_MAX_CHARS),
+  category: z.enum(['goal', 'target_role', 'advice']).optional(),
+});
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+    const parsed = updateMemorySchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json({ error: 'Validation failed', details: parsed.error.flatten() }, { status: 400 });
+    }
+
+    const { content, category } = parsed.data;
+
+    const rows = await sql`
+      UPDATE ai_student_memories
+      SET content = ${content},
+          category = COALESCE(${category ?? null}, category),
+          edited_by_student = TRUE,
+          updated_at = NOW()
+      WHERE id = ${id} AND user_id = ${session.data.userId}
+      RETURNING id, category, content, source_conversation_id, edited_by_student, created_at, updated_at
+    `;
+
+    if (rows.length === 0) {
+      return NextResponse.json({ error: 'Memory not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ memory: toStudentMemory(rows[0]) });
+  } catch (error) {
+    console.error('Update coaching memory error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function DELETE(
+  _request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const { id } = await params;
+
+    const rows = await sql`
+      DELETE FROM ai_student_memories
+      WHERE id = ${id} AND user_id = ${session.data.userId}
+      RETURNING id
+    `;
+
+    if (rows.length === 0) {
+      return NextResponse.json({ error: 'Memory not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Delete coaching memory error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
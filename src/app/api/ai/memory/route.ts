@@ -0,0 +1,61 @@
+/**
+ * GET /api/ai/memory — List what the coach remembers about the student
+ * DELETE /api/ai/memory — Forget everything (long-term memories only)
+ *
+ * Long-term coaching memory is extracted from idle conversations by
+ * /api/cron/extract-coaching-memory (see @/lib/ai/memory).
+ */
+
+import { NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { getTenantAiConfig } from '@/lib/ai/feature-gate';
+import { loadStudentMemories } from '@/lib/ai/memory';
+
+export async function GET() {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const config = await getTenantAiConfig(session.data.tenantId);
+    const memories = await loadStudentMemories(session.data.userId);
+
+    return NextResponse.json({
+      enabled: config.enabled && config.studentCoaching.conversationMemory,
+      memories,
+    });
+  } catch (error) {
+    console.error('List coaching memory error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function DELETE() {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const deleted = await sql`
+      DELETE FROM ai_student_memories
+      WHERE user_id = ${session.data.userId}
+      RETURNING id
+    `;
+
+    return NextResponse.json({ success: true, deleted: deleted.length });
+  } catch (error) {
+    console.error('Clear coaching memory error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
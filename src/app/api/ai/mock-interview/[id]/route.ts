@@ -0,0 +1,213 @@
+/**
+ * GET /api/ai/mock-interview/:id — Get a mock interview with its turns and result
+ * POST /api/ai/mock-interview/:id — Answer the current question, or end the interview
+ *
+ * After the answer to the last question (or `finish: true`) the
+ * transcript is scored against the competency rubric and the stored
+ * result is returned instead of another question.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { z } from 'zod';
+import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
+import { askClaude } from '@/lib/ai/claude-client';
+import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
+import { buildMockInterviewPrompt } from '@/lib/ai/prompts';
+import {
+  MOCK_INTERVIEW_CONTEXT,
+  loadInterviewTurns,
+  scoreMockInterview,
+  toMockInterviewResult,
+} from '@/lib/ai/mock-interview';
+import type { MockInterviewMetadata } from '@/lib/ai/mock-interview';
+
+const answerSchema = z
+  .object({
+    answer: z.string().trim().min(1).max(5000).optional(),
+    finish: z.boolean().optional(),
+  })
+  .refine((data) => data.answer || data.finish, {
+    message: 'Provide an answer or finish the interview',
+  });
+
+async function findInterview(id: string, userId: string) {
+  const rows = await sql`
+    SELECT id, title, metadata, created_at
+    FROM ai_conversations
+    WHERE id = ${id} AND user_id = ${userId} AND context_type = ${MOCK_INTERVIEW_CONTEXT}
+  `;
+  return rows[0] || null;
+}
+
+export async function GET(
+  _request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const interview = await findInterview(id, session.data.userId);
+    if (!interview) {
+      return NextResponse.json({ error: 'Mock interview not found' }, { status: 404 });
+    }
+
+    const metadata = interview.metadata as MockInterviewMetadata;
+    const messages = await sql`
+      SELECT id, role, content, created_at
+      FROM ai_messages
+      WHERE conversation_id = ${id} AND role IN ('user', 'assistant')
+      ORDER BY created_at ASC
+    `;
+    const results = await sql`
+      SELECT * FROM mock_interview_results WHERE conversation_id = ${id}
+    `;
+
+    return NextResponse.json({
+      interview: {
+        id: interview.id,
+        listingId: metadata.listingId,
+        listingTitle: metadata.listing.title,
+        competencies: metadata.competencies,
+        questionCount: metadata.questionCount,
+        status: metadata.status,
+        createdAt: interview.created_at,
+      },
+      messages: messages.map((m: Record<string, unknown>) => ({
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        createdAt: m.created_at,
+      })),
+      result: results.length > 0 ? toMockInterviewResult(results[0]) : null,
+    });
+  } catch (error) {
+    console.error('Get mock interview error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const parsed = answerSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json({ error: 'Validation failed', details: parsed.error.flatten() }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const { answer, finish } = parsed.data;
+    const userId = session.data.userId;
+    const tenantId = session.data.tenantId;
+
+    // Step 1: Verify the interview is the student's and still running
+    const interview = await findInterview(id, userId);
+    if (!interview) {
+      return NextResponse.json({ error: 'Mock interview not found' }, { status: 404 });
+    }
+
+    const metadata = interview.metadata as MockInterviewMetadata;
+    if (metadata.status === 'completed') {
+      return NextResponse.json({ error: 'This mock interview has already ended' }, { status: 409 });
+    }
+
+    // Step 2: Check AI access
+    const accessCheck = await checkAiAccessV2(tenantId, userId, 'student_coaching', 'interview_prep');
+    if (!accessCheck.allowed) {
+      return NextResponse.json(
+        { error: accessCheck.denial?.message || 'Access denied', denial: accessCheck.denial },
+        { status: 403 }
+      );
+    }
+
+    // Step 3: Save the answer
+    if (answer) {
+      await sql`
+        INSERT INTO ai_messages (conversation_id, role, content)
+        VALUES (${id}, 'user', ${answer})
+      `;
+      await sql`
+        UPDATE ai_conversations SET updated_at = NOW() WHERE id = ${id}
+      `;
+    }
+
+    const { history, answered } = await loadInterviewTurns(id);
+    const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([userId], accessCheck.config.redaction);
+
+    // Step 4: Score the interview after the last answer or when the student ends it
+    if (finish || answered >= metadata.questionCount) {
+      if (answered === 0) {
+        return NextResponse.json(
+          { error: 'Answer at least one question before ending the interview' },
+          { status: 400 }
+        );
+      }
+
+      const result = await scoreMockInterview({
+        conversationId: id,
+        studentId: userId,
+        tenantId,
+        metadata,
+        config: accessCheck.config,
+        redactor,
+        aiTrainingOptOut,
+      });
+
+      await incrementUsageV2(tenantId, userId, 'student_coaching');
+      const usage = await getUsageStatusV2(tenantId, userId, 'student_coaching');
+
+      return NextResponse.json({ completed: true, result, usage });
+    }
+
+    // Step 5: Otherwise ask the next question
+    const question = await askClaude({
+      model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'student_coaching' },
+      systemPrompt: buildMockInterviewPrompt(metadata.listing, metadata.competencies, metadata.questionCount),
+      messages: history,
+      maxTokens: 512,
+      aiTrainingOptOut,
+      redactor,
+      metadata: { user_id: userId },
+    });
+
+    await sql`
+      INSERT INTO ai_messages (conversation_id, role, content)
+      VALUES (${id}, 'assistant', ${question})
+    `;
+
+    await incrementUsageV2(tenantId, userId, 'student_coaching');
+    const usage = await getUsageStatusV2(tenantId, userId, 'student_coaching');
+
+    return NextResponse.json({
+      completed: false,
+      questionNumber: answered + 1,
+      questionCount: metadata.questionCount,
+      question,
+      usage,
+    });
+  } catch (error) {
+    console.error('Mock interview turn error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
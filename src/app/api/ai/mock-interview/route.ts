@@ -0,0 +1,176 @@
+/**
+ * GET /api/ai/mock-interview — List finished mock interviews with their rubric scores
+ * POST /api/ai/mock-interview — Start a mock interview for a listing
+ *
+ * Starting creates an ai_conversations row (context_type 'mock_interview')
+ * and returns the interviewer's first question. Answers are posted to
+ * /api/ai/mock-interview/:id. See @/lib/ai/mock-interview.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { z } from 'zod';
+import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
+import { askClaude } from '@/lib/ai/claude-client';
+import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
+import { buildMockInterviewPrompt } from '@/lib/ai/prompts';
+import {
+  MOCK_INTERVIEW_CONTEXT,
+  selectCompetencies,
+  questionCountFor,
+  loadInterviewTurns,
+  loadMockInterviewResults,
+} from '@/lib/ai/mock-interview';
+import type { MockInterviewMetadata } from '@/lib/ai/mock-interview';
+
+const startSchema = z.object({
+  listingId: z.string().uuid(),
+});
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    let studentId = session.data.userId;
+    const paramStudentId = request.nextUrl.searchParams.get('studentId');
+
+    // Education admins may view students in their own institution
+    if (paramStudentId && paramStudentId !== studentId) {
+      if (session.data.role !== 'educational_admin' || !session.data.tenantId) {
+        return NextResponse.json({ error: 'Unauthorized' }, { status: 403 });
+      }
+      const students = await sql`
+        SELECT id FROM users WHERE id = ${paramStudentId} AND tenant_id = ${session.data.tenantId}
+      `;
+      if (students.length === 0) {
+        return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+      }
+      studentId = paramStudentId;
+    }
+
+    const results = await loadMockInterviewResults(studentId);
+    return NextResponse.json({ results });
+  } catch (error) {
+    console.error('List mock interviews error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'student') {
+      return NextResponse.json({ error: 'AI coaching is available to students only' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const parsed = startSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json({ error: 'Validation failed', details: parsed.error.flatten() }, { status: 400 });
+    }
+
+    const { listingId } = parsed.data;
+    const userId = session.data.userId;
+    const tenantId = session.data.tenantId;
+
+    // Step 1: Check AI access (mock interviews are an interview_prep action)
+    const accessCheck = await checkAiAccessV2(tenantId, userId, 'student_coaching', 'interview_prep');
+    if (!accessCheck.allowed) {
+      return NextResponse.json(
+        { error: accessCheck.denial?.message || 'Access denied', denial: accessCheck.denial },
+        { status: 403 }
+      );
+    }
+
+    // Step 2: Fetch the listing (published and visible to the student)
+    const visibility = tenantId
+      ? sql`(l.tenant_id = ${tenantId} OR l.visibility = 'network' OR l.tenant_id IS NULL)`
+      : sql`(l.visibility = 'network' OR l.tenant_id IS NULL)`;
+    const listingRows = await sql`
+      SELECT l.id, l.title, l.description, l.skills_required, u.company_name
+      FROM listings l
+      LEFT JOIN users u ON u.id = l.author_id
+      WHERE l.id = ${listingId} AND l.status = 'published' AND ${visibility}
+    `;
+
+    if (listingRows.length === 0) {
+      return NextResponse.json({ error: 'Listing not found' }, { status: 404 });
+    }
+
+    const listingRow = listingRows[0];
+    const skills = ((listingRow.skills_required as unknown[]) || []).filter(
+      (s): s is string => typeof s === 'string'
+    );
+    const metadata: MockInterviewMetadata = {
+      listingId,
+      listing: {
+        title: listingRow.title as string,
+        description: (listingRow.description as string) || '',
+        companyName: (listingRow.company_name as string) || null,
+        skills,
+      },
+      competencies: selectCompetencies(skills),
+      questionCount: questionCountFor(accessCheck.config),
+      status: 'in_progress',
+    };
+
+    // Step 3: Create the interview conversation
+    const conversations = await sql`
+      INSERT INTO ai_conversations (user_id, tenant_id, title, context_type, metadata)
+      VALUES (
+        ${userId}, ${tenantId}, ${`Mock interview: ${metadata.listing.title}`.substring(0, 200)},
+        ${MOCK_INTERVIEW_CONTEXT}, ${JSON.stringify(metadata)}::jsonb
+      )
+      RETURNING id
+    `;
+    const conversationId = conversations[0].id as string;
+
+    // Step 4: Ask the first question
+    const { history } = await loadInterviewTurns(conversationId);
+    const question = await askClaude({
+      model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'student_coaching' },
+      systemPrompt: buildMockInterviewPrompt(metadata.listing, metadata.competencies, metadata.questionCount),
+      messages: history,
+      maxTokens: 512,
+      aiTrainingOptOut: await getUserAIOptOut(userId),
+      redactor: await getRedactor([userId], accessCheck.config.redaction),
+      metadata: { user_id: userId },
+    });
+
+    await sql`
+      INSERT INTO ai_messages (conversation_id, role, content)
+      VALUES (${conversationId}, 'assistant', ${question})
+    `;
+
+    // Step 5: Increment usage and return
+    await incrementUsageV2(tenantId, userId, 'student_coaching');
+    const usage = await getUsageStatusV2(tenantId, userId, 'student_coaching');
+
+    return NextResponse.json(
+      {
+        conversationId,
+        listingTitle: metadata.listing.title,
+        competencies: metadata.competencies,
+        questionCount: metadata.questionCount,
+        questionNumber: 1,
+        question,
+        usage,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Start mock interview error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
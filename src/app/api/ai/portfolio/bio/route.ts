@@ -14,6 +14,7 @@ import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { askClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { buildBioImprovementPrompt } from '@/lib/ai/prompts';
 import type { StudentProfileForAi } from '@/lib/ai/types';
 
@@ -103,12 +104,16 @@ export async function POST(request: NextRequest) {
     const systemPrompt = buildBioImprovementPrompt(studentProfile, currentBio, completedProjects, avgRating);
 
     const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor([userId], accessCheck.config.redaction);
     const improvedBio = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'portfolio_bio' },
       systemPrompt,
       messages: [{ role: 'user', content: 'Please improve my bio.' }],
       maxTokens: 1024,
       aiTrainingOptOut,
+      redactor,
       metadata: { user_id: userId },
     });
 
@@ -198,6 +198,8 @@ export async function POST(request: NextRequest) {
     const aiTrainingOptOut = await getUserAIOptOut(userId);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'project_scoping' },
       systemPrompt,
       messages: [
         {
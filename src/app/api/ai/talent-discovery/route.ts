@@ -3,6 +3,8 @@
  *
  * Given a listing and a set of student profiles, analyzes each student's fit
  * and provides outreach suggestions with talking points.
+ *
+ * Every call is written to the screening audit log (see @/lib/ai/screening-audit).
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -12,73 +14,17 @@ import { z } from 'zod';
 import { checkAiAccessV2, incrementUsageV2, getUsageStatusV2 } from '@/lib/ai/config';
 import { askClaude } from '@/lib/ai/claude-client';
 import { getUserAIOptOut } from '@/lib/ai/check-opt-out';
+import { getRedactor } from '@/lib/ai/redaction';
 import { safeParseAiJson } from '@/lib/ai/parse-json';
-import { AI_FAIRNESS_CONSTRAINTS, AI_DISCLAIMER_TEXT } from '@/lib/ai/prompts';
+import { buildTalentDiscoveryPrompt, AI_DISCLAIMER_TEXT } from '@/lib/ai/prompts';
+import { recordScreeningCall } from '@/lib/ai/screening-audit';
+import type { ConversationMessage, TalentDiscoveryStudent } from '@/lib/ai/types';
 
 const talentDiscoverySchema = z.object({
   listingId: z.string().uuid(),
   studentIds: z.array(z.string().uuid()).min(1).max(10),
 });
 
-interface StudentProfile {
-  id: string;
-  firstName: string;
-  lastName: string;
-  university: string | null;
-  major: string | null;
-  gpa: string | null;
-  bio: string | null;
-  skills: string[];
-}
-
-function buildDiscoveryPrompt(
-  listing: Record<string, unknown>,
-  students: StudentProfile[],
-): string {
-  const studentEntries = students
-    .map(
-      (s, i) =>
-        [
-          `### Student ${i + 1}: ${s.firstName} ${s.lastName}`,
-          `- University: ${s.university || 'Not specified'}`,
-          `- Major: ${s.major || 'Not specified'}`,
-          `- GPA: ${s.gpa || 'Not specified'}`,
-          `- Bio: ${s.bio || 'Not provided'}`,
-          `- Skills: ${s.skills.join(', ') || 'None listed'}`,
-        ].join('\n'),
-    )
-    .join('\n\n');
-
-  return [
-    `You are a talent discovery analyst for Proveground, helping corporate partners identify and reach out to the best student talent for their projects.`,
-    ``,
-    `## Listing Details`,
-    `- Title: ${listing.title as string}`,
-    `- Description: ${(listing.description as string) || 'No description'}`,
-    `- Required Skills: ${((listing.skills_required as string[]) || []).join(', ') || 'None specified'}`,
-    `- Category: ${(listing.category as string) || 'Not specified'}`,
-    `- Compensation: ${(listing.compensation as string) || 'Not specified'}`,
-    `- Hours/Week: ${(listing.hours_per_week as string) || 'Not specified'}`,
-    `- Remote: ${listing.remote_allowed ? 'Yes' : 'No'}`,
-    ``,
-    `## Student Profiles`,
-    studentEntries,
-    ``,
-    AI_FAIRNESS_CONSTRAINTS,
-    `## Instructions`,
-    `Analyze each student's fit for this project based ONLY on their stated skills, major, coursework, and bio vs. the stated project requirements. Return a JSON object with:`,
-    `- "discoveries": An array of objects, one per student, each with:`,
-    `  - "student_index": The student number (1-based, matching the order above)`,
-    `  - "summary": A 1-2 sentence explanation of fit based solely on explicit skill and qualification alignment`,
-    `  - "talking_points": An array of 2-3 specific points about the student's stated skills or experience relevant to the project`,
-    `  - "fit_score": A number from 0-100 based strictly on skills match and stated qualifications (not assumptions)`,
-    `- "disclaimer": The exact text: "${AI_DISCLAIMER_TEXT}"`,
-    ``,
-    `Order the discoveries array from highest fit_score to lowest.`,
-    `Return ONLY valid JSON, no markdown.`,
-  ].join('\n');
-}
-
 interface DiscoveryItem {
   student_index?: number;
   studentIndex?: number;
@@ -91,7 +37,7 @@ interface DiscoveryItem {
 
 function parseDiscoveryResponse(
   aiResponse: string,
-  students: StudentProfile[],
+  students: TalentDiscoveryStudent[],
 ): Record<string, unknown>[] | null {
   const parsed = safeParseAiJson<Record<string, unknown>>(aiResponse, 'talent-discovery');
   if (!parsed) return null;
@@ -187,7 +133,7 @@ export async function POST(request: NextRequest) {
       skillsByStudent[uid].push(row.name as string);
     }
 
-    const students: StudentProfile[] = studentRows.map((s: Record<string, unknown>) => ({
+    const students: TalentDiscoveryStudent[] = studentRows.map((s: Record<string, unknown>) => ({
       id: s.id as string,
       firstName: s.first_name as string,
       lastName: s.last_name as string,
@@ -199,22 +145,40 @@ export async function POST(request: NextRequest) {
     }));
 
     // Step 5: Build prompt, check opt-out, and call Claude
-    const systemPrompt = buildDiscoveryPrompt(listing, students);
+    const systemPrompt = buildTalentDiscoveryPrompt(listing, students);
+    const messages: ConversationMessage[] = [
+      { role: 'user', content: 'Please analyze these students and provide talent discovery insights for my project.' },
+    ];
 
     const aiTrainingOptOut = await getUserAIOptOut(userId);
+    const redactor = await getRedactor(studentIdList, accessCheck.config.redaction);
     const aiResponse = await askClaude({
       model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      meter: { tenantId, userId, feature: 'talent_discovery' },
       systemPrompt,
-      messages: [
-        { role: 'user', content: 'Please analyze these students and provide talent discovery insights for my project.' },
-      ],
+      messages,
       maxTokens: 3072,
       aiTrainingOptOut,
+      redactor,
       metadata: { user_id: userId },
     });
 
-    // Step 6: Parse response
+    // Step 6: Parse response and record the call in the screening audit log
     const discoveries = parseDiscoveryResponse(aiResponse, students);
+    await recordScreeningCall({
+      tenantId,
+      userId,
+      feature: 'talent_discovery',
+      listingId,
+      subjectIds: studentIdList,
+      systemPrompt,
+      messages,
+      model: accessCheck.config.model,
+      provider: accessCheck.config.provider,
+      redacted: Boolean(redactor),
+      output: discoveries?.map(({ studentId, summary, talkingPoints, fitScore }) => ({ studentId, summary, talkingPoints, fitScore })) ?? null,
+    });
     if (!discoveries) {
       console.error('Failed to parse AI talent discovery response:', aiResponse);
       return NextResponse.json({ error: 'Failed to parse AI response' }, { status: 500 });
@@ -2,12 +2,15 @@
  * GET /api/ai/usage — Get current AI usage status for the authenticated user
  *
  * Returns per-feature usage counts with limits and reset dates (v2),
- * plus a legacy top-level summary for backward compatibility.
+ * plus a legacy top-level summary for backward compatibility, and the
+ * tenant's monthly AI budget status when one is configured.
  */
 
 import { NextResponse } from 'next/server';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { getUsageStatus, getUsageStatusV2 } from '@/lib/ai/config';
+import { getTenantAiConfig } from '@/lib/ai/feature-gate';
+import { getBudgetStatus } from '@/lib/ai/metering';
 import type { AiFeatureKey } from '@/lib/ai/types';
 
 const FEATURE_KEYS: AiFeatureKey[] = [
@@ -37,9 +40,14 @@ export async function GET() {
     // Legacy: Tenant-level aggregate (backward compat)
     const legacy = await getUsageStatus(tenantId);
 
+    // Tenant-wide token/cost budget (null when none is configured)
+    const aiConfig = await getTenantAiConfig(tenantId);
+    const budget = await getBudgetStatus(tenantId, aiConfig.budget);
+
     return NextResponse.json({
       // V2 per-feature breakdown
       features,
+      budget,
       // Legacy top-level fields for backward compatibility
       ...legacy,
     });
@@ -0,0 +1,106 @@
+/**
+ * POST /api/auth/change-password
+ *
+ * Change the signed-in user's password. Requires the current password.
+ * Every other session for the account is signed out; the caller's own
+ * session stays signed in.
+ *
+ * Security: rate limiting (10/min), account lockout on wrong current password
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { changePasswordSchema } from '@/lib/auth/validation';
+import { updatePassword, verifyPassword } from '@/lib/auth/password';
+import { deleteUserSessions } from '@/lib/auth/session';
+import { requireAuth } from '@/lib/auth/middleware';
+import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
+import { checkAccountLock, recordFailedAttempt, clearAttempts } from '@/lib/security/account-lockout';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await requireAuth();
+    const { ip, userAgent } = extractRequestInfo(request);
+    const reqInfo = {
+      ip,
+      userAgent,
+      path: '/api/auth/change-password',
+      userId: session.data.userId,
+      email: session.data.email,
+    };
+
+    // Rate limit by IP
+    const rateResult = checkRateLimit(`auth:${ip}`, RATE_LIMITS.auth);
+    if (!rateResult.allowed) {
+      auditLog('RATE_LIMIT_EXCEEDED', { ...reqInfo, details: { endpoint: 'change-password' } });
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        {
+          status: 429,
+          headers: { 'Retry-After': String(Math.ceil(rateResult.retryAfterMs / 1000)) },
+        }
+      );
+    }
+
+    const body = await request.json();
+    const parsed = changePasswordSchema.safeParse(body);
+
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten().fieldErrors },
+        { status: 400 }
+      );
+    }
+
+    const { currentPassword, newPassword } = parsed.data;
+    const { email } = session.data;
+
+    const lockStatus = checkAccountLock(email);
+    if (lockStatus.locked) {
+      auditLog('ACCOUNT_LOCKOUT', { ...reqInfo, details: { remainingSeconds: lockStatus.remainingSeconds } });
+      return NextResponse.json(
+        {
+          error: `Account temporarily locked due to too many failed attempts. Try again in ${lockStatus.remainingSeconds} seconds.`,
+          lockedUntil: lockStatus.remainingSeconds,
+        },
+        { status: 423 }
+      );
+    }
+
+    // Verify the current password via PostgreSQL crypt()
+    const userId = await verifyPassword(email, currentPassword);
+    if (userId !== session.data.userId) {
+      const lockResult = recordFailedAttempt(email);
+      auditLog(lockResult.locked ? 'ACCOUNT_LOCKOUT' : 'AUTH_FAILURE', {
+        ...reqInfo,
+        details: { reason: 'wrong_current_password', attemptsRemaining: lockResult.attemptsRemaining },
+      });
+      return NextResponse.json(
+        { error: 'Current password is incorrect' },
+        { status: lockResult.locked ? 423 : 400 }
+      );
+    }
+
+    clearAttempts(email);
+
+    await updatePassword(session.data.userId, newPassword);
+
+    // Sign out everywhere except this session
+    const revoked = await deleteUserSessions(session.data.userId, session.sid);
+
+    auditLog('PASSWORD_CHANGED', { ...reqInfo, details: { method: 'change', sessionsRevoked: revoked } });
+
+    return NextResponse.json({
+      message: 'Password changed. You have been signed out on all other devices.',
+      sessionsRevoked: revoked,
+    });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Change password error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -5,13 +5,18 @@
  * Password verification delegates to PostgreSQL crypt().
  * Creates a session and sets an httpOnly cookie.
  *
- * Security: rate limiting (10/min), account lockout (5 failures → 15 min lock)
+ * Security: rate limiting (10/min), account lockout (5 failures → 15 min lock),
+ * risk-based step-up. Unusual sign-ins (new device, new IP, impossible travel,
+ * credential stuffing from the same IP) are stepped up: medium risk goes to
+ * MFA for users who have it, otherwise — and always at high risk — to a code
+ * sent by email. No session is created until POST /api/auth/login/verify, and
+ * MFA is still asked for afterwards. Critical-risk sign-ins are blocked.
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { loginSchema } from '@/lib/auth/validation';
 import { verifyPassword } from '@/lib/auth/password';
-import { createSession } from '@/lib/auth/session';
+import { createSession, describeUserAgent, sessionClientInfo } from '@/lib/auth/session';
 import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
 import { getUserByEmail } from '@/lib/auth/middleware';
 import { sql } from '@/lib/db';
@@ -20,6 +25,14 @@ import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
 import { checkAccountLock, recordFailedAttempt, clearAttempts } from '@/lib/security/account-lockout';
 import { auditLog, extractRequestInfo } from '@/lib/security/audit';
 import { getUserMFAStatus } from '@/lib/auth/mfa';
+import { isUserDeprovisioned } from '@/lib/auth/scim';
+import {
+  assessLoginRisk,
+  attachLoginSession,
+  createLoginChallenge,
+  recordFailedLogin,
+} from '@/lib/security/login-risk';
+import { sendEmail, loginVerificationEmail } from '@/lib/email/send';
 
 export async function POST(request: NextRequest) {
   try {
@@ -74,6 +87,7 @@ export async function POST(request: NextRequest) {
     if (!userId) {
       // Record failed attempt
       const lockResult = recordFailedAttempt(email);
+      recordFailedLogin(ip, email);
       const eventType = lockResult.locked ? 'ACCOUNT_LOCKOUT' : 'AUTH_FAILURE';
       auditLog(eventType as 'ACCOUNT_LOCKOUT' | 'AUTH_FAILURE', {
         ...reqInfo,
@@ -98,12 +112,61 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Successful login — clear lockout attempts
-    clearAttempts(email);
+    // Accounts deprovisioned by the institution's identity provider stay blocked
+    if (await isUserDeprovisioned(user.id)) {
+      auditLog('AUTH_FAILURE', { ...reqInfo, email, details: { reason: 'deprovisioned' } });
+      return NextResponse.json(
+        { error: 'Your account has been deactivated. Please contact your administrator.' },
+        { status: 403 }
+      );
+    }
 
     // Check if user has MFA enabled
     const mfaStatus = await getUserMFAStatus(user.id);
 
+    // Score the sign-in before any session exists
+    const risk = await assessLoginRisk(request, {
+      id: user.id,
+      email: user.email,
+      mfaEnabled: mfaStatus.isEnabled,
+    });
+
+    if (risk.decision === 'block') {
+      return NextResponse.json(
+        {
+          error: 'This sign-in was blocked because it looks unusual. Please try again later or reset your password.',
+          code: 'LOGIN_BLOCKED',
+        },
+        { status: 403 }
+      );
+    }
+
+    // Unusual sign-in: email a one-time code and wait for it. Lockout
+    // attempts are only cleared once the code checks out.
+    if (risk.decision === 'email_verification') {
+      const { challengeId, code } = await createLoginChallenge(user.id, risk.eventId);
+      const emailData = loginVerificationEmail({
+        firstName: user.firstName,
+        code,
+        device: describeUserAgent(userAgent),
+        ip,
+      });
+      sendEmail({ to: user.email, ...emailData, tags: ['login-verification'] }).catch(() => {});
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`[DEV] Sign-in code for ${user.email}: ${code}`);
+      }
+
+      return NextResponse.json({
+        requiresEmailVerification: true,
+        challengeId,
+        email: user.email.replace(/^(.).*(@.*)$/, '$1•••$2'),
+      });
+    }
+
+    // Successful login — clear lockout attempts
+    clearAttempts(email);
+
     // Look up the user's tenant subdomain (for cross-tenant redirect)
     let tenantSubdomain: string | null = null;
     if (user.tenantId) {
@@ -123,9 +186,12 @@ export async function POST(request: NextRequest) {
       role: user.role,
       tenantId: user.tenantId,
       createdAt: Date.now(),
+      authMethod: 'password',
+      ...sessionClientInfo(request),
     };
 
     await createSession(sid, sessionData);
+    await attachLoginSession(risk.eventId, sid);
 
     // Update last login timestamp
     await sql`
@@ -136,7 +202,12 @@ export async function POST(request: NextRequest) {
     setSessionCookie(sid);
 
     // Audit: successful login
-    auditLog('AUTH_SUCCESS', { ...reqInfo, userId: user.id, email: user.email });
+    auditLog('AUTH_SUCCESS', {
+      ...reqInfo,
+      userId: user.id,
+      email: user.email,
+      details: { riskScore: risk.score, riskTier: risk.tier, ...(risk.decision === 'mfa' && { stepUp: 'mfa' }) },
+    });
 
     const userPayload = {
       id: user.id,
@@ -149,10 +220,12 @@ export async function POST(request: NextRequest) {
       avatarUrl: user.avatarUrl,
     };
 
-    // If MFA is enabled, return partial auth response — client must verify MFA
+    // If MFA is enabled, return partial auth response — client must verify MFA.
+    // This is also the step-up for medium-risk sign-ins by MFA users.
     if (mfaStatus.isEnabled) {
       return NextResponse.json({
         requiresMFA: true,
+        mfaMethods: { totp: mfaStatus.totpEnabled, passkey: mfaStatus.passkeyCount > 0 },
         user: userPayload,
         tenantSubdomain,
       });
@@ -0,0 +1,163 @@
+/**
+ * POST /api/auth/login/verify
+ *
+ * Finish a sign-in that was stepped up to email verification.
+ * Body: { challengeId: string, code: string } — challengeId from the
+ * login response, code from the email.
+ *
+ * The session is only created here, once the code checks out. Users with
+ * MFA still have to pass it on the new session.
+ *
+ * Security: rate limiting (shared with password login), 5 guesses per code
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { createSession, sessionClientInfo } from '@/lib/auth/session';
+import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
+import { getUserByEmail } from '@/lib/auth/middleware';
+import { getUserMFAStatus } from '@/lib/auth/mfa';
+import { isUserDeprovisioned } from '@/lib/auth/scim';
+import { sql } from '@/lib/db';
+import type { SessionData } from '@/lib/auth/types';
+import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
+import { clearAttempts } from '@/lib/security/account-lockout';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+import { attachLoginSession, verifyLoginChallenge } from '@/lib/security/login-risk';
+
+const loginVerifySchema = z.object({
+  challengeId: z.string().uuid(),
+  code: z.string().regex(/^\d{6}$/, 'Enter the 6-digit code'),
+});
+
+export async function POST(request: NextRequest) {
+  try {
+    const { ip, userAgent } = extractRequestInfo(request);
+    const reqInfo = { ip, userAgent, path: '/api/auth/login/verify' };
+
+    const rateResult = checkRateLimit(`auth:${ip}`, RATE_LIMITS.auth);
+    if (!rateResult.allowed) {
+      auditLog('RATE_LIMIT_EXCEEDED', { ...reqInfo, details: { endpoint: 'login_verify' } });
+      return NextResponse.json(
+        { error: 'Too many login attempts. Please try again later.' },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': String(Math.ceil(rateResult.retryAfterMs / 1000)),
+            'X-RateLimit-Limit': String(RATE_LIMITS.auth.maxRequests),
+            'X-RateLimit-Remaining': '0',
+          },
+        }
+      );
+    }
+
+    const body = await request.json();
+    const parsed = loginVerifySchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten().fieldErrors },
+        { status: 400 }
+      );
+    }
+
+    const result = await verifyLoginChallenge(parsed.data.challengeId, parsed.data.code);
+    if (!result.success || !result.userId || !result.eventId) {
+      auditLog('AUTH_FAILURE', {
+        ...reqInfo,
+        userId: result.userId,
+        details: { method: 'email_code', reason: 'invalid_login_code' },
+      });
+      return NextResponse.json(
+        { error: result.error || 'Verification failed' },
+        { status: 401 }
+      );
+    }
+
+    const owner = await sql`SELECT email FROM users WHERE id = ${result.userId}`;
+    const user = owner.length > 0 ? await getUserByEmail(owner[0].email) : null;
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 401 }
+      );
+    }
+
+    if (await isUserDeprovisioned(user.id)) {
+      auditLog('AUTH_FAILURE', { ...reqInfo, email: user.email, details: { method: 'email_code', reason: 'deprovisioned' } });
+      return NextResponse.json(
+        { error: 'Your account has been deactivated. Please contact your administrator.' },
+        { status: 403 }
+      );
+    }
+
+    // Look up the user's tenant subdomain (for cross-tenant redirect)
+    let tenantSubdomain: string | null = null;
+    if (user.tenantId) {
+      const tenantResult = await sql`
+        SELECT subdomain FROM tenants WHERE id = ${user.tenantId}
+      `;
+      if (tenantResult.length > 0) {
+        tenantSubdomain = tenantResult[0].subdomain;
+      }
+    }
+
+    // Successful step-up — clear lockout attempts
+    clearAttempts(user.email);
+
+    // MFA applies on top of the emailed code
+    const mfaStatus = await getUserMFAStatus(user.id);
+
+    // Create session
+    const sid = generateSessionId();
+    const sessionData: SessionData = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      tenantId: user.tenantId,
+      createdAt: Date.now(),
+      authMethod: 'password',
+      ...sessionClientInfo(request),
+    };
+
+    await createSession(sid, sessionData);
+    // Trusted now unless MFA is still to come (see trustLoginSession)
+    await attachLoginSession(result.eventId, sid, !mfaStatus.isEnabled);
+
+    await sql`
+      UPDATE users SET last_login_at = NOW() WHERE id = ${user.id}
+    `;
+
+    setSessionCookie(sid);
+
+    auditLog('AUTH_SUCCESS', {
+      ...reqInfo,
+      userId: user.id,
+      email: user.email,
+      details: { method: 'password', stepUp: 'email_verification' },
+    });
+
+    return NextResponse.json({
+      ...(mfaStatus.isEnabled && {
+        requiresMFA: true,
+        mfaMethods: { totp: mfaStatus.totpEnabled, passkey: mfaStatus.passkeyCount > 0 },
+      }),
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        displayName: user.displayName,
+        emailVerified: user.emailVerified,
+        avatarUrl: user.avatarUrl,
+      },
+      tenantSubdomain,
+    });
+  } catch (error) {
+    console.error('Login verify error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * POST /api/auth/passkey/options
+ *
+ * Start passwordless sign-in: returns options for navigator.credentials.get()
+ * that let the browser offer any discoverable passkey registered for this site.
+ *
+ * Security: rate limiting (shared with password login)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { createPasskeyAuthenticationOptions } from '@/lib/auth/passkeys';
+import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function POST(request: NextRequest) {
+  try {
+    const { ip, userAgent } = extractRequestInfo(request);
+
+    const rateResult = checkRateLimit(`auth:${ip}`, RATE_LIMITS.auth);
+    if (!rateResult.allowed) {
+      auditLog('RATE_LIMIT_EXCEEDED', {
+        ip,
+        userAgent,
+        path: '/api/auth/passkey/options',
+        details: { endpoint: 'passkey_options' },
+      });
+      return NextResponse.json(
+        { error: 'Too many login attempts. Please try again later.' },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': String(Math.ceil(rateResult.retryAfterMs / 1000)),
+            'X-RateLimit-Limit': String(RATE_LIMITS.auth.maxRequests),
+            'X-RateLimit-Remaining': '0',
+          },
+        }
+      );
+    }
+
+    const options = await createPasskeyAuthenticationOptions(request, null);
+    return NextResponse.json({ options });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * POST /api/auth/passkey
+ *
+ * Passwordless sign-in with a passkey.
+ * Body: { response: AuthenticationResponseJSON } from navigator.credentials.get()
+ *
+ * A passkey proves possession of the device and, with user verification,
+ * the user's PIN or biometric — so the new session is created already
+ * MFA-verified and no second factor is asked for.
+ *
+ * Security: rate limiting (shared with password login)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { createSession, sessionClientInfo } from '@/lib/auth/session';
+import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
+import { getUserByEmail } from '@/lib/auth/middleware';
+import { markSessionMFAVerified } from '@/lib/auth/mfa';
+import { verifyPasskeyAuthentication } from '@/lib/auth/passkeys';
+import { isUserDeprovisioned } from '@/lib/auth/scim';
+import { sql } from '@/lib/db';
+import type { SessionData } from '@/lib/auth/types';
+import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+const passkeyLoginSchema = z.object({
+  response: z.object({ id: z.string(), rawId: z.string(), type: z.literal('public-key') }).passthrough(),
+});
+
+export async function POST(request: NextRequest) {
+  try {
+    const { ip, userAgent } = extractRequestInfo(request);
+    const reqInfo = { ip, userAgent, path: '/api/auth/passkey' };
+
+    const rateResult = checkRateLimit(`auth:${ip}`, RATE_LIMITS.auth);
+    if (!rateResult.allowed) {
+      auditLog('RATE_LIMIT_EXCEEDED', { ...reqInfo, details: { endpoint: 'passkey_login' } });
+      return NextResponse.json(
+        { error: 'Too many login attempts. Please try again later.' },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': String(Math.ceil(rateResult.retryAfterMs / 1000)),
+            'X-RateLimit-Limit': String(RATE_LIMITS.auth.maxRequests),
+            'X-RateLimit-Remaining': '0',
+          },
+        }
+      );
+    }
+
+    const body = await request.json();
+    const parsed = passkeyLoginSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten().fieldErrors },
+        { status: 400 }
+      );
+    }
+
+    const result = await verifyPasskeyAuthentication(request, body.response, null);
+    if (!result.success || !result.userId) {
+      auditLog('AUTH_FAILURE', { ...reqInfo, details: { method: 'passkey', reason: result.error } });
+      return NextResponse.json(
+        { error: 'Passkey sign-in failed. Try again or use your password.' },
+        { status: 401 }
+      );
+    }
+
+    // Resolve the full user record from the passkey owner
+    const owner = await sql`SELECT email FROM users WHERE id = ${result.userId}`;
+    const user = owner.length > 0 ? await getUserByEmail(owner[0].email) : null;
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 401 }
+      );
+    }
+
+    if (await isUserDeprovisioned(user.id)) {
+      auditLog('AUTH_FAILURE', { ...reqInfo, email: user.email, details: { method: 'passkey', reason: 'deprovisioned' } });
+      return NextResponse.json(
+        { error: 'Your account has been deactivated. Please contact your administrator.' },
+        { status: 403 }
+      );
+    }
+
+    // Look up the user's tenant subdomain (for cross-tenant redirect)
+    let tenantSubdomain: string | null = null;
+    if (user.tenantId) {
+      const tenantResult = await sql`
+        SELECT subdomain FROM tenants WHERE id = ${user.tenantId}
+      `;
+      if (tenantResult.length > 0) {
+        tenantSubdomain = tenantResult[0].subdomain;
+      }
+    }
+
+    // Create session — already MFA-verified by the passkey
+    const sid = generateSessionId();
+    const sessionData: SessionData = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      tenantId: user.tenantId,
+      createdAt: Date.now(),
+      authMethod: 'passkey',
+      ...sessionClientInfo(request),
+    };
+
+    await createSession(sid, sessionData);
+    await markSessionMFAVerified(sid);
+
+    await sql`
+      UPDATE users SET last_login_at = NOW() WHERE id = ${user.id}
+    `;
+
+    setSessionCookie(sid);
+
+    auditLog('AUTH_SUCCESS', {
+      ...reqInfo,
+      userId: user.id,
+      email: user.email,
+      details: { method: 'passkey', passkeyId: result.passkeyId },
+    });
+
+    return NextResponse.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        displayName: user.displayName,
+        emailVerified: user.emailVerified,
+        avatarUrl: user.avatarUrl,
+      },
+      tenantSubdomain,
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
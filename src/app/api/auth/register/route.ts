@@ -9,7 +9,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { registerSchema } from '@/lib/auth/validation';
 import { hashPassword } from '@/lib/auth/password';
-import { createSession } from '@/lib/auth/session';
+import { createSession, sessionClientInfo } from '@/lib/auth/session';
 import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
 import { getUserByEmail } from '@/lib/auth/middleware';
 import { sql } from '@/lib/db';
@@ -105,6 +105,8 @@ export async function POST(request: NextRequest) {
       role: user.role,
       tenantId: user.tenant_id,
       createdAt: Date.now(),
+      authMethod: 'password',
+      ...sessionClientInfo(request),
     };
 
     await createSession(sid, sessionData);
@@ -0,0 +1,51 @@
+/**
+ * DELETE /api/auth/sessions/[id]
+ *
+ * Revoke one of the current user's sessions by its public ID.
+ * Revoking the current session signs the caller out.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAuth } from '@/lib/auth/middleware';
+import { revokeUserSession } from '@/lib/auth/session';
+import { deleteSessionCookie } from '@/lib/auth/cookies';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await requireAuth();
+    const { id } = await params;
+
+    const revokedSid = await revokeUserSession(session.data.userId, id);
+    if (!revokedSid) {
+      return NextResponse.json({ error: 'Session not found' }, { status: 404 });
+    }
+
+    const current = revokedSid === session.sid;
+    if (current) {
+      deleteSessionCookie();
+    }
+
+    auditLog('SESSION_REVOKED', {
+      ...extractRequestInfo(request),
+      userId: session.data.userId,
+      email: session.data.email,
+      path: '/api/auth/sessions',
+      resourceId: id,
+      details: { scope: 'single', current },
+    });
+
+    return NextResponse.json({ success: true, current });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Session revoke error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * GET/DELETE /api/auth/sessions
+ *
+ * GET: List the current user's active sessions (device, IP, sign-in method,
+ *      MFA status, last activity). The caller's own session is flagged `current`.
+ * DELETE: Sign out everywhere else — revoke every session except this one.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { requireAuth } from '@/lib/auth/middleware';
+import { deleteUserSessions, listUserSessions } from '@/lib/auth/session';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function GET() {
+  try {
+    const session = await requireAuth();
+    const sessions = await listUserSessions(session.data.userId, session.sid);
+
+    return NextResponse.json({ sessions });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Session list error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    const session = await requireAuth();
+    const revoked = await deleteUserSessions(session.data.userId, session.sid);
+
+    auditLog('SESSION_REVOKED', {
+      ...extractRequestInfo(request),
+      userId: session.data.userId,
+      email: session.data.email,
+      path: '/api/auth/sessions',
+      details: { scope: 'all_other', revoked },
+    });
+
+    return NextResponse.json({ success: true, revoked });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Session revoke-all error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -6,6 +6,7 @@ import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { evaluateAfterProjectCompletion } from '@/lib/portfolio/badges';
+import { invalidateStudentScores } from '@/lib/match-engine';
 import { z } from 'zod';
 import crypto from 'crypto';
 
@@ -203,6 +204,8 @@ export async function POST(
             }
             // Evaluate badges
             await evaluateAfterProjectCompletion(app.student_id as string, listingId);
+            // Verified skills change the student's match scores
+            await invalidateStudentScores(app.student_id as string, 'skill_change');
           }
         } catch (hookError) {
           console.error('Post-completion hook error (non-fatal):', hookError);
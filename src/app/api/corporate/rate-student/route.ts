@@ -5,6 +5,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { invalidateStudentScores } from '@/lib/match-engine';
 import { z } from 'zod';
 
 const rateSchema = z.object({
@@ -88,6 +89,9 @@ export async function POST(request: NextRequest) {
 
     const newRating = result[0];
 
+    // Ratings feed the trust signal — requeue this student's cached pairs
+    await invalidateStudentScores(app.student_id as string, 'rating');
+
     // Create notification to student
     const projectTitle = app.listing_title || 'a project';
     await sql`
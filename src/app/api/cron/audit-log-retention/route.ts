@@ -0,0 +1,39 @@
+/**
+ * Audit Log Retention Cron Job
+ *
+ * POST /api/cron/audit-log-retention
+ *
+ * Applies each tenant's audit log retention window: expired entries are
+ * verified, archived to gzipped NDJSON and removed from the live log.
+ * Chains that fail verification are left untouched and reported.
+ * Called by Heroku Scheduler or external cron (daily). Protected by CRON_SECRET.
+ */
+
+import { NextResponse } from 'next/server';
+import { applyAuditRetention } from '@/lib/security/audit-integrity';
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const results = await applyAuditRetention();
+    const archived = results.reduce((sum, r) => sum + r.archived, 0);
+
+    return NextResponse.json({
+      message: `Archived ${archived} audit log entries`,
+      chains: results,
+    });
+  } catch (error) {
+    console.error('Audit log retention cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Screening Consistency Audit Cron Job
+ *
+ * POST /api/cron/audit-screening-consistency
+ *
+ * Runs synthetic applicant profiles through the candidate screening prompt
+ * with one demographic proxy (name, institution, sport) swapped at a time
+ * and notifies system admins when scores move. Called by Heroku Scheduler
+ * or external cron (weekly). Protected by CRON_SECRET.
+ *
+ * The run takes minutes, so it is started in the background and this
+ * responds with its ID straight away.
+ */
+
+import { NextResponse } from 'next/server';
+import { startScreeningConsistencyAudit } from '@/lib/ai/screening-audit';
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { audit, started } = await startScreeningConsistencyAudit();
+
+    return NextResponse.json(
+      {
+        message: started ? 'Screening consistency audit started' : 'A screening consistency audit is already running',
+        auditId: audit.id,
+      },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('Screening consistency audit cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Coaching Memory Extraction Cron Job
+ *
+ * POST /api/cron/extract-coaching-memory
+ *
+ * Mines coaching conversations that have gone idle for new long-term
+ * memories (goals, target roles, advice already given) — see
+ * @/lib/ai/memory. Each run handles a bounded batch, oldest first, so it
+ * is safe to run every 15 minutes. Called by Heroku Scheduler or external
+ * cron. Protected by CRON_SECRET.
+ */
+
+import { NextResponse } from 'next/server';
+import { extractStudentMemories, findConversationsPendingExtraction } from '@/lib/ai/memory';
+
+const BATCH_SIZE = 50;
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const conversationIds = await findConversationsPendingExtraction(BATCH_SIZE);
+
+    let processed = 0;
+    let errors = 0;
+    const results: Array<{
+      conversationId: string;
+      status: string;
+      added?: number;
+      error?: string;
+    }> = [];
+
+    for (const conversationId of conversationIds) {
+      try {
+        const added = await extractStudentMemories(conversationId);
+        processed++;
+        results.push({ conversationId, status: 'ok', added });
+      } catch (error) {
+        errors++;
+        results.push({
+          conversationId,
+          status: 'failed',
+          error: error instanceof Error ? error.message : 'Unknown error',
+        });
+      }
+    }
+
+    return NextResponse.json({
+      message: `Processed ${conversationIds.length} conversations`,
+      processed,
+      errors,
+      results,
+    });
+  } catch (error) {
+    console.error('Extract coaching memory cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
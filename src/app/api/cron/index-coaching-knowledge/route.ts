@@ -0,0 +1,74 @@
+/**
+ * Coaching Knowledge Index Cron Job
+ *
+ * POST /api/cron/index-coaching-knowledge
+ *
+ * Re-indexes the content the AI coach can cite — published Team Huddle
+ * posts, legal policies and FAQ — for every active tenant, plus the
+ * platform-wide policies and FAQ. Unchanged sources are skipped, so this
+ * is cheap to run hourly. Huddle posts are also re-indexed immediately
+ * when they change. Called by Heroku Scheduler or external cron.
+ * Protected by CRON_SECRET.
+ */
+
+import { NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { reindexKnowledge } from '@/lib/ai/knowledge';
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const tenants = await sql`
+      SELECT id FROM tenants WHERE status = 'active'
+    `;
+
+    let processed = 0;
+    let errors = 0;
+    const results: Array<{
+      tenantId: string | null;
+      status: string;
+      indexed?: number;
+      unchanged?: number;
+      removed?: number;
+      error?: string;
+    }> = [];
+
+    // Platform-wide content first (null scope), then each tenant
+    const scopes: Array<string | null> = [null, ...tenants.map((t: Record<string, unknown>) => t.id as string)];
+
+    for (const tenantId of scopes) {
+      try {
+        const summary = await reindexKnowledge(tenantId);
+        processed++;
+        results.push({ tenantId, status: 'ok', ...summary });
+      } catch (error) {
+        errors++;
+        results.push({
+          tenantId,
+          status: 'failed',
+          error: error instanceof Error ? error.message : 'Unknown error',
+        });
+      }
+    }
+
+    return NextResponse.json({
+      message: `Processed ${tenants.length} tenants and platform content`,
+      processed,
+      errors,
+      results,
+    });
+  } catch (error) {
+    console.error('Index coaching knowledge cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
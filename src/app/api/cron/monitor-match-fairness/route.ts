@@ -0,0 +1,70 @@
+/**
+ * Match Fairness Monitoring Cron Job
+ *
+ * POST /api/cron/monitor-match-fairness
+ *
+ * Snapshots the match score distribution of every tenant with the Match
+ * Engine, overall and per cohort, and flags drift and disparate impact.
+ * Called by Heroku Scheduler or external cron (daily). Protected by CRON_SECRET.
+ */
+
+import { NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { runFairnessMonitoring } from '@/lib/match-engine';
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const tenants = await sql`
+      SELECT id FROM tenants WHERE features->>'matchEngine' = 'true'
+    `;
+
+    if (tenants.length === 0) {
+      return NextResponse.json({
+        message: 'No tenants with Match Engine enabled',
+        processed: 0,
+        errors: 0,
+      });
+    }
+
+    let processed = 0;
+    let errors = 0;
+    const results: Array<{ tenantId: string; status: string; alerts?: number; error?: string }> = [];
+
+    for (const tenant of tenants) {
+      const tenantId = tenant.id as string;
+      try {
+        const report = await runFairnessMonitoring(tenantId);
+        processed++;
+        results.push({ tenantId, status: 'ok', alerts: report.alerts });
+      } catch (error) {
+        errors++;
+        results.push({
+          tenantId,
+          status: 'failed',
+          error: error instanceof Error ? error.message : 'Unknown error',
+        });
+      }
+    }
+
+    return NextResponse.json({
+      message: `Processed ${tenants.length} tenants`,
+      processed,
+      errors,
+      results,
+    });
+  } catch (error) {
+    console.error('Monitor match fairness cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Match Weight Training Cron Job
+ *
+ * POST /api/cron/train-match-weights
+ *
+ * Fits a learned signal-weight proposal for every tenant with the
+ * matchEngineAdmin feature. Proposals are stored for admin review and
+ * never applied automatically.
+ * Called by Heroku Scheduler or external cron (daily). Protected by CRON_SECRET.
+ */
+
+import { NextResponse } from 'next/server';
+import { sql } from '@/lib/db';
+import { trainTenantWeights } from '@/lib/match-engine';
+
+export async function POST(request: Request) {
+  try {
+    const authHeader = request.headers.get('authorization');
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+      return NextResponse.json({ error: 'CRON_SECRET not configured' }, { status: 500 });
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const tenants = await sql`
+      SELECT id FROM tenants WHERE features->>'matchEngineAdmin' = 'true'
+    `;
+
+    if (tenants.length === 0) {
+      return NextResponse.json({
+        message: 'No tenants with Match Engine admin enabled',
+        processed: 0,
+        errors: 0,
+      });
+    }
+
+    let processed = 0;
+    let errors = 0;
+    const results: Array<{ tenantId: string; status: string; error?: string }> = [];
+
+    for (const tenant of tenants) {
+      const tenantId = tenant.id as string;
+      try {
+        const proposal = await trainTenantWeights(tenantId);
+        processed++;
+        results.push({ tenantId, status: proposal.status });
+      } catch (error) {
+        errors++;
+        results.push({
+          tenantId,
+          status: 'failed',
+          error: error instanceof Error ? error.message : 'Unknown error',
+        });
+      }
+    }
+
+    return NextResponse.json({
+      message: `Processed ${tenants.length} tenants`,
+      processed,
+      errors,
+      results,
+    });
+  } catch (error) {
+    console.error('Train match weights cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
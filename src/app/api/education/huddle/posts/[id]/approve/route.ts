@@ -5,6 +5,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { syncHuddlePostKnowledge } from '@/lib/ai/knowledge';
 import { hasFeature } from '@/lib/tenant/features';
 import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
 
@@ -61,6 +62,9 @@ export async function POST(
       VALUES (${tenantId}, ${session.data.userId}, 'post_approved', 'post', ${id}, ${JSON.stringify({ title: posts[0].title })}::jsonb)
     `;
 
+    // Make the post citable by the AI coach
+    await syncHuddlePostKnowledge(id);
+
     // Notify contributor
     const contributorUserId = posts[0].contributor_user_id;
     if (contributorUserId) {
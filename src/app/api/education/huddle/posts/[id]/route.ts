@@ -7,6 +7,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { syncHuddlePostKnowledge } from '@/lib/ai/knowledge';
 import { hasFeature } from '@/lib/tenant/features';
 import { checkRateLimit, RATE_LIMITS } from '@/lib/security/rate-limit';
 import { z } from 'zod';
@@ -188,6 +189,9 @@ export async function PUT(
       VALUES (${tenantId}, ${session.data.userId}, 'post_updated', 'post', ${id}, ${JSON.stringify({ updates: updatedFields })}::jsonb)
     `;
 
+    // Keep the AI coach's knowledge index in step with the post
+    await syncHuddlePostKnowledge(id);
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Admin update huddle post error:', error);
@@ -218,6 +222,8 @@ export async function DELETE(
       VALUES (${tenantId}, ${session.data.userId}, 'post_archived', 'post', ${id})
     `;
 
+    await syncHuddlePostKnowledge(id);
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Admin delete huddle post error:', error);
@@ -6,6 +6,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { syncHuddlePostKnowledge } from '@/lib/ai/knowledge';
 import { hasFeature } from '@/lib/tenant/features';
 import { z } from 'zod';
 import { generateSlug, isAllowedVideoUrl } from '@/lib/huddle/utils';
@@ -226,6 +227,11 @@ export async function POST(request: NextRequest) {
       VALUES (${tenantId}, ${session.data.userId}, ${data.status === 'published' ? 'post_published' : 'post_created'}, 'post', ${postId}, ${JSON.stringify({ title })}::jsonb)
     `;
 
+    // Make published posts citable by the AI coach
+    if (data.status === 'published') {
+      await syncHuddlePostKnowledge(postId);
+    }
+
     return NextResponse.json({ post: result[0] }, { status: 201 });
   } catch (error) {
     console.error('Admin create huddle post error:', error);
@@ -6,6 +6,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { invalidateListingScores } from '@/lib/match-engine';
 import { z } from 'zod';
 
 const updateListingSchema = z.object({
@@ -154,6 +155,13 @@ export async function PUT(
       `;
     }
 
+    // Requeue cached match scores when a scoring input changed
+    const scoringFieldChanged = [data.skillsRequired, data.hoursPerWeek, data.startDate, data.endDate, data.category]
+      .some((v) => v !== undefined);
+    if (scoringFieldChanged) {
+      await invalidateListingScores(params.id, 'listing_update');
+    }
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Listing update error:', error);
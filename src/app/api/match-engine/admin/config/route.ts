@@ -1,7 +1,7 @@
 /**
  * Admin Config API
  * GET — Get tenant match engine config
- * PUT — Update signal weights
+ * PUT — Update signal weights and enabled signals
  */
 
 import { NextResponse } from 'next/server';
@@ -9,16 +9,20 @@ import { z } from 'zod';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { hasFeature } from '@/lib/tenant/features';
 import { sql } from '@/lib/db';
+import {
+  DEFAULT_CONFIG,
+  validateWeights,
+  loadTenantConfig,
+  getRegisteredSignals,
+  getEnabledSignals,
+  isRegisteredSignal,
+} from '@/lib/match-engine';
 
 const updateConfigSchema = z.object({
-  signalWeights: z.object({
-    temporal: z.number().min(0).max(1),
-    skills: z.number().min(0).max(1),
-    sustainability: z.number().min(0).max(1),
-    growth: z.number().min(0).max(1),
-    trust: z.number().min(0).max(1),
-    network: z.number().min(0).max(1),
-  }).optional(),
+  signalWeights: z.record(z.string(), z.number().min(0).max(1)).optional(),
+  disabledSignals: z.array(z.string()).optional(),
+  diversityReranking: z.boolean().optional(),
+  diversityLambda: z.number().min(0).max(1).optional(),
   minScoreThreshold: z.number().min(0).max(100).optional(),
   maxResultsPerQuery: z.number().int().min(1).max(200).optional(),
   enableAthleticTransfer: z.boolean().optional(),
@@ -52,21 +56,31 @@ export async function GET() {
       SELECT * FROM match_engine_config WHERE tenant_id = ${tenantId}
     `;
 
+    const signals = getRegisteredSignals().map((s) => ({
+      name: s.name,
+      label: s.label,
+      defaultWeight: s.defaultWeight,
+    }));
+
     if (!config) {
       // Return defaults
       return NextResponse.json({
         config: {
-          signalWeights: { temporal: 0.25, skills: 0.30, sustainability: 0.15, growth: 0.10, trust: 0.10, network: 0.10 },
-          minScoreThreshold: 20,
-          maxResultsPerQuery: 50,
-          enableAthleticTransfer: true,
-          enableScheduleMatching: true,
+          signalWeights: DEFAULT_CONFIG.signalWeights,
+          disabledSignals: [],
+          diversityReranking: DEFAULT_CONFIG.diversityReranking,
+          diversityLambda: DEFAULT_CONFIG.diversityLambda,
+          minScoreThreshold: DEFAULT_CONFIG.minScoreThreshold,
+          maxResultsPerQuery: DEFAULT_CONFIG.maxResultsPerQuery,
+          enableAthleticTransfer: DEFAULT_CONFIG.enableAthleticTransfer,
+          enableScheduleMatching: DEFAULT_CONFIG.enableScheduleMatching,
         },
+        signals,
         isDefault: true,
       });
     }
 
-    return NextResponse.json({ config, isDefault: false });
+    return NextResponse.json({ config, signals, isDefault: false });
   } catch (error) {
     console.error('Failed to get config:', error);
     return NextResponse.json({ error: 'Failed to get config' }, { status: 500 });
@@ -97,25 +111,44 @@ export async function PUT(request: Request) {
     const body = await request.json();
     const data = updateConfigSchema.parse(body);
 
-    // Validate weights sum to ~1.0 if provided
-    if (data.signalWeights) {
-      const sum = Object.values(data.signalWeights).reduce((a, b) => a + b, 0);
-      if (Math.abs(sum - 1.0) > 0.01) {
-        return NextResponse.json({ error: 'Signal weights must sum to 1.0' }, { status: 400 });
-      }
+    const unknown = [
+      ...Object.keys(data.signalWeights || {}),
+      ...(data.disabledSignals || []),
+    ].filter((name) => !isRegisteredSignal(name));
+    if (unknown.length > 0) {
+      return NextResponse.json({ error: `Unknown signals: ${unknown.join(', ')}` }, { status: 400 });
+    }
+
+    // Weights of the enabled signals must sum to ~1.0
+    const current = await loadTenantConfig(tenantId);
+    const disabledSignals = data.disabledSignals ?? current.disabledSignals;
+    const enabled = getEnabledSignals({ disabledSignals }).map((s) => s.name);
+    if (enabled.length === 0) {
+      return NextResponse.json({ error: 'At least one signal must be enabled' }, { status: 400 });
+    }
+    if (data.signalWeights && !validateWeights(data.signalWeights, enabled)) {
+      return NextResponse.json({ error: 'Signal weights of enabled signals must sum to 1.0' }, { status: 400 });
     }
 
+    // Settings without their own column live in the config jsonb
+    const configPatch = JSON.stringify({
+      ...(data.disabledSignals ? { disabled_signals: data.disabledSignals } : {}),
+      ...(data.diversityReranking !== undefined ? { diversity_reranking: data.diversityReranking } : {}),
+      ...(data.diversityLambda !== undefined ? { diversity_lambda: data.diversityLambda } : {}),
+    });
+
     const [config] = await sql`
       INSERT INTO match_engine_config (tenant_id, signal_weights, min_score_threshold,
                                        max_results_per_query, enable_athletic_transfer,
-                                       enable_schedule_matching)
+                                       enable_schedule_matching, config)
       VALUES (
         ${tenantId},
-        ${data.signalWeights ? JSON.stringify(data.signalWeights) : '{"temporal":0.25,"skills":0.30,"sustainability":0.15,"growth":0.10,"trust":0.10,"network":0.10}'}::jsonb,
+        ${JSON.stringify(data.signalWeights || DEFAULT_CONFIG.signalWeights)}::jsonb,
         ${data.minScoreThreshold || 20},
         ${data.maxResultsPerQuery || 50},
         ${data.enableAthleticTransfer ?? true},
-        ${data.enableScheduleMatching ?? true}
+        ${data.enableScheduleMatching ?? true},
+        ${configPatch}::jsonb
       )
       ON CONFLICT (tenant_id) DO UPDATE
       SET signal_weights = COALESCE(${data.signalWeights ? JSON.stringify(data.signalWeights) : null}::jsonb, match_engine_config.signal_weights),
@@ -123,6 +156,7 @@ export async function PUT(request: Request) {
           max_results_per_query = COALESCE(${data.maxResultsPerQuery || null}, match_engine_config.max_results_per_query),
           enable_athletic_transfer = COALESCE(${data.enableAthleticTransfer ?? null}, match_engine_config.enable_athletic_transfer),
           enable_schedule_matching = COALESCE(${data.enableScheduleMatching ?? null}, match_engine_config.enable_schedule_matching),
+          config = match_engine_config.config || ${configPatch}::jsonb,
           updated_at = NOW()
       RETURNING *
     `;
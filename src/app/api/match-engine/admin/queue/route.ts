@@ -1,11 +1,13 @@
 /**
  * Admin Queue API
- * GET — View recomputation queue
+ * GET — View recomputation queue entries plus depth/latency stats
+ *       ?status=pending|processed|failed
  */
 
 import { NextResponse } from 'next/server';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { sql } from '@/lib/db';
+import { getQueueStats } from '@/lib/match-engine';
 
 export async function GET(request: Request) {
   try {
@@ -27,20 +29,34 @@ export async function GET(request: Request) {
           SELECT rq.*, u.first_name, u.last_name, u.email
           FROM recomputation_queue rq
           LEFT JOIN users u ON u.id = rq.student_id
-          WHERE rq.processed_at IS NULL
+          WHERE rq.processed_at IS NULL AND rq.failed_at IS NULL
           ORDER BY rq.priority DESC, rq.queued_at ASC
           LIMIT ${limit}
         `
-      : await sql`
-          SELECT rq.*, u.first_name, u.last_name, u.email
-          FROM recomputation_queue rq
-          LEFT JOIN users u ON u.id = rq.student_id
-          WHERE rq.processed_at IS NOT NULL
-          ORDER BY rq.processed_at DESC
-          LIMIT ${limit}
-        `;
+      : status === 'failed'
+        ? await sql`
+            SELECT rq.*, u.first_name, u.last_name, u.email
+            FROM recomputation_queue rq
+            LEFT JOIN users u ON u.id = rq.student_id
+            WHERE rq.failed_at IS NOT NULL AND rq.processed_at IS NULL
+            ORDER BY rq.failed_at DESC
+            LIMIT ${limit}
+          `
+        : await sql`
+            SELECT rq.*, u.first_name, u.last_name, u.email
+            FROM recomputation_queue rq
+            LEFT JOIN users u ON u.id = rq.student_id
+            WHERE rq.processed_at IS NOT NULL
+            ORDER BY rq.processed_at DESC
+            LIMIT ${limit}
+          `;
+
+    // Platform admins see the whole queue; institution admins their tenant
+    const stats = await getQueueStats(
+      session.data.role === 'admin' ? null : session.data.tenantId || null
+    );
 
-    return NextResponse.json({ queue, status });
+    return NextResponse.json({ queue, status, stats });
   } catch (error) {
     console.error('Failed to get queue:', error);
     return NextResponse.json({ error: 'Failed to get queue' }, { status: 500 });
@@ -26,11 +26,12 @@ export async function POST() {
 
     // Queue all for recomputation
     await sql`
-      INSERT INTO recomputation_queue (student_id, listing_id, reason, priority)
-      SELECT DISTINCT student_id, listing_id, 'manual', 8
+      INSERT INTO recomputation_queue (student_id, listing_id, tenant_id, reason, priority)
+      SELECT DISTINCT student_id, listing_id, tenant_id, 'manual', 8
       FROM match_scores
       WHERE is_stale = TRUE
-      ON CONFLICT DO NOTHING
+      ON CONFLICT (pair_key) WHERE processed_at IS NULL AND failed_at IS NULL
+      DO UPDATE SET priority = GREATEST(recomputation_queue.priority, EXCLUDED.priority)
     `;
 
     return NextResponse.json({
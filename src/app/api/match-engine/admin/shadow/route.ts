@@ -0,0 +1,165 @@
+/**
+ * Admin Shadow Scoring API
+ * GET  — Engine versions, the tenant's shadow version and the ranking diff
+ * PUT  — Set (or clear) the candidate version scored in shadow mode
+ * POST — Shadow-score a batch of already cached pairs
+ */
+
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import { sql } from '@/lib/db';
+import {
+  ENGINE_VERSION,
+  loadTenantConfig,
+  getEngineVersion,
+  getEngineVersions,
+  compareShadowRankings,
+  backfillShadowScores,
+} from '@/lib/match-engine';
+
+const updateShadowSchema = z.object({
+  shadowVersion: z.number().int().positive().nullable(),
+});
+
+const backfillSchema = z.object({
+  limit: z.number().int().min(1).max(200).optional(),
+});
+
+export async function GET(request: Request) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const k = Math.min(Math.max(parseInt(searchParams.get('k') || '5'), 1), 50);
+
+    const config = await loadTenantConfig(tenantId);
+    const comparison = config.shadowVersion !== null
+      ? await compareShadowRankings(tenantId, config.shadowVersion, k)
+      : null;
+
+    return NextResponse.json({
+      activeVersion: ENGINE_VERSION,
+      shadowVersion: config.shadowVersion,
+      versions: getEngineVersions().map((v) => ({
+        version: v.version,
+        description: v.description,
+      })),
+      comparison,
+    });
+  } catch (error) {
+    console.error('Failed to get shadow comparison:', error);
+    return NextResponse.json({ error: 'Failed to get shadow comparison' }, { status: 500 });
+  }
+}
+
+export async function PUT(request: Request) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { shadowVersion } = updateShadowSchema.parse(body);
+
+    if (shadowVersion !== null) {
+      if (shadowVersion === ENGINE_VERSION) {
+        return NextResponse.json({ error: 'Shadow version must differ from the active version' }, { status: 400 });
+      }
+      if (!getEngineVersion(shadowVersion)) {
+        return NextResponse.json({ error: `Engine version ${shadowVersion} is not registered` }, { status: 400 });
+      }
+    }
+
+    const patch = JSON.stringify({ shadow_version: shadowVersion });
+    await sql`
+      INSERT INTO match_engine_config (tenant_id, config)
+      VALUES (${tenantId}, ${patch}::jsonb)
+      ON CONFLICT (tenant_id) DO UPDATE
+      SET config = match_engine_config.config || EXCLUDED.config,
+          updated_at = NOW()
+    `;
+
+    return NextResponse.json({ activeVersion: ENGINE_VERSION, shadowVersion });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: 'Invalid input', details: error.errors }, { status: 400 });
+    }
+    console.error('Failed to update shadow version:', error);
+    return NextResponse.json({ error: 'Failed to update shadow version' }, { status: 500 });
+  }
+}
+
+export async function POST(request: Request) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { limit } = backfillSchema.parse(body);
+
+    const config = await loadTenantConfig(tenantId);
+    if (config.shadowVersion === null) {
+      return NextResponse.json({ error: 'No shadow version configured' }, { status: 409 });
+    }
+
+    const scored = await backfillShadowScores(tenantId, config.shadowVersion, limit);
+
+    return NextResponse.json({ shadowVersion: config.shadowVersion, scored });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: 'Invalid input', details: error.errors }, { status: 400 });
+    }
+    console.error('Failed to backfill shadow scores:', error);
+    return NextResponse.json({ error: 'Failed to backfill shadow scores' }, { status: 500 });
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Admin Simulation Sandbox API
+ * POST — Score a sample of students×listings under a draft config and
+ *        compare rankings with the live config (nothing is saved)
+ */
+
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import {
+  validateWeights,
+  loadTenantConfig,
+  getEnabledSignals,
+  isRegisteredSignal,
+  simulateDraftConfig,
+} from '@/lib/match-engine';
+
+const simulateSchema = z.object({
+  config: z.object({
+    signalWeights: z.record(z.string(), z.number().min(0).max(1)).optional(),
+    disabledSignals: z.array(z.string()).optional(),
+  }),
+  k: z.number().int().min(1).max(20).optional(),
+  maxStudents: z.number().int().min(5).max(100).optional(),
+  maxListings: z.number().int().min(1).max(25).optional(),
+});
+
+export async function POST(request: Request) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { config: draft, k, maxStudents, maxListings } = simulateSchema.parse(body);
+
+    // Same rules as saving the config, so a draft that simulates can be saved
+    const unknown = [
+      ...Object.keys(draft.signalWeights || {}),
+      ...(draft.disabledSignals || []),
+    ].filter((name) => !isRegisteredSignal(name));
+    if (unknown.length > 0) {
+      return NextResponse.json({ error: `Unknown signals: ${unknown.join(', ')}` }, { status: 400 });
+    }
+
+    const current = await loadTenantConfig(tenantId);
+    const disabledSignals = draft.disabledSignals ?? current.disabledSignals;
+    const enabled = getEnabledSignals({ disabledSignals }).map((s) => s.name);
+    if (enabled.length === 0) {
+      return NextResponse.json({ error: 'At least one signal must be enabled' }, { status: 400 });
+    }
+    if (draft.signalWeights && !validateWeights(draft.signalWeights, enabled)) {
+      return NextResponse.json({ error: 'Signal weights of enabled signals must sum to 1.0' }, { status: 400 });
+    }
+
+    const result = await simulateDraftConfig(tenantId, draft, { k, maxStudents, maxListings });
+
+    return NextResponse.json({ simulation: result });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: 'Invalid input', details: error.errors }, { status: 400 });
+    }
+    console.error('Failed to run simulation:', error);
+    return NextResponse.json({ error: 'Failed to run simulation' }, { status: 500 });
+  }
+}
@@ -36,7 +36,8 @@ export async function GET() {
 
     const [queueStats] = await sql`
       SELECT
-        COUNT(*) FILTER (WHERE processed_at IS NULL) as pending,
+        COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NULL) as pending,
+        COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NOT NULL) as failed,
         COUNT(*) FILTER (WHERE processed_at IS NOT NULL) as processed,
         COUNT(*) as total
       FROM recomputation_queue
@@ -0,0 +1,62 @@
+/**
+ * Admin Weight Promotion API
+ * POST — Promote the pending learned weight proposal to live signal weights
+ */
+
+import { NextResponse } from 'next/server';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import { promoteWeightProposal } from '@/lib/match-engine';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+export async function POST(request: Request) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const result = await promoteWeightProposal(tenantId, session.data.userId);
+    if (!result) {
+      return NextResponse.json({ error: 'No pending weight proposal to promote' }, { status: 409 });
+    }
+
+    const { ip, userAgent } = extractRequestInfo(request);
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ip,
+      userAgent,
+      path: '/api/match-engine/admin/training/promote',
+      resource: 'match_engine_config',
+      resourceId: tenantId,
+      details: {
+        action: 'match_weights_promoted',
+        previousWeights: result.proposal.currentWeights,
+        newWeights: result.proposal.proposedWeights,
+      },
+    });
+
+    return NextResponse.json({
+      proposal: result.proposal,
+      scoresMarkedStale: result.scoresMarkedStale,
+    });
+  } catch (error) {
+    console.error('Failed to promote weights:', error);
+    return NextResponse.json({ error: 'Failed to promote weights' }, { status: 500 });
+  }
+}
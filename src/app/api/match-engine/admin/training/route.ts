@@ -0,0 +1,70 @@
+/**
+ * Admin Weight Training API
+ * GET  — Get the latest learned weight proposal
+ * POST — Train a new weight proposal from match outcomes and feedback
+ */
+
+import { NextResponse } from 'next/server';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import { trainTenantWeights, getWeightProposal } from '@/lib/match-engine';
+
+export async function GET() {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const proposal = await getWeightProposal(tenantId);
+
+    return NextResponse.json({ proposal });
+  } catch (error) {
+    console.error('Failed to get weight proposal:', error);
+    return NextResponse.json({ error: 'Failed to get weight proposal' }, { status: 500 });
+  }
+}
+
+export async function POST() {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (!tenantId) {
+      return NextResponse.json({ error: 'Tenant context required' }, { status: 400 });
+    }
+
+    const allowed = await hasFeature(tenantId, 'matchEngineAdmin');
+    if (!allowed) {
+      return NextResponse.json({ error: 'Match Engine™ Admin requires Enterprise plan' }, { status: 403 });
+    }
+
+    const proposal = await trainTenantWeights(tenantId);
+
+    return NextResponse.json({ proposal });
+  } catch (error) {
+    console.error('Failed to train weights:', error);
+    return NextResponse.json({ error: 'Failed to train weights' }, { status: 500 });
+  }
+}
@@ -1,12 +1,13 @@
 /**
  * Match Explanation API
- * GET — Get detailed score breakdown for a student-listing pair
+ * GET — Get detailed score breakdown for a student-listing pair,
+ *       plus the actions that would raise the score most
  */
 
 import { NextResponse } from 'next/server';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { hasFeature } from '@/lib/tenant/features';
-import { computeMatch } from '@/lib/match-engine';
+import { computeMatch, getCounterfactuals } from '@/lib/match-engine';
 
 export async function GET(
   _request: Request,
@@ -31,9 +32,10 @@ export async function GET(
       return NextResponse.json({ error: "Cannot view other students' match details" }, { status: 403 });
     }
 
-    const result = await computeMatch(params.studentId, params.listingId, {
-      tenantId,
-    });
+    const [result, counterfactuals] = await Promise.all([
+      computeMatch(params.studentId, params.listingId, { tenantId }),
+      getCounterfactuals(params.studentId, params.listingId, { tenantId }),
+    ]);
 
     return NextResponse.json({
       studentId: params.studentId,
@@ -42,6 +44,7 @@ export async function GET(
       signals: result.signals,
       computedAt: result.computedAt,
       version: result.version,
+      counterfactuals,
     });
   } catch (error) {
     console.error('Failed to get match explanation:', error);
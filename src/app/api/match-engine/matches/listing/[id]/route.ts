@@ -1,12 +1,14 @@
 /**
  * Listing Match API
  * GET — Get student matches for a specific listing (corporate partner view)
+ *       ?diversify=true|false re-ranks for variety (defaults to the tenant setting)
+ *       ?sort=mutual ranks by likelihood of a mutual yes (no diversity re-ranking)
  */
 
 import { NextResponse } from 'next/server';
 import { getCurrentSession } from '@/lib/auth/middleware';
 import { hasFeature } from '@/lib/tenant/features';
-import { getListingMatches } from '@/lib/match-engine';
+import { getListingMatches, loadTenantConfig } from '@/lib/match-engine';
 
 export async function GET(
   request: Request,
@@ -33,17 +35,28 @@ export async function GET(
     const { searchParams } = new URL(request.url);
     const limit = Math.min(parseInt(searchParams.get('limit') || '20'), 50);
     const minScore = parseInt(searchParams.get('minScore') || '0');
+    const sort = searchParams.get('sort') === 'mutual' ? 'mutual' : 'score';
+    const diversifyParam = searchParams.get('diversify');
+    const diversify = sort !== 'mutual' && (
+      diversifyParam !== null
+        ? diversifyParam === 'true'
+        : (await loadTenantConfig(tenantId)).diversityReranking
+    );
 
     const matches = await getListingMatches(params.id, {
       limit,
       minScore,
       tenantId,
+      diversify,
+      sort,
     });
 
     return NextResponse.json({
       listingId: params.id,
       matches,
       total: matches.length,
+      diversified: diversify,
+      sort,
     });
   } catch (error) {
     console.error('Failed to get listing matches:', error);
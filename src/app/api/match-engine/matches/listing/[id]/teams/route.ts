@@ -0,0 +1,75 @@
+/**
+ * Listing Team Match API
+ * GET — Proposed teams for a listing that takes several students, with
+ *       team-level skill coverage and schedule-overlap scores
+ *       ?size= overrides the team size (defaults to the open slots)
+ */
+
+import { NextResponse } from 'next/server';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import { sql } from '@/lib/db';
+import { getListingTeams } from '@/lib/match-engine';
+
+export async function GET(
+  request: Request,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    if (session.data.role !== 'corporate_partner' && session.data.role !== 'admin' && session.data.role !== 'educational_admin') {
+      return NextResponse.json({ error: 'Corporate or admin role required' }, { status: 403 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (tenantId) {
+      const allowed = await hasFeature(tenantId, 'matchEngine');
+      if (!allowed) {
+        return NextResponse.json({ error: 'Match Engine™ requires Professional plan or higher' }, { status: 403 });
+      }
+    }
+
+    const [listing] = await sql`
+      SELECT max_students, students_accepted FROM listings WHERE id = ${params.id}
+    `;
+    if (!listing) {
+      return NextResponse.json({ error: 'Listing not found' }, { status: 404 });
+    }
+
+    const maxStudents = Number(listing.max_students) || 1;
+    if (maxStudents <= 1) {
+      return NextResponse.json({ error: 'Team matching requires a listing that takes more than one student' }, { status: 400 });
+    }
+
+    const openSlots = maxStudents - (Number(listing.students_accepted) || 0);
+    const { searchParams } = new URL(request.url);
+    const sizeParam = searchParams.get('size');
+    const size = sizeParam !== null
+      ? Math.min(Math.max(parseInt(sizeParam) || 2, 2), maxStudents)
+      : openSlots;
+    if (size < 1) {
+      return NextResponse.json({ error: 'Listing has no open slots' }, { status: 409 });
+    }
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '3'), 1), 10);
+
+    const result = await getListingTeams(params.id, { size, limit, tenantId });
+    if (!result) {
+      return NextResponse.json({ error: 'Listing not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      listingId: params.id,
+      maxStudents,
+      openSlots,
+      size: result.size,
+      teams: result.teams,
+    });
+  } catch (error) {
+    console.error('Failed to get team matches:', error);
+    return NextResponse.json({ error: 'Failed to get team matches' }, { status: 500 });
+  }
+}
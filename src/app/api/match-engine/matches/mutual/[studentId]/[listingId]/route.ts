@@ -0,0 +1,45 @@
+/**
+ * Mutual Fit API
+ * GET — Two-sided score for a student-listing pair: the student's fit for
+ *       the listing combined with the listing's appeal to that student
+ */
+
+import { NextResponse } from 'next/server';
+import { getCurrentSession } from '@/lib/auth/middleware';
+import { hasFeature } from '@/lib/tenant/features';
+import { getMutualFit } from '@/lib/match-engine';
+
+export async function GET(
+  _request: Request,
+  { params }: { params: { studentId: string; listingId: string } }
+) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const tenantId = session.data.tenantId;
+    if (tenantId) {
+      const allowed = await hasFeature(tenantId, 'matchEngine');
+      if (!allowed) {
+        return NextResponse.json({ error: 'Match Engine™ requires Professional plan or higher' }, { status: 403 });
+      }
+    }
+
+    // Students can only view their own mutual scores
+    if (session.data.role === 'student' && params.studentId !== session.data.userId) {
+      return NextResponse.json({ error: "Cannot view other students' match details" }, { status: 403 });
+    }
+
+    const result = await getMutualFit(params.studentId, params.listingId, { tenantId });
+    if (!result) {
+      return NextResponse.json({ error: 'Listing not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Failed to get mutual fit:', error);
+    return NextResponse.json({ error: 'Failed to get mutual fit' }, { status: 500 });
+  }
+}
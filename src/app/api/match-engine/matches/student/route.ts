@@ -1,6 +1,7 @@
 /**
  * Student Match API
  * GET — Get match scores for the current student
+ *       ?sort=mutual ranks by likelihood of a mutual yes
  */
 
 import { NextResponse } from 'next/server';
@@ -30,16 +31,19 @@ export async function GET(request: Request) {
     const { searchParams } = new URL(request.url);
     const limit = Math.min(parseInt(searchParams.get('limit') || '20'), 50);
     const minScore = parseInt(searchParams.get('minScore') || '0');
+    const sort = searchParams.get('sort') === 'mutual' ? 'mutual' : 'score';
 
     const matches = await getStudentMatches(session.data.userId, {
       limit,
       minScore,
       tenantId,
+      sort,
     });
 
     return NextResponse.json({
       matches,
       total: matches.length,
+      sort,
     });
   } catch (error) {
     console.error('Failed to get student matches:', error);
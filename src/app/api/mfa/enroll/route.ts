@@ -4,21 +4,23 @@
  * Begin MFA enrollment for the current user.
  * Generates a TOTP secret, QR code, and returns them to the client.
  * MFA is NOT enabled yet — user must verify the code via /api/mfa/verify.
+ * Users with passkeys must have completed MFA in this session first.
  */
 
 import { NextResponse } from 'next/server';
-import { requireAuth } from '@/lib/auth/middleware';
+import { requireMFA } from '@/lib/auth/middleware';
 import { generateTOTPSecret, getUserMFAStatus } from '@/lib/auth/mfa';
 
 export async function POST() {
   try {
-    const session = await requireAuth();
+    // A user who already has passkeys must have verified one this session
+    const session = await requireMFA();
 
-    // Check if MFA is already enabled
+    // Check if TOTP is already enabled (passkeys can be registered alongside it)
     const status = await getUserMFAStatus(session.data.userId);
-    if (status.isEnabled) {
+    if (status.totpEnabled) {
       return NextResponse.json(
-        { error: 'MFA is already enabled for this account' },
+        { error: 'Authenticator app MFA is already enabled for this account' },
         { status: 409 }
       );
     }
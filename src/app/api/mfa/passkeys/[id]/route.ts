@@ -0,0 +1,85 @@
+/**
+ * PATCH/DELETE /api/mfa/passkeys/[id]
+ *
+ * PATCH: Rename a passkey. Body: { name: string }
+ * DELETE: Revoke a passkey. Removing the last passkey of a user without
+ *         TOTP turns MFA off for their account.
+ *
+ * Both require MFA verification for the current session.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireMFA } from '@/lib/auth/middleware';
+import { deletePasskey, renamePasskey } from '@/lib/auth/passkeys';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+const renameSchema = z.object({
+  name: z.string().trim().min(1, 'Give the passkey a name').max(100),
+});
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await requireMFA();
+    const { id } = await params;
+
+    const body = await request.json();
+    const parsed = renameSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    if (!z.string().uuid().safeParse(id).success || !(await renamePasskey(session.data.userId, id, parsed.data.name))) {
+      return NextResponse.json({ error: 'Passkey not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Passkey rename error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await requireMFA();
+    const { id } = await params;
+    const { ip, userAgent } = extractRequestInfo(request);
+
+    if (!z.string().uuid().safeParse(id).success || !(await deletePasskey(session.data.userId, id))) {
+      return NextResponse.json({ error: 'Passkey not found' }, { status: 404 });
+    }
+
+    auditLog('MFA_DISABLED', {
+      ip,
+      userAgent,
+      userId: session.data.userId,
+      email: session.data.email,
+      details: { method: 'passkey', passkeyId: id },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Passkey delete error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * POST /api/mfa/passkeys/options
+ *
+ * Start a WebAuthn ceremony for the current user.
+ * Body: { purpose: 'register' | 'verify' }
+ *
+ * - register: options for navigator.credentials.create() to add a passkey.
+ *   Requires MFA verification if the user already has MFA enabled.
+ * - verify: options for navigator.credentials.get() to use a passkey as the
+ *   second factor at login (completed via POST /api/mfa/verify).
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireAuth, requireMFA, getCurrentUser } from '@/lib/auth/middleware';
+import { getUserMFAStatus } from '@/lib/auth/mfa';
+import {
+  createPasskeyAuthenticationOptions,
+  createPasskeyRegistrationOptions,
+} from '@/lib/auth/passkeys';
+
+const optionsSchema = z.object({
+  purpose: z.enum(['register', 'verify']),
+});
+
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json();
+    const parsed = optionsSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    if (parsed.data.purpose === 'register') {
+      await requireMFA();
+      const user = await getCurrentUser();
+      if (!user) {
+        return NextResponse.json({ error: 'User not found' }, { status: 404 });
+      }
+
+      const options = await createPasskeyRegistrationOptions(request, user);
+      return NextResponse.json({ options });
+    }
+
+    const session = await requireAuth();
+    const status = await getUserMFAStatus(session.data.userId);
+    if (status.passkeyCount === 0) {
+      return NextResponse.json(
+        { error: 'No passkeys are registered for this account' },
+        { status: 400 }
+      );
+    }
+
+    const options = await createPasskeyAuthenticationOptions(request, session.data.userId);
+    return NextResponse.json({ options });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Passkey options error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
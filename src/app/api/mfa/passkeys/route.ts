@@ -0,0 +1,88 @@
+/**
+ * GET/POST /api/mfa/passkeys
+ *
+ * GET: List the current user's passkeys
+ * POST: Register a passkey from a navigator.credentials.create() response
+ *       Body: { name: string, response: RegistrationResponseJSON }
+ *
+ * Registering requires MFA verification if the user already has MFA enabled.
+ * The first passkey enables MFA, so the session is marked MFA-verified.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireAuth, requireMFA } from '@/lib/auth/middleware';
+import { markSessionMFAVerified } from '@/lib/auth/mfa';
+import { listPasskeys, registerPasskey } from '@/lib/auth/passkeys';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+const registerSchema = z.object({
+  name: z.string().trim().min(1, 'Give the passkey a name').max(100),
+  response: z.object({ id: z.string(), rawId: z.string(), type: z.literal('public-key') }).passthrough(),
+});
+
+export async function GET() {
+  try {
+    const session = await requireAuth();
+    const passkeys = await listPasskeys(session.data.userId);
+
+    return NextResponse.json({ passkeys });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Passkey list error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await requireMFA();
+    const { ip, userAgent } = extractRequestInfo(request);
+    const reqInfo = { ip, userAgent, userId: session.data.userId, email: session.data.email };
+
+    const body = await request.json();
+    const parsed = registerSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    const result = await registerPasskey(
+      request,
+      session.data.userId,
+      parsed.data.name,
+      body.response
+    );
+
+    if (!result.success || !result.passkey) {
+      auditLog('MFA_FAILED', { ...reqInfo, details: { reason: 'passkey_registration_failed' } });
+      return NextResponse.json(
+        { error: result.error || 'Passkey could not be registered' },
+        { status: 400 }
+      );
+    }
+
+    await markSessionMFAVerified(session.sid);
+
+    auditLog('MFA_ENROLLED', {
+      ...reqInfo,
+      details: { method: 'passkey', passkeyId: result.passkey.id, deviceType: result.passkey.deviceType },
+    });
+
+    return NextResponse.json({ passkey: result.passkey }, { status: 201 });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+
+    console.error('Passkey registration error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
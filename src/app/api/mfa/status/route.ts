@@ -21,6 +21,8 @@ export async function GET() {
       isEnabled: status.isEnabled,
       method: status.method,
       backupCodesRemaining: status.backupCodesRemaining,
+      totpEnabled: status.totpEnabled,
+      passkeyCount: status.passkeyCount,
       isMFARequired: tenantMFARequired,
     });
   } catch (error) {
@@ -10,6 +10,10 @@
  * 2. Login verification: If MFA is already enabled, this verifies the code
  *    during login and marks the session as MFA-verified.
  *    Body: { code: string, isBackupCode?: boolean }
+ *
+ * 3. Passkey verification: verifies a WebAuthn assertion for one of the
+ *    user's passkeys (options from POST /api/mfa/passkeys/options).
+ *    Body: { passkey: AuthenticationResponseJSON }
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -20,8 +24,12 @@ import {
   verifyTOTPCode,
   verifyBackupCode,
   markSessionMFAVerified,
+  isSessionMFAVerified,
+  getUserMFAStatus,
   touchMFAUsage,
 } from '@/lib/auth/mfa';
+import { verifyPasskeyAuthentication } from '@/lib/auth/passkeys';
+import { trustLoginSession } from '@/lib/security/login-risk';
 import { auditLog, extractRequestInfo } from '@/lib/security/audit';
 
 export async function POST(request: NextRequest) {
@@ -31,7 +39,30 @@ export async function POST(request: NextRequest) {
     const reqInfo = { ip, userAgent, userId: session.data.userId, email: session.data.email };
 
     const body = await request.json();
-    const { code, secret, isBackupCode } = body;
+    const { code, secret, isBackupCode, passkey } = body;
+
+    // Case 3: Passkey assertion
+    if (passkey && typeof passkey === 'object') {
+      const result = await verifyPasskeyAuthentication(request, passkey, session.data.userId);
+
+      if (!result.success) {
+        auditLog('MFA_FAILED', { ...reqInfo, details: { reason: 'invalid_passkey' } });
+        return NextResponse.json(
+          { error: result.error || 'Passkey verification failed' },
+          { status: 400 }
+        );
+      }
+
+      await markSessionMFAVerified(session.sid);
+      await trustLoginSession(session.sid);
+
+      auditLog('MFA_VERIFIED', { ...reqInfo, details: { method: 'passkey', passkeyId: result.passkeyId } });
+
+      return NextResponse.json({
+        success: true,
+        message: 'Passkey verification successful',
+      });
+    }
 
     if (!code || typeof code !== 'string') {
       return NextResponse.json(
@@ -45,6 +76,15 @@ export async function POST(request: NextRequest) {
 
     // Case 1: Enrollment verification (MFA not yet enabled)
     if (!record || !record.isEnabled) {
+      // Enrolling TOTP must not stand in for a passkey the user hasn't verified
+      const status = await getUserMFAStatus(session.data.userId);
+      if (status.passkeyCount > 0 && !(await isSessionMFAVerified(session.sid))) {
+        return NextResponse.json(
+          { error: 'MFA verification required', code: 'MFA_REQUIRED' },
+          { status: 403 }
+        );
+      }
+
       if (!secret || typeof secret !== 'string') {
         return NextResponse.json(
           { error: 'Secret is required for enrollment verification' },
@@ -100,6 +140,7 @@ export async function POST(request: NextRequest) {
 
       await markSessionMFAVerified(session.sid);
       await touchMFAUsage(session.data.userId);
+      await trustLoginSession(session.sid);
 
       auditLog('MFA_BACKUP_USED', { ...reqInfo, details: { method: 'backup_code' } });
 
@@ -129,6 +170,7 @@ export async function POST(request: NextRequest) {
 
     await markSessionMFAVerified(session.sid);
     await touchMFAUsage(session.data.userId);
+    await trustLoginSession(session.sid);
 
     auditLog('MFA_VERIFIED', { ...reqInfo, details: { method: 'totp' } });
 
@@ -51,6 +51,7 @@ export async function GET(request: NextRequest) {
       portfolioBadgeRows,
       conversationRows,
       aiMessageRows,
+      aiMemoryRows,
       notificationRows,
       matchScoreRows,
       matchFeedbackRows,
@@ -160,7 +161,7 @@ export async function GET(request: NextRequest) {
 
       // AI conversations
       sql`
-        SELECT id, title, context_type, metadata, created_at, updated_at
+        SELECT id, title, context_type, metadata, summary, created_at, updated_at
         FROM ai_conversations
         WHERE user_id = ${userId}
         ORDER BY updated_at DESC
@@ -176,6 +177,15 @@ export async function GET(request: NextRequest) {
         ORDER BY am.created_at ASC
       `,
 
+      // AI coaching memory (long-term coaching profile)
+      sql`
+        SELECT id, category, content, source_conversation_id,
+               edited_by_student, created_at, updated_at
+        FROM ai_student_memories
+        WHERE user_id = ${userId}
+        ORDER BY created_at ASC
+      `,
+
       // Notifications
       sql`
         SELECT id, type, subject, content, data, is_read, read_at, created_at
@@ -229,6 +239,7 @@ export async function GET(request: NextRequest) {
           (msg) => msg.conversation_id === conv.id
         ),
       })),
+      aiCoachingMemory: aiMemoryRows,
       notifications: notificationRows,
       matching: {
         scores: matchScoreRows,
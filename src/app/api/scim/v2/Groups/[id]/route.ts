@@ -0,0 +1,85 @@
+/**
+ * GET/PUT/PATCH/DELETE /api/scim/v2/Groups/[id]
+ *
+ * SCIM 2.0 operations on a single group. Membership changes re-derive the
+ * roles of the users added or removed.
+ * GET: Fetch the group (excludedAttributes=members omits the member list)
+ * PUT: Replace the group's name and full member list
+ * PATCH: Rename, add or remove members
+ * DELETE: Remove the group
+ *
+ * Authenticated with a tenant SCIM bearer token.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import {
+  authenticateScimRequest,
+  deleteScimGroup,
+  getScimGroup,
+  handleScimError,
+  patchScimGroup,
+  replaceScimGroup,
+  scimResponse,
+} from '@/lib/auth/scim';
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const includeMembers = !(searchParams.get('excludedAttributes') || '').toLowerCase().includes('members');
+
+    return scimResponse(await getScimGroup(ctx, id, includeMembers));
+  } catch (error) {
+    return handleScimError(error, 'SCIM group GET');
+  }
+}
+
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+    const body = await request.json().catch(() => null);
+
+    return scimResponse(await replaceScimGroup(ctx, id, body));
+  } catch (error) {
+    return handleScimError(error, 'SCIM group PUT');
+  }
+}
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+    const body = await request.json().catch(() => null);
+
+    return scimResponse(await patchScimGroup(ctx, id, body));
+  } catch (error) {
+    return handleScimError(error, 'SCIM group PATCH');
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+
+    await deleteScimGroup(ctx, id);
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return handleScimError(error, 'SCIM group DELETE');
+  }
+}
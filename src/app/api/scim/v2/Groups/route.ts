@@ -0,0 +1,51 @@
+/**
+ * GET/POST /api/scim/v2/Groups
+ *
+ * SCIM 2.0 group provisioning for a tenant's identity provider. Groups an
+ * educational admin has mapped to a role decide their members' roles.
+ * GET: List groups, optionally filtered (displayName or externalId eq "...");
+ *      excludedAttributes=members omits member lists
+ * POST: Create a group with its members
+ *
+ * Authenticated with a tenant SCIM bearer token.
+ */
+
+import { NextRequest } from 'next/server';
+import {
+  authenticateScimRequest,
+  createScimGroup,
+  handleScimError,
+  listScimGroups,
+  parseScimFilter,
+  parseScimPagination,
+  scimResponse,
+  SCIM_FILTER_ATTRIBUTES,
+} from '@/lib/auth/scim';
+
+export async function GET(request: NextRequest) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { searchParams } = new URL(request.url);
+
+    const filter = parseScimFilter(searchParams.get('filter'), SCIM_FILTER_ATTRIBUTES.groups);
+    const includeMembers = !(searchParams.get('excludedAttributes') || '').toLowerCase().includes('members');
+    const list = await listScimGroups(ctx, filter, parseScimPagination(searchParams), includeMembers);
+
+    return scimResponse(list);
+  } catch (error) {
+    return handleScimError(error, 'SCIM groups GET');
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const body = await request.json().catch(() => null);
+
+    const group = await createScimGroup(ctx, body);
+
+    return scimResponse(group, 201);
+  } catch (error) {
+    return handleScimError(error, 'SCIM groups POST');
+  }
+}
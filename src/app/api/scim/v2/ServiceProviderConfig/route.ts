@@ -0,0 +1,46 @@
+/**
+ * GET /api/scim/v2/ServiceProviderConfig
+ *
+ * Advertises which SCIM features this service supports, so identity
+ * providers only send requests we can handle. Authenticated with a tenant
+ * SCIM bearer token.
+ */
+
+import { NextRequest } from 'next/server';
+import {
+  authenticateScimRequest,
+  handleScimError,
+  scimResponse,
+  SCIM_MAX_PAGE_SIZE,
+  SCIM_SCHEMAS,
+} from '@/lib/auth/scim';
+
+export async function GET(request: NextRequest) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+
+    return scimResponse({
+      schemas: [SCIM_SCHEMAS.serviceProviderConfig],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: SCIM_MAX_PAGE_SIZE },
+      changePassword: { supported: false },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [
+        {
+          type: 'oauthbearertoken',
+          name: 'Bearer Token',
+          description: 'Tenant SCIM token issued in the SSO settings',
+          primary: true,
+        },
+      ],
+      meta: {
+        resourceType: 'ServiceProviderConfig',
+        location: `${ctx.baseUrl}/ServiceProviderConfig`,
+      },
+    });
+  } catch (error) {
+    return handleScimError(error, 'SCIM ServiceProviderConfig GET');
+  }
+}
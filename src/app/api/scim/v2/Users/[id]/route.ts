@@ -0,0 +1,82 @@
+/**
+ * GET/PUT/PATCH/DELETE /api/scim/v2/Users/[id]
+ *
+ * SCIM 2.0 operations on a single user.
+ * GET: Fetch the user
+ * PUT: Replace the user's attributes
+ * PATCH: Partial update — `active: false` deprovisions and revokes sessions
+ * DELETE: Soft-deactivate the account and revoke its sessions
+ *
+ * Authenticated with a tenant SCIM bearer token.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import {
+  authenticateScimRequest,
+  deleteScimUser,
+  getScimUser,
+  handleScimError,
+  patchScimUser,
+  replaceScimUser,
+  scimResponse,
+} from '@/lib/auth/scim';
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+
+    return scimResponse(await getScimUser(ctx, id));
+  } catch (error) {
+    return handleScimError(error, 'SCIM user GET');
+  }
+}
+
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+    const body = await request.json().catch(() => null);
+
+    return scimResponse(await replaceScimUser(ctx, id, body));
+  } catch (error) {
+    return handleScimError(error, 'SCIM user PUT');
+  }
+}
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+    const body = await request.json().catch(() => null);
+
+    return scimResponse(await patchScimUser(ctx, id, body));
+  } catch (error) {
+    return handleScimError(error, 'SCIM user PATCH');
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { id } = await params;
+
+    await deleteScimUser(ctx, id);
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return handleScimError(error, 'SCIM user DELETE');
+  }
+}
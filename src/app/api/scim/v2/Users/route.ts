@@ -0,0 +1,48 @@
+/**
+ * GET/POST /api/scim/v2/Users
+ *
+ * SCIM 2.0 user provisioning for a tenant's identity provider.
+ * GET: List users, optionally filtered (userName, externalId or emails.value eq "...")
+ * POST: Create a user, or take over a pre-SCIM account with the same email
+ *
+ * Authenticated with a tenant SCIM bearer token.
+ */
+
+import { NextRequest } from 'next/server';
+import {
+  authenticateScimRequest,
+  createScimUser,
+  handleScimError,
+  listScimUsers,
+  parseScimFilter,
+  parseScimPagination,
+  scimResponse,
+  SCIM_FILTER_ATTRIBUTES,
+} from '@/lib/auth/scim';
+
+export async function GET(request: NextRequest) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const { searchParams } = new URL(request.url);
+
+    const filter = parseScimFilter(searchParams.get('filter'), SCIM_FILTER_ATTRIBUTES.users);
+    const list = await listScimUsers(ctx, filter, parseScimPagination(searchParams));
+
+    return scimResponse(list);
+  } catch (error) {
+    return handleScimError(error, 'SCIM users GET');
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const ctx = await authenticateScimRequest(request);
+    const body = await request.json().catch(() => null);
+
+    const user = await createScimUser(ctx, body);
+
+    return scimResponse(user, 201);
+  } catch (error) {
+    return handleScimError(error, 'SCIM users POST');
+  }
+}
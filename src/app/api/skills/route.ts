@@ -6,6 +6,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { sql } from '@/lib/db';
 import { getCurrentSession } from '@/lib/auth/middleware';
+import { invalidateStudentScores } from '@/lib/match-engine';
 
 export async function GET(request: NextRequest) {
   try {
@@ -88,6 +89,9 @@ export async function POST(request: NextRequest) {
       }
     }
 
+    // Skills feed the match engine — requeue this student's cached pairs
+    await invalidateStudentScores(session.data.userId, 'skill_change');
+
     // Return updated skills
     const userSkills = await sql`
       SELECT s.id, s.name, s.category
@@ -20,7 +20,7 @@ import {
   handleOIDCCallback,
   findOrCreateSSOUser,
 } from '@/lib/auth/sso';
-import { createSession } from '@/lib/auth/session';
+import { createSession, sessionClientInfo } from '@/lib/auth/session';
 import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
 import { auditLog, extractRequestInfo } from '@/lib/security/audit';
 import type { SessionData } from '@/lib/auth/types';
@@ -119,6 +119,20 @@ export async function GET(request: NextRequest) {
       config.defaultRole
     );
 
+    if (user.deprovisioned) {
+      await auditLog('AUTH_FAILURE', {
+        userId: user.userId,
+        email: user.email,
+        ip,
+        userAgent,
+        path: '/api/sso/oidc/callback',
+        details: { method: 'oidc', reason: 'deprovisioned' },
+      });
+      const loginUrl = new URL('/login', request.url);
+      loginUrl.searchParams.set('error', 'account_deactivated');
+      return NextResponse.redirect(loginUrl);
+    }
+
     // Create session
     const sid = generateSessionId();
     const sessionData: SessionData = {
@@ -127,6 +141,8 @@ export async function GET(request: NextRequest) {
       role: user.role as SessionData['role'],
       tenantId,
       createdAt: Date.now(),
+      authMethod: 'sso',
+      ...sessionClientInfo(request),
     };
 
     await createSession(sid, sessionData);
@@ -19,7 +19,7 @@ import {
   validateSAMLResponse,
   findOrCreateSSOUser,
 } from '@/lib/auth/sso';
-import { createSession } from '@/lib/auth/session';
+import { createSession, sessionClientInfo } from '@/lib/auth/session';
 import { generateSessionId, setSessionCookie } from '@/lib/auth/cookies';
 import { auditLog, extractRequestInfo } from '@/lib/security/audit';
 import type { SessionData } from '@/lib/auth/types';
@@ -115,6 +115,21 @@ export async function POST(request: NextRequest) {
       config.defaultRole
     );
 
+    if (user.deprovisioned) {
+      await auditLog('AUTH_FAILURE', {
+        userId: user.userId,
+        email: user.email,
+        ip,
+        userAgent,
+        path: '/api/sso/saml/callback',
+        details: { method: 'saml', reason: 'deprovisioned' },
+      });
+      return redirectWithError(
+        'Your account has been deactivated. Please contact your administrator.',
+        tenantId
+      );
+    }
+
     // Create session
     const sid = generateSessionId();
     const sessionData: SessionData = {
@@ -123,6 +138,8 @@ export async function POST(request: NextRequest) {
       role: user.role as SessionData['role'],
       tenantId,
       createdAt: Date.now(),
+      authMethod: 'sso',
+      ...sessionClientInfo(request),
     };
 
     await createSession(sid, sessionData);
@@ -0,0 +1,183 @@
+/**
+ * GET/POST/PATCH/DELETE /api/sso/scim
+ *
+ * SCIM provisioning management for educational admins.
+ * GET: SCIM base URL, issued tokens and the groups pushed by the IdP
+ * POST: Issue a bearer token (returned once) — requires SSO to be configured
+ * PATCH: Map a group to a role (student, educational_admin) or clear it
+ * DELETE: Revoke a token (?tokenId=)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { z } from 'zod';
+import { requireRole } from '@/lib/auth/middleware';
+import { getTenantSSOConfig } from '@/lib/auth/sso';
+import {
+  createScimToken,
+  listScimGroupMappings,
+  listScimTokens,
+  revokeScimToken,
+  setScimGroupRole,
+  SCIM_ROLES,
+} from '@/lib/auth/scim';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+const createTokenSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+});
+
+const groupRoleSchema = z.object({
+  groupId: z.string().uuid(),
+  role: z.enum(SCIM_ROLES).nullable(),
+});
+
+function noTenant() {
+  return NextResponse.json(
+    { error: 'No tenant associated with this account' },
+    { status: 400 }
+  );
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await requireRole('educational_admin', 'admin');
+    const tenantId = session.data.tenantId;
+    if (!tenantId) return noTenant();
+
+    const [tokens, groups] = await Promise.all([
+      listScimTokens(tenantId),
+      listScimGroupMappings(tenantId),
+    ]);
+
+    return NextResponse.json({
+      scimUrl: `${new URL(request.url).origin}/api/scim/v2`,
+      tokens,
+      groups,
+    });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('SCIM settings GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await requireRole('educational_admin', 'admin');
+    const tenantId = session.data.tenantId;
+    if (!tenantId) return noTenant();
+
+    const body = await request.json();
+    const parsed = createTokenSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    const config = await getTenantSSOConfig(tenantId);
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Configure SSO before enabling SCIM provisioning' },
+        { status: 400 }
+      );
+    }
+
+    const token = await createScimToken(tenantId, parsed.data.name, session.data.userId);
+
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/sso/scim',
+      resource: 'scim_tokens',
+      resourceId: token.id,
+      details: { action: 'scim_token_created', tenantId, name: token.name },
+    });
+
+    return NextResponse.json({ token }, { status: 201 });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('SCIM token POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function PATCH(request: NextRequest) {
+  try {
+    const session = await requireRole('educational_admin', 'admin');
+    const tenantId = session.data.tenantId;
+    if (!tenantId) return noTenant();
+
+    const body = await request.json();
+    const parsed = groupRoleSchema.safeParse(body);
+    if (!parsed.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: parsed.error.flatten() },
+        { status: 400 }
+      );
+    }
+
+    const { ip, userAgent } = extractRequestInfo(request);
+    const updated = await setScimGroupRole(
+      { tenantId, ip, userAgent, path: '/api/sso/scim', userId: session.data.userId },
+      parsed.data.groupId,
+      parsed.data.role
+    );
+    if (!updated) {
+      return NextResponse.json({ error: 'Group not found' }, { status: 404 });
+    }
+
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ip,
+      userAgent,
+      path: '/api/sso/scim',
+      resource: 'scim_groups',
+      resourceId: parsed.data.groupId,
+      details: { action: 'scim_group_role_mapped', tenantId, role: parsed.data.role },
+    });
+
+    return NextResponse.json({ groups: await listScimGroupMappings(tenantId) });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('SCIM group mapping PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    const session = await requireRole('educational_admin', 'admin');
+    const tenantId = session.data.tenantId;
+    if (!tenantId) return noTenant();
+
+    const tokenId = new URL(request.url).searchParams.get('tokenId');
+    if (!tokenId || !z.string().uuid().safeParse(tokenId).success) {
+      return NextResponse.json({ error: 'tokenId is required' }, { status: 400 });
+    }
+
+    const revoked = await revokeScimToken(tenantId, tokenId);
+    if (!revoked) {
+      return NextResponse.json({ error: 'Token not found' }, { status: 404 });
+    }
+
+    await auditLog('ADMIN_ACTION', {
+      userId: session.data.userId,
+      email: session.data.email,
+      ...extractRequestInfo(request),
+      path: '/api/sso/scim',
+      resource: 'scim_tokens',
+      resourceId: tokenId,
+      details: { action: 'scim_token_revoked', tenantId },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error instanceof NextResponse) return error;
+    console.error('SCIM token DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,146 @@
+'use client';
+
+/**
+ * Audit Integrity Card
+ *
+ * Runs hash-chain verification for the selected tenant (or every tenant)
+ * and lists any modified entries, sequence gaps or broken links it finds.
+ */
+
+import { useState } from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { AlertCircle, Loader2, ShieldAlert, ShieldCheck } from 'lucide-react';
+
+interface ChainIssue {
+  type: string;
+  seq: number;
+  entryId?: string;
+  detail: string;
+}
+
+interface ChainReport {
+  chainKey: string;
+  tenantName: string | null;
+  verified: boolean;
+  entriesChecked: number;
+  firstSeq: number | null;
+  lastSeq: number | null;
+  archivedThroughSeq: number;
+  recordedHeadSeq: number | null;
+  issues: ChainIssue[];
+}
+
+const issueLabels: Record<string, string> = {
+  modified: 'Modified',
+  missing: 'Missing entries',
+  broken_link: 'Broken link',
+  truncated_head: 'Truncated start',
+  truncated_tail: 'Truncated end',
+};
+
+interface AuditIntegrityCardProps {
+  /** Tenant ID or 'platform'; empty verifies every chain */
+  chainKey: string;
+}
+
+export function AuditIntegrityCard({ chainKey }: AuditIntegrityCardProps) {
+  const [reports, setReports] = useState<ChainReport[] | null>(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleVerify = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      const params = chainKey ? `?chain=${encodeURIComponent(chainKey)}` : '';
+      const res = await fetch(`/api/admin/audit-log/verify${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Verification failed');
+      setReports(data.chains || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Verification failed');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <ShieldCheck className="h-5 w-5 text-teal-600" />
+          Integrity
+        </CardTitle>
+        <CardDescription>
+          Every entry is hash-chained to the one before it. Verification recomputes each
+          hash and reports any entry that was edited, removed or inserted out of order.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <Button onClick={handleVerify} disabled={checking} variant="outline">
+          {checking ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <ShieldCheck className="h-4 w-4 mr-2" />}
+          {chainKey ? 'Verify this tenant' : 'Verify all tenants'}
+        </Button>
+
+        {reports && reports.length === 0 && (
+          <p className="text-sm text-slate-500">No chained entries to verify yet.</p>
+        )}
+
+        {reports && reports.length > 0 && (
+          <div className="divide-y rounded-lg border">
+            {reports.map((report) => (
+              <div key={report.chainKey} className="p-3 space-y-2">
+                <div className="flex items-center justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-medium text-slate-900 dark:text-white">
+                      {report.tenantName || (report.chainKey === 'platform' ? 'Platform' : report.chainKey)}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {report.entriesChecked} entries checked
+                      {report.firstSeq !== null && ` · #${report.firstSeq}–#${report.lastSeq}`}
+                      {report.archivedThroughSeq > 0 && ` · #1–#${report.archivedThroughSeq} archived`}
+                      {report.recordedHeadSeq !== null && ` · head #${report.recordedHeadSeq} checked against off-database copy`}
+                    </p>
+                  </div>
+                  {report.verified ? (
+                    <Badge className="bg-green-600">Verified</Badge>
+                  ) : (
+                    <Badge variant="destructive" className="flex items-center gap-1">
+                      <ShieldAlert className="h-3 w-3" />
+                      {report.issues.length} issue{report.issues.length !== 1 ? 's' : ''}
+                    </Badge>
+                  )}
+                </div>
+                {report.issues.length > 0 && (
+                  <ul className="space-y-1">
+                    {report.issues.map((issue, i) => (
+                      <li key={i} className="text-xs text-red-600 dark:text-red-400">
+                        <span className="font-medium">#{issue.seq} {issueLabels[issue.type] || issue.type}:</span>{' '}
+                        {issue.detail}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
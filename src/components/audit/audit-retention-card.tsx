@@ -0,0 +1,219 @@
+'use client';
+
+/**
+ * Audit Retention Card
+ *
+ * Sets how long a tenant's audit log is kept live. Older entries are
+ * archived to NDJSON by the retention job; archives can be downloaded here.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertCircle, Archive, Download, Loader2 } from 'lucide-react';
+
+interface RetentionSetting {
+  chainKey: string;
+  tenantName: string | null;
+  retentionDays: number;
+  isDefault: boolean;
+  liveEntries: number;
+  oldestEntryAt: string | null;
+}
+
+interface AuditArchive {
+  id: string;
+  fromSeq: number;
+  toSeq: number;
+  entryCount: number;
+  oldestAt: string;
+  newestAt: string;
+  sizeBytes: number;
+  createdAt: string;
+}
+
+interface AuditRetentionCardProps {
+  /** Tenant ID or 'platform' */
+  chainKey: string;
+}
+
+function formatSize(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function AuditRetentionCard({ chainKey }: AuditRetentionCardProps) {
+  const [setting, setSetting] = useState<RetentionSetting | null>(null);
+  const [limits, setLimits] = useState({ min: 90, max: 3650, default: 2555 });
+  const [canShorten, setCanShorten] = useState(false);
+  const [archives, setArchives] = useState<AuditArchive[]>([]);
+  const [days, setDays] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchRetention = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = `?chain=${encodeURIComponent(chainKey)}`;
+      const [retentionRes, archivesRes] = await Promise.all([
+        fetch(`/api/admin/audit-log/retention${params}`),
+        fetch(`/api/admin/audit-log/archives${params}`),
+      ]);
+      const retention = await retentionRes.json();
+      const archiveData = await archivesRes.json();
+      if (!retentionRes.ok) throw new Error(retention.error);
+
+      const current: RetentionSetting | null = retention.settings?.[0] || null;
+      setSetting(current);
+      setLimits({
+        min: retention.minRetentionDays,
+        max: retention.maxRetentionDays,
+        default: retention.defaultRetentionDays,
+      });
+      setCanShorten(retention.canShorten === true);
+      setDays(current && !current.isDefault ? String(current.retentionDays) : '');
+      setArchives(archiveData.archives || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load retention settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [chainKey]);
+
+  useEffect(() => {
+    fetchRetention();
+  }, [fetchRetention]);
+
+  const saveRetention = async (retentionDays: number | null) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/admin/audit-log/retention', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chainKey, retentionDays }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save retention');
+      await fetchRetention();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save retention');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Tenant admins can only lengthen retention
+  const minDays = canShorten || !setting ? limits.min : Math.max(limits.min, setting.retentionDays);
+  const parsedDays = parseInt(days);
+  const daysValid = !isNaN(parsedDays) && parsedDays >= minDays && parsedDays <= limits.max;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Archive className="h-5 w-5 text-teal-600" />
+          Retention
+        </CardTitle>
+        <CardDescription>
+          Entries older than the retention window are archived to NDJSON and removed from
+          the live log. The chain continues from the archive, so verification still works.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <Skeleton className="h-24" />
+        ) : !setting ? (
+          <p className="text-sm text-slate-500">No audit entries have been recorded for this tenant yet.</p>
+        ) : (
+          <>
+            <p className="text-sm text-slate-500">
+              {setting.liveEntries.toLocaleString()} live entries
+              {setting.oldestEntryAt && ` since ${new Date(setting.oldestEntryAt).toLocaleDateString()}`}
+              {' · '}
+              Keeping {setting.retentionDays} days{setting.isDefault && ' (platform default)'}
+            </p>
+
+            <div className="space-y-2">
+              <Label htmlFor="retentionDays">Retention (days)</Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  id="retentionDays"
+                  type="number"
+                  min={minDays}
+                  max={limits.max}
+                  value={days}
+                  onChange={(e) => setDays(e.target.value)}
+                  placeholder={`Default: ${limits.default}`}
+                  className="w-40"
+                />
+                <Button onClick={() => saveRetention(parsedDays)} disabled={saving || !daysValid}>
+                  {saving && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                  Save
+                </Button>
+                {!setting.isDefault && (canShorten || limits.default >= setting.retentionDays) && (
+                  <Button variant="ghost" onClick={() => saveRetention(null)} disabled={saving}>
+                    Use default
+                  </Button>
+                )}
+              </div>
+              <p className="text-xs text-slate-400">
+                Between {minDays} and {limits.max} days.
+                {!canShorten && ' Only platform admins can shorten retention.'}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Archives</Label>
+              {archives.length === 0 ? (
+                <p className="text-sm text-slate-500">Nothing has been archived yet.</p>
+              ) : (
+                <div className="divide-y rounded-lg border">
+                  {archives.map((archive) => (
+                    <div key={archive.id} className="flex items-center justify-between gap-3 p-3">
+                      <div>
+                        <p className="text-sm font-medium text-slate-900 dark:text-white">
+                          Entries #{archive.fromSeq}–#{archive.toSeq}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          {new Date(archive.oldestAt).toLocaleDateString()} – {new Date(archive.newestAt).toLocaleDateString()}
+                          {' · '}{archive.entryCount.toLocaleString()} entries · {formatSize(archive.sizeBytes)}
+                        </p>
+                      </div>
+                      <Button variant="ghost" size="sm" asChild>
+                        <a href={`/api/admin/audit-log/archives/${archive.id}`}>
+                          <Download className="h-3.5 w-3.5 mr-1" />
+                          NDJSON
+                        </a>
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
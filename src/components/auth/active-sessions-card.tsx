@@ -0,0 +1,178 @@
+'use client';
+
+/**
+ * Active Sessions Card
+ *
+ * Lists every device signed in to the account — browser and OS, IP,
+ * sign-in method, MFA status and last activity — and lets the user revoke
+ * any of them or sign out everywhere else. Shown on the security settings page.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertCircle, Laptop, LogOut, ShieldCheck } from 'lucide-react';
+
+interface ActiveSession {
+  id: string;
+  current: boolean;
+  authMethod: 'password' | 'passkey' | 'sso' | null;
+  mfaVerified: boolean;
+  ip: string | null;
+  device: string;
+  createdAt: string;
+  lastActivityAt: string;
+}
+
+const authMethodLabels: Record<string, string> = {
+  password: 'Password',
+  passkey: 'Passkey',
+  sso: 'SSO',
+};
+
+function formatDateTime(value: string): string {
+  return new Date(value).toLocaleString();
+}
+
+export function ActiveSessionsCard() {
+  const [sessions, setSessions] = useState<ActiveSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth/sessions');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setSessions(data.sessions || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to sign out session');
+      if (data.current) {
+        window.location.href = '/login';
+        return;
+      }
+      await fetchSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out session');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/auth/sessions', { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to sign out other sessions');
+      await fetchSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out other sessions');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const otherSessions = sessions.filter((s) => !s.current).length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Laptop className="h-5 w-5 text-teal-600" />
+          Active Sessions
+        </CardTitle>
+        <CardDescription>
+          Devices currently signed in to your account. If you don&apos;t recognise one,
+          sign it out and change your password.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <Skeleton className="h-24" />
+        ) : (
+          <>
+            <div className="divide-y rounded-lg border">
+              {sessions.map((session) => (
+                <div key={session.id} className="flex items-center justify-between gap-3 p-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                      {session.device}
+                      {session.current && (
+                        <Badge className="bg-green-600">This device</Badge>
+                      )}
+                    </p>
+                    <p className="text-xs text-slate-500 flex flex-wrap items-center gap-x-2">
+                      <span>{session.ip || 'Unknown IP'}</span>
+                      <span>· {session.authMethod ? authMethodLabels[session.authMethod] : 'Unknown sign-in'}</span>
+                      {session.mfaVerified && (
+                        <span className="flex items-center gap-0.5">
+                          · <ShieldCheck className="h-3 w-3 text-green-600" /> MFA
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      Signed in {formatDateTime(session.createdAt)} · Last active {formatDateTime(session.lastActivityAt)}
+                    </p>
+                  </div>
+                  <Button variant="ghost" size="sm" onClick={() => handleRevoke(session.id)} disabled={busy}>
+                    <LogOut className="h-3.5 w-3.5 mr-1" />
+                    Sign out
+                  </Button>
+                </div>
+              ))}
+            </div>
+
+            {otherSessions > 0 && (
+              <div className="flex justify-end">
+                <Button
+                  variant="outline"
+                  className="text-red-600 border-red-200 hover:bg-red-50 dark:border-red-800 dark:hover:bg-red-900/20"
+                  onClick={handleRevokeOthers}
+                  disabled={busy}
+                >
+                  <LogOut className="h-4 w-4 mr-2" />
+                  Sign out all other sessions
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
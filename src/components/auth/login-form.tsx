@@ -4,13 +4,18 @@
  * Login Form Component
  *
  * Email + password login with error handling and loading state.
- * Integrates with MFA challenge when the user has MFA enabled.
+ * Integrates with MFA challenge when the user has MFA enabled, and with an
+ * emailed-code challenge when an unusual sign-in is stepped up.
  * Shows SSO button when the tenant has SSO configured.
+ * Offers passwordless sign-in with a passkey when the browser supports it.
  */
 
 import { useState, useEffect } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import Link from 'next/link';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import { Fingerprint } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -23,6 +28,7 @@ import {
   CardTitle,
 } from '@/components/ui/card';
 import { MFAChallenge } from './mfa-challenge';
+import { LoginVerificationChallenge } from './login-verification-challenge';
 
 interface LoginUser {
   id: string;
@@ -52,6 +58,14 @@ export function LoginForm() {
   // MFA challenge state
   const [showMFA, setShowMFA] = useState(false);
   const [mfaUser, setMfaUser] = useState<LoginUser | null>(null);
+  const [mfaMethods, setMfaMethods] = useState<{ totp: boolean; passkey: boolean } | undefined>();
+
+  // Email step-up state (unusual sign-in)
+  const [emailChallenge, setEmailChallenge] = useState<{ challengeId: string; email: string } | null>(null);
+
+  // Passkey state
+  const [passkeySupported, setPasskeySupported] = useState(false);
+  const [passkeyLoading, setPasskeyLoading] = useState(false);
 
   // SSO state
   const [ssoInfo, setSsoInfo] = useState<SSOInfo | null>(null);
@@ -66,9 +80,15 @@ export function LoginForm() {
       setError(desc || 'SSO authentication failed. Please try again.');
     } else if (ssoError === 'not_provisioned') {
       setError('Your account has not been provisioned. Please contact your administrator.');
+    } else if (ssoError === 'account_deactivated') {
+      setError('Your account has been deactivated. Please contact your administrator.');
     }
   }, [searchParams]);
 
+  useEffect(() => {
+    setPasskeySupported(browserSupportsWebAuthn());
+  }, []);
+
   // Detect tenant from URL (subdomain or query param)
   useEffect(() => {
     let detectedTenant: string | null = null;
@@ -106,6 +126,48 @@ export function LoginForm() {
     }
   }, [searchParams]);
 
+  const redirectToDashboard = (role: string, tenantSubdomain: string | null) => {
+    const dashboardRoutes: Record<string, string> = {
+      admin: '/admin',
+      student: '/dashboard',
+      corporate_partner: '/corporate',
+      educational_admin: '/education',
+    };
+
+    const dashboardPath = dashboardRoutes[role] || '/dashboard';
+
+    // Cross-tenant redirect: if on a custom domain (proveground.com, street2ivy.com)
+    // and the user belongs to a different tenant, redirect to their subdomain.
+    // On Heroku/Vercel/localhost, subdomain routing isn't available so we just
+    // navigate to the dashboard — the session already has the correct tenantId.
+    if (tenantSubdomain && typeof window !== 'undefined') {
+      const host = window.location.hostname.split(':')[0];
+
+      // Only attempt subdomain redirect on custom domains that support wildcards
+      const SUBDOMAIN_DOMAINS = ['proveground.com', 'street2ivy.com'];
+      const matchedDomain = SUBDOMAIN_DOMAINS.find(
+        (d) => host === d || host === `www.${d}` || host.endsWith(`.${d}`)
+      );
+
+      if (matchedDomain) {
+        // Check if already on the correct tenant subdomain
+        const currentSubdomain = host.endsWith(`.${matchedDomain}`)
+          ? host.slice(0, -(matchedDomain.length + 1))
+          : null;
+
+        if (currentSubdomain !== tenantSubdomain) {
+          const protocol = window.location.protocol;
+          window.location.href = `${protocol}//${tenantSubdomain}.${matchedDomain}${dashboardPath}`;
+          return;
+        }
+      }
+      // On Heroku/Vercel/localhost: fall through to normal router.push below
+    }
+
+    router.push(dashboardPath);
+    router.refresh();
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -125,53 +187,21 @@ export function LoginForm() {
         return;
       }
 
+      // Unusual sign-in — confirm with the code we emailed
+      if (data.requiresEmailVerification) {
+        setEmailChallenge({ challengeId: data.challengeId, email: data.email });
+        return;
+      }
+
       // Check if MFA is required
       if (data.requiresMFA) {
         setMfaUser(data.user);
+        setMfaMethods(data.mfaMethods);
         setShowMFA(true);
         return;
       }
 
-      // Redirect based on role
-      const dashboardRoutes: Record<string, string> = {
-        admin: '/admin',
-        student: '/dashboard',
-        corporate_partner: '/corporate',
-        educational_admin: '/education',
-      };
-
-      const dashboardPath = dashboardRoutes[data.user.role] || '/dashboard';
-
-      // Cross-tenant redirect: if on a custom domain (proveground.com, street2ivy.com)
-      // and the user belongs to a different tenant, redirect to their subdomain.
-      // On Heroku/Vercel/localhost, subdomain routing isn't available so we just
-      // navigate to the dashboard — the session already has the correct tenantId.
-      if (data.tenantSubdomain && typeof window !== 'undefined') {
-        const host = window.location.hostname.split(':')[0];
-
-        // Only attempt subdomain redirect on custom domains that support wildcards
-        const SUBDOMAIN_DOMAINS = ['proveground.com', 'street2ivy.com'];
-        const matchedDomain = SUBDOMAIN_DOMAINS.find(
-          (d) => host === d || host === `www.${d}` || host.endsWith(`.${d}`)
-        );
-
-        if (matchedDomain) {
-          // Check if already on the correct tenant subdomain
-          const currentSubdomain = host.endsWith(`.${matchedDomain}`)
-            ? host.slice(0, -(matchedDomain.length + 1))
-            : null;
-
-          if (currentSubdomain !== data.tenantSubdomain) {
-            const protocol = window.location.protocol;
-            window.location.href = `${protocol}//${data.tenantSubdomain}.${matchedDomain}${dashboardPath}`;
-            return;
-          }
-        }
-        // On Heroku/Vercel/localhost: fall through to normal router.push below
-      }
-
-      router.push(dashboardPath);
-      router.refresh();
+      redirectToDashboard(data.user.role, data.tenantSubdomain);
     } catch {
       setError('An unexpected error occurred. Please try again.');
     } finally {
@@ -179,6 +209,42 @@ export function LoginForm() {
     }
   };
 
+  const handlePasskeyLogin = async () => {
+    setError('');
+    setPasskeyLoading(true);
+
+    try {
+      const optionsRes = await csrfFetch('/api/auth/passkey/options', { method: 'POST' });
+      const optionsData = await optionsRes.json();
+      if (!optionsRes.ok) {
+        setError(optionsData.error || 'Could not start passkey sign-in');
+        return;
+      }
+
+      const response = await startAuthentication({ optionsJSON: optionsData.options });
+
+      const res = await csrfFetch('/api/auth/passkey', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || 'Passkey sign-in failed');
+        return;
+      }
+
+      redirectToDashboard(data.user.role, data.tenantSubdomain);
+    } catch (err) {
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      if (!(err instanceof Error && err.name === 'NotAllowedError')) {
+        setError('An unexpected error occurred. Please try again.');
+      }
+    } finally {
+      setPasskeyLoading(false);
+    }
+  };
+
   const handleSSOLogin = () => {
     if (!tenant || !ssoInfo) return;
     const ssoUrl =
@@ -193,9 +259,34 @@ export function LoginForm() {
     return (
       <MFAChallenge
         user={mfaUser}
+        methods={mfaMethods}
         onBack={() => {
           setShowMFA(false);
           setMfaUser(null);
+          setMfaMethods(undefined);
+          setPassword('');
+        }}
+      />
+    );
+  }
+
+  if (emailChallenge) {
+    return (
+      <LoginVerificationChallenge
+        challengeId={emailChallenge.challengeId}
+        email={emailChallenge.email}
+        onSuccess={(data) => {
+          setEmailChallenge(null);
+          if (data.requiresMFA) {
+            setMfaUser(data.user as LoginUser);
+            setMfaMethods(data.mfaMethods);
+            setShowMFA(true);
+            return;
+          }
+          redirectToDashboard(data.user.role, data.tenantSubdomain);
+        }}
+        onBack={() => {
+          setEmailChallenge(null);
           setPassword('');
         }}
       />
@@ -309,6 +400,20 @@ export function LoginForm() {
             </Button>
           </form>
         )}
+
+        {/* Passwordless sign-in (hidden when SSO is enforced) */}
+        {showPasswordForm && passkeySupported && (
+          <Button
+            type="button"
+            variant="outline"
+            className="w-full"
+            onClick={handlePasskeyLogin}
+            disabled={passkeyLoading || loading}
+          >
+            <Fingerprint className="h-4 w-4 mr-2" />
+            {passkeyLoading ? 'Waiting for passkey...' : 'Sign in with a passkey'}
+          </Button>
+        )}
       </CardContent>
 
       <CardFooter className="flex flex-col space-y-4">
@@ -0,0 +1,138 @@
+'use client';
+
+/**
+ * Login Verification Challenge Component
+ *
+ * Shown during login when the sign-in looks unusual. Accepts the 6-digit
+ * code emailed to the user; users with MFA are asked for it afterwards.
+ */
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Mail, AlertCircle } from 'lucide-react';
+
+interface LoginVerificationChallengeProps {
+  /** Challenge ID from the login response */
+  challengeId: string;
+  /** Masked email the code was sent to */
+  email: string;
+  /** Callback with the login verify response when the code is accepted */
+  onSuccess: (data: {
+    user: { role: string };
+    tenantSubdomain: string | null;
+    requiresMFA?: boolean;
+    mfaMethods?: { totp: boolean; passkey: boolean };
+  }) => void;
+  /** Callback to go back to login */
+  onBack?: () => void;
+}
+
+export function LoginVerificationChallenge({
+  challengeId,
+  email,
+  onSuccess,
+  onBack,
+}: LoginVerificationChallengeProps) {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const res = await fetch('/api/auth/login/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeId, code }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.error || 'Verification failed');
+        return;
+      }
+
+      onSuccess(data);
+    } catch {
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="space-y-1">
+        <CardTitle className="text-2xl text-center flex items-center justify-center gap-2">
+          <Mail className="h-6 w-6 text-teal-600" />
+          Confirm It&apos;s You
+        </CardTitle>
+        <CardDescription className="text-center">
+          This sign-in looks different from usual. Enter the 6-digit code we sent to {email}
+        </CardDescription>
+      </CardHeader>
+      <form onSubmit={handleSubmit}>
+        <CardContent className="space-y-4">
+          {error && (
+            <div className="p-3 text-sm text-red-600 bg-red-50 dark:bg-red-900/20 dark:text-red-400 rounded-md flex items-center gap-2">
+              <AlertCircle className="h-4 w-4 shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="loginCode">Verification Code</Label>
+            <Input
+              id="loginCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              placeholder="000000"
+              maxLength={6}
+              autoFocus
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              className="font-mono text-2xl tracking-[0.5em] text-center"
+            />
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              The code expires in 10 minutes
+            </p>
+          </div>
+        </CardContent>
+
+        <CardFooter className="flex flex-col space-y-4">
+          <Button
+            type="submit"
+            className="w-full bg-teal-600 hover:bg-teal-700"
+            disabled={loading || code.length !== 6}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </Button>
+
+          {onBack && (
+            <button
+              type="button"
+              onClick={onBack}
+              className="text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-300"
+            >
+              Back to login
+            </button>
+          )}
+        </CardFooter>
+      </form>
+    </Card>
+  );
+}
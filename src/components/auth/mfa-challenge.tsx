@@ -4,12 +4,14 @@
  * MFA Challenge Component
  *
  * Shown during login when the user has MFA enabled.
- * Accepts a 6-digit TOTP code or a backup code.
+ * Accepts a 6-digit TOTP code, a backup code, or a registered passkey.
  * On success, redirects to the appropriate dashboard.
  */
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -21,7 +23,7 @@ import {
   CardHeader,
   CardTitle,
 } from '@/components/ui/card';
-import { Shield, KeyRound, AlertCircle } from 'lucide-react';
+import { Shield, KeyRound, AlertCircle, Fingerprint } from 'lucide-react';
 
 interface MFAChallengeProps {
   /** User data from the login response (for redirect routing) */
@@ -35,19 +37,84 @@ interface MFAChallengeProps {
     emailVerified: boolean;
     avatarUrl: string | null;
   };
+  /** Second factors the user has set up (defaults to authenticator app only) */
+  methods?: { totp: boolean; passkey: boolean };
   /** Callback when MFA verification succeeds */
   onSuccess?: () => void;
   /** Callback to go back to login */
   onBack?: () => void;
 }
 
-export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
+export function MFAChallenge({
+  user,
+  methods = { totp: true, passkey: false },
+  onSuccess,
+  onBack,
+}: MFAChallengeProps) {
   const router = useRouter();
   const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [useBackupCode, setUseBackupCode] = useState(false);
 
+  const handleVerified = () => {
+    if (onSuccess) {
+      onSuccess();
+    } else {
+      // Default redirect based on role
+      const dashboardRoutes: Record<string, string> = {
+        admin: '/admin',
+        student: '/dashboard',
+        corporate_partner: '/corporate',
+        educational_admin: '/education',
+      };
+      router.push(dashboardRoutes[user.role] || '/dashboard');
+      router.refresh();
+    }
+  };
+
+  const handlePasskey = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const optionsRes = await csrfFetch('/api/mfa/passkeys/options', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ purpose: 'verify' }),
+      });
+      const optionsData = await optionsRes.json();
+      if (!optionsRes.ok) {
+        setError(optionsData.error || 'Could not start passkey verification');
+        return;
+      }
+
+      const passkey = await startAuthentication({ optionsJSON: optionsData.options });
+
+      const res = await csrfFetch('/api/mfa/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passkey }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || 'Verification failed');
+        return;
+      }
+
+      handleVerified();
+    } catch (err) {
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      setError(
+        err instanceof Error && err.name === 'NotAllowedError'
+          ? 'Passkey verification was cancelled.'
+          : 'An unexpected error occurred. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -71,19 +138,7 @@ export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
       }
 
       // Verification succeeded
-      if (onSuccess) {
-        onSuccess();
-      } else {
-        // Default redirect based on role
-        const dashboardRoutes: Record<string, string> = {
-          admin: '/admin',
-          student: '/dashboard',
-          corporate_partner: '/corporate',
-          educational_admin: '/education',
-        };
-        router.push(dashboardRoutes[user.role] || '/dashboard');
-        router.refresh();
-      }
+      handleVerified();
     } catch {
       setError('An unexpected error occurred. Please try again.');
     } finally {
@@ -101,7 +156,9 @@ export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
         <CardDescription className="text-center">
           {useBackupCode
             ? 'Enter one of your backup codes'
-            : 'Enter the 6-digit code from your authenticator app'}
+            : methods.totp
+              ? 'Enter the 6-digit code from your authenticator app'
+              : 'Confirm it\'s you with one of your passkeys'}
         </CardDescription>
       </CardHeader>
       <form onSubmit={handleSubmit}>
@@ -113,6 +170,19 @@ export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
             </div>
           )}
 
+          {methods.passkey && !useBackupCode && (
+            <Button
+              type="button"
+              variant="outline"
+              className="w-full"
+              onClick={handlePasskey}
+              disabled={loading}
+            >
+              <Fingerprint className="h-4 w-4 mr-2" />
+              Use a passkey
+            </Button>
+          )}
+
           {useBackupCode ? (
             <div className="space-y-2">
               <Label htmlFor="backupCode">Backup Code</Label>
@@ -129,7 +199,7 @@ export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
                 Each backup code can only be used once
               </p>
             </div>
-          ) : (
+          ) : methods.totp && (
             <div className="space-y-2">
               <Label htmlFor="totpCode">Verification Code</Label>
               <Input
@@ -151,27 +221,31 @@ export function MFAChallenge({ user, onSuccess, onBack }: MFAChallengeProps) {
         </CardContent>
 
         <CardFooter className="flex flex-col space-y-4">
-          <Button
-            type="submit"
-            className="w-full bg-teal-600 hover:bg-teal-700"
-            disabled={loading || (useBackupCode ? code.trim().length < 4 : code.length !== 6)}
-          >
-            {loading ? 'Verifying...' : 'Verify'}
-          </Button>
+          {(methods.totp || useBackupCode) && (
+            <Button
+              type="submit"
+              className="w-full bg-teal-600 hover:bg-teal-700"
+              disabled={loading || (useBackupCode ? code.trim().length < 4 : code.length !== 6)}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+          )}
 
           <div className="flex flex-col items-center gap-2 text-sm">
-            <button
-              type="button"
-              onClick={() => {
-                setUseBackupCode(!useBackupCode);
-                setCode('');
-                setError('');
-              }}
-              className="text-teal-600 hover:text-teal-700 dark:text-teal-400 font-medium flex items-center gap-1"
-            >
-              <KeyRound className="h-3.5 w-3.5" />
-              {useBackupCode ? 'Use authenticator code instead' : 'Use a backup code'}
-            </button>
+            {methods.totp && (
+              <button
+                type="button"
+                onClick={() => {
+                  setUseBackupCode(!useBackupCode);
+                  setCode('');
+                  setError('');
+                }}
+                className="text-teal-600 hover:text-teal-700 dark:text-teal-400 font-medium flex items-center gap-1"
+              >
+                <KeyRound className="h-3.5 w-3.5" />
+                {useBackupCode ? 'Use authenticator code instead' : 'Use a backup code'}
+              </button>
+            )}
 
             {onBack && (
               <button
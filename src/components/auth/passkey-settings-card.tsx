@@ -0,0 +1,255 @@
+'use client';
+
+/**
+ * Passkey Settings Card
+ *
+ * Lets users register WebAuthn passkeys (Touch ID, Windows Hello, security
+ * keys, synced phone passkeys), name them, and revoke them. Registered
+ * passkeys work as a second factor after a password and for passwordless
+ * sign-in. Shown on the security settings page.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertCircle, Check, Fingerprint, Loader2, Pencil, Plus, Trash2, X } from 'lucide-react';
+
+interface Passkey {
+  id: string;
+  name: string;
+  deviceType: 'singleDevice' | 'multiDevice';
+  backedUp: boolean;
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+interface PasskeySettingsCardProps {
+  /** Called after a passkey is added or removed, so MFA status can refresh */
+  onChange?: () => void;
+}
+
+function formatDate(value: string | null): string {
+  return value ? new Date(value).toLocaleDateString() : 'Never';
+}
+
+export function PasskeySettingsCard({ onChange }: PasskeySettingsCardProps) {
+  const [passkeys, setPasskeys] = useState<Passkey[]>([]);
+  const [supported, setSupported] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editName, setEditName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const res = await fetch('/api/mfa/passkeys');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setPasskeys(data.passkeys || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load passkeys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    setSupported(browserSupportsWebAuthn());
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const handleAdd = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const optionsRes = await csrfFetch('/api/mfa/passkeys/options', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ purpose: 'register' }),
+      });
+      const optionsData = await optionsRes.json();
+      if (!optionsRes.ok) throw new Error(optionsData.error || 'Failed to start passkey setup');
+
+      const response = await startRegistration({ optionsJSON: optionsData.options });
+
+      const res = await csrfFetch('/api/mfa/passkeys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName.trim(), response }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to add passkey');
+
+      setNewName('');
+      await fetchPasskeys();
+      onChange?.();
+    } catch (err) {
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      if (!(err instanceof Error && err.name === 'NotAllowedError')) {
+        setError(err instanceof Error ? err.message : 'Failed to add passkey');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = async (passkeyId: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/mfa/passkeys/${passkeyId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: editName.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to rename passkey');
+      setEditingId(null);
+      await fetchPasskeys();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to rename passkey');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (passkeyId: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/mfa/passkeys/${passkeyId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to remove passkey');
+      await fetchPasskeys();
+      onChange?.();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove passkey');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Fingerprint className="h-5 w-5 text-teal-600" />
+          Passkeys
+        </CardTitle>
+        <CardDescription>
+          Verify with your fingerprint, face or device screen lock instead of a code.
+          Passkeys also let you sign in without a password.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <Skeleton className="h-24" />
+        ) : (
+          <>
+            {passkeys.length === 0 ? (
+              <p className="text-sm text-slate-500">No passkeys added yet.</p>
+            ) : (
+              <div className="divide-y rounded-lg border">
+                {passkeys.map((passkey) => (
+                  <div key={passkey.id} className="flex items-center justify-between gap-3 p-3">
+                    {editingId === passkey.id ? (
+                      <div className="flex items-center gap-2 flex-1">
+                        <Input
+                          value={editName}
+                          onChange={(e) => setEditName(e.target.value)}
+                          maxLength={100}
+                          autoFocus
+                        />
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleRename(passkey.id)}
+                          disabled={busy || !editName.trim()}
+                        >
+                          <Check className="h-3.5 w-3.5" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => setEditingId(null)} disabled={busy}>
+                          <X className="h-3.5 w-3.5" />
+                        </Button>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                            {passkey.name}
+                            {passkey.deviceType === 'multiDevice' && (
+                              <Badge variant="secondary">Synced</Badge>
+                            )}
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            Added {formatDate(passkey.createdAt)} · Last used {formatDate(passkey.lastUsedAt)}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => {
+                              setEditingId(passkey.id);
+                              setEditName(passkey.name);
+                            }}
+                            disabled={busy}
+                          >
+                            <Pencil className="h-3.5 w-3.5" />
+                          </Button>
+                          <Button variant="ghost" size="sm" onClick={() => handleRemove(passkey.id)} disabled={busy}>
+                            <Trash2 className="h-3.5 w-3.5 mr-1" />
+                            Remove
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {supported ? (
+              <div className="flex items-center gap-2">
+                <Input
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="Passkey name, e.g. Work laptop"
+                  maxLength={100}
+                />
+                <Button onClick={handleAdd} disabled={busy || !newName.trim()}>
+                  {busy ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Plus className="h-4 w-4 mr-1" />}
+                  Add Passkey
+                </Button>
+              </div>
+            ) : (
+              <p className="text-xs text-slate-400">
+                This browser doesn&apos;t support passkeys.
+              </p>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
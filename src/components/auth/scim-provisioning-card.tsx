@@ -0,0 +1,267 @@
+'use client';
+
+/**
+ * SCIM Provisioning Card
+ *
+ * Lets educational admins connect their identity provider over SCIM 2.0:
+ * shows the SCIM base URL, issues and revokes bearer tokens, and maps
+ * IdP groups to platform roles. Shown on the SSO settings page once SSO
+ * has been configured.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertCircle, Copy, KeyRound, Loader2, Plus, Trash2, Users } from 'lucide-react';
+
+interface ScimToken {
+  id: string;
+  name: string;
+  tokenPrefix: string;
+  createdAt: string;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+}
+
+interface ScimGroup {
+  id: string;
+  displayName: string;
+  role: 'student' | 'educational_admin' | null;
+  memberCount: number;
+}
+
+function formatDate(value: string | null): string {
+  return value ? new Date(value).toLocaleDateString() : 'Never';
+}
+
+export function ScimProvisioningCard() {
+  const [scimUrl, setScimUrl] = useState('');
+  const [tokens, setTokens] = useState<ScimToken[]>([]);
+  const [groups, setGroups] = useState<ScimGroup[]>([]);
+  const [tokenName, setTokenName] = useState('');
+  const [newToken, setNewToken] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const res = await fetch('/api/sso/scim');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setScimUrl(data.scimUrl);
+      setTokens(data.tokens || []);
+      setGroups(data.groups || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load SCIM settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const handleCreateToken = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/sso/scim', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: tokenName.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create token');
+      setNewToken(data.token.token);
+      setTokenName('');
+      await fetchSettings();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/sso/scim?tokenId=${tokenId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to revoke token');
+      await fetchSettings();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRoleChange = async (groupId: string, role: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/sso/scim', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ groupId, role: role || null }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update group role');
+      setGroups(data.groups || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update group role');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Users className="h-5 w-5 text-teal-600" />
+          SCIM Provisioning
+        </CardTitle>
+        <CardDescription>
+          Let your identity provider create, update and deactivate accounts automatically.
+          Deactivated users are signed out everywhere and can no longer log in.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <Skeleton className="h-40" />
+        ) : (
+          <>
+            <div className="space-y-2">
+              <Label>SCIM Base URL</Label>
+              <div className="flex items-center gap-2">
+                <Input value={scimUrl} readOnly className="bg-slate-50 dark:bg-slate-800 font-mono text-xs" />
+                <Button variant="outline" size="sm" onClick={() => navigator.clipboard.writeText(scimUrl)}>
+                  <Copy className="h-3.5 w-3.5" />
+                </Button>
+              </div>
+            </div>
+
+            {/* Tokens */}
+            <div className="space-y-3">
+              <Label>Bearer Tokens</Label>
+              {newToken && (
+                <div className="rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 p-3 space-y-2">
+                  <p className="text-xs text-amber-700 dark:text-amber-300">
+                    Copy this token into your identity provider now — it won&apos;t be shown again.
+                  </p>
+                  <div className="flex items-center gap-2">
+                    <Input value={newToken} readOnly className="font-mono text-xs" />
+                    <Button variant="outline" size="sm" onClick={() => navigator.clipboard.writeText(newToken)}>
+                      <Copy className="h-3.5 w-3.5" />
+                    </Button>
+                  </div>
+                </div>
+              )}
+
+              {tokens.length === 0 ? (
+                <p className="text-sm text-slate-500">No tokens issued yet.</p>
+              ) : (
+                <div className="divide-y rounded-lg border">
+                  {tokens.map((token) => (
+                    <div key={token.id} className="flex items-center justify-between gap-3 p-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                          <KeyRound className="h-3.5 w-3.5 text-slate-400" />
+                          {token.name}
+                          <span className="font-mono text-xs text-slate-400">{token.tokenPrefix}…</span>
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          Created {formatDate(token.createdAt)} · Last used {formatDate(token.lastUsedAt)}
+                        </p>
+                      </div>
+                      {token.revokedAt ? (
+                        <Badge variant="secondary">Revoked</Badge>
+                      ) : (
+                        <Button variant="ghost" size="sm" onClick={() => handleRevoke(token.id)} disabled={busy}>
+                          <Trash2 className="h-3.5 w-3.5 mr-1" />
+                          Revoke
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex items-center gap-2">
+                <Input
+                  value={tokenName}
+                  onChange={(e) => setTokenName(e.target.value)}
+                  placeholder="Token name, e.g. Okta production"
+                  maxLength={100}
+                />
+                <Button onClick={handleCreateToken} disabled={busy || !tokenName.trim()}>
+                  {busy ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Plus className="h-4 w-4 mr-1" />}
+                  New Token
+                </Button>
+              </div>
+            </div>
+
+            {/* Group role mapping */}
+            <div className="space-y-3">
+              <Label>Group Role Mapping</Label>
+              <p className="text-xs text-slate-400">
+                Members of a group mapped to Educational Admin get that role; members of Student groups
+                become students. Once any group is mapped, users in no mapped group get the default role.
+              </p>
+              {groups.length === 0 ? (
+                <p className="text-sm text-slate-500">
+                  No groups have been pushed by your identity provider yet.
+                </p>
+              ) : (
+                <div className="divide-y rounded-lg border">
+                  {groups.map((group) => (
+                    <div key={group.id} className="flex items-center justify-between gap-3 p-3">
+                      <div>
+                        <p className="text-sm font-medium text-slate-900 dark:text-white">{group.displayName}</p>
+                        <p className="text-xs text-slate-500">
+                          {group.memberCount} member{group.memberCount !== 1 ? 's' : ''}
+                        </p>
+                      </div>
+                      <select
+                        value={group.role || ''}
+                        onChange={(e) => handleRoleChange(group.id, e.target.value)}
+                        disabled={busy}
+                        className="flex h-9 w-48 rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                      >
+                        <option value="">Not mapped</option>
+                        <option value="student">Student</option>
+                        <option value="educational_admin">Educational Admin</option>
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
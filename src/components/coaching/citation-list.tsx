@@ -0,0 +1,65 @@
+'use client';
+
+import Link from 'next/link';
+import { BookOpen, FileText, HelpCircle } from 'lucide-react';
+
+export interface Citation {
+  ref: number;
+  sourceType: 'huddle_post' | 'legal_policy' | 'faq';
+  title: string;
+  url: string | null;
+  excerpt: string;
+}
+
+const SOURCE_ICONS = {
+  huddle_post: BookOpen,
+  legal_policy: FileText,
+  faq: HelpCircle,
+};
+
+const SOURCE_LABELS = {
+  huddle_post: 'Team Huddle',
+  legal_policy: 'Policy',
+  faq: 'FAQ',
+};
+
+/** Sources an AI coach answer cited, linking back to the original content. */
+export function CitationList({ citations }: { citations: Citation[] }) {
+  if (citations.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-slate-200 dark:border-slate-700 space-y-1">
+      <p className="text-[11px] font-medium uppercase tracking-wide text-slate-400">Sources</p>
+      {citations.map((c) => {
+        const Icon = SOURCE_ICONS[c.sourceType];
+        const label = (
+          <>
+            <span className="font-mono text-slate-400">[{c.ref}]</span>
+            <Icon className="h-3 w-3 shrink-0" />
+            <span className="truncate">{c.title}</span>
+            <span className="text-slate-400 shrink-0">· {SOURCE_LABELS[c.sourceType]}</span>
+          </>
+        );
+        return c.url ? (
+          <Link
+            key={c.ref}
+            href={c.url}
+            target="_blank"
+            title={c.excerpt}
+            className="flex items-center gap-1.5 text-xs text-teal-700 dark:text-teal-400 hover:underline"
+          >
+            {label}
+          </Link>
+        ) : (
+          <div
+            key={c.ref}
+            title={c.excerpt}
+            className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300"
+          >
+            {label}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Brain, Pencil, Trash2, AlertCircle, Loader2 } from 'lucide-react';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+type MemoryCategory = 'goal' | 'target_role' | 'advice';
+
+interface Memory {
+  id: string;
+  category: MemoryCategory;
+  content: string;
+  editedByStudent: boolean;
+  createdAt: string;
+}
+
+const CATEGORY_LABELS: Record<MemoryCategory, string> = {
+  goal: 'Goals',
+  target_role: 'Target roles',
+  advice: 'Advice already given',
+};
+
+const MAX_CHARS = 300;
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+
+/**
+ * Lets a student review, correct and delete what the AI coach remembers
+ * about them between sessions. Renders nothing when conversation memory
+ * is off for their plan and nothing has been remembered.
+ */
+export function CoachingMemoryCard() {
+  const [memories, setMemories] = useState<Memory[]>([]);
+  const [enabled, setEnabled] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState('');
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [clearing, setClearing] = useState(false);
+
+  useEffect(() => {
+    fetch('/api/ai/memory')
+      .then((r) => (r.ok ? r.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setEnabled(Boolean(data.enabled));
+        setMemories(data.memories || []);
+      })
+      .catch(() => {}) // Silently fail — just don't show the card
+      .finally(() => setLoading(false));
+  }, []);
+
+  const startEdit = (memory: Memory) => {
+    setEditingId(memory.id);
+    setDraft(memory.content);
+    setError(null);
+  };
+
+  const handleSave = async (id: string) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/ai/memory/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: draft }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      setMemories((prev) => prev.map((m) => (m.id === id ? data.memory : m)));
+      setEditingId(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/ai/memory/${id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to delete');
+      }
+      setMemories((prev) => prev.filter((m) => m.id !== id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm('Delete everything your AI coach remembers about you? This cannot be undone.')) return;
+    setClearing(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/ai/memory', { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to delete');
+      }
+      setMemories([]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete');
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  if (loading) {
+    return <Skeleton className="h-40 w-full" />;
+  }
+
+  if (!enabled && memories.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Brain className="h-5 w-5 text-teal-600" />
+          Coaching Memory
+        </CardTitle>
+        <CardDescription>
+          What your AI coach remembers between sessions. Edit anything that&apos;s out of date, or delete what you&apos;d rather it forgot.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-5">
+        {error && (
+          <div className="p-3 text-sm rounded-md flex items-center gap-2 text-red-600 bg-red-50">
+            <AlertCircle className="h-4 w-4" />
+            {error}
+          </div>
+        )}
+
+        {memories.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Nothing yet. After a coaching session, your coach will note your goals, the roles you&apos;re aiming for and the advice it gave, so it can pick up where you left off.
+          </p>
+        ) : (
+          (Object.keys(CATEGORY_LABELS) as MemoryCategory[]).map((category) => {
+            const items = memories.filter((m) => m.category === category);
+            if (items.length === 0) return null;
+            return (
+              <div key={category} className="space-y-2">
+                <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                  {CATEGORY_LABELS[category]}
+                </p>
+                {items.map((memory) => (
+                  <div
+                    key={memory.id}
+                    className="p-3 rounded-lg border border-slate-200 dark:border-slate-700"
+                  >
+                    {editingId === memory.id ? (
+                      <div className="space-y-2">
+                        <Textarea
+                          value={draft}
+                          onChange={(e) => setDraft(e.target.value)}
+                          maxLength={MAX_CHARS}
+                          rows={2}
+                        />
+                        <div className="flex justify-end gap-2">
+                          <Button variant="outline" size="sm" onClick={() => setEditingId(null)}>
+                            Cancel
+                          </Button>
+                          <Button
+                            size="sm"
+                            className="bg-teal-600 hover:bg-teal-700"
+                            disabled={busyId === memory.id || !draft.trim()}
+                            onClick={() => handleSave(memory.id)}
+                          >
+                            {busyId === memory.id && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                            Save
+                          </Button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="flex items-start justify-between gap-3">
+                        <p className="text-sm text-slate-700 dark:text-slate-300 flex-1">
+                          {memory.content}
+                          {memory.editedByStudent && (
+                            <Badge variant="outline" className="ml-2 text-[10px]">
+                              Edited
+                            </Badge>
+                          )}
+                        </p>
+                        <div className="flex gap-1 shrink-0">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            aria-label="Edit memory"
+                            onClick={() => startEdit(memory)}
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            aria-label="Delete memory"
+                            disabled={busyId === memory.id}
+                            onClick={() => handleDelete(memory.id)}
+                          >
+                            <Trash2 className="h-4 w-4 text-red-500" />
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            );
+          })
+        )}
+      </CardContent>
+      {memories.length > 0 && (
+        <CardFooter className="flex justify-end">
+          <Button variant="outline" onClick={handleClear} disabled={clearing}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            {clearing ? 'Deleting...' : 'Forget Everything'}
+          </Button>
+        </CardFooter>
+      )}
+    </Card>
+  );
+}
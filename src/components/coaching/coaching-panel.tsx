@@ -17,6 +17,9 @@ import {
   SheetTrigger,
 } from '@/components/ui/sheet';
 import { UsageMeter } from '@/components/coaching/usage-meter';
+import type { BudgetStatus } from '@/components/coaching/usage-meter';
+import { CitationList } from '@/components/coaching/citation-list';
+import type { Citation } from '@/components/coaching/citation-list';
 import { useToast } from '@/hooks/use-toast';
 import { cn } from '@/lib/utils';
 import {
@@ -51,6 +54,7 @@ interface Message {
   role: 'user' | 'assistant';
   content: string;
   createdAt: string;
+  metadata?: { citations?: Citation[] };
 }
 
 interface UsageData {
@@ -59,6 +63,7 @@ interface UsageData {
   remaining: number;
   plan: string;
   model: string;
+  budget?: BudgetStatus | null;
 }
 
 type QuickAction = 'resume_review' | 'interview_prep' | 'cover_letter' | 'career_advice';
@@ -81,6 +86,56 @@ const QUICK_ACTIONS: { key: QuickAction; label: string; icon: typeof FileText }[
   { key: 'career_advice', label: 'Career Advice', icon: Compass },
 ];
 
+/** Reconnects to /api/ai/chat/stream/[messageId] before giving up on an answer */
+const MAX_RESUME_ATTEMPTS = 3;
+const RESUME_DELAY_MS = 1000;
+
+interface StreamEvent {
+  id: number | null;
+  event: string;
+  data: string;
+}
+
+/**
+ * Read an SSE response to the end, calling onEvent for each event.
+ * Throws if the connection drops mid-stream.
+ */
+async function readEventStream(response: Response, onEvent: (event: StreamEvent) => void): Promise<void> {
+  const reader = response.body?.getReader();
+  if (!reader) throw new Error('No response stream');
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Parse SSE events split by double newlines
+    const parts = buffer.split('\n\n');
+    // Keep the last potentially incomplete chunk in the buffer
+    buffer = parts.pop() ?? '';
+
+    for (const part of parts) {
+      if (!part.trim()) continue;
+
+      const event: StreamEvent = { id: null, event: '', data: '' };
+      for (const line of part.split('\n')) {
+        if (line.startsWith('id: ')) {
+          event.id = parseInt(line.slice(4), 10);
+        } else if (line.startsWith('event: ')) {
+          event.event = line.slice(7).trim();
+        } else if (line.startsWith('data: ')) {
+          event.data = line.slice(6);
+        }
+      }
+      if (event.event) onEvent(event);
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
@@ -95,6 +150,7 @@ export function CoachingPanel() {
   const [sending, setSending] = useState(false);
   const [streaming, setStreaming] = useState(false);
   const [streamingContent, setStreamingContent] = useState('');
+  const [toolStatus, setToolStatus] = useState<string | null>(null);
   const [usage, setUsage] = useState<UsageData | null>(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [deletingId, setDeletingId] = useState<string | null>(null);
@@ -267,90 +323,105 @@ export function CoachingPanel() {
           throw new Error(errData.error || 'Failed to send message');
         }
 
-        const reader = response.body?.getReader();
-        if (!reader) throw new Error('No response stream');
-
-        const decoder = new TextDecoder();
         let accumulated = '';
-        let buffer = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          buffer += decoder.decode(value, { stream: true });
-
-          // Parse SSE events split by double newlines
-          const parts = buffer.split('\n\n');
-          // Keep the last potentially incomplete chunk in the buffer
-          buffer = parts.pop() ?? '';
-
-          for (const part of parts) {
-            if (!part.trim()) continue;
-
-            const lines = part.split('\n');
-            let eventType = '';
-            let eventData = '';
-
-            for (const line of lines) {
-              if (line.startsWith('event: ')) {
-                eventType = line.slice(7).trim();
-              } else if (line.startsWith('data: ')) {
-                eventData = line.slice(6);
-              }
+        let messageId: string | null = null;
+        let offset = 0;
+        let finished = false;
+
+        const handleEvent = ({ id, event: eventType, data: eventData }: StreamEvent) => {
+          if (id !== null) offset = id + 1;
+
+          if (eventType === 'start' && eventData) {
+            try {
+              messageId = JSON.parse(eventData).messageId ?? null;
+            } catch {
+              // ignore malformed start event
             }
-
-            if (eventType === 'token' && eventData) {
+          } else if (eventType === 'tool' && eventData) {
+            try {
+              const parsed = JSON.parse(eventData);
+              setToolStatus(parsed.label ?? null);
+            } catch {
+              // ignore malformed tool event
+            }
+          } else if (eventType === 'token' && eventData) {
+            setToolStatus(null);
+            try {
+              const parsed = JSON.parse(eventData);
+              accumulated += parsed.text ?? '';
+              setStreamingContent(accumulated);
+            } catch {
+              // raw text token
+              accumulated += eventData;
+              setStreamingContent(accumulated);
+            }
+          } else if (eventType === 'done') {
+            finished = true;
+            // Finalize the assistant message
+            let finalContent = accumulated;
+            let citations: Citation[] = [];
+            if (eventData) {
               try {
                 const parsed = JSON.parse(eventData);
-                accumulated += parsed.token ?? parsed.content ?? '';
-                setStreamingContent(accumulated);
+                finalContent = parsed.content ?? accumulated;
+                citations = parsed.citations ?? [];
               } catch {
-                // raw text token
-                accumulated += eventData;
-                setStreamingContent(accumulated);
-              }
-            } else if (eventType === 'done') {
-              // Finalize the assistant message
-              let finalContent = accumulated;
-              if (eventData) {
-                try {
-                  const parsed = JSON.parse(eventData);
-                  finalContent = parsed.content ?? accumulated;
-                } catch {
-                  // keep accumulated
-                }
+                // keep accumulated
               }
-              const assistantMsg: Message = {
-                id: `msg-${Date.now()}`,
-                role: 'assistant',
-                content: finalContent,
-                createdAt: new Date().toISOString(),
-              };
-              setMessages((prev) => [...prev, assistantMsg]);
-              setStreamingContent('');
-              accumulated = '';
-              // Refresh usage after a completed response
-              fetchUsage();
-              // Refresh conversations to pick up title changes
-              fetchConversations();
-            } else if (eventType === 'error') {
-              let errorMsg = 'An error occurred';
-              if (eventData) {
-                try {
-                  const parsed = JSON.parse(eventData);
-                  errorMsg = parsed.error ?? parsed.message ?? errorMsg;
-                } catch {
-                  errorMsg = eventData;
-                }
+            }
+            const assistantMsg: Message = {
+              id: messageId ?? `msg-${Date.now()}`,
+              role: 'assistant',
+              content: finalContent,
+              createdAt: new Date().toISOString(),
+              metadata: { citations },
+            };
+            setMessages((prev) => [...prev, assistantMsg]);
+            setStreamingContent('');
+            accumulated = '';
+            // Refresh usage after a completed response
+            fetchUsage();
+            // Refresh conversations to pick up title changes
+            fetchConversations();
+          } else if (eventType === 'error') {
+            finished = true;
+            let errorMsg = 'An error occurred';
+            if (eventData) {
+              try {
+                const parsed = JSON.parse(eventData);
+                errorMsg = parsed.error ?? parsed.message ?? errorMsg;
+              } catch {
+                errorMsg = eventData;
               }
-              setError(errorMsg);
-              toast({
-                title: 'AI Error',
-                description: errorMsg,
-                variant: 'destructive',
-              });
             }
+            setError(errorMsg);
+            toast({
+              title: 'AI Error',
+              description: errorMsg,
+              variant: 'destructive',
+            });
+          }
+        };
+
+        // The answer keeps generating server-side if the connection drops;
+        // reconnect and pick up from the last event received
+        let stream = response;
+        for (let attempt = 0; ; attempt++) {
+          try {
+            await readEventStream(stream, handleEvent);
+          } catch {
+            // connection dropped — resume below
+          }
+          if (finished) break;
+          if (!messageId || attempt >= MAX_RESUME_ATTEMPTS) {
+            throw new Error('Connection lost before the response finished');
+          }
+
+          await new Promise((resolve) => setTimeout(resolve, RESUME_DELAY_MS * (attempt + 1)));
+          stream = await fetch(`/api/ai/chat/stream/${messageId}?offset=${offset}`);
+          if (!stream.ok) {
+            const errData = await stream.json().catch(() => ({}));
+            throw new Error(errData.error || 'Failed to resume the response');
           }
         }
       } catch (err) {
@@ -364,6 +435,7 @@ export function CoachingPanel() {
       } finally {
         setSending(false);
         setStreaming(false);
+        setToolStatus(null);
       }
     },
     [activeConversation, fetchUsage, fetchConversations, toast],
@@ -534,6 +606,7 @@ export function CoachingPanel() {
                 limit={usage.limit}
                 remaining={usage.remaining}
                 plan={usage.plan}
+                budget={usage.budget}
               />
             )}
             {usage?.plan && (
@@ -612,6 +685,9 @@ export function CoachingPanel() {
                     )}
                   >
                     <p className="whitespace-pre-wrap break-words">{msg.content}</p>
+                    {msg.role === 'assistant' && msg.metadata?.citations && (
+                      <CitationList citations={msg.metadata.citations} />
+                    )}
                   </div>
                 </div>
               </div>
@@ -646,6 +722,9 @@ export function CoachingPanel() {
                       <div className="w-2 h-2 bg-teal-600 rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
                       <div className="w-2 h-2 bg-teal-600 rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
                       <div className="w-2 h-2 bg-teal-600 rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
+                      {toolStatus && (
+                        <span className="ml-1.5 text-xs text-slate-500 dark:text-slate-400">{toolStatus}…</span>
+                      )}
                     </div>
                   </div>
                 </div>
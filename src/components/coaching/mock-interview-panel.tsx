@@ -0,0 +1,321 @@
+'use client';
+
+import { useState } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { cn } from '@/lib/utils';
+import {
+  Mic,
+  Loader2,
+  AlertCircle,
+  Send,
+  Flag,
+  Bot,
+  User,
+} from 'lucide-react';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+interface MockInterviewPanelProps {
+  listingId: string;
+}
+
+interface Turn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+export interface CompetencyScore {
+  competency: string;
+  score: number;
+  evidence: string;
+  improvement: string;
+}
+
+interface InterviewResult {
+  overallScore: number;
+  competencyScores: CompetencyScore[];
+  summary: string | null;
+  questionsAnswered: number;
+}
+
+type Phase = 'ready' | 'interviewing' | 'completed';
+
+// ---------------------------------------------------------------------------
+// Competency scores (also used by the skills-gap mock interview history)
+// ---------------------------------------------------------------------------
+
+export function CompetencyScoreList({ scores, showDetails = true }: { scores: CompetencyScore[]; showDetails?: boolean }) {
+  return (
+    <div className="space-y-3">
+      {scores.map((c) => (
+        <div key={c.competency} className="space-y-1">
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-medium text-slate-800 dark:text-slate-200">{c.competency}</span>
+            <span className="text-slate-500">{c.score} / 5</span>
+          </div>
+          <div className="h-2 rounded-full bg-slate-100 dark:bg-slate-800">
+            <div
+              className={cn(
+                'h-2 rounded-full',
+                c.score >= 4 ? 'bg-green-500' : c.score === 3 ? 'bg-yellow-500' : 'bg-red-400'
+              )}
+              style={{ width: `${(c.score / 5) * 100}%` }}
+            />
+          </div>
+          {showDetails && (
+            <>
+              <p className="text-xs text-slate-500 dark:text-slate-400">{c.evidence}</p>
+              {c.improvement && (
+                <p className="text-xs text-teal-700 dark:text-teal-400">Next time: {c.improvement}</p>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+
+export function MockInterviewPanel({ listingId }: MockInterviewPanelProps) {
+  const [phase, setPhase] = useState<Phase>('ready');
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  const [listingTitle, setListingTitle] = useState('');
+  const [competencies, setCompetencies] = useState<string[]>([]);
+  const [questionCount, setQuestionCount] = useState(0);
+  const [questionNumber, setQuestionNumber] = useState(0);
+  const [turns, setTurns] = useState<Turn[]>([]);
+  const [answer, setAnswer] = useState('');
+  const [result, setResult] = useState<InterviewResult | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function handleStart() {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await csrfFetch('/api/ai/mock-interview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ listingId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to start the interview');
+
+      setConversationId(data.conversationId);
+      setListingTitle(data.listingTitle);
+      setCompetencies(data.competencies);
+      setQuestionCount(data.questionCount);
+      setQuestionNumber(data.questionNumber);
+      setTurns([{ role: 'assistant', content: data.question }]);
+      setPhase('interviewing');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleTurn(finish: boolean) {
+    if (!conversationId) return;
+    const text = answer.trim();
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await csrfFetch(`/api/ai/mock-interview/${conversationId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answer: text || undefined, finish: finish || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to send your answer');
+
+      if (text) setTurns((prev) => [...prev, { role: 'user', content: text }]);
+      setAnswer('');
+
+      if (data.completed) {
+        setResult(data.result);
+        setPhase('completed');
+      } else {
+        setTurns((prev) => [...prev, { role: 'assistant', content: data.question }]);
+        setQuestionNumber(data.questionNumber);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const errorBanner = error && (
+    <div className="p-3 text-sm rounded-md flex items-center gap-2 text-red-600 bg-red-50">
+      <AlertCircle className="h-4 w-4" />
+      {error}
+    </div>
+  );
+
+  // ---- ready ---------------------------------------------------------------
+
+  if (phase === 'ready') {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Mic className="h-5 w-5 text-teal-600" />
+            Mock Interview
+          </CardTitle>
+          <CardDescription>
+            Practise with an AI interviewer that asks questions based on the skills this project needs.
+            Answer as you would in a real interview; you&apos;ll get a score for each competency at the end.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {errorBanner}
+          <Button onClick={handleStart} disabled={loading} className="bg-teal-600 hover:bg-teal-700">
+            {loading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Mic className="h-4 w-4 mr-2" />}
+            {loading ? 'Preparing questions...' : 'Start Mock Interview'}
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // ---- completed -----------------------------------------------------------
+
+  if (phase === 'completed' && result) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center justify-between gap-2">
+            <span className="flex items-center gap-2">
+              <Flag className="h-5 w-5 text-teal-600" />
+              Interview Results
+            </span>
+            <Badge className="bg-teal-100 text-teal-700 border-0 text-sm">
+              {Math.round(result.overallScore)} / 100
+            </Badge>
+          </CardTitle>
+          <CardDescription>
+            {listingTitle} · {result.questionsAnswered} question{result.questionsAnswered !== 1 ? 's' : ''} answered
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-5">
+          {result.summary && (
+            <p className="text-sm text-slate-700 dark:text-slate-300 leading-relaxed">{result.summary}</p>
+          )}
+          <CompetencyScoreList scores={result.competencyScores} />
+        </CardContent>
+        <CardFooter className="flex justify-end">
+          <Button
+            variant="outline"
+            onClick={() => {
+              setPhase('ready');
+              setTurns([]);
+              setResult(null);
+              setConversationId(null);
+            }}
+          >
+            Practise Again
+          </Button>
+        </CardFooter>
+      </Card>
+    );
+  }
+
+  // ---- interviewing --------------------------------------------------------
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <Mic className="h-5 w-5 text-teal-600" />
+            {listingTitle}
+          </span>
+          <Badge variant="outline">
+            Question {Math.min(questionNumber, questionCount)} of {questionCount}
+          </Badge>
+        </CardTitle>
+        <CardDescription className="flex flex-wrap gap-1.5 pt-1">
+          {competencies.map((c) => (
+            <Badge key={c} variant="secondary" className="text-xs">
+              {c}
+            </Badge>
+          ))}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-3 max-h-[50vh] overflow-y-auto">
+          {turns.map((turn, i) => (
+            <div key={i} className={cn('flex gap-2', turn.role === 'user' && 'flex-row-reverse')}>
+              <div className="w-7 h-7 shrink-0 rounded-full bg-slate-100 dark:bg-slate-800 flex items-center justify-center">
+                {turn.role === 'user' ? <User className="h-4 w-4 text-slate-500" /> : <Bot className="h-4 w-4 text-teal-600" />}
+              </div>
+              <div
+                className={cn(
+                  'rounded-lg px-3 py-2 text-sm whitespace-pre-wrap max-w-[85%]',
+                  turn.role === 'user'
+                    ? 'bg-teal-600 text-white'
+                    : 'bg-slate-100 dark:bg-slate-800 text-slate-800 dark:text-slate-200'
+                )}
+              >
+                {turn.content}
+              </div>
+            </div>
+          ))}
+          {loading && (
+            <div className="flex items-center gap-2 text-xs text-slate-400">
+              <Loader2 className="h-3 w-3 animate-spin" />
+              {questionNumber >= questionCount ? 'Scoring your interview...' : 'Interviewer is thinking...'}
+            </div>
+          )}
+        </div>
+
+        {errorBanner}
+
+        <Textarea
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          placeholder="Type your answer..."
+          rows={4}
+          maxLength={5000}
+          disabled={loading}
+        />
+      </CardContent>
+      <CardFooter className="flex justify-between gap-2">
+        <Button
+          variant="outline"
+          onClick={() => handleTurn(true)}
+          disabled={loading || (turns.every((t) => t.role !== 'user') && !answer.trim())}
+        >
+          <Flag className="h-4 w-4 mr-2" />
+          End & Score
+        </Button>
+        <Button
+          onClick={() => handleTurn(false)}
+          disabled={loading || !answer.trim()}
+          className="bg-teal-600 hover:bg-teal-700"
+        >
+          <Send className="h-4 w-4 mr-2" />
+          Submit Answer
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
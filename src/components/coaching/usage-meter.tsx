@@ -4,14 +4,57 @@ import { Badge } from '@/components/ui/badge';
 import { cn } from '@/lib/utils';
 import { Infinity, AlertTriangle } from 'lucide-react';
 
+/** Tenant-wide monthly AI budget, as returned by /api/ai/usage */
+export interface BudgetStatus {
+  unit: 'usd' | 'tokens';
+  limit: number;
+  used: number;
+  remaining: number;
+  percentUsed: number;
+  state: 'ok' | 'soft_limit' | 'exhausted';
+  hardLimit: boolean;
+  resetDate: string;
+}
+
 interface UsageMeterProps {
   used: number;
   limit: number;
   remaining: number;
   plan: string;
+  budget?: BudgetStatus | null;
 }
 
-export function UsageMeter({ used, limit, remaining, plan }: UsageMeterProps) {
+function formatResetDate(iso: string): string {
+  return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+export function UsageMeter({ used, limit, remaining, plan, budget }: UsageMeterProps) {
+  // Institution budget exhausted — blocks AI regardless of personal allowance
+  if (budget?.state === 'exhausted' && budget.hardLimit) {
+    return (
+      <div className="flex items-center gap-2">
+        <div className="flex items-center gap-1.5">
+          <AlertTriangle className="h-3.5 w-3.5 text-red-500" />
+          <span className="text-xs font-medium text-red-600">AI budget used up</span>
+        </div>
+        <span className="text-xs text-slate-400">
+          Resets {formatResetDate(budget.resetDate)}
+        </span>
+      </div>
+    );
+  }
+
+  // Approaching (or past a soft) institution budget
+  const budgetWarning = budget && budget.state !== 'ok' && (
+    <span
+      className="flex items-center gap-1 text-xs font-medium text-amber-600 whitespace-nowrap"
+      title={`Your institution has used ${budget.percentUsed}% of its monthly AI budget. Resets ${formatResetDate(budget.resetDate)}.`}
+    >
+      <AlertTriangle className="h-3.5 w-3.5" />
+      {Math.min(Math.round(budget.percentUsed), 100)}% of budget
+    </span>
+  );
+
   // Unlimited plan
   if (limit === -1) {
     return (
@@ -23,6 +66,7 @@ export function UsageMeter({ used, limit, remaining, plan }: UsageMeterProps) {
         <span className="text-xs text-slate-500 hidden sm:inline">
           {plan} plan
         </span>
+        {budgetWarning}
       </div>
     );
   }
@@ -71,6 +115,7 @@ export function UsageMeter({ used, limit, remaining, plan }: UsageMeterProps) {
           {remaining}/{limit} remaining
         </span>
       </div>
+      {budgetWarning}
     </div>
   );
 }
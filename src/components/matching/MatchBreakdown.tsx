@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
@@ -16,6 +16,8 @@ import {
   ChevronUp,
   CheckCircle2,
   XCircle,
+  Lightbulb,
+  Loader2,
 } from 'lucide-react';
 
 interface SignalBreakdown {
@@ -25,11 +27,22 @@ interface SignalBreakdown {
   details?: Record<string, unknown>;
 }
 
+interface CounterfactualAction {
+  type: string;
+  label: string;
+  target: string;
+  delta: number;
+  signalDeltas: Record<string, number>;
+}
+
 interface MatchBreakdownProps {
   compositeScore: number;
   signals: SignalBreakdown[];
   matchedSkills?: string[];
   missingSkills?: string[];
+  /** When both are set, expanding loads "what would raise my score" suggestions */
+  studentId?: string;
+  listingId?: string;
   className?: string;
   defaultExpanded?: boolean;
 }
@@ -92,10 +105,25 @@ export function MatchBreakdown({
   signals,
   matchedSkills = [],
   missingSkills = [],
+  studentId,
+  listingId,
   className,
   defaultExpanded = false,
 }: MatchBreakdownProps) {
   const [expanded, setExpanded] = useState(defaultExpanded);
+  const [counterfactuals, setCounterfactuals] = useState<CounterfactualAction[] | null>(null);
+  const [loadingCounterfactuals, setLoadingCounterfactuals] = useState(false);
+
+  useEffect(() => {
+    if (!expanded || !studentId || !listingId || counterfactuals !== null) return;
+
+    setLoadingCounterfactuals(true);
+    fetch(`/api/match-engine/matches/explain/${studentId}/${listingId}`)
+      .then((r) => (r.ok ? r.json() : { counterfactuals: [] }))
+      .then((data) => setCounterfactuals(data.counterfactuals || []))
+      .catch(() => setCounterfactuals([]))
+      .finally(() => setLoadingCounterfactuals(false));
+  }, [expanded, studentId, listingId, counterfactuals]);
 
   return (
     <Card className={className}>
@@ -166,6 +194,43 @@ export function MatchBreakdown({
             )}
           </div>
         )}
+
+        {/* Counterfactuals — only shown when expanded */}
+        {expanded && studentId && listingId && (
+          <div className="pt-3 border-t border-slate-100 dark:border-slate-800">
+            <div className="flex items-center gap-1 text-sm font-medium text-slate-700 dark:text-slate-300 mb-1.5">
+              <Lightbulb className="h-3.5 w-3.5 text-amber-500" />
+              What would raise your score
+            </div>
+            {loadingCounterfactuals ? (
+              <div className="flex items-center gap-1.5 text-xs text-slate-400">
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Exploring changes...
+              </div>
+            ) : counterfactuals && counterfactuals.length > 0 ? (
+              <ul className="space-y-1.5">
+                {counterfactuals.map((action) => (
+                  <li
+                    key={`${action.type}:${action.target}`}
+                    className="flex items-center justify-between gap-2 text-xs"
+                  >
+                    <span className="text-slate-600 dark:text-slate-400">{action.label}</span>
+                    <Badge
+                      variant="secondary"
+                      className="text-xs shrink-0 bg-emerald-50 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400"
+                    >
+                      +{action.delta}
+                    </Badge>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-slate-400">
+                No single profile change would raise this score.
+              </p>
+            )}
+          </div>
+        )}
       </CardContent>
     </Card>
   );
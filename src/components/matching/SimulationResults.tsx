@@ -0,0 +1,265 @@
+'use client';
+
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import {
+  BarChart3,
+  ChevronDown,
+  ChevronUp,
+  ArrowUpRight,
+  ArrowDownRight,
+  AlertCircle,
+} from 'lucide-react';
+
+interface StudentRank {
+  studentId: string;
+  studentName: string;
+  baselineRank: number;
+  draftRank: number;
+  baselineScore: number;
+  draftScore: number;
+}
+
+interface ListingSimulation {
+  listingId: string;
+  title: string;
+  students: number;
+  rankCorrelation: number;
+  topKOverlap: number;
+  meanAbsScoreDelta: number;
+  entered: StudentRank[];
+  exited: StudentRank[];
+  movers: StudentRank[];
+}
+
+interface ScoreDistribution {
+  mean: number;
+  median: number;
+  histogram: number[];
+}
+
+export interface Simulation {
+  k: number;
+  students: number;
+  listings: number;
+  pairs: number;
+  truncated: boolean;
+  baseline: ScoreDistribution;
+  draft: ScoreDistribution;
+  meanRankCorrelation: number;
+  meanTopKOverlap: number;
+  meanAbsScoreDelta: number;
+  listingsWithTopKChanges: number;
+  listingResults: ListingSimulation[];
+}
+
+function Histogram({ baseline, draft }: { baseline: number[]; draft: number[] }) {
+  const max = Math.max(1, ...baseline, ...draft);
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-32">
+        {baseline.map((count, i) => (
+          <div key={i} className="flex-1 flex items-end gap-0.5 h-full" title={`${i * 10}–${i === 9 ? 100 : i * 10 + 9}: live ${count}, draft ${draft[i]}`}>
+            <div
+              className="flex-1 rounded-t bg-slate-300 dark:bg-slate-600"
+              style={{ height: `${(count / max) * 100}%` }}
+            />
+            <div
+              className="flex-1 rounded-t bg-teal-500"
+              style={{ height: `${(draft[i] / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {baseline.map((_, i) => (
+          <span key={i} className="flex-1 text-center text-[10px] text-slate-400">
+            {i * 10}
+          </span>
+        ))}
+      </div>
+      <div className="flex items-center gap-4 mt-2 text-xs text-slate-500">
+        <span className="flex items-center gap-1.5">
+          <span className="h-2.5 w-2.5 rounded-sm bg-slate-300 dark:bg-slate-600" />
+          Live config
+        </span>
+        <span className="flex items-center gap-1.5">
+          <span className="h-2.5 w-2.5 rounded-sm bg-teal-500" />
+          Draft config
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function RankChange({ rank }: { rank: StudentRank }) {
+  const moved = rank.baselineRank - rank.draftRank;
+  const Icon = moved > 0 ? ArrowUpRight : ArrowDownRight;
+  return (
+    <div className="flex items-center justify-between gap-2 text-xs py-1">
+      <span className="truncate text-slate-700 dark:text-slate-300">{rank.studentName || rank.studentId}</span>
+      <span className="flex items-center gap-2 shrink-0 text-slate-500">
+        #{rank.baselineRank} → #{rank.draftRank}
+        <span className={cn('inline-flex items-center font-medium', moved > 0 ? 'text-emerald-600' : 'text-red-600')}>
+          <Icon className="h-3 w-3" />
+          {Math.abs(moved)}
+        </span>
+        <span className="text-slate-400">
+          {rank.baselineScore} → {rank.draftScore}
+        </span>
+      </span>
+    </div>
+  );
+}
+
+export function SimulationResults({ simulation, className }: { simulation: Simulation; className?: string }) {
+  const [expandedListing, setExpandedListing] = useState<string | null>(null);
+  const { k } = simulation;
+
+  return (
+    <div className={cn('space-y-4', className)}>
+      {simulation.truncated && (
+        <div className="flex items-center gap-2 text-sm text-amber-700 dark:text-amber-400 bg-amber-50 dark:bg-amber-900/20 p-3 rounded-lg">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          The time budget ran out before the whole sample was scored; results cover {simulation.students} students.
+        </div>
+      )}
+
+      <div className="grid gap-4 sm:grid-cols-4">
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-slate-500 mb-1">Pairs scored</p>
+            <p className="text-2xl font-bold text-slate-900 dark:text-white">{simulation.pairs}</p>
+            <p className="text-xs text-slate-400">
+              {simulation.students} students × {simulation.listings} listings
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-slate-500 mb-1">Rank correlation</p>
+            <p className="text-2xl font-bold text-slate-900 dark:text-white">
+              {simulation.meanRankCorrelation.toFixed(2)}
+            </p>
+            <p className="text-xs text-slate-400">1.00 = identical ordering</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-slate-500 mb-1">Top-{k} overlap</p>
+            <p className="text-2xl font-bold text-slate-900 dark:text-white">
+              {Math.round(simulation.meanTopKOverlap * 100)}%
+            </p>
+            <p className="text-xs text-slate-400">
+              {simulation.listingsWithTopKChanges} listing{simulation.listingsWithTopKChanges !== 1 ? 's' : ''} change
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-slate-500 mb-1">Mean score shift</p>
+            <p className="text-2xl font-bold text-slate-900 dark:text-white">
+              {simulation.meanAbsScoreDelta.toFixed(1)}
+            </p>
+            <p className="text-xs text-slate-400">
+              mean {simulation.baseline.mean.toFixed(1)} → {simulation.draft.mean.toFixed(1)}
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base flex items-center gap-2">
+            <BarChart3 className="h-4 w-4 text-teal-600" />
+            Score Distribution
+          </CardTitle>
+          <CardDescription>
+            Median {simulation.baseline.median.toFixed(1)} live vs {simulation.draft.median.toFixed(1)} draft
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Histogram baseline={simulation.baseline.histogram} draft={simulation.draft.histogram} />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Rankings by Listing</CardTitle>
+          <CardDescription>Most changed first. Expand a listing to see who moves in and out of the top {k}.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {simulation.listingResults.length === 0 ? (
+            <p className="text-sm text-slate-500 text-center py-6">No published listings to simulate.</p>
+          ) : (
+            simulation.listingResults.map((listing) => {
+              const isExpanded = expandedListing === listing.listingId;
+              return (
+                <div
+                  key={listing.listingId}
+                  className="rounded-lg border border-slate-100 dark:border-slate-800"
+                >
+                  <button
+                    type="button"
+                    onClick={() => setExpandedListing(isExpanded ? null : listing.listingId)}
+                    className="w-full flex items-center gap-3 p-3 text-left"
+                  >
+                    <span className="flex-1 min-w-0 text-sm font-medium text-slate-900 dark:text-white truncate">
+                      {listing.title}
+                    </span>
+                    {listing.entered.length > 0 ? (
+                      <Badge variant="secondary" className="text-xs bg-amber-50 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400">
+                        {listing.entered.length} in / {listing.exited.length} out
+                      </Badge>
+                    ) : (
+                      <Badge variant="outline" className="text-xs text-slate-500">
+                        Top {k} unchanged
+                      </Badge>
+                    )}
+                    <span className="text-xs text-slate-500 w-16 text-right">ρ {listing.rankCorrelation.toFixed(2)}</span>
+                    {isExpanded ? (
+                      <ChevronUp className="h-4 w-4 text-slate-400" />
+                    ) : (
+                      <ChevronDown className="h-4 w-4 text-slate-400" />
+                    )}
+                  </button>
+
+                  {isExpanded && (
+                    <div className="grid gap-4 sm:grid-cols-3 px-3 pb-3 pt-3 border-t border-slate-100 dark:border-slate-800">
+                      <div>
+                        <p className="text-xs font-medium text-emerald-600 mb-1">Enter top {k}</p>
+                        {listing.entered.length === 0 ? (
+                          <p className="text-xs text-slate-400">None</p>
+                        ) : (
+                          listing.entered.map((r) => <RankChange key={r.studentId} rank={r} />)
+                        )}
+                      </div>
+                      <div>
+                        <p className="text-xs font-medium text-red-600 mb-1">Leave top {k}</p>
+                        {listing.exited.length === 0 ? (
+                          <p className="text-xs text-slate-400">None</p>
+                        ) : (
+                          listing.exited.map((r) => <RankChange key={r.studentId} rank={r} />)
+                        )}
+                      </div>
+                      <div>
+                        <p className="text-xs font-medium text-slate-500 mb-1">Biggest movers</p>
+                        {listing.movers.length === 0 ? (
+                          <p className="text-xs text-slate-400">None</p>
+                        ) : (
+                          listing.movers.map((r) => <RankChange key={r.studentId} rank={r} />)
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
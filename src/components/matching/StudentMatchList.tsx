@@ -14,6 +14,10 @@ import {
   ChevronUp,
   RefreshCw,
   Mail,
+  Shuffle,
+  ArrowUp,
+  ArrowDown,
+  Handshake,
 } from 'lucide-react';
 
 interface StudentMatch {
@@ -22,7 +26,12 @@ interface StudentMatch {
   lastName: string;
   email: string;
   university: string | null;
+  major?: string | null;
+  graduationYear?: number | null;
+  sport?: string | null;
   compositeScore: number;
+  scoreRank?: number;
+  mutualScore?: number;
   matchedSkills: string[];
   missingSkills: string[];
   signals?: Record<string, { score: number; weight: number }>;
@@ -47,13 +56,20 @@ export function StudentMatchList({
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [expandedStudent, setExpandedStudent] = useState<string | null>(null);
+  // null = use the tenant's default ranking mode
+  const [diversify, setDiversify] = useState<boolean | null>(null);
+  const [diversified, setDiversified] = useState(false);
+  const [sortMutual, setSortMutual] = useState(false);
 
   const fetchMatches = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (sortMutual) params.set('sort', 'mutual');
+      else if (diversify !== null) params.set('diversify', String(diversify));
       const res = await fetch(
-        `/api/match-engine/matches/listing/${listingId}?limit=${limit}`
+        `/api/match-engine/matches/listing/${listingId}?${params.toString()}`
       );
       if (!res.ok) {
         const data = await res.json();
@@ -61,12 +77,13 @@ export function StudentMatchList({
       }
       const data = await res.json();
       setMatches(data.matches || []);
+      setDiversified(!!data.diversified);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load matches');
     } finally {
       setLoading(false);
     }
-  }, [listingId, limit]);
+  }, [listingId, limit, diversify, sortMutual]);
 
   useEffect(() => {
     fetchMatches();
@@ -121,12 +138,36 @@ export function StudentMatchList({
               Matched Students
             </CardTitle>
             <CardDescription>
-              {matches.length} student{matches.length !== 1 ? 's' : ''} ranked by match quality
+              {matches.length} student{matches.length !== 1 ? 's' : ''} ranked by{' '}
+              {sortMutual
+                ? 'likelihood of a mutual yes'
+                : diversified ? 'match quality, balanced for variety' : 'match quality'}
             </CardDescription>
           </div>
-          <Button variant="ghost" size="sm" onClick={fetchMatches}>
-            <RefreshCw className="h-3.5 w-3.5" />
-          </Button>
+          <div className="flex items-center gap-1">
+            <Button
+              variant={sortMutual ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setSortMutual(!sortMutual)}
+              title="Rank by how well each student fits and how appealing this listing is to them"
+            >
+              <Handshake className="h-3.5 w-3.5 mr-1.5" />
+              Mutual fit
+            </Button>
+            <Button
+              variant={diversified ? 'secondary' : 'ghost'}
+              size="sm"
+              disabled={sortMutual}
+              onClick={() => setDiversify(!diversified)}
+              title="Balance score against variety in institution, graduation year, major and sport"
+            >
+              <Shuffle className="h-3.5 w-3.5 mr-1.5" />
+              {diversified ? 'Variety on' : 'Variety off'}
+            </Button>
+            <Button variant="ghost" size="sm" onClick={fetchMatches}>
+              <RefreshCw className="h-3.5 w-3.5" />
+            </Button>
+          </div>
         </div>
       </CardHeader>
       <CardContent>
@@ -138,6 +179,12 @@ export function StudentMatchList({
           <div className="space-y-2">
             {matches.map((match, idx) => {
               const isExpanded = expandedStudent === match.studentId;
+              const rankShift = (diversified || sortMutual) && match.scoreRank ? match.scoreRank - (idx + 1) : 0;
+              const profile = [
+                match.major,
+                match.graduationYear ? `'${String(match.graduationYear).slice(-2)}` : null,
+                match.sport,
+              ].filter(Boolean);
               return (
                 <div
                   key={match.studentId}
@@ -154,10 +201,28 @@ export function StudentMatchList({
                     }
                     className="w-full flex items-center gap-3 p-3 text-left"
                   >
-                    {/* Rank */}
-                    <span className="text-xs font-semibold text-slate-400 w-5 text-center">
-                      {idx + 1}
-                    </span>
+                    {/* Rank (with the pure-score rank when re-ranked) */}
+                    <div className="flex flex-col items-center w-7 shrink-0">
+                      <span className="text-xs font-semibold text-slate-400">
+                        {idx + 1}
+                      </span>
+                      {rankShift !== 0 && (
+                        <span
+                          className={cn(
+                            'inline-flex items-center text-[10px] leading-none',
+                            rankShift > 0 ? 'text-emerald-600' : 'text-amber-600'
+                          )}
+                          title={`Rank ${match.scoreRank} by score alone`}
+                        >
+                          {rankShift > 0 ? (
+                            <ArrowUp className="h-2.5 w-2.5" />
+                          ) : (
+                            <ArrowDown className="h-2.5 w-2.5" />
+                          )}
+                          #{match.scoreRank}
+                        </span>
+                      )}
+                    </div>
 
                     {/* Avatar placeholder */}
                     <div className="h-9 w-9 rounded-full bg-teal-100 dark:bg-teal-900/50 flex items-center justify-center text-teal-700 dark:text-teal-400 text-sm font-semibold shrink-0">
@@ -177,10 +242,26 @@ export function StudentMatchList({
                             <span className="truncate">{match.university}</span>
                           </>
                         )}
+                        {profile.length > 0 && (
+                          <span className="truncate">
+                            {match.university ? '· ' : ''}
+                            {profile.join(' · ')}
+                          </span>
+                        )}
                       </div>
                     </div>
 
                     {/* Score */}
+                    {sortMutual && match.mutualScore !== undefined && (
+                      <Badge
+                        variant="outline"
+                        className="text-xs text-teal-700 dark:text-teal-400"
+                        title="Likelihood of a mutual yes"
+                      >
+                        <Handshake className="h-3 w-3 mr-1" />
+                        {match.mutualScore}
+                      </Badge>
+                    )}
                     <MatchScoreBadge score={match.compositeScore} size="sm" />
 
                     {/* Expand toggle */}
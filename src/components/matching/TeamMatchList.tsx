@@ -0,0 +1,200 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { MatchScoreBadge } from './MatchScoreBadge';
+import { cn } from '@/lib/utils';
+import { UsersRound, RefreshCw, CalendarCheck, Puzzle } from 'lucide-react';
+
+interface TeamProposal {
+  members: {
+    studentId: string;
+    firstName: string;
+    lastName: string;
+    compositeScore: number;
+  }[];
+  teamScore: number;
+  coverage: {
+    score: number;
+    coveredSkills: string[];
+    missingSkills: string[];
+    contributions: Record<string, string[]>;
+  };
+  scheduleOverlap: {
+    score: number;
+    windows: { startDate: string; endDate: string; minAvailableHours: number; allAvailable: boolean }[];
+  };
+  avgIndividualScore: number;
+}
+
+interface TeamMatchListProps {
+  listingId: string;
+  className?: string;
+  limit?: number;
+}
+
+export function TeamMatchList({ listingId, className, limit = 3 }: TeamMatchListProps) {
+  const [teams, setTeams] = useState<TeamProposal[]>([]);
+  const [size, setSize] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTeams = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(
+        `/api/match-engine/matches/listing/${listingId}/teams?limit=${limit}`
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load teams');
+      setTeams(data.teams || []);
+      setSize(data.size);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load teams');
+    } finally {
+      setLoading(false);
+    }
+  }, [listingId, limit]);
+
+  useEffect(() => {
+    fetchTeams();
+  }, [fetchTeams]);
+
+  if (loading) {
+    return (
+      <Card className={className}>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <UsersRound className="h-5 w-5 text-teal-600" />
+            Suggested Teams
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {Array.from({ length: 2 }).map((_, i) => (
+            <Skeleton key={i} className="h-24 w-full rounded-lg" />
+          ))}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error) {
+    return (
+      <Card className={className}>
+        <CardContent className="py-8 text-center">
+          <p className="text-sm text-slate-500 dark:text-slate-400 mb-3">{error}</p>
+          <Button variant="outline" size="sm" onClick={fetchTeams}>
+            <RefreshCw className="h-3.5 w-3.5 mr-1.5" />
+            Retry
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <UsersRound className="h-5 w-5 text-teal-600" />
+              Suggested Teams
+            </CardTitle>
+            <CardDescription>
+              Teams of {size} whose combined skills cover the requirements and whose schedules line up
+            </CardDescription>
+          </div>
+          <Button variant="ghost" size="sm" onClick={fetchTeams}>
+            <RefreshCw className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {teams.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-6">
+            Not enough matched students to form a team yet.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {teams.map((team, idx) => (
+              <div
+                key={team.members.map((m) => m.studentId).join(',')}
+                className="rounded-lg border border-slate-100 dark:border-slate-800 p-3 space-y-3"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-semibold text-slate-400">Team {idx + 1}</span>
+                  <MatchScoreBadge score={team.teamScore} size="sm" />
+                </div>
+
+                <div className="space-y-1.5">
+                  {team.members.map((member) => {
+                    const brings = team.coverage.contributions[member.studentId] || [];
+                    return (
+                      <div key={member.studentId} className="flex items-center gap-2">
+                        <div className="h-7 w-7 rounded-full bg-teal-100 dark:bg-teal-900/50 flex items-center justify-center text-teal-700 dark:text-teal-400 text-xs font-semibold shrink-0">
+                          {member.firstName[0]}
+                          {member.lastName[0]}
+                        </div>
+                        <span className="text-sm text-slate-900 dark:text-white truncate">
+                          {member.firstName} {member.lastName}
+                        </span>
+                        <div className="flex flex-wrap gap-1 flex-1 min-w-0">
+                          {brings.map((skill) => (
+                            <Badge
+                              key={skill}
+                              variant="secondary"
+                              className="text-[10px] bg-emerald-50 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400"
+                            >
+                              {skill}
+                            </Badge>
+                          ))}
+                        </div>
+                        <span className="text-xs text-slate-400 shrink-0">{member.compositeScore}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+                  <span className="flex items-center gap-1">
+                    <Puzzle className="h-3.5 w-3.5" />
+                    Skill coverage {team.coverage.score}%
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <CalendarCheck className="h-3.5 w-3.5" />
+                    Schedule overlap {team.scheduleOverlap.score}%
+                  </span>
+                  {team.coverage.missingSkills.length > 0 && (
+                    <span className="text-amber-600">
+                      Missing: {team.coverage.missingSkills.join(', ')}
+                    </span>
+                  )}
+                </div>
+
+                {team.scheduleOverlap.windows.length > 0 && (
+                  <div className="flex gap-1">
+                    {team.scheduleOverlap.windows.map((w) => (
+                      <div
+                        key={w.startDate}
+                        className={cn(
+                          'h-1.5 flex-1 rounded-full',
+                          w.allAvailable ? 'bg-emerald-400' : 'bg-amber-400'
+                        )}
+                        title={`${w.startDate} – ${w.endDate}: ${w.minAvailableHours}h/week for the least available member`}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
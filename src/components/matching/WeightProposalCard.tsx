@@ -0,0 +1,273 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { csrfFetch } from '@/lib/security/csrf-fetch';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { cn } from '@/lib/utils';
+import {
+  Sparkles,
+  Loader2,
+  ArrowUpRight,
+  ArrowDownRight,
+  CheckCircle2,
+  AlertCircle,
+} from 'lucide-react';
+
+interface RankingMetrics {
+  ndcg: number;
+  acceptanceRateAtK: number;
+  k: number;
+  groups: number;
+  examples: number;
+}
+
+interface WeightProposal {
+  status: 'proposed' | 'promoted' | 'insufficient_data';
+  currentWeights: Record<string, number>;
+  proposedWeights: Record<string, number>;
+  before: RankingMetrics;
+  after: RankingMetrics;
+  acceptanceLift: number;
+  evaluatedOn: 'holdout' | 'training';
+  trainingPairs: number;
+  trainedAt: string;
+  promotedAt?: string;
+}
+
+const signalLabels: Record<string, string> = {
+  temporal: 'Schedule Fit',
+  skills: 'Skills',
+  sustainability: 'Workload Balance',
+  growth: 'Career Growth',
+  trust: 'Track Record',
+  network: 'Network',
+};
+
+function Delta({ value }: { value: number }) {
+  if (Math.abs(value) < 0.0005) {
+    return <span className="text-xs text-slate-400">—</span>;
+  }
+  const positive = value > 0;
+  const Icon = positive ? ArrowUpRight : ArrowDownRight;
+  return (
+    <span
+      className={cn(
+        'inline-flex items-center text-xs font-medium',
+        positive ? 'text-emerald-600' : 'text-red-600'
+      )}
+    >
+      <Icon className="h-3 w-3" />
+      {positive ? '+' : ''}
+      {value.toFixed(3)}
+    </span>
+  );
+}
+
+export function WeightProposalCard({ className }: { className?: string }) {
+  const [proposal, setProposal] = useState<WeightProposal | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [training, setTraining] = useState(false);
+  const [promoting, setPromoting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const fetchProposal = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/match-engine/admin/training');
+      if (res.ok) {
+        const data = await res.json();
+        setProposal(data.proposal);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load proposal');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProposal();
+  }, [fetchProposal]);
+
+  const handleTrain = async () => {
+    setTraining(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await csrfFetch('/api/match-engine/admin/training', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setProposal(data.proposal);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Training failed');
+    } finally {
+      setTraining(false);
+    }
+  };
+
+  const handlePromote = async () => {
+    setPromoting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await csrfFetch('/api/match-engine/admin/training/promote', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setProposal(data.proposal);
+      setMessage(`Weights promoted. ${data.scoresMarkedStale || 0} scores queued for recomputation.`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Promotion failed');
+    } finally {
+      setPromoting(false);
+    }
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base flex items-center gap-2">
+              <Sparkles className="h-4 w-4 text-teal-600" />
+              Learned Signal Weights
+            </CardTitle>
+            <CardDescription>
+              Weights fitted to your accepted, declined and completed applications plus match feedback.
+              Nothing changes until you promote a proposal.
+            </CardDescription>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={handleTrain} disabled={training}>
+              {training ? (
+                <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin" />
+              ) : (
+                <Sparkles className="h-3.5 w-3.5 mr-1.5" />
+              )}
+              Train
+            </Button>
+            <Button
+              size="sm"
+              onClick={handlePromote}
+              disabled={promoting || proposal?.status !== 'proposed'}
+            >
+              {promoting && <Loader2 className="h-3.5 w-3.5 mr-1.5 animate-spin" />}
+              Promote
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
+            <AlertCircle className="h-4 w-4 shrink-0" />
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="flex items-center gap-2 text-sm text-emerald-600 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/20 p-3 rounded-lg">
+            <CheckCircle2 className="h-4 w-4 shrink-0" />
+            {message}
+          </div>
+        )}
+
+        {loading ? (
+          <Skeleton className="h-32 w-full" />
+        ) : !proposal ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-6">
+            No proposal yet. Train to fit weights against your match outcomes.
+          </p>
+        ) : (
+          <>
+            <div className="flex items-center gap-2 text-xs text-slate-500">
+              <Badge
+                variant="outline"
+                className={cn(
+                  'text-xs',
+                  proposal.status === 'proposed' && 'border-teal-300 text-teal-700',
+                  proposal.status === 'promoted' && 'border-emerald-300 text-emerald-700',
+                  proposal.status === 'insufficient_data' && 'border-amber-300 text-amber-700'
+                )}
+              >
+                {proposal.status === 'insufficient_data' ? 'Not enough outcomes' : proposal.status}
+              </Badge>
+              <span>
+                Trained {new Date(proposal.trainedAt).toLocaleString()} on {proposal.trainingPairs} ranked pairs,
+                evaluated on {proposal.evaluatedOn === 'holdout' ? 'held-out listings' : 'training data'}
+              </span>
+            </div>
+
+            <div className="grid gap-4 sm:grid-cols-3">
+              <div className="rounded-lg border border-slate-100 dark:border-slate-800 p-3">
+                <p className="text-xs text-slate-500 mb-1">NDCG@{proposal.after.k}</p>
+                <p className="text-lg font-semibold text-slate-900 dark:text-white">
+                  {proposal.before.ndcg.toFixed(3)} → {proposal.after.ndcg.toFixed(3)}
+                </p>
+                <Delta value={proposal.after.ndcg - proposal.before.ndcg} />
+              </div>
+              <div className="rounded-lg border border-slate-100 dark:border-slate-800 p-3">
+                <p className="text-xs text-slate-500 mb-1">Acceptance rate in top {proposal.after.k}</p>
+                <p className="text-lg font-semibold text-slate-900 dark:text-white">
+                  {(proposal.before.acceptanceRateAtK * 100).toFixed(1)}% → {(proposal.after.acceptanceRateAtK * 100).toFixed(1)}%
+                </p>
+              </div>
+              <div className="rounded-lg border border-slate-100 dark:border-slate-800 p-3">
+                <p className="text-xs text-slate-500 mb-1">Acceptance-rate lift</p>
+                <p
+                  className={cn(
+                    'text-lg font-semibold',
+                    proposal.acceptanceLift > 0
+                      ? 'text-emerald-600'
+                      : proposal.acceptanceLift < 0
+                        ? 'text-red-600'
+                        : 'text-slate-900 dark:text-white'
+                  )}
+                >
+                  {proposal.acceptanceLift > 0 ? '+' : ''}
+                  {(proposal.acceptanceLift * 100).toFixed(1)}%
+                </p>
+                <p className="text-xs text-slate-400">{proposal.after.groups} listings evaluated</p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-slate-500">
+                    <th className="pb-2 pr-4">Signal</th>
+                    <th className="pb-2 pr-4 text-right">Current</th>
+                    <th className="pb-2 pr-4 text-right">Proposed</th>
+                    <th className="pb-2 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Array.from(new Set([...Object.keys(proposal.currentWeights), ...Object.keys(proposal.proposedWeights)])).map((name) => (
+                    <tr key={name} className="border-b last:border-0">
+                      <td className="py-2 pr-4 font-medium text-slate-700 dark:text-slate-300">
+                        {signalLabels[name] || name}
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">
+                        {(proposal.currentWeights[name] ?? 0).toFixed(3)}
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">
+                        {(proposal.proposedWeights[name] ?? 0).toFixed(3)}
+                      </td>
+                      <td className="py-2 text-right">
+                        <Delta
+                          value={(proposal.proposedWeights[name] ?? 0) - (proposal.currentWeights[name] ?? 0)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
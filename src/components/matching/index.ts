@@ -3,3 +3,4 @@ export { MatchBreakdown } from './MatchBreakdown';
 export { StudentMatchList } from './StudentMatchList';
 export { ScheduleBuilder } from './ScheduleBuilder';
 export { AvailabilityCalendar } from './AvailabilityCalendar';
+export { WeightProposalCard } from './WeightProposalCard';
@@ -0,0 +1,92 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { CompetencyScoreList } from '@/components/coaching/mock-interview-panel';
+import type { CompetencyScore } from '@/components/coaching/mock-interview-panel';
+import { Mic, ChevronDown, ChevronUp } from 'lucide-react';
+
+export interface MockInterviewResult {
+  id: string;
+  listingId: string | null;
+  listingTitle: string;
+  overallScore: number;
+  competencyScores: CompetencyScore[];
+  summary: string | null;
+  completedAt: string;
+}
+
+interface MockInterviewHistoryProps {
+  results: MockInterviewResult[];
+}
+
+function scoreColor(score: number): string {
+  if (score >= 71) return 'text-emerald-600 bg-emerald-50';
+  if (score >= 41) return 'text-amber-600 bg-amber-50';
+  return 'text-red-600 bg-red-50';
+}
+
+/** Rubric scores from the student's mock interviews, newest first. */
+export function MockInterviewHistory({ results }: MockInterviewHistoryProps) {
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <Mic className="h-5 w-5 text-teal-600" />
+          Mock Interview Scores
+        </CardTitle>
+        <CardDescription>
+          How you scored on each competency in AI mock interviews, on the same 0-100 scale as your readiness score
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {results.map((r) => {
+          const expanded = expandedId === r.id;
+          return (
+            <div key={r.id} className="rounded-lg border border-slate-200 dark:border-slate-700">
+              <button
+                type="button"
+                className="w-full flex items-center justify-between gap-3 p-3 text-left"
+                onClick={() => setExpandedId(expanded ? null : r.id)}
+              >
+                <div>
+                  <p className="text-sm font-medium text-slate-800 dark:text-slate-200">{r.listingTitle}</p>
+                  <p className="text-xs text-slate-500">
+                    {new Date(r.completedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`text-sm font-semibold rounded-md px-2 py-0.5 ${scoreColor(r.overallScore)}`}>
+                    {Math.round(r.overallScore)}
+                  </span>
+                  {expanded ? <ChevronUp className="h-4 w-4 text-slate-400" /> : <ChevronDown className="h-4 w-4 text-slate-400" />}
+                </div>
+              </button>
+              {expanded && (
+                <div className="px-3 pb-3 space-y-3">
+                  {r.summary && <p className="text-sm text-slate-600 dark:text-slate-400">{r.summary}</p>}
+                  <CompetencyScoreList scores={r.competencyScores} />
+                  {r.listingId && (
+                    <Link href={`/coaching/mock-interview?listingId=${r.listingId}`}>
+                      <Button variant="outline" size="sm">Practise Again</Button>
+                    </Link>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,34 +1,33 @@
 /**
  * Claude API Client
  *
- * Wrapper around the Anthropic SDK for the Proveground platform.
- * Provides both synchronous and streaming interfaces.
+ * Entry point for every LLM call on the Proveground platform.
+ * Provides both synchronous and streaming interfaces, and routes each call
+ * to the provider in `options.provider` (Anthropic by default, an
+ * OpenAI-compatible server, or the offline mock) — see ./providers.
+ * Calls that carry `options.meter` have their token usage and cost
+ * recorded — see ./metering. Calls that carry `options.tools` run a
+ * tool-use loop: tool calls the model requests are executed server-side
+ * and their results fed back until it answers in text. Calls that carry
+ * `options.redactor` never send the identifiers it knows to the provider:
+ * prompts are redacted on the way out and responses rehydrated on the way
+ * back — see ./redaction.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import type { ClaudeOptions, ConversationMessage } from './types';
+import { getProvider, resolveProviderConfig } from './providers';
+import { recordAiUsage } from './metering';
+import { REDACTION_NOTICE } from './redaction';
+import type { LlmCompletion, LlmMessage, LlmProvider, LlmRequest, LlmToolCall } from './providers';
+import type { AiTokenUsage, AiToolCallRecord, ClaudeOptions, ConversationMessage } from './types';
 
-// Lazy-initialized client (only created when first used)
-let client: Anthropic | null = null;
-
-function getClient(): Anthropic {
-  if (!client) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    client = new Anthropic({ apiKey });
-  }
-  return client;
-}
+/** Tool-use rounds per call before the model is made to answer without tools */
+const MAX_TOOL_ROUNDS = 4;
 
 /**
- * Convert our ConversationMessage format to Anthropic SDK format.
+ * Convert our ConversationMessage format to the provider request format.
  * Filters out system messages (handled separately).
  */
-function toAnthropicMessages(
-  messages: ConversationMessage[]
-): Array<{ role: 'user' | 'assistant'; content: string }> {
+function toProviderMessages(messages: ConversationMessage[]): LlmMessage[] {
   return messages
     .filter((m) => m.role !== 'system')
     .map((m) => ({
@@ -53,36 +52,104 @@ function buildSystemPrompt(systemPrompt: string, aiTrainingOptOut?: boolean): st
   return optOutNotice + systemPrompt;
 }
 
+/** Build the normalised provider request from ClaudeOptions. */
+function buildRequest(options: ClaudeOptions): LlmRequest {
+  const { model, systemPrompt, messages, maxTokens = 2048, temperature, aiTrainingOptOut, metadata, redactor } = options;
+  const system = buildSystemPrompt(systemPrompt, aiTrainingOptOut);
+  const providerMessages = toProviderMessages(messages);
+  return {
+    model,
+    system: redactor ? REDACTION_NOTICE + redactor.redact(system) : system,
+    messages: redactor
+      ? providerMessages.map((m) => ({ ...m, content: redactor.redact(m.content) }))
+      : providerMessages,
+    maxTokens,
+    ...(temperature !== undefined ? { temperature } : {}),
+    metadata,
+    ...(options.tools && options.tools.length > 0
+      ? {
+          tools: options.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+          toolChoice: 'auto' as const,
+        }
+      : {}),
+  };
+}
+
 /**
- * Send a message to Claude and get a complete response.
- * Includes retry logic with exponential backoff.
+ * Execute the tool calls from one model turn, append the assistant turn and
+ * the tool results to the request, and report each call via onToolCall.
+ * Tool failures are returned to the model as `{ error }` rather than thrown.
  */
-export async function askClaude(options: ClaudeOptions): Promise<string> {
-  const { model, systemPrompt, messages, maxTokens = 2048, aiTrainingOptOut, metadata } = options;
-  const anthropic = getClient();
+async function runToolRound(
+  options: ClaudeOptions,
+  request: LlmRequest,
+  text: string,
+  toolCalls: LlmToolCall[],
+  round: number
+): Promise<void> {
+  request.messages.push({ role: 'assistant', content: text, toolCalls });
+
+  for (const call of toolCalls) {
+    const tool = options.tools?.find((t) => t.name === call.name);
+    const started = Date.now();
+    const record: AiToolCallRecord = { id: call.id, name: call.name, input: call.input, durationMs: 0 };
+
+    // Placeholders the model passes as arguments are restored before the tool runs
+    record.input = options.redactor ? options.redactor.rehydrateValue(call.input) : call.input;
+
+    try {
+      if (!tool) throw new Error(`Unknown tool: ${call.name}`);
+      record.result = await tool.execute(record.input);
+    } catch (error) {
+      record.error = error instanceof Error ? error.message : 'Tool failed';
+    }
+    record.durationMs = Date.now() - started;
+
+    const content = JSON.stringify(record.error ? { error: record.error } : record.result ?? null);
+    request.messages.push({
+      role: 'tool',
+      toolCallId: call.id,
+      content: options.redactor ? options.redactor.redact(content) : content,
+    });
+
+    try {
+      await options.onToolCall?.(record);
+    } catch (error) {
+      console.error('Failed to record AI tool call:', error);
+    }
+  }
 
-  const effectiveSystem = buildSystemPrompt(systemPrompt, aiTrainingOptOut);
+  // Out of rounds: keep the tool definitions (required once tool turns exist) but force a text answer
+  if (round + 1 >= MAX_TOOL_ROUNDS) {
+    request.toolChoice = 'none';
+  }
+}
+
+/** Record token usage for a metered call (no-op when options.meter is unset). */
+async function meterCall(options: ClaudeOptions, usage: AiTokenUsage, streamed: boolean): Promise<void> {
+  if (!options.meter) return;
+  const providerConfig = resolveProviderConfig(options.provider);
+  await recordAiUsage(options.meter, {
+    provider: providerConfig.type,
+    providerConfig,
+    model: options.model,
+    usage,
+    streamed,
+  });
+}
 
+/** Single provider call with retry and exponential backoff. */
+async function completeWithRetry(provider: LlmProvider, request: LlmRequest): Promise<LlmCompletion> {
   let lastError: Error | null = null;
 
   for (let attempt = 0; attempt < 3; attempt++) {
     try {
-      const response = await anthropic.messages.create({
-        model,
-        max_tokens: maxTokens,
-        system: effectiveSystem,
-        messages: toAnthropicMessages(messages),
-        ...(metadata ? { metadata } : {}),
-      });
-
-      // Extract text from response
-      const textBlock = response.content.find((block) => block.type === 'text');
-      return textBlock?.text || '';
+      return await provider.complete(request);
     } catch (error) {
       lastError = error as Error;
 
-      // Don't retry on auth errors or invalid requests
-      if (error instanceof Anthropic.AuthenticationError || error instanceof Anthropic.BadRequestError) {
+      // Don't retry on auth errors, invalid requests or missing configuration
+      if (!provider.isRetryable(error)) {
         throw error;
       }
 
@@ -97,32 +164,62 @@ export async function askClaude(options: ClaudeOptions): Promise<string> {
   throw lastError || new Error('Failed to get response from Claude');
 }
 
+/**
+ * Send a message to Claude and get a complete response.
+ * Includes retry logic with exponential backoff. With tools, returns the
+ * text of the model's final turn.
+ */
+export async function askClaude(options: ClaudeOptions): Promise<string> {
+  const provider = getProvider(options.provider);
+  const request = buildRequest(options);
+
+  for (let round = 0; ; round++) {
+    const completion = await completeWithRetry(provider, request);
+    await meterCall(options, completion.usage, false);
+
+    if (completion.toolCalls.length === 0 || !options.tools) {
+      return options.redactor ? options.redactor.rehydrate(completion.text) : completion.text;
+    }
+    await runToolRound(options, request, completion.text, completion.toolCalls, round);
+  }
+}
+
 /**
  * Stream a response from Claude.
- * Yields text deltas as they arrive.
+ * Yields text deltas as they arrive; usage is recorded as each model turn
+ * completes. Tool rounds run between turns, so text streamed before a
+ * tool call and the answer after it arrive as one response.
  */
 export async function* streamClaude(
   options: ClaudeOptions
 ): AsyncGenerator<string, void, unknown> {
-  const { model, systemPrompt, messages, maxTokens = 2048, aiTrainingOptOut, metadata } = options;
-  const anthropic = getClient();
-
-  const effectiveSystem = buildSystemPrompt(systemPrompt, aiTrainingOptOut);
+  const provider = getProvider(options.provider);
+  const request = buildRequest(options);
+  const rehydrator = options.redactor?.createStreamRehydrator();
+  let streamedText = false;
+
+  for (let round = 0; ; round++) {
+    const turn = provider.stream(request);
+    let text = '';
+    let next = await turn.next();
+    while (!next.done) {
+      // Keep text streamed before a tool call apart from the answer after it
+      if (text === '' && streamedText) yield '\n\n';
+      text += next.value;
+      const delta = rehydrator ? rehydrator.push(next.value) : next.value;
+      if (delta) yield delta;
+      next = await turn.next();
+    }
 
-  const stream = anthropic.messages.stream({
-    model,
-    max_tokens: maxTokens,
-    system: effectiveSystem,
-    messages: toAnthropicMessages(messages),
-    ...(metadata ? { metadata } : {}),
-  });
+    const { usage, toolCalls } = next.value;
+    await meterCall(options, usage, true);
+    streamedText = streamedText || text.length > 0;
 
-  for await (const event of stream) {
-    if (
-      event.type === 'content_block_delta' &&
-      event.delta.type === 'text_delta'
-    ) {
-      yield event.delta.text;
+    if (toolCalls.length === 0 || !options.tools) {
+      const rest = rehydrator?.flush();
+      if (rest) yield rest;
+      return;
     }
+    await runToolRound(options, request, text, toolCalls, round);
   }
 }
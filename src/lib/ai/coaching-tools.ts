@@ -0,0 +1,352 @@
+/**
+ * Coaching Chat Tools
+ *
+ * Server-side tools the coaching model can call instead of guessing:
+ * search open listings, the student's match scores, their applications and
+ * upcoming deadlines. Every query is scoped by the session's user and
+ * tenant captured in the tool closures — model input can only narrow a
+ * search, never widen it to another student's records (FERPA) or to
+ * listings outside the student's tenant and the shared network.
+ */
+
+import { z } from 'zod';
+import { sql } from '@/lib/db';
+import { getStudentMatches } from '@/lib/match-engine';
+import { hasFeature } from '@/lib/tenant/features';
+import type { AiTool, AiToolCallRecord } from './types';
+
+export interface CoachingToolContext {
+  userId: string;
+  tenantId: string | null;
+}
+
+/** Short status line shown to the student while a tool runs */
+export const COACHING_TOOL_LABELS: Record<string, string> = {
+  search_listings: 'Searching open projects',
+  get_my_matches: 'Checking your match scores',
+  get_my_applications: 'Looking up your applications',
+  get_upcoming_deadlines: 'Checking upcoming deadlines',
+};
+
+const APPLICATION_STATUSES = ['pending', 'accepted', 'rejected', 'declined', 'withdrawn', 'cancelled', 'completed'] as const;
+
+const searchListingsInput = z.object({
+  query: z.string().max(200).optional(),
+  skill: z.string().max(100).optional(),
+  remoteOnly: z.boolean().optional(),
+  limit: z.number().int().min(1).max(10).optional(),
+});
+
+const matchesInput = z.object({
+  limit: z.number().int().min(1).max(10).optional(),
+  minScore: z.number().min(0).max(100).optional(),
+});
+
+const applicationsInput = z.object({
+  status: z.enum(APPLICATION_STATUSES).optional(),
+});
+
+const deadlinesInput = z.object({
+  days: z.number().int().min(1).max(90).optional(),
+});
+
+/**
+ * Listings a student may see: their own tenant's, network-visible listings
+ * from other tenants, and platform-wide listings (same rule as /api/projects).
+ */
+function visibleListingCondition(tenantId: string | null) {
+  return tenantId
+    ? sql`(l.tenant_id = ${tenantId} OR l.visibility = 'network' OR l.tenant_id IS NULL)`
+    : sql`(l.visibility = 'network' OR l.tenant_id IS NULL)`;
+}
+
+function toDateString(value: unknown): string | null {
+  if (!value) return null;
+  return new Date(value as string).toISOString().split('T')[0];
+}
+
+function truncate(text: string, max: number): string {
+  return text.length > max ? text.substring(0, max) + '...' : text;
+}
+
+function searchListingsTool(ctx: CoachingToolContext): AiTool {
+  return {
+    name: 'search_listings',
+    description:
+      'Search open, published project and internship listings the student can apply to. Use this whenever the student asks which projects or opportunities are available instead of guessing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Keywords matched against listing titles and descriptions' },
+        skill: { type: 'string', description: 'Only listings that require this skill' },
+        remoteOnly: { type: 'boolean', description: 'Only listings that allow remote work' },
+        limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Maximum results (default 5)' },
+      },
+    },
+    async execute(rawInput) {
+      const input = searchListingsInput.parse(rawInput);
+      const conditions = [
+        sql`l.status = 'published'`,
+        visibleListingCondition(ctx.tenantId),
+        sql`(l.application_deadline IS NULL OR l.application_deadline >= CURRENT_DATE)`,
+      ];
+
+      if (input.query) {
+        const pattern = `%${input.query}%`;
+        conditions.push(sql`(l.title ILIKE ${pattern} OR l.description ILIKE ${pattern})`);
+      }
+      if (input.skill) {
+        conditions.push(sql`EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(l.skills_required) s WHERE s ILIKE ${input.skill}
+        )`);
+      }
+      if (input.remoteOnly) {
+        conditions.push(sql`l.remote_allowed = true`);
+      }
+
+      const whereClause = conditions.reduce((acc, cond, i) =>
+        i === 0 ? cond : sql`${acc} AND ${cond}`
+      );
+
+      const rows = await sql`
+        SELECT l.id, l.title, l.description, l.category, l.listing_type, l.remote_allowed,
+               l.hours_per_week, l.duration, l.skills_required, l.application_deadline, l.start_date,
+               COALESCE(u.company_name, u.display_name) as company
+        FROM listings l
+        JOIN users u ON u.id = l.author_id
+        WHERE ${whereClause}
+        ORDER BY l.published_at DESC NULLS LAST
+        LIMIT ${input.limit ?? 5}
+      `;
+
+      return {
+        listings: rows.map((l: Record<string, unknown>) => ({
+          id: l.id,
+          title: l.title,
+          company: l.company || null,
+          type: l.listing_type,
+          category: l.category || null,
+          summary: truncate(String(l.description || ''), 300),
+          skillsRequired: (l.skills_required as string[]) || [],
+          remoteAllowed: l.remote_allowed,
+          hoursPerWeek: l.hours_per_week ?? null,
+          duration: l.duration || null,
+          applicationDeadline: toDateString(l.application_deadline),
+          startDate: toDateString(l.start_date),
+          url: `/projects/${l.id}`,
+        })),
+      };
+    },
+  };
+}
+
+function matchesTool(ctx: CoachingToolContext): AiTool {
+  return {
+    name: 'get_my_matches',
+    description:
+      "Get the student's best-matching open listings with their match scores (0-100), matched skills and skills to develop. Use this when the student asks which projects fit them.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Maximum results (default 5)' },
+        minScore: { type: 'number', minimum: 0, maximum: 100, description: 'Only matches at or above this score' },
+      },
+    },
+    async execute(rawInput) {
+      const input = matchesInput.parse(rawInput);
+      const limit = input.limit ?? 5;
+
+      const matches = await getStudentMatches(ctx.userId, {
+        limit: limit * 2,
+        minScore: input.minScore ?? 0,
+        tenantId: ctx.tenantId,
+      });
+      if (matches.length === 0) return { matches: [] };
+
+      // Cached scores can reference listings since closed or outside this tenant's reach
+      const visible = await sql`
+        SELECT l.id FROM listings l
+        WHERE l.id = ANY(${matches.map((m) => m.listingId)})
+          AND l.status = 'published'
+          AND ${visibleListingCondition(ctx.tenantId)}
+      `;
+      const visibleIds = new Set(visible.map((v: Record<string, unknown>) => v.id as string));
+
+      return {
+        matches: matches
+          .filter((m) => visibleIds.has(m.listingId))
+          .slice(0, limit)
+          .map((m) => ({
+            listingId: m.listingId,
+            title: m.listing.title,
+            company: m.listing.companyName,
+            score: m.compositeScore,
+            matchedSkills: m.matchedSkills,
+            skillsToDevelop: m.missingSkills,
+            url: `/projects/${m.listingId}`,
+          })),
+      };
+    },
+  };
+}
+
+function applicationsTool(ctx: CoachingToolContext): AiTool {
+  return {
+    name: 'get_my_applications',
+    description:
+      "Get the student's own applications with their current status (pending, accepted, rejected, etc.) and key project dates.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: [...APPLICATION_STATUSES], description: 'Only applications in this status' },
+      },
+    },
+    async execute(rawInput) {
+      const input = applicationsInput.parse(rawInput);
+
+      const rows = await sql`
+        SELECT pa.id, pa.status, pa.submitted_at, pa.responded_at,
+               pa.listing_id, COALESCE(l.title, pa.listing_title) as title,
+               COALESCE(u.company_name, pa.corporate_name) as company,
+               l.start_date, l.end_date
+        FROM project_applications pa
+        LEFT JOIN listings l ON l.id = pa.listing_id
+        LEFT JOIN users u ON u.id = l.author_id
+        WHERE pa.student_id = ${ctx.userId}
+          ${input.status ? sql`AND pa.status = ${input.status}` : sql``}
+        ORDER BY pa.submitted_at DESC
+        LIMIT 20
+      `;
+
+      return {
+        applications: rows.map((a: Record<string, unknown>) => ({
+          id: a.id,
+          listingId: a.listing_id,
+          title: a.title,
+          company: a.company || null,
+          status: a.status,
+          submittedAt: toDateString(a.submitted_at),
+          respondedAt: toDateString(a.responded_at),
+          startDate: toDateString(a.start_date),
+          endDate: toDateString(a.end_date),
+        })),
+      };
+    },
+  };
+}
+
+function deadlinesTool(ctx: CoachingToolContext): AiTool {
+  return {
+    name: 'get_upcoming_deadlines',
+    description:
+      "Get upcoming dates for the student: application deadlines for open listings they have not applied to (best matches first) and start/end dates of projects they applied to or were accepted on.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: 90, description: 'How many days ahead to look (default 30)' },
+      },
+    },
+    async execute(rawInput) {
+      const input = deadlinesInput.parse(rawInput);
+      const days = input.days ?? 30;
+
+      const [applicationDeadlines, projectDates] = await Promise.all([
+        sql`
+          SELECT l.id, l.title, l.application_deadline, ms.composite_score
+          FROM listings l
+          LEFT JOIN match_scores ms ON ms.listing_id = l.id AND ms.student_id = ${ctx.userId}
+          WHERE l.status = 'published'
+            AND ${visibleListingCondition(ctx.tenantId)}
+            AND l.application_deadline BETWEEN CURRENT_DATE AND CURRENT_DATE + ${days}::int
+            AND NOT EXISTS (
+              SELECT 1 FROM project_applications pa
+              WHERE pa.listing_id = l.id AND pa.student_id = ${ctx.userId}
+            )
+          ORDER BY ms.composite_score DESC NULLS LAST, l.application_deadline ASC
+          LIMIT 10
+        `,
+        sql`
+          SELECT l.id, l.title, pa.status, l.start_date, l.end_date
+          FROM project_applications pa
+          JOIN listings l ON l.id = pa.listing_id
+          WHERE pa.student_id = ${ctx.userId}
+            AND pa.status IN ('pending', 'accepted')
+            AND (
+              l.start_date::date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${days}::int
+              OR (pa.status = 'accepted' AND l.end_date::date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${days}::int)
+            )
+        `,
+      ]);
+
+      const deadlines: Array<{
+        type: 'application_deadline' | 'project_start' | 'project_end';
+        date: string;
+        listingId: string;
+        title: string;
+        matchScore?: number | null;
+        applicationStatus?: string;
+      }> = [];
+
+      for (const l of applicationDeadlines) {
+        deadlines.push({
+          type: 'application_deadline',
+          date: toDateString(l.application_deadline)!,
+          listingId: l.id as string,
+          title: l.title as string,
+          matchScore: l.composite_score != null ? Number(l.composite_score) : null,
+        });
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      for (const p of projectDates) {
+        const start = toDateString(p.start_date);
+        const end = toDateString(p.end_date);
+        if (start && start >= today) {
+          deadlines.push({ type: 'project_start', date: start, listingId: p.id as string, title: p.title as string, applicationStatus: p.status as string });
+        }
+        if (p.status === 'accepted' && end && end >= today) {
+          deadlines.push({ type: 'project_end', date: end, listingId: p.id as string, title: p.title as string, applicationStatus: p.status as string });
+        }
+      }
+
+      deadlines.sort((a, b) => a.date.localeCompare(b.date));
+      return { days, deadlines };
+    },
+  };
+}
+
+/**
+ * Build the tools for one coaching turn. The match tool is only offered
+ * when the tenant has the Match Engine feature.
+ */
+export async function buildCoachingTools(ctx: CoachingToolContext): Promise<AiTool[]> {
+  const tools = [searchListingsTool(ctx), applicationsTool(ctx), deadlinesTool(ctx)];
+  if (await hasFeature(ctx.tenantId, 'matchEngine')) {
+    tools.splice(1, 0, matchesTool(ctx));
+  }
+  return tools;
+}
+
+/**
+ * Log a tool call to ai_messages as a 'tool' row. These rows are an audit
+ * trail — they are excluded from the history sent back to the model and
+ * from the conversation view.
+ */
+export async function saveToolCallMessage(conversationId: string, call: AiToolCallRecord): Promise<void> {
+  await sql`
+    INSERT INTO ai_messages (conversation_id, role, content, metadata)
+    VALUES (
+      ${conversationId},
+      'tool',
+      ${call.name},
+      ${JSON.stringify({
+        toolCallId: call.id,
+        name: call.name,
+        input: call.input,
+        result: call.result ?? null,
+        error: call.error ?? null,
+        durationMs: call.durationMs,
+      })}::jsonb
+    )
+  `;
+}
@@ -0,0 +1,605 @@
+/**
+ * AI Evaluation Harness — Golden Datasets
+ *
+ * Stored fixture inputs for every prompt builder in ../prompts, with the
+ * rubric each output is scored against. `mockResponse` is a reference
+ * answer that passes the rubric; the mock provider returns it so the
+ * harness runs offline and in CI. Add a case here whenever a prompt
+ * regression is found in production.
+ */
+
+import { z } from 'zod';
+import {
+  buildCoachingSystemPrompt,
+  buildResumeReviewPrompt,
+  buildInterviewPrepPrompt,
+  buildCoverLetterPrompt,
+  buildProjectScopingPrompt,
+  buildPortfolioIntelligencePrompt,
+  buildTalentInsightsPrompt,
+  buildBioImprovementPrompt,
+  buildMockInterviewPrompt,
+  buildMockInterviewScoringPrompt,
+} from '../prompts';
+import type { MockInterviewListing, StudentProfileForAi } from '../types';
+import type { EvalSuite, EvalSuiteDefinition } from './types';
+
+/** Erase a suite's input type so suites for different builders share one list. */
+function defineSuite<TInput>(suite: EvalSuite<TInput>): EvalSuiteDefinition {
+  return {
+    builder: suite.builder,
+    maxTokens: suite.maxTokens ?? 2048,
+    cases: suite.cases.map((c) => ({
+      id: c.id,
+      description: c.description,
+      userMessage: c.userMessage,
+      mockResponse: c.mockResponse,
+      rubric: { ...suite.rubric, ...c.rubric },
+      buildPrompt: async () => suite.build(c.input),
+    })),
+  };
+}
+
+const STUDENT_ATHLETE: StudentProfileForAi = {
+  name: 'Jordan Rivera',
+  university: 'State University',
+  major: 'Computer Science',
+  graduationYear: '2026',
+  gpa: '3.6',
+  skills: ['Python', 'SQL', 'Data Visualization', 'Teamwork'],
+  sportsPlayed: 'Soccer (Division I, team captain)',
+  activities: 'ACM chapter treasurer',
+  bio: 'Student-athlete who enjoys turning messy data into clear stories.',
+};
+
+const STUDENT_SPARSE: StudentProfileForAi = {
+  name: 'Amara Okafor',
+  university: 'Riverside Community College',
+  major: null,
+  graduationYear: null,
+  gpa: null,
+  skills: [],
+  sportsPlayed: null,
+  activities: null,
+  bio: null,
+};
+
+const coaching = defineSuite<{ student: StudentProfileForAi }>({
+  builder: 'buildCoachingSystemPrompt',
+  build: ({ student }) => buildCoachingSystemPrompt(student),
+  rubric: { length: { minWords: 60, maxWords: 450 } },
+  maxTokens: 1024,
+  cases: [
+    {
+      id: 'coaching-athlete-transferable-skills',
+      description: 'Student-athlete asks how to present athletics to employers',
+      input: { student: STUDENT_ATHLETE },
+      userMessage: 'How do I talk about being a team captain in interviews?',
+      mockResponse: [
+        'Being captain of a Division I soccer team gives you concrete leadership stories, and your Computer Science background lets you connect them to technical work.',
+        '',
+        'Try framing it this way:',
+        '- Leadership under pressure: describe a match where you reorganised the team at half-time and what changed.',
+        '- Communication: captains relay plans between coaches and players, which mirrors translating requirements between stakeholders and engineers.',
+        '- Accountability: mention how you balanced training with your ACM treasurer role and coursework.',
+        '',
+        'Pair each story with a result, then link it back to the role. For a data role, for example, you might say your habit of reviewing game film is the same instinct that drives you to check your SQL results before sharing a chart.',
+      ].join('\n'),
+    },
+    {
+      id: 'coaching-sparse-profile',
+      description: 'Profile with almost no data — coach should ask rather than assume',
+      input: { student: STUDENT_SPARSE },
+      userMessage: 'What kind of projects should I apply for?',
+      mockResponse: [
+        'Great question, Amara. Your profile does not list a major or skills yet, so I do not have enough information to recommend specific projects with confidence.',
+        '',
+        'A few quick steps will help:',
+        '- Add the skills you have used in classes, jobs or volunteering, even informal ones.',
+        '- Note the subjects you enjoy most at Riverside Community College.',
+        '- Tell me how many hours a week you can commit.',
+        '',
+        'Once I know that, I can point you to projects where your skills already match and suggest one or two skills to build next.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const resumeReview = defineSuite<{ resumeText: string }>({
+  builder: 'buildResumeReviewPrompt',
+  build: ({ resumeText }) => buildResumeReviewPrompt(resumeText),
+  rubric: {
+    requiredSections: ['Overall Assessment', 'Specific Suggestions', 'Format Tips', 'Key Skills to Highlight'],
+    length: { minWords: 120, maxWords: 900 },
+  },
+  cases: [
+    {
+      id: 'resume-entry-level',
+      description: 'Short entry-level resume with vague bullet points',
+      input: {
+        resumeText: [
+          'Jordan Rivera — jordan@example.edu',
+          'Education: B.S. Computer Science, State University, 2026',
+          'Experience: Intern, City Parks Dept. Helped with data stuff. Made reports.',
+          'Skills: Python, Excel, SQL',
+          'Athletics: Varsity soccer captain',
+        ].join('\n'),
+      },
+      userMessage: 'Please review my resume.',
+      mockResponse: [
+        '## 1. Overall Assessment',
+        'Your resume shows relevant technical skills and real leadership as a varsity captain. The experience section is too vague to show impact, so it undersells what you did.',
+        '',
+        '## 2. Specific Suggestions',
+        '- Before: "Helped with data stuff." After: "Cleaned and merged 3 years of park usage data in Python, cutting report prep time by 40%."',
+        '- Before: "Made reports." After: "Built weekly Excel dashboards used by 5 program managers to plan staffing."',
+        '- Add a one-line project entry that shows SQL in use, with the dataset size and the question it answered.',
+        '- Turn the captain role into an accomplishment: mention team size and one result.',
+        '',
+        '## 3. Format Tips',
+        'Use a consistent date format, put Education below Experience once you have two entries, and keep it to one page with clear section headings.',
+        '',
+        '## 4. Key Skills to Highlight',
+        'Python data cleaning, SQL querying, stakeholder reporting and leadership under pressure.',
+      ].join('\n'),
+    },
+    {
+      id: 'resume-career-changer',
+      description: 'Non-traditional background moving into analytics',
+      input: {
+        resumeText: [
+          'Sam Lee',
+          'Retail Shift Supervisor, 2019-2024 — scheduled 12 staff, handled inventory counts',
+          'Google Data Analytics Certificate, 2024',
+          'Skills: Tableau, spreadsheets, customer service',
+        ].join('\n'),
+      },
+      userMessage: 'Please review my resume.',
+      mockResponse: [
+        '**Overall Assessment**',
+        'You bring five years of supervisory experience and a recent analytics certificate, which is a strong base for entry-level analyst roles. The resume needs to connect your retail work to data skills more explicitly.',
+        '',
+        '**Specific Suggestions**',
+        '1. Before: "handled inventory counts". After: "Reconciled weekly inventory for 2,000+ SKUs, reducing count discrepancies by 15%."',
+        '2. Before: "scheduled 12 staff". After: "Built shift schedules for 12 staff using demand forecasts from sales data."',
+        '3. Add a portfolio project from your certificate with a link to the Tableau dashboard.',
+        '',
+        '**Format Tips**',
+        'Add a short summary at the top that names the analyst role you want, and list the certificate under a Certifications heading.',
+        '',
+        '**Key Skills to Highlight**',
+        'Tableau dashboards, spreadsheet modelling, forecasting from sales data and team coordination.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const interviewPrep = defineSuite<{ role: string; company: string }>({
+  builder: 'buildInterviewPrepPrompt',
+  build: ({ role, company }) => buildInterviewPrepPrompt(role, company),
+  rubric: {
+    requiredSections: ['Likely Interview Questions', 'STAR Method', 'Technical Preparation', 'Questions to Ask', 'Quick Tips'],
+    length: { minWords: 150, maxWords: 1000 },
+  },
+  cases: [
+    {
+      id: 'interview-data-analyst',
+      description: 'Data analyst internship at a healthcare company',
+      input: { role: 'Data Analyst Intern', company: 'Northwind Health' },
+      userMessage: 'Help me prepare for this interview.',
+      mockResponse: [
+        '## 1. 5 Likely Interview Questions',
+        '1. Walk me through a dataset you cleaned and what you found.',
+        '2. How would you measure patient appointment no-show rates?',
+        '3. Tell me about a time you explained data to a non-technical audience.',
+        '4. How do you handle missing values in a clinical dataset?',
+        '5. Why Northwind Health?',
+        '',
+        '## 2. STAR Method Examples',
+        'Situation: your class project had inconsistent survey data. Task: produce a reliable summary. Action: wrote Python checks and documented assumptions. Result: the final report was adopted by your professor as a template.',
+        '',
+        '## 3. Technical Preparation',
+        'Review SQL joins and window functions, basic statistics such as confidence intervals, and how HIPAA limits the use of patient data.',
+        '',
+        '## 4. Questions to Ask',
+        '- What does a typical analysis request look like for interns?',
+        '- Which tools does the analytics team use day to day?',
+        '- How is success measured for this internship?',
+        '',
+        '## 5. Quick Tips',
+        '- Bring one printed example of a chart you made.',
+        '- Practise a two-minute project walkthrough.',
+        '- Send a thank-you note within 24 hours.',
+      ].join('\n'),
+    },
+    {
+      id: 'interview-marketing-startup',
+      description: 'Marketing role at an early-stage startup',
+      input: { role: 'Growth Marketing Associate', company: 'Lumen Labs' },
+      userMessage: 'Help me prepare for this interview.',
+      mockResponse: [
+        '**1. 5 Likely Interview Questions**',
+        '1. Which growth channel would you test first for Lumen Labs and why?',
+        '2. Describe a campaign you ran and how you measured it.',
+        '3. How do you prioritise experiments with a small budget?',
+        '4. Tell me about a time an idea failed.',
+        '5. What metrics matter most for an early-stage product?',
+        '',
+        '**2. STAR Method Examples**',
+        'Situation: your club event had low sign-ups. Task: double attendance. Action: ran two email subject-line tests and a referral prompt. Result: attendance rose from 30 to 75.',
+        '',
+        '**3. Technical Preparation**',
+        'Be ready to discuss funnel metrics, A/B test basics, and tools such as Google Analytics and a marketing automation platform.',
+        '',
+        '**4. Questions to Ask**',
+        '- Which channels are working today?',
+        '- How much autonomy does this role have over experiments?',
+        '- What would make the first 90 days a success?',
+        '',
+        '**5. Quick Tips**',
+        '- Study the Lumen Labs website and onboarding flow beforehand.',
+        '- Bring one experiment idea with a hypothesis and metric.',
+        '- Keep answers under two minutes.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const coverLetter = defineSuite<{
+  listing: { title: string; description: string; skills: string[] };
+  student: StudentProfileForAi;
+}>({
+  builder: 'buildCoverLetterPrompt',
+  build: ({ listing, student }) => buildCoverLetterPrompt(listing, student),
+  rubric: {
+    length: { minWords: 150, maxWords: 500 },
+    forbiddenPatterns: [{ label: 'unfilled placeholder', pattern: /\[(?:Your Name|Company Name|Hiring Manager)\]/i }],
+  },
+  cases: [
+    {
+      id: 'cover-letter-matched-skills',
+      description: 'Student whose skills match most listing requirements',
+      input: {
+        listing: {
+          title: 'Sports Analytics Dashboard',
+          description: 'Build an internal dashboard tracking athlete training load for a sports-tech company.',
+          skills: ['Python', 'SQL', 'Data Visualization'],
+        },
+        student: STUDENT_ATHLETE,
+      },
+      userMessage: 'Please help me write a cover letter for this project.',
+      mockResponse: [
+        'Dear Hiring Team,',
+        '',
+        'As a Division I soccer captain who spends as much time in spreadsheets as on the pitch, I know first-hand how much training load data can change a season. That is why the Sports Analytics Dashboard project immediately caught my attention.',
+        '',
+        'In my Computer Science coursework at State University I have used Python and SQL to clean and analyse datasets, and I enjoy turning the results into clear visualizations. As ACM chapter treasurer I also built the budget tracker our officers rely on, which taught me to design for people who are not analysts.',
+        '',
+        'I am excited by the chance to combine my technical skills with an athlete\'s understanding of what coaches need from a dashboard. I would bring careful data handling, fast iteration and clear communication to your team.',
+        '',
+        'I would welcome the opportunity to discuss how I can contribute. Thank you for your time and consideration.',
+        '',
+        'Sincerely,',
+        'Jordan Rivera',
+      ].join('\n'),
+    },
+    {
+      id: 'cover-letter-sparse-profile',
+      description: 'Sparse profile — letter should flag what to customise, not invent facts',
+      input: {
+        listing: {
+          title: 'Community Outreach Research',
+          description: 'Survey local businesses about hiring needs and summarise findings for a nonprofit.',
+          skills: ['Survey Design', 'Communication', 'Excel'],
+        },
+        student: STUDENT_SPARSE,
+      },
+      userMessage: 'Please help me write a cover letter for this project.',
+      mockResponse: [
+        'Dear Hiring Team,',
+        '',
+        'I am excited to apply for the Community Outreach Research project. Helping a nonprofit understand what local businesses need is the kind of practical, community-focused work I want to build my experience around.',
+        '',
+        'At Riverside Community College I have developed strong communication habits through coursework and group projects. [Customise: add one example of a survey, interview or research task you have done, and mention any Excel work.]',
+        '',
+        'I am eager to learn survey design and to turn conversations with business owners into clear findings the nonprofit can act on. I am organised, reliable and comfortable reaching out to people I have not met before.',
+        '',
+        'Thank you for considering my application. I would welcome the chance to talk about how I can support this project.',
+        '',
+        'Sincerely,',
+        'Amara Okafor',
+        '',
+        'Note: your profile lists no skills yet, so add the specific experience that best matches Survey Design, Communication and Excel before sending.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const MILESTONES_SCHEMA = z
+  .array(
+    z.object({
+      title: z.string().min(1),
+      description: z.string().min(1),
+      estimatedWeeks: z.number().positive(),
+    })
+  )
+  .min(3)
+  .max(5);
+
+const projectScoping = defineSuite<{ projectDescription: string }>({
+  builder: 'buildProjectScopingPrompt',
+  build: ({ projectDescription }) => buildProjectScopingPrompt(projectDescription),
+  rubric: {
+    requiredSections: ['Description Review', 'Suggested Skills', 'Proposed Milestones', 'Student Appeal Score'],
+    json: [
+      { section: 'Suggested Skills', schema: z.array(z.string().min(1)).min(5).max(10) },
+      { section: 'Proposed Milestones', schema: MILESTONES_SCHEMA },
+    ],
+    length: { minWords: 120, maxWords: 900 },
+  },
+  cases: [
+    {
+      id: 'scoping-vague-description',
+      description: 'One-line description that needs substantial improvement',
+      input: { projectDescription: 'We need help with our social media.' },
+      userMessage: 'Please scope this project.',
+      mockResponse: [
+        '## 1. Description Review',
+        'The description is too vague for students to judge fit. State the platforms, the goal (for example, growing followers or launching a campaign), the deliverables and the time commitment.',
+        '',
+        '## 2. Suggested Skills',
+        '```json',
+        '["Social Media Marketing", "Content Creation", "Copywriting", "Canva", "Analytics Reporting", "Communication"]',
+        '```',
+        '',
+        '## 3. Proposed Milestones',
+        '```json',
+        '[',
+        '  {"title": "Audit", "description": "Review current channels and benchmark two competitors", "estimatedWeeks": 1},',
+        '  {"title": "Content Plan", "description": "Draft a four-week content calendar with post templates", "estimatedWeeks": 2},',
+        '  {"title": "Launch and Measure", "description": "Publish the calendar and report engagement weekly", "estimatedWeeks": 4}',
+        ']',
+        '```',
+        '',
+        '## 4. Student Appeal Score',
+        '5/10 — social media projects are popular, but the current description gives students too little to get excited about.',
+      ].join('\n'),
+    },
+    {
+      id: 'scoping-technical-project',
+      description: 'Detailed technical brief with clear deliverables',
+      input: {
+        projectDescription:
+          'Build a Python script that pulls daily sales from our Shopify store, stores them in Postgres and emails a weekly summary to the operations team. Expected 8 hours/week for 8 weeks.',
+      },
+      userMessage: 'Please scope this project.',
+      mockResponse: [
+        '**1. Description Review**',
+        'Clear and specific: students can see the stack, the outcome and the time commitment. Mention who the student will report to and whether they get access to a staging store.',
+        '',
+        '**2. Suggested Skills**',
+        '["Python", "REST APIs", "PostgreSQL", "SQL", "Task Scheduling", "Email Automation", "Documentation"]',
+        '',
+        '**3. Proposed Milestones**',
+        '[{"title": "API Access", "description": "Authenticate with Shopify and fetch one day of orders", "estimatedWeeks": 2}, {"title": "Storage", "description": "Design the Postgres schema and load historical sales", "estimatedWeeks": 2}, {"title": "Weekly Summary", "description": "Schedule the job and send the formatted email report", "estimatedWeeks": 3}, {"title": "Handover", "description": "Document setup and train the operations team", "estimatedWeeks": 1}]',
+        '',
+        '**4. Student Appeal Score**',
+        '8/10 — real data, a modern stack and a tangible deliverable make this attractive for portfolio building.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const portfolioIntelligence = defineSuite<Parameters<typeof buildPortfolioIntelligencePrompt>[0]>({
+  builder: 'buildPortfolioIntelligencePrompt',
+  build: (input) => buildPortfolioIntelligencePrompt(input),
+  rubric: {
+    requiredSections: ['Skills Portfolio Assessment', 'Gap Analysis', 'Program Recommendations', 'Competitive Positioning'],
+    length: { minWords: 100, maxWords: 1000 },
+  },
+  cases: [
+    {
+      id: 'portfolio-intelligence-mid-size',
+      description: 'Mid-size cohort with clear analytics skill gaps',
+      input: {
+        totalStudents: 240,
+        skillDistribution: { Python: 96, Excel: 150, Communication: 180, SQL: 40, Tableau: 22 },
+        completionRate: 0.72,
+        avgRating: 4.3,
+        topSkills: ['Communication', 'Excel', 'Python'],
+        topMissingSkills: ['SQL', 'Tableau', 'Cloud Computing'],
+      },
+      userMessage: 'Please analyze our student portfolio.',
+      mockResponse: [
+        '## 1. Skills Portfolio Assessment',
+        'Students are strong communicators and most are comfortable in Excel, while 40% have Python. With a 72% completion rate and a 4.3 average rating, the cohort delivers well once placed.',
+        '',
+        '## 2. Gap Analysis',
+        'SQL appears on only 40 profiles and Tableau on 22, yet both are among the most common gaps on listings. Cloud Computing is absent entirely.',
+        '',
+        '## 3. Program Recommendations',
+        '- Add a short SQL module to existing Python courses.',
+        '- Offer a Tableau workshop series each term.',
+        '- Partner with a cloud provider for free certification vouchers.',
+        '',
+        '## 4. Competitive Positioning',
+        'Communication strength is a differentiator, but analytics tooling lags industry demand. Closing the SQL gap would make the largest difference to placement rates.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const talentInsights = defineSuite<Parameters<typeof buildTalentInsightsPrompt>[0]>({
+  builder: 'buildTalentInsightsPrompt',
+  build: (input) => buildTalentInsightsPrompt(input),
+  rubric: {
+    requiredSections: ['Demand Trends', 'Emerging Opportunities', 'Student Readiness', 'Strategic Recommendations'],
+    length: { minWords: 100, maxWords: 1000 },
+  },
+  cases: [
+    {
+      id: 'talent-insights-tech-heavy',
+      description: 'Market dominated by technology listings',
+      input: {
+        activeListings: 58,
+        topRequestedSkills: [
+          { skill: 'Python', count: 21 },
+          { skill: 'SQL', count: 17 },
+          { skill: 'Project Management', count: 12 },
+          { skill: 'Figma', count: 6 },
+        ],
+        industryBreakdown: { Technology: 30, Finance: 14, Healthcare: 9, Nonprofit: 5 },
+        avgHoursPerWeek: 12,
+      },
+      userMessage: 'Please provide talent market insights.',
+      mockResponse: [
+        '## 1. Demand Trends',
+        'Python and SQL lead demand, appearing in 21 and 17 of 58 listings. Employers want students who can work with data from day one.',
+        '',
+        '## 2. Emerging Opportunities',
+        'Healthcare is a growing share of listings, and design tooling such as Figma is starting to appear outside pure design roles.',
+        '',
+        '## 3. Student Readiness',
+        'Students should build one portfolio project that combines Python and SQL, and practise scoping work in 12-hour weekly increments to match typical commitments.',
+        '',
+        '## 4. Strategic Recommendations',
+        '- Run a data skills bootcamp ahead of the next listing cycle.',
+        '- Recruit more healthcare partners while demand is rising.',
+        '- Add project management micro-credentials to career services.',
+      ].join('\n'),
+    },
+  ],
+});
+
+const bioImprovement = defineSuite<{
+  student: StudentProfileForAi;
+  currentBio: string;
+  completedProjects: string[];
+  avgRating: number | null;
+}>({
+  builder: 'buildBioImprovementPrompt',
+  build: ({ student, currentBio, completedProjects, avgRating }) =>
+    buildBioImprovementPrompt(student, currentBio, completedProjects, avgRating),
+  rubric: {
+    length: { minWords: 30, maxChars: 2000 },
+    forbiddenPatterns: [
+      { label: 'commentary preamble', pattern: /^\s*(?:here(?:'s| is)|sure|certainly)\b/i },
+      { label: 'wrapping quotes', pattern: /^\s*["“][\s\S]*["”]\s*$/ },
+    ],
+  },
+  maxTokens: 1024,
+  cases: [
+    {
+      id: 'bio-with-achievements',
+      description: 'Bio that omits completed projects and rating',
+      input: {
+        student: STUDENT_ATHLETE,
+        currentBio: 'I am a CS student and soccer player. I like data and working on teams.',
+        completedProjects: ['Sales Forecast Model', 'Campus Energy Dashboard'],
+        avgRating: 4.8,
+      },
+      userMessage: 'Please improve my bio.',
+      mockResponse:
+        'I am a Computer Science student at State University and captain of the Division I soccer team, and I love working with data as part of a team. I have delivered two client projects on Proveground, a Sales Forecast Model and a Campus Energy Dashboard, earning an average rating of 4.8/5. I bring Python, SQL and data visualization skills, plus the discipline and communication I practise every day as a captain.',
+    },
+  ],
+});
+
+const DATA_ANALYST_LISTING: MockInterviewListing = {
+  title: 'Patient Flow Dashboard',
+  description: 'Build a dashboard that tracks clinic wait times and appointment no-shows for the operations team.',
+  companyName: 'Northwind Health',
+  skills: ['SQL', 'Data Visualization', 'Python'],
+};
+
+const DATA_ANALYST_COMPETENCIES = ['SQL', 'Data Visualization', 'Python', 'Communication'];
+
+const mockInterview = defineSuite<{ listing: MockInterviewListing; competencies: string[]; questionCount: number }>({
+  builder: 'buildMockInterviewPrompt',
+  build: ({ listing, competencies, questionCount }) => buildMockInterviewPrompt(listing, competencies, questionCount),
+  maxTokens: 512,
+  rubric: {
+    requiredSections: ['Question 1 of 5'],
+    length: { maxWords: 80 },
+    forbiddenPatterns: [
+      { label: 'more than one question', pattern: /Question 2 of/i },
+      { label: 'personal question', pattern: /(?:how old|your age|married|children|religio|nationality|where are you from)/i },
+    ],
+  },
+  cases: [
+    {
+      id: 'mock-interview-opening',
+      description: 'First question for a data analyst project',
+      input: { listing: DATA_ANALYST_LISTING, competencies: DATA_ANALYST_COMPETENCIES, questionCount: 5 },
+      userMessage: "I'm ready to begin the mock interview.",
+      mockResponse: [
+        '**Question 1 of 5**',
+        'Tell me about a time you wrote a SQL query to answer a question someone else had. What was the question, how did you structure the query, and what did the result change?',
+      ].join('\n'),
+    },
+  ],
+});
+
+const MOCK_INTERVIEW_SCORES_SCHEMA = z.object({
+  competencies: z
+    .array(
+      z.object({
+        competency: z.string().min(1),
+        score: z.number().int().min(1).max(5),
+        evidence: z.string().min(1),
+        improvement: z.string().min(1),
+      })
+    )
+    .min(1),
+  summary: z.string().min(1),
+});
+
+const mockInterviewScoring = defineSuite<{ listing: MockInterviewListing; competencies: string[] }>({
+  builder: 'buildMockInterviewScoringPrompt',
+  build: ({ listing, competencies }) => buildMockInterviewScoringPrompt(listing, competencies),
+  rubric: {
+    json: [{ schema: MOCK_INTERVIEW_SCORES_SCHEMA }],
+    length: { maxChars: 3000 },
+  },
+  cases: [
+    {
+      id: 'mock-interview-scoring-partial',
+      description: 'Two answers, one competency never reached',
+      input: { listing: DATA_ANALYST_LISTING, competencies: DATA_ANALYST_COMPETENCIES },
+      userMessage: [
+        '## Interview Transcript',
+        '',
+        'Interviewer: **Question 1 of 5** Tell me about a time you wrote a SQL query to answer a question someone else had.',
+        '',
+        'Student: For my database class I joined enrollment and grade tables to find which prerequisite predicted pass rates. I used a window function to rank courses and presented it to my professor, who changed the advising guide.',
+        '',
+        'Interviewer: Thank you. **Question 2 of 5** How would you visualise no-show rates for a non-technical operations team?',
+        '',
+        'Student: Probably a chart of some kind.',
+      ].join('\n'),
+      mockResponse: JSON.stringify({
+        competencies: [
+          { competency: 'SQL', score: 4, evidence: 'Joined enrollment and grade tables and used a window function to rank courses.', improvement: 'Quantify the result, e.g. how much pass rates differed.' },
+          { competency: 'Data Visualization', score: 2, evidence: 'Said "probably a chart of some kind" without specifics.', improvement: 'Name a chart type, what it shows and why it suits the audience.' },
+          { competency: 'Python', score: 1, evidence: 'Not covered in this interview', improvement: 'Prepare an example of a Python analysis you built.' },
+          { competency: 'Communication', score: 3, evidence: 'Explained the SQL project clearly but the second answer was very brief.', improvement: 'Use the STAR structure for every answer.' },
+        ],
+        summary: 'Your SQL example was specific and showed real impact. Give visualisation answers the same detail, and have a Python example ready for next time.',
+      }),
+    },
+  ],
+});
+
+/** Every golden suite, one per prompt builder. */
+export const EVAL_SUITES: EvalSuiteDefinition[] = [
+  coaching,
+  resumeReview,
+  interviewPrep,
+  coverLetter,
+  projectScoping,
+  portfolioIntelligence,
+  talentInsights,
+  bioImprovement,
+  mockInterview,
+  mockInterviewScoring,
+];
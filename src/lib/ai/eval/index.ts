@@ -0,0 +1,25 @@
+/**
+ * AI Evaluation Harness — Public API
+ *
+ * Golden datasets for every prompt builder in ../prompts, rubric scoring
+ * (required sections, parseAiJson + schema validity, length, fairness
+ * constraint violations) and report comparison between prompt versions.
+ * Run it with scripts/ai-eval.ts.
+ */
+
+export { EVAL_SUITES } from './datasets';
+export { FAIRNESS_VIOLATION_PATTERNS, scoreOutput, extractSection, checkScore, countWords } from './rubric';
+export { runEvalSuites, compareEvalReports, formatReportMarkdown, formatComparisonMarkdown } from './runner';
+export type { RunEvalOptions } from './runner';
+export type {
+  EvalRubric,
+  EvalCase,
+  EvalSuite,
+  EvalSuiteDefinition,
+  EvalCheckResult,
+  EvalCaseResult,
+  EvalSuiteResult,
+  EvalReport,
+  EvalCaseComparison,
+  EvalComparison,
+} from './types';
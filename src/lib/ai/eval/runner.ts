@@ -0,0 +1,254 @@
+/**
+ * AI Evaluation Harness — Runner & Comparison
+ *
+ * Runs golden suites through a provider, scores each output with the
+ * rubric, and diffs two reports so a prompt change can be judged against
+ * the version it replaces.
+ */
+
+import { getProvider, resolveProviderConfig } from '../providers';
+import { checkScore, scoreOutput } from './rubric';
+import type { AiProviderConfig } from '../types';
+import type {
+  EvalCaseComparison,
+  EvalCaseResult,
+  EvalComparison,
+  EvalReport,
+  EvalSuiteDefinition,
+  EvalSuiteResult,
+} from './types';
+
+export interface RunEvalOptions {
+  /** Prompt version label recorded in the report (e.g. a git ref) */
+  label: string;
+  provider: AiProviderConfig;
+  model: string;
+  /** Only run suites whose builder name is listed */
+  builders?: string[];
+  onCaseComplete?: (builder: string, result: EvalCaseResult) => void;
+}
+
+function mean(values: number[]): number {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Run the given suites and produce a report. Provider errors are recorded
+ * on the case (score 0) rather than aborting the run. With the mock
+ * provider each case answers with its stored `mockResponse`.
+ */
+export async function runEvalSuites(
+  suites: EvalSuiteDefinition[],
+  options: RunEvalOptions
+): Promise<EvalReport> {
+  const providerConfig = resolveProviderConfig(options.provider);
+  const selected = options.builders?.length
+    ? suites.filter((s) => options.builders!.includes(s.builder))
+    : suites;
+
+  const suiteResults: EvalSuiteResult[] = [];
+
+  for (const suite of selected) {
+    const caseResults: EvalCaseResult[] = [];
+
+    for (const evalCase of suite.cases) {
+      const system = await evalCase.buildPrompt();
+      const provider = getProvider(
+        providerConfig.type === 'mock'
+          ? { ...providerConfig, defaultResponse: evalCase.mockResponse }
+          : providerConfig
+      );
+
+      const started = Date.now();
+      let result: EvalCaseResult;
+      try {
+        const completion = await provider.complete({
+          model: options.model,
+          system,
+          messages: [{ role: 'user', content: evalCase.userMessage }],
+          maxTokens: suite.maxTokens,
+        });
+        const checks = scoreOutput(completion.text, evalCase.rubric);
+        result = {
+          id: evalCase.id,
+          description: evalCase.description,
+          score: round(checkScore(checks)),
+          checks,
+          promptChars: system.length,
+          outputChars: completion.text.length,
+          usage: completion.usage,
+          latencyMs: Date.now() - started,
+          output: completion.text,
+        };
+      } catch (error) {
+        result = {
+          id: evalCase.id,
+          description: evalCase.description,
+          score: 0,
+          checks: [],
+          promptChars: system.length,
+          outputChars: 0,
+          usage: null,
+          latencyMs: Date.now() - started,
+          output: '',
+          error: error instanceof Error ? error.message : String(error),
+        };
+      }
+
+      caseResults.push(result);
+      options.onCaseComplete?.(suite.builder, result);
+    }
+
+    suiteResults.push({
+      builder: suite.builder,
+      score: round(mean(caseResults.map((c) => c.score))),
+      cases: caseResults,
+    });
+  }
+
+  return {
+    label: options.label,
+    provider: providerConfig.type,
+    model: options.model,
+    createdAt: new Date().toISOString(),
+    score: round(mean(suiteResults.map((s) => s.score))),
+    suites: suiteResults,
+  };
+}
+
+/**
+ * Pure function — diff a candidate report against a baseline.
+ * Cases are matched by builder and case id; cases present in only one
+ * report appear with a null score on the other side.
+ */
+export function compareEvalReports(baseline: EvalReport, candidate: EvalReport): EvalComparison {
+  const builders = Array.from(
+    new Set([...baseline.suites.map((s) => s.builder), ...candidate.suites.map((s) => s.builder)])
+  );
+
+  const suites: EvalComparison['suites'] = [];
+  const cases: EvalCaseComparison[] = [];
+
+  for (const builder of builders) {
+    const base = baseline.suites.find((s) => s.builder === builder);
+    const cand = candidate.suites.find((s) => s.builder === builder);
+
+    suites.push({
+      builder,
+      baselineScore: base ? base.score : null,
+      candidateScore: cand ? cand.score : null,
+      delta: base && cand ? round(cand.score - base.score) : null,
+    });
+
+    const caseIds = Array.from(
+      new Set([...(base?.cases || []).map((c) => c.id), ...(cand?.cases || []).map((c) => c.id)])
+    );
+
+    for (const caseId of caseIds) {
+      const b = base?.cases.find((c) => c.id === caseId);
+      const c = cand?.cases.find((x) => x.id === caseId);
+
+      const basePassed = new Set((b?.checks || []).filter((ch) => ch.passed).map((ch) => ch.name));
+      const baseFailed = new Set((b?.checks || []).filter((ch) => !ch.passed).map((ch) => ch.name));
+      const regressed = (c?.checks || []).filter((ch) => !ch.passed && basePassed.has(ch.name)).map((ch) => ch.name);
+      const fixed = (c?.checks || []).filter((ch) => ch.passed && baseFailed.has(ch.name)).map((ch) => ch.name);
+
+      // A case that errored in the candidate but not the baseline is a regression too
+      if (b && c && c.error && !b.error) regressed.push('error');
+
+      cases.push({
+        builder,
+        caseId,
+        baselineScore: b ? b.score : null,
+        candidateScore: c ? c.score : null,
+        delta: b && c ? round(c.score - b.score) : null,
+        regressed,
+        fixed,
+        promptCharsDelta: b && c ? c.promptChars - b.promptChars : null,
+        outputCharsDelta: b && c ? c.outputChars - b.outputChars : null,
+      });
+    }
+  }
+
+  return {
+    baseline: { label: baseline.label, provider: baseline.provider, model: baseline.model, score: baseline.score },
+    candidate: { label: candidate.label, provider: candidate.provider, model: candidate.model, score: candidate.score },
+    delta: round(candidate.score - baseline.score),
+    suites,
+    cases,
+    regressionCount: cases.filter((c) => c.regressed.length > 0).length,
+  };
+}
+
+function formatScore(score: number | null): string {
+  return score === null ? '—' : `${Math.round(score * 100)}%`;
+}
+
+function formatDelta(delta: number | null): string {
+  if (delta === null) return '—';
+  const points = Math.round(delta * 100);
+  return points > 0 ? `+${points}` : String(points);
+}
+
+/** Pure function — render a single report as a markdown summary. */
+export function formatReportMarkdown(report: EvalReport): string {
+  const lines: string[] = [
+    `# AI Eval Report — ${report.label}`,
+    ``,
+    `Provider: ${report.provider} · Model: ${report.model} · ${report.createdAt}`,
+    ``,
+    `**Overall score: ${formatScore(report.score)}**`,
+    ``,
+    `| Builder | Case | Score | Failed checks |`,
+    `| --- | --- | --- | --- |`,
+  ];
+
+  for (const suite of report.suites) {
+    for (const c of suite.cases) {
+      const failed = c.error
+        ? `error: ${c.error}`
+        : c.checks.filter((ch) => !ch.passed).map((ch) => (ch.detail ? `${ch.name} (${ch.detail})` : ch.name)).join('<br>');
+      lines.push(`| ${suite.builder} | ${c.id} | ${formatScore(c.score)} | ${failed || '—'} |`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/** Pure function — render a comparison as a markdown report. */
+export function formatComparisonMarkdown(comparison: EvalComparison): string {
+  const { baseline, candidate } = comparison;
+  const lines: string[] = [
+    `# AI Eval Comparison — ${baseline.label} → ${candidate.label}`,
+    ``,
+    `Baseline: ${baseline.provider}/${baseline.model} · Candidate: ${candidate.provider}/${candidate.model}`,
+    ``,
+    `**Overall: ${formatScore(baseline.score)} → ${formatScore(candidate.score)} (${formatDelta(comparison.delta)} pts)** · ${comparison.regressionCount} case(s) regressed`,
+    ``,
+    `## By prompt builder`,
+    ``,
+    `| Builder | Baseline | Candidate | Δ pts |`,
+    `| --- | --- | --- | --- |`,
+    ...comparison.suites.map(
+      (s) => `| ${s.builder} | ${formatScore(s.baselineScore)} | ${formatScore(s.candidateScore)} | ${formatDelta(s.delta)} |`
+    ),
+    ``,
+    `## By case`,
+    ``,
+    `| Builder | Case | Baseline | Candidate | Δ pts | Prompt Δ chars | Regressed | Fixed |`,
+    `| --- | --- | --- | --- | --- | --- | --- | --- |`,
+  ];
+
+  for (const c of comparison.cases) {
+    lines.push(
+      `| ${c.builder} | ${c.caseId} | ${formatScore(c.baselineScore)} | ${formatScore(c.candidateScore)} | ${formatDelta(c.delta)} | ${c.promptCharsDelta ?? '—'} | ${c.regressed.join(', ') || '—'} | ${c.fixed.join(', ') || '—'} |`
+    );
+  }
+
+  return lines.join('\n');
+}
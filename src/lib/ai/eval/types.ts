@@ -0,0 +1,123 @@
+/**
+ * AI Evaluation Harness — Types
+ */
+
+import type { ZodTypeAny } from 'zod';
+import type { AiProviderConfig, AiTokenUsage } from '../types';
+
+/**
+ * Rubric applied to every output produced for a case.
+ * Each populated field becomes one or more pass/fail checks.
+ */
+export interface EvalRubric {
+  /** Section headings the output must contain (matched case-insensitively) */
+  requiredSections?: string[];
+  /**
+   * JSON blocks that must parse with parseAiJson and satisfy a zod schema.
+   * When `section` is set, only that section's text is parsed.
+   */
+  json?: Array<{ section?: string; schema: ZodTypeAny }>;
+  /** Output length bounds */
+  length?: { minWords?: number; maxWords?: number; maxChars?: number };
+  /** Scan the output for fairness-constraint violations (default true) */
+  fairness?: boolean;
+  /** Patterns the output must not contain, e.g. preamble the UI would show verbatim */
+  forbiddenPatterns?: Array<{ label: string; pattern: RegExp }>;
+}
+
+/** A stored fixture input for one prompt builder. */
+export interface EvalCase<TInput> {
+  id: string;
+  description: string;
+  input: TInput;
+  /** User turn sent alongside the built system prompt */
+  userMessage: string;
+  /** Reference output returned by the mock provider so runs work offline */
+  mockResponse: string;
+  /** Overrides / extends the suite rubric for this case */
+  rubric?: EvalRubric;
+}
+
+/** A golden dataset for one prompt builder. */
+export interface EvalSuite<TInput> {
+  /** Prompt builder name as exported from ../prompts */
+  builder: string;
+  build: (input: TInput) => string | Promise<string>;
+  rubric: EvalRubric;
+  maxTokens?: number;
+  cases: EvalCase<TInput>[];
+}
+
+/** A suite with its input type erased, ready for the runner. */
+export interface EvalSuiteDefinition {
+  builder: string;
+  maxTokens: number;
+  cases: Array<{
+    id: string;
+    description: string;
+    userMessage: string;
+    mockResponse: string;
+    rubric: EvalRubric;
+    buildPrompt: () => Promise<string>;
+  }>;
+}
+
+export interface EvalCheckResult {
+  /** Stable identifier, e.g. `section:Format Tips` or `json:Suggested Skills` */
+  name: string;
+  passed: boolean;
+  detail?: string;
+}
+
+export interface EvalCaseResult {
+  id: string;
+  description: string;
+  /** Fraction of checks passed, 0-1 */
+  score: number;
+  checks: EvalCheckResult[];
+  promptChars: number;
+  outputChars: number;
+  usage: AiTokenUsage | null;
+  latencyMs: number;
+  output: string;
+  error?: string;
+}
+
+export interface EvalSuiteResult {
+  builder: string;
+  score: number;
+  cases: EvalCaseResult[];
+}
+
+export interface EvalReport {
+  /** Prompt version under test — a git ref or any label passed to the CLI */
+  label: string;
+  provider: AiProviderConfig['type'];
+  model: string;
+  createdAt: string;
+  score: number;
+  suites: EvalSuiteResult[];
+}
+
+export interface EvalCaseComparison {
+  builder: string;
+  caseId: string;
+  baselineScore: number | null;
+  candidateScore: number | null;
+  delta: number | null;
+  /** Checks that passed in the baseline and fail in the candidate */
+  regressed: string[];
+  /** Checks that failed in the baseline and pass in the candidate */
+  fixed: string[];
+  promptCharsDelta: number | null;
+  outputCharsDelta: number | null;
+}
+
+export interface EvalComparison {
+  baseline: { label: string; provider: string; model: string; score: number };
+  candidate: { label: string; provider: string; model: string; score: number };
+  delta: number;
+  suites: Array<{ builder: string; baselineScore: number | null; candidateScore: number | null; delta: number | null }>;
+  cases: EvalCaseComparison[];
+  regressionCount: number;
+}
@@ -9,12 +9,20 @@
  *   2. tenants.features.plan → AI_TIER_CONFIGS fallback (backward compat)
  *   3. tenant_ai_overrides — per-tenant overrides (deep merged)
  *
+ * The resolved config also carries `provider` (Anthropic, OpenAI-compatible or
+ * mock — see ./providers); model and maxTokens are still decided here.
+ *
+ * Tenants may also carry a monthly token/cost `budget` (see ./metering).
+ * Past the soft limit access is allowed with a warning; past a hard limit
+ * every AI call is denied with `budget_exhausted`.
+ *
  * Usage tracking is per-user per-feature per-month in `ai_usage_counters_v2`.
  * The old `ai_usage_counters` table is also incremented for backward compat.
  */
 
 import { sql } from '@/lib/db';
 import { AI_TIER_CONFIGS } from './config';
+import { getBudgetStatus } from './metering';
 import type {
   TenantAiConfig,
   AiAccessResult,
@@ -418,6 +426,7 @@ export async function getTenantAiConfig(
  *   2. Feature section enabled
  *   3. Action in allowed list (if action provided)
  *   4. Monthly usage limit (per-user per-feature)
+ *   5. Tenant monthly token/cost budget (if configured)
  *
  * Returns a detailed AiAccessResult with denial reasons and upgrade hints.
  */
@@ -528,8 +537,24 @@ export async function checkAiAccess(
     }
   }
 
+  // 5. Tenant budget (tokens or dollars this month)
+  const budget = await getBudgetStatus(tenantId, config.budget);
+  if (budget?.state === 'exhausted' && budget.hardLimit) {
+    return {
+      allowed: false,
+      config,
+      budget,
+      denial: {
+        reason: 'budget_exhausted',
+        message: 'Your institution has used its AI budget for this month.',
+        upgradeAvailable: false,
+        resetDate: budget.resetDate,
+      },
+    };
+  }
+
   // All checks passed
-  return { allowed: true, config };
+  return { allowed: true, config, ...(budget ? { budget } : {}) };
 }
 
 /**
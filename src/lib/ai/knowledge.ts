@@ -0,0 +1,421 @@
+/**
+ * Coaching Knowledge Retrieval
+ *
+ * Keyword (Postgres full-text) index over the content an institution
+ * publishes for students — Team Huddle posts, legal policies and FAQ —
+ * so the coach can ground answers in it and cite the source.
+ *
+ * Sources are split into overlapping chunks in `ai_knowledge_chunks`.
+ * Platform policies and the platform FAQ are indexed with a NULL tenant
+ * and are visible to every tenant; everything else is tenant-scoped.
+ */
+
+import { createHash } from 'crypto';
+import { sql } from '@/lib/db';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type KnowledgeSourceType = 'huddle_post' | 'legal_policy' | 'faq';
+
+export interface KnowledgeSource {
+  sourceType: KnowledgeSourceType;
+  sourceId: string;
+  title: string;
+  url: string | null;
+  text: string;
+}
+
+/** A retrieved passage, numbered for citation in the prompt. */
+export interface KnowledgePassage {
+  ref: number;
+  sourceType: KnowledgeSourceType;
+  sourceId: string;
+  title: string;
+  url: string | null;
+  /** Full chunk text, injected into the prompt */
+  content: string;
+  /** Short preview for the citation card */
+  excerpt: string;
+}
+
+/** Citation stored on an assistant message and shown in the chat UI. */
+export interface KnowledgeCitation {
+  ref: number;
+  sourceType: KnowledgeSourceType;
+  title: string;
+  url: string | null;
+  excerpt: string;
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP_CHARS = 150;
+const EXCERPT_CHARS = 240;
+const MAX_CHUNKS_PER_SOURCE = 1;
+const MIN_RANK = 0.01;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'and', 'any', 'are', 'can', 'could', 'did', 'does',
+  'for', 'from', 'get', 'had', 'has', 'have', 'how', 'into', 'its', 'just',
+  'like', 'more', 'most', 'not', 'now', 'our', 'out', 'should', 'some', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your',
+]);
+
+// ---------------------------------------------------------------------------
+// Text helpers (pure)
+// ---------------------------------------------------------------------------
+
+/** Pure function — strip HTML tags and collapse whitespace. */
+export function toPlainText(html: string): string {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/(p|div|h[1-6]|li|br)>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Pure function — split text into chunks of at most `maxChars`, breaking on
+ * paragraph then sentence boundaries, with a short overlap so a passage
+ * spanning a boundary is still retrievable.
+ */
+export function chunkText(text: string, maxChars = CHUNK_MAX_CHARS): string[] {
+  const clean = text.trim();
+  if (!clean) return [];
+  if (clean.length <= maxChars) return [clean];
+
+  const pieces = clean
+    .split(/\n\n+/)
+    .flatMap((para) => (para.length <= maxChars ? [para] : para.match(/[^.!?]+[.!?]*\s*/g) || [para]));
+
+  const chunks: string[] = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current.trim());
+      current = current.slice(-CHUNK_OVERLAP_CHARS);
+    }
+    // A single sentence longer than the limit is hard-split
+    let rest = piece;
+    while (rest.length > maxChars) {
+      chunks.push(rest.slice(0, maxChars).trim());
+      rest = rest.slice(maxChars - CHUNK_OVERLAP_CHARS);
+    }
+    current += (current ? ' ' : '') + rest;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/** Pure function — distinct lower-case keywords from a question, stop words removed. */
+export function extractSearchTerms(text: string, max = 12): string[] {
+  const terms = text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length >= 3 && !STOP_WORDS.has(t));
+  return Array.from(new Set(terms)).slice(0, max);
+}
+
+/** Pure function — passages the response actually cites as [n]. */
+export function findCitedPassages(
+  response: string,
+  passages: KnowledgePassage[],
+): KnowledgeCitation[] {
+  const cited = new Set<number>();
+  for (const match of Array.from(response.matchAll(/\[(\d{1,2})\]/g))) {
+    cited.add(Number(match[1]));
+  }
+  return passages
+    .filter((p) => cited.has(p.ref))
+    .map((p) => ({
+      ref: p.ref,
+      sourceType: p.sourceType,
+      title: p.title,
+      url: p.url,
+      excerpt: p.excerpt,
+    }));
+}
+
+function hashSource(source: KnowledgeSource): string {
+  return createHash('sha256').update(`${source.title}\n${source.url || ''}\n${source.text}`).digest('hex');
+}
+
+function faqSourceId(question: string): string {
+  return `faq:${createHash('sha256').update(question).digest('hex').slice(0, 16)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Source loaders
+// ---------------------------------------------------------------------------
+
+function toFaqSources(items: Array<Record<string, unknown>>): KnowledgeSource[] {
+  return items
+    .filter((item) => item.question && item.answer)
+    .map((item) => ({
+      sourceType: 'faq' as const,
+      sourceId: faqSourceId(item.question as string),
+      title: item.question as string,
+      url: null,
+      text: toPlainText(item.answer as string),
+    }));
+}
+
+/** Published huddle posts, tenant policies and tenant FAQ. */
+async function loadTenantSources(tenantId: string): Promise<KnowledgeSource[]> {
+  const [posts, policies, [tenant]] = await Promise.all([
+    sql`
+      SELECT id, title, description, body
+      FROM huddle_posts
+      WHERE tenant_id = ${tenantId} AND status = 'published'
+    `,
+    sql`
+      SELECT id, title, slug, content
+      FROM legal_policies
+      WHERE tenant_id = ${tenantId} AND is_published = true
+    `,
+    sql`SELECT subdomain, features FROM tenants WHERE id = ${tenantId}`,
+  ]);
+
+  const sources: KnowledgeSource[] = posts.map((p: Record<string, unknown>) => ({
+    sourceType: 'huddle_post' as const,
+    sourceId: p.id as string,
+    title: p.title as string,
+    url: `/huddle/${p.id}`,
+    text: toPlainText([p.description, p.body].filter(Boolean).join('\n\n')),
+  }));
+
+  for (const p of policies) {
+    sources.push({
+      sourceType: 'legal_policy',
+      sourceId: p.id as string,
+      title: p.title as string,
+      url: tenant?.subdomain ? `/${tenant.subdomain}/legal/${p.slug}` : null,
+      text: toPlainText(p.content as string),
+    });
+  }
+
+  const features = (tenant?.features || {}) as Record<string, unknown>;
+  sources.push(...toFaqSources((features.faq || []) as Array<Record<string, unknown>>));
+
+  return sources.filter((s) => s.text.length > 0);
+}
+
+/** Published platform policies and the platform FAQ. */
+async function loadPlatformSources(): Promise<KnowledgeSource[]> {
+  const [policies, [faqRow]] = await Promise.all([
+    sql`
+      SELECT id, title, slug, content
+      FROM legal_policies
+      WHERE tenant_id IS NULL AND is_published = true
+    `,
+    sql`SELECT content FROM landing_content WHERE section = 'faq'`,
+  ]);
+
+  const sources: KnowledgeSource[] = policies.map((p: Record<string, unknown>) => ({
+    sourceType: 'legal_policy' as const,
+    sourceId: p.id as string,
+    title: p.title as string,
+    url: `/legal/${p.slug}`,
+    text: toPlainText(p.content as string),
+  }));
+
+  const content = (faqRow?.content || {}) as Record<string, unknown>;
+  sources.push(...toFaqSources((content.items || []) as Array<Record<string, unknown>>));
+
+  return sources.filter((s) => s.text.length > 0);
+}
+
+// ---------------------------------------------------------------------------
+// Indexing
+// ---------------------------------------------------------------------------
+
+async function writeSource(tenantId: string | null, source: KnowledgeSource, hash: string): Promise<void> {
+  await sql`
+    DELETE FROM ai_knowledge_chunks
+    WHERE tenant_id IS NOT DISTINCT FROM ${tenantId}
+      AND source_type = ${source.sourceType}
+      AND source_id = ${source.sourceId}
+  `;
+
+  const chunks = chunkText(source.text);
+  for (let i = 0; i < chunks.length; i++) {
+    await sql`
+      INSERT INTO ai_knowledge_chunks (
+        tenant_id, source_type, source_id, source_title, source_url,
+        chunk_index, content, content_hash
+      )
+      VALUES (
+        ${tenantId}, ${source.sourceType}, ${source.sourceId}, ${source.title}, ${source.url},
+        ${i}, ${chunks[i]}, ${hash}
+      )
+    `;
+  }
+}
+
+/**
+ * Bring the index for one scope (a tenant, or null for platform-wide
+ * content) in line with its published sources. Unchanged sources are
+ * skipped; sources that were unpublished or deleted are removed.
+ */
+export async function reindexKnowledge(
+  tenantId: string | null,
+): Promise<{ indexed: number; unchanged: number; removed: number }> {
+  const sources = tenantId ? await loadTenantSources(tenantId) : await loadPlatformSources();
+
+  const existingRows = await sql`
+    SELECT DISTINCT source_type, source_id, content_hash
+    FROM ai_knowledge_chunks
+    WHERE tenant_id IS NOT DISTINCT FROM ${tenantId}
+  `;
+  const existing = new Map<string, string>();
+  for (const row of existingRows) {
+    existing.set(`${row.source_type}:${row.source_id}`, row.content_hash as string);
+  }
+
+  let indexed = 0;
+  let unchanged = 0;
+  const current = new Set<string>();
+
+  for (const source of sources) {
+    const key = `${source.sourceType}:${source.sourceId}`;
+    current.add(key);
+    const hash = hashSource(source);
+    if (existing.get(key) === hash) {
+      unchanged++;
+      continue;
+    }
+    await writeSource(tenantId, source, hash);
+    indexed++;
+  }
+
+  let removed = 0;
+  for (const key of Array.from(existing.keys())) {
+    if (current.has(key)) continue;
+    const separator = key.indexOf(':');
+    await sql`
+      DELETE FROM ai_knowledge_chunks
+      WHERE tenant_id IS NOT DISTINCT FROM ${tenantId}
+        AND source_type = ${key.slice(0, separator)}
+        AND source_id = ${key.slice(separator + 1)}
+    `;
+    removed++;
+  }
+
+  return { indexed, unchanged, removed };
+}
+
+/**
+ * Re-index a single huddle post after it is created, edited, approved or
+ * archived. Never throws — indexing must not fail the content change.
+ */
+export async function syncHuddlePostKnowledge(postId: string): Promise<void> {
+  try {
+    const [post] = await sql`
+      SELECT id, tenant_id, title, description, body, status
+      FROM huddle_posts
+      WHERE id = ${postId}
+    `;
+    if (!post) return;
+
+    const tenantId = post.tenant_id as string;
+    if (post.status !== 'published') {
+      await sql`
+        DELETE FROM ai_knowledge_chunks
+        WHERE tenant_id = ${tenantId} AND source_type = 'huddle_post' AND source_id = ${postId}
+      `;
+      return;
+    }
+
+    const source: KnowledgeSource = {
+      sourceType: 'huddle_post',
+      sourceId: postId,
+      title: post.title as string,
+      url: `/huddle/${postId}`,
+      text: toPlainText([post.description, post.body].filter(Boolean).join('\n\n')),
+    };
+    if (!source.text) return;
+    await writeSource(tenantId, source, hashSource(source));
+  } catch (error) {
+    console.error('Failed to sync huddle post knowledge:', error);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Retrieval
+// ---------------------------------------------------------------------------
+
+/**
+ * Top passages for a coaching turn: tenant content plus platform-wide
+ * content, ranked by full-text relevance to the student's message, at
+ * most one passage per source. Returns [] when nothing relevant is found
+ * or the index does not exist yet.
+ */
+export async function retrieveKnowledge(
+  tenantId: string | null,
+  query: string,
+  limit = 4,
+): Promise<KnowledgePassage[]> {
+  const terms = extractSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  // OR the terms together; ts_rank_cd rewards chunks matching more of them
+  const tsQuery = terms.join(' | ');
+
+  let rows: Record<string, unknown>[] = [];
+  try {
+    rows = await sql`
+      SELECT source_type, source_id, source_title, source_url, content,
+             ts_rank_cd(search_vector, to_tsquery('english', ${tsQuery})) AS rank
+      FROM ai_knowledge_chunks
+      WHERE (tenant_id = ${tenantId} OR tenant_id IS NULL)
+        AND search_vector @@ to_tsquery('english', ${tsQuery})
+      ORDER BY rank DESC
+      LIMIT ${limit * 4}
+    `;
+  } catch {
+    // ai_knowledge_chunks may not exist yet
+    return [];
+  }
+
+  const perSource = new Map<string, number>();
+  const passages: KnowledgePassage[] = [];
+
+  for (const row of rows) {
+    if (Number(row.rank) < MIN_RANK) continue;
+    const key = `${row.source_type}:${row.source_id}`;
+    const count = perSource.get(key) || 0;
+    if (count >= MAX_CHUNKS_PER_SOURCE) continue;
+    perSource.set(key, count + 1);
+
+    const content = row.content as string;
+    passages.push({
+      ref: passages.length + 1,
+      sourceType: row.source_type as KnowledgeSourceType,
+      sourceId: row.source_id as string,
+      title: row.source_title as string,
+      url: (row.source_url as string) || null,
+      content,
+      excerpt: content.length > EXCERPT_CHARS ? content.slice(0, EXCERPT_CHARS) + '…' : content,
+    });
+
+    if (passages.length >= limit) break;
+  }
+
+  return passages;
+}
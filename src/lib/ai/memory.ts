@@ -0,0 +1,399 @@
+/**
+ * Coaching Conversation Memory
+ *
+ * Two layers, both gated by TenantAiConfig.studentCoaching.conversationMemory:
+ *
+ * - Rolling summaries. When a conversation's unsummarised turns no longer
+ *   fit the tier's maxTokens budget, the older turns are folded into
+ *   ai_conversations.summary and only the recent turns are resent.
+ * - Long-term memory. Once a conversation has been idle for a while, the
+ *   new turns are mined for goals, target roles and advice already given,
+ *   stored in ai_student_memories. Students can edit or delete any of it;
+ *   each turn is only ever read once, so deleted memories are not re-learnt.
+ *
+ * Both feed buildCoachingSystemPrompt (see ./prompts).
+ */
+
+import { z } from 'zod';
+import { sql } from '@/lib/db';
+import { askClaude } from './claude-client';
+import { getTenantAiConfig } from './feature-gate';
+import { getUserAIOptOut } from './check-opt-out';
+import { getRedactor } from './redaction';
+import { estimateTokens } from './metering';
+import { safeParseAiJson } from './parse-json';
+import type { ConversationMessage, Redactor, TenantAiConfig } from './types';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type StudentMemoryCategory = 'goal' | 'target_role' | 'advice';
+
+export const MEMORY_CATEGORIES: StudentMemoryCategory[] = ['goal', 'target_role', 'advice'];
+
+export interface StudentMemory {
+  id: string;
+  category: StudentMemoryCategory;
+  content: string;
+  sourceConversationId: string | null;
+  editedByStudent: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** Memory context passed to buildCoachingSystemPrompt */
+export interface CoachingMemory {
+  /** Rolling summary of turns no longer sent verbatim */
+  summary: string | null;
+  memories: StudentMemory[];
+}
+
+export interface CoachingContext {
+  history: ConversationMessage[];
+  /** Undefined when conversation memory is off for the tenant */
+  memory?: CoachingMemory;
+}
+
+interface MemoryCallContext {
+  tenantId: string | null;
+  userId: string;
+  redactor?: Redactor;
+  aiTrainingOptOut?: boolean;
+}
+
+interface StoredMessage extends ConversationMessage {
+  createdAt: string;
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Message window used when conversation memory is off */
+const HISTORY_WINDOW = 20;
+/** Share of the budget kept verbatim after summarising */
+const RECENT_SHARE = 0.5;
+const SUMMARY_MAX_TOKENS = 512;
+const EXTRACTION_MAX_TOKENS = 1024;
+export const MAX_MEMORIES_PER_STUDENT = 30;
+export const MEMORY_MAX_CHARS = 300;
+/** A conversation counts as a finished session after this long without a turn */
+export const MEMORY_IDLE_MINUTES = 30;
+
+const extractionSchema = z.object({
+  memories: z.array(
+    z.object({
+      category: z.enum(['goal', 'target_role', 'advice']),
+      content: z.string().min(1),
+    })
+  ),
+});
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Pure function — split a conversation so the part sent verbatim fits the
+ * token budget. When everything fits nothing is split off; otherwise the
+ * most recent turns filling RECENT_SHARE of the budget are kept (always at
+ * least the last turn) and the rest is returned for summarising. The kept
+ * part always starts with a user turn.
+ */
+export function splitHistoryForBudget<T extends ConversationMessage>(
+  messages: T[],
+  budgetTokens: number
+): { older: T[]; recent: T[] } {
+  const total = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  if (total <= budgetTokens) return { older: [], recent: messages };
+
+  let start = messages.length - 1;
+  let used = estimateTokens(messages[start]?.content ?? '');
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].content);
+    if (used + cost > budgetTokens * RECENT_SHARE) break;
+    used += cost;
+    start--;
+  }
+  while (start < messages.length - 1 && messages[start].role !== 'user') start++;
+
+  return { older: messages.slice(0, start), recent: messages.slice(start) };
+}
+
+/** Pure function — render turns as a plain transcript for summarising/extraction. */
+export function formatTranscript(messages: ConversationMessage[]): string {
+  return messages
+    .map((m) => `${m.role === 'user' ? 'Student' : 'Coach'}: ${m.content}`)
+    .join('\n\n');
+}
+
+export function toStudentMemory(row: Record<string, unknown>): StudentMemory {
+  return {
+    id: row.id as string,
+    category: row.category as StudentMemoryCategory,
+    content: row.content as string,
+    sourceConversationId: (row.source_conversation_id as string) || null,
+    editedByStudent: Boolean(row.edited_by_student),
+    createdAt: row.created_at as string,
+    updatedAt: row.updated_at as string,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rolling summaries
+// ---------------------------------------------------------------------------
+
+async function summariseTurns(
+  previousSummary: string | null,
+  turns: ConversationMessage[],
+  ctx: MemoryCallContext,
+  config: TenantAiConfig
+): Promise<string> {
+  const systemPrompt = [
+    `You maintain a running summary of a career coaching conversation between a student and an AI coach.`,
+    `Update the summary with the new turns. Keep the student's goals, questions, decisions and any concrete advice or next steps the coach gave.`,
+    `Write plain prose of at most 200 words. Do not add advice of your own and do not address the student.`,
+  ].join('\n');
+
+  const content = [
+    previousSummary ? `## Summary so far\n${previousSummary}` : `## Summary so far\n(none)`,
+    ``,
+    `## New turns`,
+    formatTranscript(turns),
+  ].join('\n');
+
+  const summary = await askClaude({
+    model: config.model,
+    provider: config.provider,
+    meter: { tenantId: ctx.tenantId, userId: ctx.userId, feature: 'student_coaching' },
+    systemPrompt,
+    messages: [{ role: 'user', content }],
+    maxTokens: SUMMARY_MAX_TOKENS,
+    aiTrainingOptOut: ctx.aiTrainingOptOut,
+    redactor: ctx.redactor,
+    metadata: { user_id: ctx.userId },
+  });
+  return summary.trim();
+}
+
+/**
+ * Load the turns to send for a coaching conversation. With conversation
+ * memory on, turns that no longer fit the tier's maxTokens budget are
+ * folded into the conversation's rolling summary, and the student's
+ * long-term memories are returned alongside. A failed summarisation falls
+ * back to sending only the recent turns.
+ */
+export async function loadCoachingContext(
+  conversationId: string,
+  config: TenantAiConfig,
+  ctx: MemoryCallContext
+): Promise<CoachingContext> {
+  if (!config.studentCoaching.conversationMemory) {
+    const rows = await sql`
+      SELECT role, content
+      FROM ai_messages
+      WHERE conversation_id = ${conversationId} AND role IN ('user', 'assistant')
+      ORDER BY created_at DESC
+      LIMIT ${HISTORY_WINDOW}
+    `;
+    return {
+      history: rows.reverse().map((m: Record<string, unknown>) => ({
+        role: m.role as ConversationMessage['role'],
+        content: m.content as string,
+      })),
+    };
+  }
+
+  const conversations = await sql`
+    SELECT summary, summarized_through FROM ai_conversations WHERE id = ${conversationId}
+  `;
+  let summary = (conversations[0]?.summary as string) || null;
+  const summarizedThrough = (conversations[0]?.summarized_through as string) || null;
+
+  const rows = await sql`
+    SELECT role, content, created_at
+    FROM ai_messages
+    WHERE conversation_id = ${conversationId}
+      AND role IN ('user', 'assistant')
+      ${summarizedThrough ? sql`AND created_at > ${summarizedThrough}` : sql``}
+    ORDER BY created_at ASC
+  `;
+  const messages: StoredMessage[] = rows.map((m: Record<string, unknown>) => ({
+    role: m.role as ConversationMessage['role'],
+    content: m.content as string,
+    createdAt: m.created_at as string,
+  }));
+
+  const { older, recent } = splitHistoryForBudget(messages, config.maxTokens);
+
+  if (older.length > 0) {
+    try {
+      const updated = await summariseTurns(summary, older, ctx, config);
+      // Guard on summarized_through so concurrent turns don't fold the same messages twice
+      await sql`
+        UPDATE ai_conversations
+        SET summary = ${updated}, summarized_through = ${older[older.length - 1].createdAt}
+        WHERE id = ${conversationId}
+          AND summarized_through IS NOT DISTINCT FROM ${summarizedThrough}
+      `;
+      summary = updated;
+    } catch (error) {
+      console.error('Failed to summarise coaching conversation:', error);
+    }
+  }
+
+  return {
+    history: recent.map(({ role, content }) => ({ role, content })),
+    memory: { summary, memories: await loadStudentMemories(ctx.userId) },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Long-term memory
+// ---------------------------------------------------------------------------
+
+/** Load a student's long-term coaching memories, grouped by category. */
+export async function loadStudentMemories(userId: string): Promise<StudentMemory[]> {
+  const rows = await sql`
+    SELECT id, category, content, source_conversation_id, edited_by_student, created_at, updated_at
+    FROM ai_student_memories
+    WHERE user_id = ${userId}
+    ORDER BY category, created_at ASC
+  `;
+  return rows.map(toStudentMemory);
+}
+
+/**
+ * Extract new long-term memories from the turns of a conversation that
+ * haven't been read yet, and mark them read. Returns how many memories
+ * were added. Turns are marked read even when conversation memory is off,
+ * so enabling it later doesn't mine old conversations.
+ */
+export async function extractStudentMemories(conversationId: string): Promise<number> {
+  const conversations = await sql`
+    SELECT user_id, tenant_id, summary, memory_extracted_at, updated_at
+    FROM ai_conversations
+    WHERE id = ${conversationId}
+  `;
+  if (conversations.length === 0) return 0;
+
+  const conv = conversations[0];
+  const userId = conv.user_id as string;
+  const tenantId = (conv.tenant_id as string) || null;
+  const readUntil = conv.updated_at as string;
+
+  const markRead = () => sql`
+    UPDATE ai_conversations SET memory_extracted_at = ${readUntil} WHERE id = ${conversationId}
+  `;
+
+  const config = await getTenantAiConfig(tenantId);
+  if (!config.enabled || !config.studentCoaching.conversationMemory) {
+    await markRead();
+    return 0;
+  }
+
+  const rows = await sql`
+    SELECT role, content
+    FROM ai_messages
+    WHERE conversation_id = ${conversationId}
+      AND role IN ('user', 'assistant')
+      AND created_at <= ${readUntil}
+      ${conv.memory_extracted_at ? sql`AND created_at > ${conv.memory_extracted_at as string}` : sql``}
+    ORDER BY created_at ASC
+  `;
+  const turns: ConversationMessage[] = rows.map((m: Record<string, unknown>) => ({
+    role: m.role as ConversationMessage['role'],
+    content: m.content as string,
+  }));
+
+  const existing = await loadStudentMemories(userId);
+  const slots = MAX_MEMORIES_PER_STUDENT - existing.length;
+  if (!turns.some((t) => t.role === 'user') || slots <= 0) {
+    await markRead();
+    return 0;
+  }
+
+  // Long sessions: the summary covers what doesn't fit
+  const { recent } = splitHistoryForBudget(turns, config.maxTokens * 2);
+
+  const systemPrompt = [
+    `You keep a long-term profile of a student for their AI career coach. From the conversation below, list facts worth remembering for future coaching sessions:`,
+    `- goal: the student's career or learning goals`,
+    `- target_role: roles, industries or companies the student is aiming for`,
+    `- advice: concrete advice or next steps the coach has already given`,
+    ``,
+    `Rules:`,
+    `- Only include what the student stated or the coach clearly advised. Never infer personal characteristics (age, gender, ethnicity, health, religion, etc.).`,
+    `- One short sentence per item (under 200 characters), written in the third person.`,
+    `- Skip anything already in the existing profile, small talk and one-off logistics.`,
+    `- Return at most ${Math.min(slots, 10)} items. Return an empty list if nothing is worth remembering.`,
+    ``,
+    `## Existing profile`,
+    existing.length > 0 ? existing.map((m) => `- [${m.category}] ${m.content}`).join('\n') : '(empty)',
+    ``,
+    `Respond with JSON only: {"memories": [{"category": "goal" | "target_role" | "advice", "content": "..."}]}`,
+  ].join('\n');
+
+  const content = [
+    conv.summary && recent.length < turns.length ? `## Earlier in the conversation\n${conv.summary as string}\n` : '',
+    `## Conversation`,
+    formatTranscript(recent),
+  ].join('\n');
+
+  const response = await askClaude({
+    model: config.model,
+    provider: config.provider,
+    meter: { tenantId, userId, feature: 'student_coaching' },
+    systemPrompt,
+    messages: [{ role: 'user', content }],
+    maxTokens: EXTRACTION_MAX_TOKENS,
+    aiTrainingOptOut: await getUserAIOptOut(userId),
+    redactor: await getRedactor([userId], config.redaction),
+    metadata: { user_id: userId },
+  });
+
+  const parsed = extractionSchema.safeParse(safeParseAiJson(response, 'memory-extraction'));
+  if (!parsed.success) {
+    // Leave the turns unread so the next run retries
+    throw new Error('Memory extraction returned an invalid response');
+  }
+
+  const seen = new Set(existing.map((m) => m.content.trim().toLowerCase()));
+  const additions = parsed.data.memories
+    .map((m) => ({ category: m.category, content: m.content.trim().substring(0, MEMORY_MAX_CHARS) }))
+    .filter((m) => {
+      const key = m.content.toLowerCase();
+      if (!m.content || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, slots);
+
+  for (const memory of additions) {
+    await sql`
+      INSERT INTO ai_student_memories (user_id, tenant_id, category, content, source_conversation_id)
+      VALUES (${userId}, ${tenantId}, ${memory.category}, ${memory.content}, ${conversationId})
+    `;
+  }
+  await markRead();
+
+  return additions.length;
+}
+
+/**
+ * Conversations whose latest turns haven't been mined for memories and
+ * that have been idle for MEMORY_IDLE_MINUTES, oldest first.
+ */
+export async function findConversationsPendingExtraction(limit: number): Promise<string[]> {
+  const rows = await sql`
+    SELECT id
+    FROM ai_conversations
+    WHERE context_type = 'coaching'
+      AND (memory_extracted_at IS NULL OR memory_extracted_at < updated_at)
+      AND updated_at < NOW() - ${MEMORY_IDLE_MINUTES} * INTERVAL '1 minute'
+    ORDER BY updated_at ASC
+    LIMIT ${limit}
+  `;
+  return rows.map((r: Record<string, unknown>) => r.id as string);
+}
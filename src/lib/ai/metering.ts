@@ -0,0 +1,190 @@
+/**
+ * AI Token & Cost Metering
+ *
+ * Records token usage and estimated cost for every metered LLM call in
+ * `ai_usage_records`, and evaluates per-tenant monthly budgets
+ * (TenantAiConfig.budget) against the current month's spend.
+ *
+ * Interaction counters in `ai_usage_counters_v2` still drive the per-user
+ * monthly limits; budgets are an additional tenant-wide ceiling.
+ */
+
+import { sql } from '@/lib/db';
+import type {
+  AiBudgetConfig,
+  AiBudgetStatus,
+  AiMeterContext,
+  AiProviderConfig,
+  AiProviderType,
+  AiTokenUsage,
+} from './types';
+
+// ---------------------------------------------------------------------------
+// Pricing
+// ---------------------------------------------------------------------------
+
+/** USD per million tokens, matched by model-name prefix (longest first). */
+const MODEL_PRICING: Array<{ prefix: string; inputPerMillion: number; outputPerMillion: number }> = [
+  { prefix: 'claude-opus-4', inputPerMillion: 15, outputPerMillion: 75 },
+  { prefix: 'claude-sonnet-4', inputPerMillion: 3, outputPerMillion: 15 },
+  { prefix: 'claude-haiku-4', inputPerMillion: 1, outputPerMillion: 5 },
+  { prefix: 'claude-3-7-sonnet', inputPerMillion: 3, outputPerMillion: 15 },
+  { prefix: 'claude-3-5-sonnet', inputPerMillion: 3, outputPerMillion: 15 },
+  { prefix: 'claude-3-5-haiku', inputPerMillion: 0.8, outputPerMillion: 4 },
+  { prefix: 'claude-3-haiku', inputPerMillion: 0.25, outputPerMillion: 1.25 },
+];
+
+/** Unknown Anthropic models are priced as Sonnet so budgets err on the safe side. */
+const FALLBACK_PRICING = { inputPerMillion: 3, outputPerMillion: 15 };
+
+const DEFAULT_SOFT_LIMIT_PERCENT = 80;
+
+/** Rough token estimate (~4 characters per token) for providers that don't report usage. */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimated USD cost of a call.
+ * Explicit provider pricing wins; the mock provider is free; self-hosted
+ * OpenAI-compatible models cost nothing unless priced in their config.
+ */
+export function estimateCostUsd(
+  model: string,
+  usage: AiTokenUsage,
+  provider?: AiProviderConfig,
+): number {
+  let pricing = provider?.pricing;
+
+  if (!pricing) {
+    const type = provider?.type || 'anthropic';
+    if (type !== 'anthropic') return 0;
+    pricing =
+      MODEL_PRICING.find((p) => model.startsWith(p.prefix)) || FALLBACK_PRICING;
+  }
+
+  const cost =
+    (usage.inputTokens * pricing.inputPerMillion +
+      usage.outputTokens * pricing.outputPerMillion) /
+    1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Record one metered call. Never throws — metering must not break the
+ * AI response it is measuring.
+ */
+export async function recordAiUsage(
+  meter: AiMeterContext,
+  call: {
+    provider: AiProviderType;
+    providerConfig?: AiProviderConfig;
+    model: string;
+    usage: AiTokenUsage;
+    streamed: boolean;
+  },
+): Promise<void> {
+  const costUsd = estimateCostUsd(call.model, call.usage, call.providerConfig);
+
+  try {
+    await sql`
+      INSERT INTO ai_usage_records (
+        tenant_id, user_id, feature, provider, model,
+        input_tokens, output_tokens, cost_usd, streamed
+      )
+      VALUES (
+        ${meter.tenantId}, ${meter.userId}, ${meter.feature}, ${call.provider}, ${call.model},
+        ${call.usage.inputTokens}, ${call.usage.outputTokens}, ${costUsd}, ${call.streamed}
+      )
+    `;
+  } catch (error) {
+    // ai_usage_records may not exist yet — log and continue
+    console.error('Failed to record AI usage:', error);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Budgets
+// ---------------------------------------------------------------------------
+
+/** First day of next month as ISO string */
+function getResetDate(): string {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString();
+}
+
+/** Current month's token and cost totals for a tenant. */
+export async function getTenantMonthlySpend(
+  tenantId: string,
+): Promise<{ inputTokens: number; outputTokens: number; costUsd: number; calls: number }> {
+  try {
+    const [row] = await sql`
+      SELECT
+        COUNT(*)::int AS calls,
+        COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+        COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens,
+        COALESCE(SUM(cost_usd), 0) AS cost_usd
+      FROM ai_usage_records
+      WHERE tenant_id = ${tenantId}
+        AND created_at >= date_trunc('month', NOW())
+    `;
+    return {
+      calls: Number(row?.calls || 0),
+      inputTokens: Number(row?.input_tokens || 0),
+      outputTokens: Number(row?.output_tokens || 0),
+      costUsd: Number(row?.cost_usd || 0),
+    };
+  } catch {
+    // ai_usage_records may not exist yet
+    return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  }
+}
+
+/** Pure function — evaluate a budget against a spend figure in the budget's unit. */
+export function evaluateBudget(budget: AiBudgetConfig, used: number): AiBudgetStatus {
+  const limit = budget.monthlyLimit;
+  const softLimitPercent = budget.softLimitPercent ?? DEFAULT_SOFT_LIMIT_PERCENT;
+  const percentUsed = limit > 0 ? Math.round((used / limit) * 1000) / 10 : 100;
+
+  let state: AiBudgetStatus['state'] = 'ok';
+  if (used >= limit) {
+    state = 'exhausted';
+  } else if (percentUsed >= softLimitPercent) {
+    state = 'soft_limit';
+  }
+
+  const round = (n: number) =>
+    budget.unit === 'usd' ? Math.round(n * 100) / 100 : Math.round(n);
+
+  return {
+    unit: budget.unit,
+    limit,
+    used: round(used),
+    remaining: round(Math.max(0, limit - used)),
+    percentUsed,
+    state,
+    hardLimit: budget.hardLimit !== false,
+    resetDate: getResetDate(),
+  };
+}
+
+/**
+ * Budget status for a tenant this month, or null when the tenant has no
+ * budget (or an unlimited one).
+ */
+export async function getBudgetStatus(
+  tenantId: string | null,
+  budget: AiBudgetConfig | undefined,
+): Promise<AiBudgetStatus | null> {
+  if (!tenantId || !budget || budget.monthlyLimit === -1) return null;
+
+  const spend = await getTenantMonthlySpend(tenantId);
+  const used =
+    budget.unit === 'usd' ? spend.costUsd : spend.inputTokens + spend.outputTokens;
+
+  return evaluateBudget(budget, used);
+}
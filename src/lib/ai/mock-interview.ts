@@ -0,0 +1,237 @@
+/**
+ * AI Mock Interviews
+ *
+ * A mock interview is an ai_conversations row with context_type
+ * 'mock_interview'. The AI interviewer asks questions tailored to a
+ * listing's skillsRequired, one per turn; once the student has answered
+ * the last question (or ends early) the transcript is scored against a
+ * per-competency rubric and stored in mock_interview_results, where it is
+ * shown alongside the student's skills-gap readiness history.
+ */
+
+import { z } from 'zod';
+import { sql } from '@/lib/db';
+import { askClaude } from './claude-client';
+import { buildMockInterviewScoringPrompt } from './prompts';
+import { safeParseAiJson } from './parse-json';
+import type {
+  ConversationMessage,
+  MockInterviewCompetencyScore,
+  MockInterviewListing,
+  MockInterviewResult,
+  Redactor,
+  TenantAiConfig,
+} from './types';
+
+export const MOCK_INTERVIEW_CONTEXT = 'mock_interview';
+
+/** Stored in ai_conversations.metadata for a mock interview */
+export interface MockInterviewMetadata {
+  listingId: string;
+  listing: MockInterviewListing;
+  competencies: string[];
+  questionCount: number;
+  status: 'in_progress' | 'completed';
+}
+
+/** Opening user turn — providers need the conversation to start with the user; not stored */
+const KICKOFF_MESSAGE = `I'm ready to begin the mock interview.`;
+
+const MAX_QUESTIONS = 5;
+const MAX_SKILL_COMPETENCIES = 5;
+const COMMUNICATION = 'Communication';
+
+const scoringSchema = z.object({
+  competencies: z.array(
+    z.object({
+      competency: z.string(),
+      score: z.coerce.number(),
+      evidence: z.string().default(''),
+      improvement: z.string().default(''),
+    })
+  ),
+  summary: z.string().default(''),
+});
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Pure function — the competencies a mock interview assesses: the
+ * listing's first required skills plus communication, de-duplicated
+ * case-insensitively.
+ */
+export function selectCompetencies(skillsRequired: string[]): string[] {
+  const seen = new Set<string>();
+  const competencies: string[] = [];
+  for (const skill of skillsRequired) {
+    const name = skill.trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    competencies.push(name);
+    if (competencies.length === MAX_SKILL_COMPETENCIES) break;
+  }
+  if (!seen.has(COMMUNICATION.toLowerCase())) competencies.push(COMMUNICATION);
+  return competencies;
+}
+
+/** Pure function — number of questions, capped by the tier's turns per session. */
+export function questionCountFor(config: TenantAiConfig): number {
+  return Math.max(1, Math.min(MAX_QUESTIONS, config.studentCoaching.maxTurnsPerSession));
+}
+
+/**
+ * Pure function — validate the scoring response against the competencies
+ * that were assessed. Unknown competencies are dropped, missing ones score
+ * 1, scores are clamped to 1-5. Returns null when the response is not a
+ * scoring object. The overall score is the mean mapped onto 0-100.
+ */
+export function parseMockInterviewScores(
+  raw: unknown,
+  competencies: string[]
+): { competencyScores: MockInterviewCompetencyScore[]; overallScore: number; summary: string } | null {
+  const parsed = scoringSchema.safeParse(raw);
+  if (!parsed.success) return null;
+
+  const byName = new Map(parsed.data.competencies.map((c) => [c.competency.trim().toLowerCase(), c]));
+  const competencyScores = competencies.map((competency) => {
+    const scored = byName.get(competency.toLowerCase());
+    const score = scored && Number.isFinite(scored.score) ? Math.round(scored.score) : 1;
+    return {
+      competency,
+      score: Math.min(5, Math.max(1, score)),
+      evidence: scored?.evidence || 'Not covered in this interview',
+      improvement: scored?.improvement || '',
+    };
+  });
+
+  const mean = competencyScores.reduce((sum, c) => sum + c.score, 0) / competencyScores.length;
+  return {
+    competencyScores,
+    // 1 → 0, 5 → 100
+    overallScore: Math.round(((mean - 1) / 4) * 10000) / 100,
+    summary: parsed.data.summary,
+  };
+}
+
+export function toMockInterviewResult(row: Record<string, unknown>): MockInterviewResult {
+  return {
+    id: row.id as string,
+    conversationId: row.conversation_id as string,
+    listingId: (row.listing_id as string) || null,
+    listingTitle: row.listing_title as string,
+    overallScore: Number(row.overall_score),
+    competencyScores: (row.competency_scores as MockInterviewCompetencyScore[]) || [],
+    summary: (row.summary as string) || null,
+    questionsAnswered: Number(row.questions_answered),
+    completedAt: row.completed_at as string,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Interview turns, scoring and history
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the interview so far as provider turns (opening with the kickoff
+ * message) and count the answers given.
+ */
+export async function loadInterviewTurns(
+  conversationId: string
+): Promise<{ history: ConversationMessage[]; answered: number }> {
+  const rows = await sql`
+    SELECT role, content
+    FROM ai_messages
+    WHERE conversation_id = ${conversationId} AND role IN ('user', 'assistant')
+    ORDER BY created_at ASC
+  `;
+  const turns: ConversationMessage[] = rows.map((m: Record<string, unknown>) => ({
+    role: m.role as ConversationMessage['role'],
+    content: m.content as string,
+  }));
+  return {
+    history: [{ role: 'user', content: KICKOFF_MESSAGE }, ...turns],
+    answered: turns.filter((t) => t.role === 'user').length,
+  };
+}
+
+/**
+ * Score a mock interview transcript, store the result and mark the
+ * conversation completed. Throws when the model's response can't be parsed
+ * so the student can retry ending the interview.
+ */
+export async function scoreMockInterview(params: {
+  conversationId: string;
+  studentId: string;
+  tenantId: string | null;
+  metadata: MockInterviewMetadata;
+  config: TenantAiConfig;
+  redactor?: Redactor;
+  aiTrainingOptOut?: boolean;
+}): Promise<MockInterviewResult> {
+  const { conversationId, studentId, tenantId, metadata, config } = params;
+
+  const { history, answered } = await loadInterviewTurns(conversationId);
+  const transcript = history
+    .slice(1)
+    .map((m) => `${m.role === 'user' ? 'Student' : 'Interviewer'}: ${m.content}`)
+    .join('\n\n');
+
+  const response = await askClaude({
+    model: config.model,
+    provider: config.provider,
+    meter: { tenantId, userId: studentId, feature: 'student_coaching' },
+    systemPrompt: buildMockInterviewScoringPrompt(metadata.listing, metadata.competencies),
+    messages: [{ role: 'user', content: `## Interview Transcript\n\n${transcript}` }],
+    maxTokens: 2048,
+    aiTrainingOptOut: params.aiTrainingOptOut,
+    redactor: params.redactor,
+    metadata: { user_id: studentId },
+  });
+
+  const scores = parseMockInterviewScores(safeParseAiJson(response, 'mock-interview-scoring'), metadata.competencies);
+  if (!scores) {
+    throw new Error('Failed to parse mock interview scores');
+  }
+
+  const inserted = await sql`
+    INSERT INTO mock_interview_results (
+      conversation_id, student_id, tenant_id, listing_id, listing_title,
+      overall_score, competency_scores, summary, questions_answered, model_used
+    ) VALUES (
+      ${conversationId}, ${studentId}, ${tenantId}, ${metadata.listingId}, ${metadata.listing.title},
+      ${scores.overallScore}, ${JSON.stringify(scores.competencyScores)}::jsonb, ${scores.summary || null},
+      ${answered}, ${config.model}
+    )
+    ON CONFLICT (conversation_id) DO NOTHING
+    RETURNING *
+  `;
+
+  await sql`
+    UPDATE ai_conversations
+    SET metadata = metadata || ${JSON.stringify({ status: 'completed' })}::jsonb, updated_at = NOW()
+    WHERE id = ${conversationId}
+  `;
+
+  // Lost a race with a concurrent request ending the same interview
+  if (inserted.length === 0) {
+    const existing = await sql`
+      SELECT * FROM mock_interview_results WHERE conversation_id = ${conversationId}
+    `;
+    return toMockInterviewResult(existing[0]);
+  }
+  return toMockInterviewResult(inserted[0]);
+}
+
+/** Load a student's finished mock interviews, newest first. */
+export async function loadMockInterviewResults(studentId: string, limit = 50): Promise<MockInterviewResult[]> {
+  const rows = await sql`
+    SELECT *
+    FROM mock_interview_results
+    WHERE student_id = ${studentId}
+    ORDER BY completed_at DESC
+    LIMIT ${limit}
+  `;
+  return rows.map(toMockInterviewResult);
+}
@@ -0,0 +1,154 @@
+/**
+ * Anthropic Provider
+ *
+ * Default backend — the Anthropic Messages API via the official SDK.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import type { LlmCompletion, LlmProvider, LlmRequest, LlmStreamResult, LlmToolCall } from './types';
+
+/**
+ * Map normalised messages to Messages API params. Assistant tool calls
+ * become tool_use blocks; consecutive tool results are merged into a
+ * single user turn of tool_result blocks, as the API requires.
+ */
+function toAnthropicMessages(request: LlmRequest): Anthropic.MessageParam[] {
+  const messages: Anthropic.MessageParam[] = [];
+
+  for (const m of request.messages) {
+    if (m.role === 'tool') {
+      const block: Anthropic.ToolResultBlockParam = {
+        type: 'tool_result',
+        tool_use_id: m.toolCallId,
+        content: m.content,
+      };
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content)) {
+        last.content.push(block);
+      } else {
+        messages.push({ role: 'user', content: [block] });
+      }
+    } else if (m.role === 'assistant' && m.toolCalls && m.toolCalls.length > 0) {
+      messages.push({
+        role: 'assistant',
+        content: [
+          ...(m.content ? [{ type: 'text' as const, text: m.content }] : []),
+          ...m.toolCalls.map((call) => ({
+            type: 'tool_use' as const,
+            id: call.id,
+            name: call.name,
+            input: call.input,
+          })),
+        ],
+      });
+    } else {
+      messages.push({ role: m.role, content: m.content });
+    }
+  }
+
+  return messages;
+}
+
+function toolParams(request: LlmRequest): { tools?: Anthropic.Tool[]; tool_choice?: Anthropic.ToolChoice } {
+  if (!request.tools || request.tools.length === 0) return {};
+  return {
+    tools: request.tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema as Anthropic.Tool.InputSchema,
+    })),
+    tool_choice: { type: request.toolChoice === 'none' ? 'none' : 'auto' },
+  };
+}
+
+function extractToolCalls(content: Anthropic.ContentBlock[]): LlmToolCall[] {
+  return content
+    .filter((block): block is Anthropic.ToolUseBlock => block.type === 'tool_use')
+    .map((block) => ({
+      id: block.id,
+      name: block.name,
+      input: (block.input || {}) as Record<string, unknown>,
+    }));
+}
+
+export function createAnthropicProvider(apiKeyEnv = 'ANTHROPIC_API_KEY'): LlmProvider {
+  // Lazy-initialized client (only created when first used)
+  let client: Anthropic | null = null;
+
+  function getClient(): Anthropic {
+    if (!client) {
+      const apiKey = process.env[apiKeyEnv];
+      if (!apiKey) {
+        throw new Error(`${apiKeyEnv} environment variable is not set`);
+      }
+      client = new Anthropic({ apiKey });
+    }
+    return client;
+  }
+
+  return {
+    type: 'anthropic',
+
+    async complete(request: LlmRequest): Promise<LlmCompletion> {
+      const response = await getClient().messages.create({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        system: request.system,
+        messages: toAnthropicMessages(request),
+        ...toolParams(request),
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+        ...(request.metadata ? { metadata: request.metadata } : {}),
+      });
+
+      // Extract text from response
+      const text = response.content
+        .filter((block): block is Anthropic.TextBlock => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+      return {
+        text,
+        usage: {
+          inputTokens: response.usage.input_tokens,
+          outputTokens: response.usage.output_tokens,
+        },
+        toolCalls: extractToolCalls(response.content),
+      };
+    },
+
+    async *stream(request: LlmRequest): AsyncGenerator<string, LlmStreamResult, unknown> {
+      const stream = getClient().messages.stream({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        system: request.system,
+        messages: toAnthropicMessages(request),
+        ...toolParams(request),
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+        ...(request.metadata ? { metadata: request.metadata } : {}),
+      });
+
+      for await (const event of stream) {
+        if (
+          event.type === 'content_block_delta' &&
+          event.delta.type === 'text_delta'
+        ) {
+          yield event.delta.text;
+        }
+      }
+
+      const final = await stream.finalMessage();
+      return {
+        usage: {
+          inputTokens: final.usage.input_tokens,
+          outputTokens: final.usage.output_tokens,
+        },
+        toolCalls: extractToolCalls(final.content),
+      };
+    },
+
+    isRetryable(error: unknown): boolean {
+      // Don't retry on missing keys, auth errors or invalid requests
+      if (!process.env[apiKeyEnv]) return false;
+      return !(error instanceof Anthropic.AuthenticationError || error instanceof Anthropic.BadRequestError);
+    },
+  };
+}
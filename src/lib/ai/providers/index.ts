@@ -0,0 +1,71 @@
+/**
+ * LLM Provider Registry
+ *
+ * Resolves the provider for a call from TenantAiConfig.provider
+ * (subscription_tiers.ai_config.provider, overridable per tenant via
+ * tenant_ai_overrides). Setting `AI_PROVIDER=mock` forces the mock provider
+ * everywhere, which lets every AI route run offline.
+ */
+
+import type { AiProviderConfig, AiProviderType } from '../types';
+import type { LlmProvider } from './types';
+import { createAnthropicProvider } from './anthropic';
+import { createOpenAiCompatibleProvider } from './openai-compatible';
+import { createMockProvider } from './mock';
+
+export type {
+  LlmCompletion,
+  LlmMessage,
+  LlmProvider,
+  LlmRequest,
+  LlmStreamResult,
+  LlmToolCall,
+  LlmToolDefinition,
+} from './types';
+
+const PROVIDER_TYPES: AiProviderType[] = ['anthropic', 'openai_compatible', 'mock'];
+
+// Provider instances keyed by their serialized config, so SDK clients are reused
+const PROVIDER_CACHE = new Map<string, LlmProvider>();
+
+function createProvider(config: AiProviderConfig): LlmProvider {
+  switch (config.type) {
+    case 'openai_compatible':
+      return createOpenAiCompatibleProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    case 'anthropic':
+    default:
+      return createAnthropicProvider(config.apiKeyEnv);
+  }
+}
+
+/**
+ * Resolve the effective provider config: the AI_PROVIDER environment
+ * variable wins, then the tenant config, then Anthropic.
+ */
+export function resolveProviderConfig(config?: AiProviderConfig): AiProviderConfig {
+  const forced = process.env.AI_PROVIDER as AiProviderType | undefined;
+  if (forced && PROVIDER_TYPES.includes(forced) && forced !== config?.type) {
+    return { type: forced };
+  }
+  return config && PROVIDER_TYPES.includes(config.type) ? config : { type: 'anthropic' };
+}
+
+/** Get (or create) the provider for a tenant's provider config. */
+export function getProvider(config?: AiProviderConfig): LlmProvider {
+  const effective = resolveProviderConfig(config);
+  const key = JSON.stringify(effective);
+
+  let provider = PROVIDER_CACHE.get(key);
+  if (!provider) {
+    provider = createProvider(effective);
+    PROVIDER_CACHE.set(key, provider);
+  }
+  return provider;
+}
+
+/** Exported for testing — drops cached provider instances. */
+export function clearProviderCache(): void {
+  PROVIDER_CACHE.clear();
+}
@@ -0,0 +1,78 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic offline backend for tests, local development and CI.
+ * Makes no network calls. The response is picked from `fixtures` by the
+ * first key found in the last user message, then `defaultResponse`, then
+ * a fixed echo of the request — so the same input always yields the same
+ * output. When tools are offered, a `toolCalls` entry whose key appears in
+ * the last user message is requested once, before the text answer.
+ */
+
+import { estimateTokens } from '../metering';
+import type { AiProviderConfig, AiTokenUsage } from '../types';
+import type { LlmCompletion, LlmProvider, LlmRequest, LlmStreamResult, LlmToolCall } from './types';
+
+function resolveToolCalls(config: AiProviderConfig, request: LlmRequest): LlmToolCall[] {
+  if (!config.toolCalls || !request.tools || request.toolChoice === 'none') return [];
+  // Only call tools at the start of a turn, so results always lead to an answer
+  const last = request.messages[request.messages.length - 1];
+  if (!last || last.role !== 'user') return [];
+
+  const offered = new Set(request.tools.map((t) => t.name));
+  return Object.entries(config.toolCalls)
+    .filter(([key, call]) => last.content.includes(key) && offered.has(call.name))
+    .map(([, call], i) => ({ id: `mock_call_${i + 1}`, name: call.name, input: call.input || {} }));
+}
+
+function resolveResponse(config: AiProviderConfig, request: LlmRequest): string {
+  const lastUser = [...request.messages].reverse().find((m) => m.role === 'user');
+  const prompt = lastUser?.content || '';
+
+  if (config.fixtures) {
+    for (const [key, response] of Object.entries(config.fixtures)) {
+      if (prompt.includes(key)) return response;
+    }
+  }
+
+  if (config.defaultResponse !== undefined) return config.defaultResponse;
+
+  const excerpt = prompt.length > 80 ? prompt.substring(0, 80) + '...' : prompt;
+  return `[mock:${request.model}] ${excerpt}`;
+}
+
+function mockUsage(request: LlmRequest, output: string): AiTokenUsage {
+  const input = [request.system, ...request.messages.map((m) => m.content)].join('\n');
+  return { inputTokens: estimateTokens(input), outputTokens: estimateTokens(output) };
+}
+
+export function createMockProvider(config: AiProviderConfig): LlmProvider {
+  return {
+    type: 'mock',
+
+    async complete(request: LlmRequest): Promise<LlmCompletion> {
+      const toolCalls = resolveToolCalls(config, request);
+      const text = toolCalls.length > 0 ? '' : resolveResponse(config, request);
+      return { text, usage: mockUsage(request, text), toolCalls };
+    },
+
+    async *stream(request: LlmRequest): AsyncGenerator<string, LlmStreamResult, unknown> {
+      const toolCalls = resolveToolCalls(config, request);
+      if (toolCalls.length > 0) {
+        return { usage: mockUsage(request, ''), toolCalls };
+      }
+
+      // Word-sized deltas (whitespace kept) so consumers exercise their streaming path
+      const text = resolveResponse(config, request);
+      const chunks = text.match(/\S+\s*|\s+/g) || [];
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+      return { usage: mockUsage(request, text), toolCalls: [] };
+    },
+
+    isRetryable(): boolean {
+      return false;
+    },
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any server exposing the OpenAI `/chat/completions` API — vLLM,
+ * Ollama, LiteLLM, Azure OpenAI proxies — so privacy-sensitive tenants can
+ * run a self-hosted model. Uses fetch directly; no SDK dependency.
+ */
+
+import { estimateTokens } from '../metering';
+import type { AiProviderConfig, AiTokenUsage } from '../types';
+import type { LlmCompletion, LlmProvider, LlmRequest, LlmStreamResult, LlmToolCall } from './types';
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/** Non-2xx response from the upstream server */
+interface HttpError extends Error {
+  status: number;
+}
+
+function httpError(status: number, body: string): HttpError {
+  const error = new Error(
+    `OpenAI-compatible provider returned ${status}: ${body.slice(0, 200)}`
+  ) as HttpError;
+  error.status = status;
+  return error;
+}
+
+interface ChatUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+}
+
+/** Prefer server-reported usage; some servers omit it, so fall back to an estimate. */
+function toUsage(request: LlmRequest, output: string, usage?: ChatUsage | null): AiTokenUsage {
+  if (usage && typeof usage.prompt_tokens === 'number') {
+    return {
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens || 0,
+    };
+  }
+  const input = [request.system, ...request.messages.map((m) => m.content)].join('\n');
+  return { inputTokens: estimateTokens(input), outputTokens: estimateTokens(output) };
+}
+
+interface ChatToolCall {
+  id: string;
+  type: 'function';
+  function: { name: string; arguments: string };
+}
+
+type ChatMessage =
+  | { role: 'system' | 'user'; content: string }
+  | { role: 'assistant'; content: string | null; tool_calls?: ChatToolCall[] }
+  | { role: 'tool'; tool_call_id: string; content: string };
+
+function toChatMessages(request: LlmRequest): ChatMessage[] {
+  return [
+    { role: 'system', content: request.system },
+    ...request.messages.map((m): ChatMessage => {
+      if (m.role === 'tool') {
+        return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+      }
+      if (m.role === 'assistant' && m.toolCalls && m.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: m.content || null,
+          tool_calls: m.toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input) },
+          })),
+        };
+      }
+      return { role: m.role, content: m.content };
+    }),
+  ];
+}
+
+function toolParams(request: LlmRequest): Record<string, unknown> {
+  if (!request.tools || request.tools.length === 0) return {};
+  return {
+    tools: request.tools.map((tool) => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.inputSchema },
+    })),
+    tool_choice: request.toolChoice === 'none' ? 'none' : 'auto',
+  };
+}
+
+/** Tool arguments arrive as a JSON string; models occasionally emit invalid JSON. */
+function parseArguments(raw: string | undefined): Record<string, unknown> {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function createOpenAiCompatibleProvider(config: AiProviderConfig): LlmProvider {
+  const apiKeyEnv = config.apiKeyEnv || 'OPENAI_COMPATIBLE_API_KEY';
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  function endpoint(): string {
+    const baseUrl = config.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible provider requires baseUrl or OPENAI_COMPATIBLE_BASE_URL');
+    }
+    return `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  }
+
+  async function post(request: LlmRequest, stream: boolean): Promise<Response> {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    // Self-hosted servers often run without auth — only send a key if one is set
+    const apiKey = process.env[apiKeyEnv];
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint(), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: request.model,
+        max_tokens: request.maxTokens,
+        messages: toChatMessages(request),
+        ...toolParams(request),
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+        stream,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...(request.metadata?.user_id ? { user: request.metadata.user_id } : {}),
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw httpError(response.status, await response.text().catch(() => ''));
+    }
+    return response;
+  }
+
+  return {
+    type: 'openai_compatible',
+
+    async complete(request: LlmRequest): Promise<LlmCompletion> {
+      const response = await post(request, false);
+      const data = (await response.json()) as {
+        choices?: Array<{ message?: { content?: string | null; tool_calls?: ChatToolCall[] } }>;
+        usage?: ChatUsage;
+      };
+      const message = data.choices?.[0]?.message;
+      const text = message?.content || '';
+      const toolCalls: LlmToolCall[] = (message?.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        input: parseArguments(call.function.arguments),
+      }));
+      return { text, usage: toUsage(request, text, data.usage), toolCalls };
+    },
+
+    async *stream(request: LlmRequest): AsyncGenerator<string, LlmStreamResult, unknown> {
+      const response = await post(request, true);
+      if (!response.body) return { usage: toUsage(request, ''), toolCalls: [] };
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let output = '';
+      let reported: ChatUsage | null = null;
+      // Tool call fragments arrive spread over many chunks, keyed by index
+      const partialCalls = new Map<number, { id: string; name: string; arguments: string }>();
+
+      const finish = (): LlmStreamResult => ({
+        usage: toUsage(request, output, reported),
+        toolCalls: Array.from(partialCalls.values()).map((call) => ({
+          id: call.id,
+          name: call.name,
+          input: parseArguments(call.arguments),
+        })),
+      });
+
+      // Server-sent events: one `data: {...}` line per chunk, `data: [DONE]` at the end
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') return finish();
+
+          try {
+            const chunk = JSON.parse(payload) as {
+              choices?: Array<{
+                delta?: {
+                  content?: string | null;
+                  tool_calls?: Array<{ index: number; id?: string; function?: { name?: string; arguments?: string } }>;
+                };
+              }>;
+              usage?: ChatUsage | null;
+            };
+            // With include_usage the last chunk carries totals and no choices
+            if (chunk.usage) reported = chunk.usage;
+            const delta = chunk.choices?.[0]?.delta;
+            for (const fragment of delta?.tool_calls || []) {
+              const call = partialCalls.get(fragment.index) || { id: '', name: '', arguments: '' };
+              if (fragment.id) call.id = fragment.id;
+              if (fragment.function?.name) call.name += fragment.function.name;
+              if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+              partialCalls.set(fragment.index, call);
+            }
+            const text = delta?.content;
+            if (text) {
+              output += text;
+              yield text;
+            }
+          } catch {
+            // Ignore keep-alive comments and malformed chunks
+          }
+        }
+      }
+
+      return finish();
+    },
+
+    isRetryable(error: unknown): boolean {
+      const status = (error as Partial<HttpError>)?.status;
+      if (status === undefined) {
+        // Missing configuration is permanent; network failures and timeouts are not
+        return Boolean(config.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL);
+      }
+      return status === 429 || status >= 500;
+    },
+  };
+}
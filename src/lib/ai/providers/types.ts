@@ -0,0 +1,64 @@
+/**
+ * LLM Provider Interface
+ *
+ * Every backend behind askClaude/streamClaude implements this contract.
+ * Requests arrive already normalised: system prompt separated out, only
+ * user/assistant turns (plus tool results) in `messages`.
+ */
+
+import type { AiProviderType, AiTokenUsage } from '../types';
+
+/** A tool the model may call, described by a JSON Schema for its input */
+export interface LlmToolDefinition {
+  name: string;
+  description: string;
+  inputSchema: Record<string, unknown>;
+}
+
+/** A tool invocation requested by the model */
+export interface LlmToolCall {
+  id: string;
+  name: string;
+  input: Record<string, unknown>;
+}
+
+export type LlmMessage =
+  | { role: 'user'; content: string }
+  | { role: 'assistant'; content: string; toolCalls?: LlmToolCall[] }
+  | { role: 'tool'; toolCallId: string; content: string };
+
+export interface LlmRequest {
+  model: string;
+  system: string;
+  messages: LlmMessage[];
+  maxTokens: number;
+  /** Sampling temperature; the provider default when unset */
+  temperature?: number;
+  metadata?: { user_id?: string };
+  tools?: LlmToolDefinition[];
+  /** 'none' keeps tool definitions in context but forces a text answer */
+  toolChoice?: 'auto' | 'none';
+}
+
+export interface LlmCompletion {
+  text: string;
+  usage: AiTokenUsage;
+  /** Tool calls requested by the model (empty when it answered directly) */
+  toolCalls: LlmToolCall[];
+}
+
+/** Returned by stream() once the last delta has been yielded */
+export interface LlmStreamResult {
+  usage: AiTokenUsage;
+  toolCalls: LlmToolCall[];
+}
+
+export interface LlmProvider {
+  readonly type: AiProviderType;
+  /** Return the full text response with its token usage. */
+  complete(request: LlmRequest): Promise<LlmCompletion>;
+  /** Yield text deltas as they arrive; returns token usage and any tool calls once finished. */
+  stream(request: LlmRequest): AsyncGenerator<string, LlmStreamResult, unknown>;
+  /** Whether a failed complete() call is worth retrying (rate limits, 5xx, network). */
+  isRetryable(error: unknown): boolean;
+}
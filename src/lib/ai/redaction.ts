@@ -0,0 +1,214 @@
+/**
+ * PII Redaction for AI Prompts
+ *
+ * Replaces direct identifiers — student names, emails, phone numbers and
+ * GPAs — with stable placeholders such as [NAME_1] before a request leaves
+ * the server, and swaps the placeholders back in the model's response.
+ *
+ * Known identifiers come from the users table; emails, phone numbers and
+ * GPAs anywhere else in the text (e.g. a reference's contact details in a
+ * cover letter) are caught by pattern. The same value always maps to the
+ * same placeholder, and known identifiers are numbered in a fixed order,
+ * so placeholders stay consistent across the turns of a conversation.
+ *
+ * Redaction runs when the tenant enables it (TenantAiConfig.redaction) and
+ * is forced, for every kind, whenever a student in the prompt has not
+ * granted ai_processing FERPA consent.
+ */
+
+import { sql } from '@/lib/db';
+import { checkAIProcessingConsent } from '@/lib/auth/ferpa-gate';
+import type { AiRedactionConfig, PiiIdentifier, PiiKind, Redactor } from './types';
+
+export const PII_KINDS: PiiKind[] = ['name', 'email', 'phone', 'gpa'];
+
+/** Sent ahead of the system prompt so the model keeps placeholders intact */
+export const REDACTION_NOTICE = [
+  '[PRIVACY NOTICE] Personal details in this conversation have been replaced with placeholders such as [NAME_1], [EMAIL_1], [PHONE_1] and [GPA_1].',
+  'Use these placeholders exactly as written when you need to refer to those details. Do not guess the real values.',
+  '',
+].join('\n');
+
+const PLACEHOLDER_PREFIX: Record<PiiKind, string> = {
+  name: 'NAME',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  gpa: 'GPA',
+};
+
+const PLACEHOLDER_PATTERN = /\[(NAME|EMAIL|PHONE|GPA)_(\d+)\]/g;
+
+// Longest placeholder we might hold back while streaming, e.g. "[EMAIL_123]"
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+// "GPA: 3.6", "GPA of 3.85/4.0" — the number only counts as PII next to the label
+const GPA_PATTERN = /(\bGPA\b[^0-9\n]{0,15})(\d(?:\.\d{1,2})?)/gi;
+const NON_LETTER_PATTERN = new RegExp('[^\\p{L}]', 'gu');
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pure function — expand a person's name into the strings to redact:
+ * the full name plus each part of two or more letters.
+ */
+export function nameVariants(fullName: string): string[] {
+  const trimmed = fullName.trim().replace(/\s+/g, ' ');
+  if (!trimmed) return [];
+  const parts = trimmed.split(' ').filter((p) => p.replace(NON_LETTER_PATTERN, '').length >= 2);
+  return Array.from(new Set([trimmed, ...parts]));
+}
+
+/**
+ * Pure function — build a redactor for a set of known identifiers.
+ * `kinds` limits what is redacted (default: every kind).
+ */
+export function createRedactor(identifiers: PiiIdentifier[], kinds: PiiKind[] = PII_KINDS): Redactor {
+  const enabled = new Set(kinds);
+  const placeholderByValue = new Map<string, string>();
+  const valueByPlaceholder = new Map<string, string>();
+  const counters: Record<PiiKind, number> = { name: 0, email: 0, phone: 0, gpa: 0 };
+
+  function placeholderFor(kind: PiiKind, value: string): string {
+    const key = `${kind}:${kind === 'name' ? value : value.toLowerCase()}`;
+    let placeholder = placeholderByValue.get(key);
+    if (!placeholder) {
+      counters[kind] += 1;
+      placeholder = `[${PLACEHOLDER_PREFIX[kind]}_${counters[kind]}]`;
+      placeholderByValue.set(key, placeholder);
+      valueByPlaceholder.set(placeholder, value);
+    }
+    return placeholder;
+  }
+
+  // Known identifiers are numbered up front, in the order given, so the
+  // same student gets the same placeholders on every turn
+  const known = identifiers
+    .filter((id) => enabled.has(id.kind) && id.value.trim().length >= 2)
+    .map((id) => ({ kind: id.kind, value: id.value.trim(), placeholder: placeholderFor(id.kind, id.value.trim()) }))
+    // Longest first so "Jordan Rivera" wins over "Jordan"
+    .sort((a, b) => b.value.length - a.value.length);
+
+  const knownPatterns = known.map((id) => ({
+    placeholder: id.placeholder,
+    // Names match case-sensitively so ordinary words ("rose", "will") survive
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(id.value)}(?![\\p{L}\\p{N}])`, id.kind === 'name' ? 'gu' : 'giu'),
+  }));
+
+  function redact(text: string): string {
+    if (!text) return text;
+    let result = text;
+
+    for (const { placeholder, pattern } of knownPatterns) {
+      result = result.replace(pattern, placeholder);
+    }
+    if (enabled.has('email')) {
+      result = result.replace(EMAIL_PATTERN, (match) => placeholderFor('email', match));
+    }
+    if (enabled.has('phone')) {
+      result = result.replace(PHONE_PATTERN, (match) => placeholderFor('phone', match));
+    }
+    if (enabled.has('gpa')) {
+      result = result.replace(GPA_PATTERN, (_match, label: string, value: string) => `${label}${placeholderFor('gpa', value)}`);
+    }
+
+    return result;
+  }
+
+  function rehydrate(text: string): string {
+    if (!text) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match) => valueByPlaceholder.get(match) ?? match);
+  }
+
+  function rehydrateValue<T>(value: T): T {
+    if (typeof value === 'string') return rehydrate(value) as T;
+    if (Array.isArray(value)) return value.map((v) => rehydrateValue(v)) as T;
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value as Record<string, unknown>).map(([k, v]) => [k, rehydrateValue(v)])
+      ) as T;
+    }
+    return value;
+  }
+
+  function createStreamRehydrator() {
+    let pending = '';
+    return {
+      push(chunk: string): string {
+        pending += chunk;
+        // Hold back a trailing "[..." that could still become a placeholder
+        const open = pending.lastIndexOf('[');
+        if (open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH) {
+          const ready = pending.substring(0, open);
+          pending = pending.substring(open);
+          return rehydrate(ready);
+        }
+        const ready = pending;
+        pending = '';
+        return rehydrate(ready);
+      },
+      flush(): string {
+        const ready = pending;
+        pending = '';
+        return rehydrate(ready);
+      },
+    };
+  }
+
+  return { redact, rehydrate, rehydrateValue, createStreamRehydrator };
+}
+
+/**
+ * Load the direct identifiers stored for a set of users, in the order the
+ * ids are given (names first, then contact details).
+ */
+export async function loadPiiIdentifiers(userIds: string[]): Promise<PiiIdentifier[]> {
+  if (userIds.length === 0) return [];
+
+  const rows = await sql`
+    SELECT id, first_name, last_name, display_name, email, phone
+    FROM users
+    WHERE id = ANY(${userIds})
+  `;
+  const byId = new Map(rows.map((r: Record<string, unknown>) => [r.id as string, r]));
+
+  const identifiers: PiiIdentifier[] = [];
+  for (const id of userIds) {
+    const user = byId.get(id);
+    if (!user) continue;
+
+    const fullName = `${(user.first_name as string) || ''} ${(user.last_name as string) || ''}`.trim();
+    const names = new Set([...nameVariants(fullName), ...nameVariants((user.display_name as string) || '')]);
+    for (const value of Array.from(names)) {
+      identifiers.push({ kind: 'name', value });
+    }
+    if (user.email) identifiers.push({ kind: 'email', value: user.email as string });
+    if (user.phone) identifiers.push({ kind: 'phone', value: user.phone as string });
+  }
+
+  return identifiers;
+}
+
+/**
+ * Decide whether a call about these students must be redacted and build
+ * the redactor. Returns undefined when redaction is off for the tenant and
+ * every student has granted ai_processing consent. A failed consent lookup
+ * counts as no consent.
+ */
+export async function getRedactor(
+  studentIds: string[],
+  config?: AiRedactionConfig
+): Promise<Redactor | undefined> {
+  const consents = await Promise.all(
+    studentIds.map((id) => checkAIProcessingConsent(id).catch(() => false))
+  );
+  const consentMissing = consents.some((granted) => !granted);
+
+  if (!consentMissing && !config?.enabled) return undefined;
+
+  const kinds = consentMissing ? PII_KINDS : config?.kinds?.length ? config.kinds : PII_KINDS;
+  return createRedactor(await loadPiiIdentifiers(studentIds), kinds);
+}
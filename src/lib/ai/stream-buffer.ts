@@ -0,0 +1,231 @@
+/**
+ * Resumable AI Stream Buffer
+ *
+ * A streamed coaching answer is generated independently of the HTTP
+ * response that started it: every SSE event is appended to a buffer keyed
+ * by the assistant message id, and responses tail that buffer. If the
+ * student's connection drops, the answer keeps generating (and is saved to
+ * ai_messages when it finishes) and the client reconnects to
+ * GET /api/ai/chat/stream/{messageId} to resume from the last event it
+ * received. Event ids double as offsets, so the standard SSE Last-Event-ID
+ * header works as well as ?offset=.
+ *
+ * Uses the in-memory store as primary and mirrors to Redis (RPUSH with a
+ * TTL) when available so a reconnect served by another dyno can still
+ * replay the stream. Redis writes are fire-and-forget; commands on the
+ * shared connection run in order, so events stay in sequence.
+ *
+ * Redis key patterns:
+ *   ai-stream:{messageId}:owner   — { userId, conversationId } JSON (TTL = 10m)
+ *   ai-stream:{messageId}:events  — list of event JSON (TTL = 10m)
+ */
+
+import { getRedis, isRedisAvailable } from '@/lib/redis';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type StreamEventType = 'start' | 'tool' | 'token' | 'done' | 'error';
+
+export interface StreamEvent {
+  event: StreamEventType;
+  data: Record<string, unknown>;
+}
+
+export interface StreamOwner {
+  userId: string;
+  conversationId: string;
+}
+
+interface BufferedStream {
+  owner: StreamOwner;
+  events: StreamEvent[];
+  expiresAt: number;
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Buffers live this long after their last event */
+const BUFFER_TTL_MS = 10 * 60 * 1000;
+const BUFFER_TTL_SEC = Math.ceil(BUFFER_TTL_MS / 1000);
+
+/** How often a response checks the buffer for new events */
+const POLL_INTERVAL_MS = 150;
+
+/** Comment line sent while waiting, so proxies don't close an idle stream */
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/** Cleanup interval: run every minute */
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// In-memory store (always active — primary for the dyno generating the answer)
+// ---------------------------------------------------------------------------
+
+const memoryStore = new Map<string, BufferedStream>();
+
+// Periodic cleanup of expired buffers
+if (typeof setInterval !== 'undefined') {
+  setInterval(() => {
+    const now = Date.now();
+    Array.from(memoryStore.entries()).forEach(([key, buffer]) => {
+      if (now > buffer.expiresAt) {
+        memoryStore.delete(key);
+      }
+    });
+  }, CLEANUP_INTERVAL_MS);
+}
+
+function ownerKey(messageId: string): string {
+  return `ai-stream:${messageId}:owner`;
+}
+
+function eventsKey(messageId: string): string {
+  return `ai-stream:${messageId}:events`;
+}
+
+/** Pure function — true once the stream has ended (done or error). */
+export function isFinalEvent(event: StreamEvent): boolean {
+  return event.event === 'done' || event.event === 'error';
+}
+
+/** Pure function — one SSE frame; the event id is its offset in the buffer. */
+export function formatStreamEvent(offset: number, event: StreamEvent): string {
+  return `id: ${offset}\nevent: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a buffer for an assistant message about to be streamed. The first
+ * event tells the client which message id to resume.
+ */
+export function createStreamBuffer(messageId: string, owner: StreamOwner): void {
+  memoryStore.set(messageId, { owner, events: [], expiresAt: Date.now() + BUFFER_TTL_MS });
+
+  if (isRedisAvailable()) {
+    try {
+      getRedis().set(ownerKey(messageId), JSON.stringify(owner), 'EX', BUFFER_TTL_SEC).catch(() => {});
+    } catch {
+      // Swallow
+    }
+  }
+
+  appendStreamEvent(messageId, { event: 'start', data: { messageId } });
+}
+
+/** Append an event to a message's buffer and refresh its TTL. */
+export function appendStreamEvent(messageId: string, event: StreamEvent): void {
+  const buffer = memoryStore.get(messageId);
+  if (buffer) {
+    buffer.events.push(event);
+    buffer.expiresAt = Date.now() + BUFFER_TTL_MS;
+  }
+
+  if (!isRedisAvailable()) return;
+
+  try {
+    const redis = getRedis();
+    redis
+      .pipeline()
+      .rpush(eventsKey(messageId), JSON.stringify(event))
+      .expire(eventsKey(messageId), BUFFER_TTL_SEC)
+      .expire(ownerKey(messageId), BUFFER_TTL_SEC)
+      .exec()
+      .catch(() => {});
+  } catch {
+    // Swallow
+  }
+}
+
+/**
+ * Events from `offset` onwards, with the buffer's owner. Returns null when
+ * no buffer exists for the message (never streamed, expired, or streamed
+ * by another dyno without Redis).
+ */
+export async function readStreamEvents(
+  messageId: string,
+  offset: number
+): Promise<{ owner: StreamOwner; events: StreamEvent[] } | null> {
+  const buffer = memoryStore.get(messageId);
+  if (buffer) {
+    return { owner: buffer.owner, events: buffer.events.slice(offset) };
+  }
+
+  if (!isRedisAvailable()) return null;
+
+  try {
+    const redis = getRedis();
+    const [owner, events] = await Promise.all([
+      redis.get(ownerKey(messageId)),
+      redis.lrange(eventsKey(messageId), offset, -1),
+    ]);
+    if (!owner) return null;
+    return {
+      owner: JSON.parse(owner) as StreamOwner,
+      events: events.map((e) => JSON.parse(e) as StreamEvent),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SSE response that replays a message's buffer from `offset` and follows
+ * it until the stream ends or the client goes away. Disconnecting only
+ * stops this response — generation carries on.
+ */
+export function streamBufferResponse(messageId: string, offset: number, signal: AbortSignal): Response {
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      let next = offset;
+      let lastSentAt = Date.now();
+
+      try {
+        while (!signal.aborted) {
+          const buffered = await readStreamEvents(messageId, next);
+          if (!buffered) {
+            controller.enqueue(
+              encoder.encode(formatStreamEvent(next, { event: 'error', data: { error: 'Stream expired' } }))
+            );
+            break;
+          }
+
+          for (const event of buffered.events) {
+            controller.enqueue(encoder.encode(formatStreamEvent(next, event)));
+            next++;
+            lastSentAt = Date.now();
+            if (isFinalEvent(event)) {
+              controller.close();
+              return;
+            }
+          }
+
+          if (Date.now() - lastSentAt > HEARTBEAT_INTERVAL_MS) {
+            controller.enqueue(encoder.encode(': heartbeat\n\n'));
+            lastSentAt = Date.now();
+          }
+          await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+        controller.close();
+      } catch {
+        // Client went away mid-write — nothing to clean up, the buffer expires on its own
+      }
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  });
+}
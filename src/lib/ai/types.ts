@@ -62,10 +62,108 @@ export interface ClaudeOptions {
   systemPrompt: string;
   messages: ConversationMessage[];
   maxTokens?: number;
+  /** Sampling temperature; the provider default when unset. 0 for repeatable scoring. */
+  temperature?: number;
   /** When true, signals that the user has opted out of AI training data usage. */
   aiTrainingOptOut?: boolean;
   /** Anthropic metadata — currently supports user_id for abuse tracking. */
   metadata?: { user_id?: string };
+  /** Provider to route this call through (from TenantAiConfig.provider). Defaults to Anthropic. */
+  provider?: AiProviderConfig;
+  /** Who to bill this call to. When set, tokens and cost are recorded in ai_usage_records. */
+  meter?: AiMeterContext;
+  /** Server-side tools the model may call; the client runs the call/result loop. */
+  tools?: AiTool[];
+  /** Invoked after each tool call completes (e.g. to log it to ai_messages). */
+  onToolCall?: (call: AiToolCallRecord) => void | Promise<void>;
+  /** Replaces identifiers with placeholders before the call and restores them in the response (see ./redaction). */
+  redactor?: Redactor;
+}
+
+/**
+ * A server-side tool exposed to the model. Scoping (tenant, user) lives in
+ * the `execute` closure — never in model-supplied input.
+ */
+export interface AiTool {
+  name: string;
+  description: string;
+  /** JSON Schema for the tool input (type: 'object') */
+  inputSchema: Record<string, unknown>;
+  execute: (input: Record<string, unknown>) => Promise<unknown>;
+}
+
+/** Outcome of one tool call made during a completion */
+export interface AiToolCallRecord {
+  id: string;
+  name: string;
+  input: Record<string, unknown>;
+  result?: unknown;
+  error?: string;
+  durationMs: number;
+}
+
+/** Token counts for a single LLM call */
+export interface AiTokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+/** Attribution for a metered AI call */
+export interface AiMeterContext {
+  tenantId: string | null;
+  userId: string;
+  feature: string;
+}
+
+/** LLM backends the AI client can route to */
+export type AiProviderType = 'anthropic' | 'openai_compatible' | 'mock';
+
+/**
+ * Provider selection stored in subscription_tiers.ai_config.provider.
+ * Secrets are never stored here — `apiKeyEnv` names the environment
+ * variable that holds the key.
+ */
+export interface AiProviderConfig {
+  type: AiProviderType;
+  /** Base URL for OpenAI-compatible servers, e.g. https://llm.internal/v1 */
+  baseUrl?: string;
+  /** Environment variable holding the API key (defaults per provider) */
+  apiKeyEnv?: string;
+  /** Request timeout in milliseconds (OpenAI-compatible only) */
+  timeoutMs?: number;
+  /** Mock only: canned responses keyed by a substring of the last user message */
+  fixtures?: Record<string, string>;
+  /** Mock only: response used when no fixture matches */
+  defaultResponse?: string;
+  /** Mock only: tool calls keyed by a substring of the last user message (when that tool is offered) */
+  toolCalls?: Record<string, { name: string; input?: Record<string, unknown> }>;
+  /** USD per million tokens — overrides the built-in price list (e.g. self-hosted models) */
+  pricing?: { inputPerMillion: number; outputPerMillion: number };
+}
+
+/**
+ * Monthly per-tenant AI budget (TenantAiConfig.budget), set in
+ * subscription_tiers.ai_config or as a 'budget' tenant_ai_overrides row.
+ */
+export interface AiBudgetConfig {
+  unit: 'usd' | 'tokens';
+  monthlyLimit: number; // -1 = unlimited
+  /** Percentage of the limit at which users are warned (default 80) */
+  softLimitPercent?: number;
+  /** Block AI calls once the limit is reached (default true) */
+  hardLimit?: boolean;
+}
+
+/** Current month's spend against a tenant budget */
+export interface AiBudgetStatus {
+  unit: 'usd' | 'tokens';
+  limit: number;
+  used: number;
+  remaining: number;
+  percentUsed: number;
+  state: 'ok' | 'soft_limit' | 'exhausted';
+  hardLimit: boolean;
+  resetDate: string;
 }
 
 /** Student profile data for prompt building */
@@ -91,6 +189,99 @@ export interface MatchDataForAi {
   missingSkills: string[];
 }
 
+/** Corporate AI features whose calls are written to the screening audit log */
+export type ScreeningAuditFeature = 'candidate_screening' | 'talent_discovery';
+
+/** Demographic proxies swapped in screening consistency audits */
+export type ScreeningProxyType = 'name' | 'institution' | 'sport';
+
+/** noisy — the baseline alone moved by the threshold, so swaps can't be judged */
+export type ScreeningConsistencyFlag = 'inconsistent' | 'incomplete' | 'noisy';
+
+/** One synthetic screening call in a consistency audit */
+export interface ScreeningTrial {
+  profile: string;
+  proxyType: ScreeningProxyType;
+  variant: string;
+  /** Confidence score (0-100); null when the response could not be parsed */
+  score: number | null;
+}
+
+/** How screening scores moved when one proxy was swapped */
+export interface ScreeningProxyConsistency {
+  proxyType: ScreeningProxyType;
+  variants: { variant: string; meanScore: number | null; trials: number }[];
+  /** Highest minus lowest variant mean */
+  meanSpread: number;
+  /** Largest difference between variants on a single profile */
+  maxProfileSpread: number;
+  /** Largest run-to-run spread of the unchanged baseline on a single profile */
+  baselineNoise: number;
+  /** Largest single-profile spread beyond that profile's baseline noise (what gets flagged) */
+  maxExcessSpread: number;
+  flags: ScreeningConsistencyFlag[];
+}
+
+export interface ScreeningConsistencyAudit {
+  id: string;
+  provider: string | null;
+  model: string;
+  promptVersion: number;
+  trialCount: number;
+  failedTrials: number;
+  maxSpread: number | null;
+  results: ScreeningProxyConsistency[];
+  trials: ScreeningTrial[];
+  flags: string[];
+  triggeredBy: string | null;
+  startedAt: string;
+  completedAt: string | null;
+  /** Set when a background run failed; completedAt stays null */
+  error: string | null;
+}
+
+/** A student profile as shown to the talent discovery prompt */
+export interface TalentDiscoveryStudent {
+  id: string;
+  firstName: string;
+  lastName: string;
+  university: string | null;
+  major: string | null;
+  gpa: string | null;
+  bio: string | null;
+  skills: string[];
+}
+
+/** Listing context for a mock interview */
+export interface MockInterviewListing {
+  title: string;
+  description: string;
+  companyName: string | null;
+  skills: string[];
+}
+
+/** Rubric score for one competency (1-5) */
+export interface MockInterviewCompetencyScore {
+  competency: string;
+  score: number;
+  evidence: string;
+  improvement: string;
+}
+
+/** Stored outcome of a finished mock interview */
+export interface MockInterviewResult {
+  id: string;
+  conversationId: string;
+  listingId: string | null;
+  listingTitle: string;
+  /** 0-100, on the same scale as skills-gap readiness scores */
+  overallScore: number;
+  competencyScores: MockInterviewCompetencyScore[];
+  summary: string | null;
+  questionsAnswered: number;
+  completedAt: string;
+}
+
 // ---------------------------------------------------------------------------
 // Enhanced AI Feature Gate Types (v2)
 // ---------------------------------------------------------------------------
@@ -148,17 +339,57 @@ export interface TenantAiConfig {
     perUserPerHour: number;
     perTenantPerHour: number;
   };
+  /** LLM backend for this tier; omitted means Anthropic */
+  provider?: AiProviderConfig;
+  /** Monthly token/cost budget for the tenant; omitted means no budget */
+  budget?: AiBudgetConfig;
+  /** PII redaction before prompts leave the server; forced regardless when FERPA ai_processing consent is absent */
+  redaction?: AiRedactionConfig;
+}
+
+/** Direct identifiers the redaction layer replaces with placeholders */
+export type PiiKind = 'name' | 'email' | 'phone' | 'gpa';
+
+/**
+ * Per-tenant PII redaction (TenantAiConfig.redaction), set in
+ * subscription_tiers.ai_config or as a 'redaction' tenant_ai_overrides row.
+ */
+export interface AiRedactionConfig {
+  enabled: boolean;
+  /** Identifier kinds to redact (default: all) */
+  kinds?: PiiKind[];
+}
+
+/** A known identifier to redact, e.g. a student's name or email */
+export interface PiiIdentifier {
+  kind: PiiKind;
+  value: string;
+}
+
+/** Placeholder substitution for one AI call (see ./redaction) */
+export interface Redactor {
+  /** Replace identifiers in text with placeholders */
+  redact(text: string): string;
+  /** Replace placeholders in text with the original values */
+  rehydrate(text: string): string;
+  /** Rehydrate every string inside a JSON-like value (e.g. tool call input) */
+  rehydrateValue<T>(value: T): T;
+  /** Incremental rehydration for streamed text; placeholders may span chunks */
+  createStreamRehydrator(): { push(chunk: string): string; flush(): string };
 }
 
 /** Enhanced access check result with denial details */
 export interface AiAccessResult {
   allowed: boolean;
   config: TenantAiConfig;
+  /** Tenant budget status, present when the tenant has a budget */
+  budget?: AiBudgetStatus;
   denial?: {
     reason:
       | 'feature_disabled'
       | 'action_not_available'
       | 'monthly_limit_reached'
+      | 'budget_exhausted'
       | 'rate_limited'
       | 'ai_disabled';
     message: string;
@@ -4,6 +4,7 @@
  * TOTP-based MFA using otplib for code generation/verification,
  * qrcode for QR code rendering, and AES-256-GCM for encrypting
  * secrets at rest. Backup codes are SHA-256 hashed before storage.
+ * Passkeys (./passkeys.ts) are the other second factor.
  *
  * Required for SOC 2 compliance and institutional security policies.
  */
@@ -203,26 +204,38 @@ export async function disableMFA(
 
 /**
  * Get the MFA status for a user.
+ * MFA counts as enabled when TOTP is enrolled or at least one passkey is
+ * registered; `method` is the primary factor (TOTP when both exist).
  */
 export async function getUserMFAStatus(userId: string): Promise<{
   isEnabled: boolean;
   method: string;
   backupCodesRemaining: number;
+  totpEnabled: boolean;
+  passkeyCount: number;
 }> {
-  const result = await sql`
-    SELECT is_enabled, method, backup_codes_remaining
-    FROM user_mfa
-    WHERE user_id = ${userId} AND method = 'totp'
-  `;
+  const [result, passkeys] = await Promise.all([
+    sql`
+      SELECT is_enabled, method, backup_codes_remaining
+      FROM user_mfa
+      WHERE user_id = ${userId} AND method = 'totp'
+    `,
+    sql`
+      SELECT COUNT(*)::int AS count
+      FROM user_passkeys
+      WHERE user_id = ${userId}
+    `,
+  ]);
 
-  if (result.length === 0) {
-    return { isEnabled: false, method: 'totp', backupCodesRemaining: 0 };
-  }
+  const totpEnabled = result.length > 0 && result[0].is_enabled === true;
+  const passkeyCount: number = passkeys[0]?.count ?? 0;
 
   return {
-    isEnabled: result[0].is_enabled,
-    method: result[0].method,
-    backupCodesRemaining: result[0].backup_codes_remaining ?? 0,
+    isEnabled: totpEnabled || passkeyCount > 0,
+    method: totpEnabled || passkeyCount === 0 ? 'totp' : 'passkey',
+    backupCodesRemaining: totpEnabled ? result[0].backup_codes_remaining ?? 0 : 0,
+    totpEnabled,
+    passkeyCount,
   };
 }
 
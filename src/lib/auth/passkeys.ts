@@ -0,0 +1,385 @@
+/**
+ * Passkeys (WebAuthn) Library
+ *
+ * Phishing-resistant credentials using @simplewebauthn/server. A user can
+ * register several named passkeys; each works as a second factor after a
+ * password (alongside TOTP) or on its own for passwordless sign-in, since
+ * user verification on the authenticator already proves two factors.
+ *
+ * Challenges are single-use and expire after 5 minutes. They're held in
+ * memory and mirrored to Redis so the ceremony can finish on another dyno.
+ *
+ * Redis key patterns:
+ *   webauthn-challenge:{challenge}  — { purpose, userId } JSON (TTL = 5m)
+ */
+
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from '@simplewebauthn/server';
+import type {
+  AuthenticationResponseJSON,
+  AuthenticatorTransportFuture,
+  PublicKeyCredentialCreationOptionsJSON,
+  PublicKeyCredentialRequestOptionsJSON,
+  RegistrationResponseJSON,
+} from '@simplewebauthn/server';
+import { isoBase64URL } from '@simplewebauthn/server/helpers';
+import { sql } from '@/lib/db';
+import { getRedis, isRedisAvailable } from '@/lib/redis';
+
+// Relying party name shown by the browser and passkey managers
+const RP_NAME = 'Street2Ivy';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_TTL_SEC = CHALLENGE_TTL_MS / 1000;
+
+/** Passkeys a single user may register */
+export const MAX_PASSKEYS_PER_USER = 10;
+
+// ---------- Types ----------
+
+/**
+ * What a challenge was issued for:
+ * register — adding a passkey to the signed-in user
+ * verify   — second factor for the signed-in user
+ * login    — passwordless sign-in (no user known yet)
+ */
+export type PasskeyPurpose = 'register' | 'verify' | 'login';
+
+export interface PasskeyInfo {
+  id: string;
+  name: string;
+  deviceType: 'singleDevice' | 'multiDevice';
+  backedUp: boolean;
+  transports: string[];
+  createdAt: Date;
+  lastUsedAt: Date | null;
+}
+
+interface PendingChallenge {
+  purpose: PasskeyPurpose;
+  userId: string | null;
+  expiresAt: number;
+}
+
+// ---------- Challenge Store ----------
+
+const challengeStore = new Map<string, PendingChallenge>();
+
+// Periodic cleanup of expired challenges
+if (typeof setInterval !== 'undefined') {
+  setInterval(() => {
+    const now = Date.now();
+    Array.from(challengeStore.entries()).forEach(([key, pending]) => {
+      if (now > pending.expiresAt) {
+        challengeStore.delete(key);
+      }
+    });
+  }, 60 * 1000);
+}
+
+function challengeKey(challenge: string): string {
+  return `webauthn-challenge:${challenge}`;
+}
+
+function saveChallenge(challenge: string, purpose: PasskeyPurpose, userId: string | null): void {
+  challengeStore.set(challenge, { purpose, userId, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+
+  if (isRedisAvailable()) {
+    try {
+      getRedis()
+        .set(challengeKey(challenge), JSON.stringify({ purpose, userId }), 'EX', CHALLENGE_TTL_SEC)
+        .catch(() => {});
+    } catch {
+      // Swallow
+    }
+  }
+}
+
+/**
+ * Use up a challenge. True only when it was issued for this purpose (and
+ * user) and hasn't expired or been used before.
+ */
+async function consumeChallenge(
+  challenge: string,
+  purpose: PasskeyPurpose,
+  userId: string | null
+): Promise<boolean> {
+  let pending: Omit<PendingChallenge, 'expiresAt'> | null = null;
+
+  const local = challengeStore.get(challenge);
+  if (local) {
+    challengeStore.delete(challenge);
+    if (Date.now() <= local.expiresAt) pending = local;
+  }
+
+  if (isRedisAvailable()) {
+    try {
+      const [[, stored]] = (await getRedis()
+        .multi()
+        .get(challengeKey(challenge))
+        .del(challengeKey(challenge))
+        .exec()) as [[Error | null, string | null], [Error | null, number]];
+      if (!pending && stored) pending = JSON.parse(stored);
+    } catch {
+      // Fall back to the local copy
+    }
+  }
+
+  return !!pending && pending.purpose === purpose && pending.userId === userId;
+}
+
+// ---------- Relying Party ----------
+
+/**
+ * Relying party for a request. WEBAUTHN_RP_ID should be the parent domain
+ * (e.g. proveground.com) so one passkey works on every tenant subdomain;
+ * without it the request's own hostname is used.
+ */
+export function getRelyingParty(request: Request): { rpID: string; origin: string } {
+  const origin = request.headers.get('origin') || new URL(request.url).origin;
+  const hostname = new URL(origin).hostname;
+  const rpID = process.env.WEBAUTHN_RP_ID || hostname;
+
+  // Browsers only allow an RP ID that is the origin's host or a parent of it
+  const trusted = hostname === rpID || hostname.endsWith(`.${rpID}`);
+  return { rpID, origin: trusted ? origin : new URL(request.url).origin };
+}
+
+// ---------- Registration ----------
+
+/**
+ * Options for navigator.credentials.create(). Passkeys the user already has
+ * are excluded so the same authenticator isn't registered twice.
+ */
+export async function createPasskeyRegistrationOptions(
+  request: Request,
+  user: { id: string; email: string; displayName: string | null }
+): Promise<PublicKeyCredentialCreationOptionsJSON> {
+  const { rpID } = getRelyingParty(request);
+  const existing = await getCredentials(user.id);
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID,
+    userName: user.email,
+    userID: new TextEncoder().encode(user.id),
+    userDisplayName: user.displayName || user.email,
+    attestationType: 'none',
+    excludeCredentials: existing.map((c) => ({ id: c.credentialId, transports: c.transports })),
+    authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+  });
+
+  saveChallenge(options.challenge, 'register', user.id);
+  return options;
+}
+
+/**
+ * Verify a registration response and store the new passkey under `name`.
+ */
+export async function registerPasskey(
+  request: Request,
+  userId: string,
+  name: string,
+  response: RegistrationResponseJSON
+): Promise<{ success: boolean; passkey?: PasskeyInfo; error?: string }> {
+  const { rpID, origin } = getRelyingParty(request);
+
+  const [{ count }] = await sql`SELECT COUNT(*)::int AS count FROM user_passkeys WHERE user_id = ${userId}`;
+  if (count >= MAX_PASSKEYS_PER_USER) {
+    return { success: false, error: `You can register up to ${MAX_PASSKEYS_PER_USER} passkeys` };
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: (challenge) => consumeChallenge(challenge, 'register', userId),
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+    });
+  } catch (error) {
+    console.error('Passkey registration verification failed:', error);
+    return { success: false, error: 'Passkey could not be verified' };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: 'Passkey could not be verified' };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+
+  const result = await sql`
+    INSERT INTO user_passkeys (
+      user_id, name, credential_id, public_key, counter,
+      transports, device_type, backed_up, aaguid
+    ) VALUES (
+      ${userId},
+      ${name},
+      ${credential.id},
+      ${isoBase64URL.fromBuffer(credential.publicKey)},
+      ${credential.counter},
+      ${credential.transports || []},
+      ${credentialDeviceType},
+      ${credentialBackedUp},
+      ${aaguid}
+    )
+    ON CONFLICT (credential_id) DO NOTHING
+    RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at
+  `;
+
+  if (result.length === 0) {
+    return { success: false, error: 'This passkey is already registered' };
+  }
+
+  return { success: true, passkey: toPasskeyInfo(result[0]) };
+}
+
+// ---------- Authentication ----------
+
+/**
+ * Options for navigator.credentials.get(). With a user (second factor) only
+ * their passkeys are allowed; without one (passwordless) the browser offers
+ * any discoverable passkey for this site.
+ */
+export async function createPasskeyAuthenticationOptions(
+  request: Request,
+  userId: string | null
+): Promise<PublicKeyCredentialRequestOptionsJSON> {
+  const { rpID } = getRelyingParty(request);
+  const credentials = userId ? await getCredentials(userId) : [];
+
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: credentials.map((c) => ({ id: c.credentialId, transports: c.transports })),
+    userVerification: 'required',
+  });
+
+  saveChallenge(options.challenge, userId ? 'verify' : 'login', userId);
+  return options;
+}
+
+/**
+ * Verify an authentication response. Pass the signed-in user's ID for a
+ * second-factor check, or null for passwordless sign-in. Returns the user
+ * the passkey belongs to and bumps its signature counter.
+ */
+export async function verifyPasskeyAuthentication(
+  request: Request,
+  response: AuthenticationResponseJSON,
+  userId: string | null
+): Promise<{ success: boolean; userId?: string; passkeyId?: string; error?: string }> {
+  const { rpID, origin } = getRelyingParty(request);
+
+  const rows = await sql`
+    SELECT id, user_id, credential_id, public_key, counter, transports
+    FROM user_passkeys
+    WHERE credential_id = ${response.id}
+    LIMIT 1
+  `;
+  const stored = rows[0];
+  if (!stored || (userId && stored.user_id !== userId)) {
+    return { success: false, error: 'Passkey not recognised' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: (challenge) =>
+        consumeChallenge(challenge, userId ? 'verify' : 'login', userId),
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: stored.credential_id,
+        publicKey: isoBase64URL.toBuffer(stored.public_key),
+        counter: Number(stored.counter),
+        transports: stored.transports as AuthenticatorTransportFuture[],
+      },
+      requireUserVerification: true,
+    });
+  } catch (error) {
+    console.error('Passkey authentication verification failed:', error);
+    return { success: false, error: 'Passkey could not be verified' };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: 'Passkey could not be verified' };
+  }
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  await sql`
+    UPDATE user_passkeys
+    SET counter = ${newCounter}, backed_up = ${credentialBackedUp}, last_used_at = NOW()
+    WHERE id = ${stored.id}
+  `;
+
+  return { success: true, userId: stored.user_id, passkeyId: stored.id };
+}
+
+// ---------- Management ----------
+
+/**
+ * List a user's passkeys, newest first.
+ */
+export async function listPasskeys(userId: string): Promise<PasskeyInfo[]> {
+  const result = await sql`
+    SELECT id, name, device_type, backed_up, transports, created_at, last_used_at
+    FROM user_passkeys
+    WHERE user_id = ${userId}
+    ORDER BY created_at DESC
+  `;
+  return result.map(toPasskeyInfo);
+}
+
+/**
+ * Rename one of the user's passkeys. Returns false if it doesn't exist.
+ */
+export async function renamePasskey(userId: string, passkeyId: string, name: string): Promise<boolean> {
+  const result = await sql`
+    UPDATE user_passkeys SET name = ${name}
+    WHERE id = ${passkeyId} AND user_id = ${userId}
+    RETURNING id
+  `;
+  return result.length > 0;
+}
+
+/**
+ * Revoke one of the user's passkeys. Returns false if it doesn't exist.
+ */
+export async function deletePasskey(userId: string, passkeyId: string): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM user_passkeys
+    WHERE id = ${passkeyId} AND user_id = ${userId}
+    RETURNING id
+  `;
+  return result.length > 0;
+}
+
+async function getCredentials(
+  userId: string
+): Promise<{ credentialId: string; transports: AuthenticatorTransportFuture[] }[]> {
+  const result = await sql`
+    SELECT credential_id, transports FROM user_passkeys WHERE user_id = ${userId}
+  `;
+  return result.map((row) => ({
+    credentialId: row.credential_id,
+    transports: (row.transports || []) as AuthenticatorTransportFuture[],
+  }));
+}
+
+function toPasskeyInfo(row: Record<string, unknown>): PasskeyInfo {
+  return {
+    id: row.id as string,
+    name: row.name as string,
+    deviceType: row.device_type as PasskeyInfo['deviceType'],
+    backedUp: row.backed_up as boolean,
+    transports: (row.transports as string[]) || [],
+    createdAt: row.created_at as Date,
+    lastUsedAt: (row.last_used_at as Date) || null,
+  };
+}
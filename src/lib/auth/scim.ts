@@ -0,0 +1,1202 @@
+/**
+ * SCIM 2.0 Provisioning (RFC 7643 / RFC 7644)
+ *
+ * Lets a tenant's identity provider manage accounts directly instead of
+ * relying on JIT provisioning at first SSO login: /Users creates, updates
+ * and deprovisions students and staff, and /Groups mirrors IdP groups. An
+ * educational admin maps groups to a platform role (student,
+ * educational_admin) and group membership then decides members' roles.
+ *
+ * Requests authenticate with per-tenant bearer tokens; only a SHA-256 hash
+ * is stored. Deprovisioning is soft — the account and its work are kept,
+ * but it can no longer sign in and its sessions are revoked. Every
+ * operation, including rejected ones, is written to audit_log.
+ *
+ * Like requireRole, helpers throw a ready-made response (here a SCIM error
+ * with Content-Type application/scim+json); route handlers return it from
+ * their catch via handleScimError.
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { sql } from '@/lib/db';
+import { deleteUserSessions } from './session';
+import { getTenantSSOConfig } from './sso';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+export const SCIM_SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+} as const;
+
+/** Roles SCIM group mappings may assign; other roles are never touched */
+export const SCIM_ROLES = ['student', 'educational_admin'] as const;
+
+/** Attributes the `eq` filter supports on each resource type */
+export const SCIM_FILTER_ATTRIBUTES = {
+  users: ['userName', 'externalId', 'emails.value'],
+  groups: ['displayName', 'externalId'],
+};
+
+const TOKEN_PREFIX = 'scim_';
+const DEFAULT_PAGE_SIZE = 100;
+export const SCIM_MAX_PAGE_SIZE = 200;
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+export type ScimRole = (typeof SCIM_ROLES)[number];
+
+/** Who a SCIM change is attributed to in the audit log */
+export interface ScimActor {
+  tenantId: string;
+  ip: string;
+  userAgent: string;
+  path: string;
+  userId?: string;      // an admin changing a group's role mapping
+  tokenId?: string;     // the IdP, by the token it authenticated with
+  tokenName?: string;
+}
+
+/** An authenticated SCIM request: which tenant and token it acts for */
+export interface ScimContext extends ScimActor {
+  tokenId: string;
+  tokenName: string;
+  baseUrl: string;
+}
+
+export interface ScimFilter {
+  attribute: string;
+  value: string;
+}
+
+export interface ScimPagination {
+  startIndex: number;
+  count: number;
+}
+
+export interface ScimTokenInfo {
+  id: string;
+  name: string;
+  tokenPrefix: string;
+  createdAt: Date;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+}
+
+export interface ScimGroupInfo {
+  id: string;
+  displayName: string;
+  externalId: string | null;
+  role: ScimRole | null;
+  memberCount: number;
+}
+
+interface UserChanges {
+  email?: string;
+  firstName?: string;
+  lastName?: string;
+  externalId?: string | null;
+  active?: boolean;
+}
+
+interface GroupChanges {
+  displayName?: string;
+  externalId?: string | null;
+  setMembers?: string[];
+  addMembers?: string[];
+  removeMembers?: string[];
+}
+
+type Row = Record<string, unknown>;
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+const scimUserSchema = z.object({
+  userName: z.string().trim().min(1).max(255),
+  externalId: z.string().max(255).nullish(),
+  name: z
+    .object({
+      givenName: z.string().max(100).nullish(),
+      familyName: z.string().max(100).nullish(),
+    })
+    .nullish(),
+  emails: z
+    .array(z.object({ value: z.string(), primary: z.boolean().nullish() }))
+    .nullish(),
+  active: z.boolean().nullish(),
+});
+
+const scimGroupSchema = z.object({
+  displayName: z.string().trim().min(1).max(255),
+  externalId: z.string().max(255).nullish(),
+  members: z.array(z.object({ value: z.string() })).nullish(),
+});
+
+const patchRequestSchema = z.object({
+  Operations: z
+    .array(
+      z.object({
+        op: z.string(),
+        path: z.string().nullish(),
+        value: z.unknown().optional(),
+      })
+    )
+    .min(1),
+});
+
+const emailSchema = z.string().email();
+const uuidSchema = z.string().uuid();
+
+// ─── Responses ───────────────────────────────────────────────────────────────
+
+/** JSON response with the SCIM media type. */
+export function scimResponse(body: unknown, status: number = 200): NextResponse {
+  return NextResponse.json(body, { status, headers: { 'Content-Type': SCIM_CONTENT_TYPE } });
+}
+
+/** SCIM error response (RFC 7644 §3.12). */
+export function scimError(status: number, detail: string, scimType?: string): NextResponse {
+  return scimResponse(
+    {
+      schemas: [SCIM_SCHEMAS.error],
+      status: String(status),
+      ...(scimType ? { scimType } : {}),
+      detail,
+    },
+    status
+  );
+}
+
+/**
+ * Turn whatever a SCIM handler threw into a response: thrown SCIM errors are
+ * returned as-is, anything else is logged and becomes a 500.
+ */
+export function handleScimError(error: unknown, label: string): NextResponse {
+  if (error instanceof NextResponse) return error;
+  console.error(`${label} error:`, error);
+  return scimError(500, 'Internal server error');
+}
+
+// ─── Audit ───────────────────────────────────────────────────────────────────
+
+async function logScimOperation(
+  actor: ScimActor,
+  operation: string,
+  resourceId: string | null,
+  details: Record<string, unknown> = {}
+): Promise<void> {
+  await auditLog('SCIM_OPERATION', {
+    userId: actor.userId,
+    tenantId: actor.tenantId,
+    ip: actor.ip,
+    userAgent: actor.userAgent,
+    path: actor.path,
+    resource: operation.startsWith('group') ? 'scim_groups' : 'users',
+    resourceId: resourceId || undefined,
+    details: {
+      operation,
+      tenantId: actor.tenantId,
+      tokenId: actor.tokenId,
+      tokenName: actor.tokenName,
+      ...details,
+    },
+  });
+}
+
+/** Log a refused operation and build the error response for the caller to throw. */
+async function rejectScimOperation(
+  ctx: ScimContext,
+  operation: string,
+  resourceId: string | null,
+  status: number,
+  detail: string,
+  scimType?: string
+): Promise<NextResponse> {
+  await logScimOperation(ctx, operation, resourceId, { outcome: 'rejected', status, detail });
+  return scimError(status, detail, scimType);
+}
+
+// ─── Tokens ──────────────────────────────────────────────────────────────────
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a bearer token for a tenant's IdP. The plaintext token is returned
+ * once and never stored.
+ */
+export async function createScimToken(
+  tenantId: string,
+  name: string,
+  createdBy: string
+): Promise<ScimTokenInfo & { token: string }> {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const tokenPrefix = token.slice(0, TOKEN_PREFIX.length + 6);
+
+  const rows = await sql`
+    INSERT INTO scim_tokens (tenant_id, name, token_hash, token_prefix, created_by)
+    VALUES (${tenantId}, ${name}, ${hashToken(token)}, ${tokenPrefix}, ${createdBy})
+    RETURNING id, name, token_prefix, created_at, last_used_at, revoked_at
+  `;
+
+  return { ...toTokenInfo(rows[0]), token };
+}
+
+/** All tokens issued for a tenant, newest first (hashes are never returned). */
+export async function listScimTokens(tenantId: string): Promise<ScimTokenInfo[]> {
+  const rows = await sql`
+    SELECT id, name, token_prefix, created_at, last_used_at, revoked_at
+    FROM scim_tokens
+    WHERE tenant_id = ${tenantId}
+    ORDER BY created_at DESC
+  `;
+  return rows.map(toTokenInfo);
+}
+
+/** Revoke a token. Returns false when the tenant has no such active token. */
+export async function revokeScimToken(tenantId: string, tokenId: string): Promise<boolean> {
+  const rows = await sql`
+    UPDATE scim_tokens SET revoked_at = NOW()
+    WHERE id = ${tokenId} AND tenant_id = ${tenantId} AND revoked_at IS NULL
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
+function toTokenInfo(row: Row): ScimTokenInfo {
+  return {
+    id: row.id as string,
+    name: row.name as string,
+    tokenPrefix: row.token_prefix as string,
+    createdAt: row.created_at as Date,
+    lastUsedAt: (row.last_used_at as Date) || null,
+    revokedAt: (row.revoked_at as Date) || null,
+  };
+}
+
+/**
+ * Authenticate a SCIM request by its bearer token. Throws a 401 SCIM error
+ * (and audits the failure) when the token is missing, unknown or revoked.
+ */
+export async function authenticateScimRequest(request: Request): Promise<ScimContext> {
+  const { ip, userAgent } = extractRequestInfo(request);
+  const url = new URL(request.url);
+  const authHeader = request.headers.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authHeader);
+
+  const rows = match
+    ? await sql`
+        UPDATE scim_tokens SET last_used_at = NOW()
+        WHERE token_hash = ${hashToken(match[1])} AND revoked_at IS NULL
+        RETURNING id, tenant_id, name
+      `
+    : [];
+
+  if (rows.length === 0) {
+    await auditLog('AUTH_FAILURE', {
+      ip,
+      userAgent,
+      path: url.pathname,
+      details: { method: 'scim', reason: match ? 'invalid_token' : 'missing_token' },
+    });
+    throw scimError(401, 'Invalid or missing bearer token');
+  }
+
+  return {
+    tenantId: rows[0].tenant_id,
+    tokenId: rows[0].id,
+    tokenName: rows[0].name,
+    baseUrl: `${url.origin}/api/scim/v2`,
+    ip,
+    userAgent,
+    path: url.pathname,
+  };
+}
+
+// ─── Query Parameters ────────────────────────────────────────────────────────
+
+/**
+ * Pure function — parse a SCIM filter. Only `<attribute> eq "<value>"` on
+ * the given attributes is supported, which is what IdPs send to look up an
+ * account before creating it. Throws a 400 invalidFilter error otherwise.
+ */
+export function parseScimFilter(filter: string | null, attributes: string[]): ScimFilter | null {
+  if (!filter || !filter.trim()) return null;
+
+  const match = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+  const attribute = match
+    ? attributes.find((a) => a.toLowerCase() === match[1].toLowerCase())
+    : undefined;
+
+  if (!match || !attribute) {
+    throw scimError(
+      400,
+      `Unsupported filter. Use: ${attributes.map((a) => `${a} eq "value"`).join(', ')}`,
+      'invalidFilter'
+    );
+  }
+
+  return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+}
+
+/** Pure function — 1-based startIndex and page size from query parameters. */
+export function parseScimPagination(searchParams: URLSearchParams): ScimPagination {
+  const startIndex = parseInt(searchParams.get('startIndex') || '1', 10);
+  const count = parseInt(searchParams.get('count') || String(DEFAULT_PAGE_SIZE), 10);
+  return {
+    startIndex: Number.isFinite(startIndex) && startIndex > 0 ? startIndex : 1,
+    count: Number.isFinite(count) ? Math.min(Math.max(count, 0), SCIM_MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+  };
+}
+
+function listResponse(resources: unknown[], totalResults: number, page: ScimPagination) {
+  return {
+    schemas: [SCIM_SCHEMAS.listResponse],
+    totalResults,
+    startIndex: page.startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  };
+}
+
+// ─── Role Mapping ────────────────────────────────────────────────────────────
+
+/**
+ * Pure function — the role a user should hold given the roles of the mapped
+ * groups they belong to. educational_admin wins over student; with no
+ * mapped group the user falls back to `fallbackRole` (null = keep current).
+ * Roles outside SCIM_ROLES (corporate partners, platform admins) are never
+ * changed.
+ */
+export function resolveScimRole(
+  currentRole: string,
+  groupRoles: string[],
+  fallbackRole: ScimRole | null
+): string {
+  if (!(SCIM_ROLES as readonly string[]).includes(currentRole)) return currentRole;
+  if (groupRoles.includes('educational_admin')) return 'educational_admin';
+  if (groupRoles.includes('student')) return 'student';
+  return fallbackRole || currentRole;
+}
+
+/** Pure function — true for roles SCIM may create, adopt, edit or deactivate. */
+function isScimManagedRole(role: string): boolean {
+  return (SCIM_ROLES as readonly string[]).includes(role);
+}
+
+/**
+ * Pure function — true when the email's domain is one of `domains` or a
+ * subdomain of one (same rule as student registration).
+ */
+export function emailMatchesDomains(email: string, domains: string[]): boolean {
+  const emailDomain = email.split('@')[1]?.toLowerCase();
+  if (!emailDomain) return false;
+  return domains.some((d) => {
+    const domain = d.toLowerCase();
+    return emailDomain === domain || emailDomain.endsWith('.' + domain);
+  });
+}
+
+/** Email domains the platform has verified for a tenant. */
+async function getTenantEmailDomains(tenantId: string): Promise<string[]> {
+  const rows = await sql`
+    SELECT institution_domain, features FROM tenants WHERE id = ${tenantId} LIMIT 1
+  `;
+  if (rows.length === 0) return [];
+  const features = (rows[0].features || {}) as Record<string, unknown>;
+  const domains = Array.isArray(features.allowedDomains) ? (features.allowedDomains as string[]) : [];
+  return rows[0].institution_domain ? [...domains, rows[0].institution_domain] : domains;
+}
+
+/** Reject an email outside the tenant's verified domains. */
+async function requireTenantEmailDomain(
+  ctx: ScimContext,
+  operation: string,
+  id: string | null,
+  email: string
+): Promise<void> {
+  if (!emailMatchesDomains(email, await getTenantEmailDomains(ctx.tenantId))) {
+    throw await rejectScimOperation(ctx, operation, id, 400, 'userName must be on one of the tenant\'s verified domains', 'invalidValue');
+  }
+}
+
+async function getDefaultScimRole(tenantId: string): Promise<ScimRole> {
+  const config = await getTenantSSOConfig(tenantId);
+  const role = config?.defaultRole;
+  return (SCIM_ROLES as readonly string[]).includes(role || '') ? (role as ScimRole) : 'student';
+}
+
+/**
+ * Bring users' roles in line with their group memberships. A role change
+ * revokes the user's sessions, since the session carries the old role.
+ * Only applies once the tenant has mapped at least one group.
+ */
+async function syncScimRoles(ctx: ScimActor, userIds: string[]): Promise<void> {
+  if (userIds.length === 0) return;
+
+  const mapped = await sql`
+    SELECT 1 FROM scim_groups WHERE tenant_id = ${ctx.tenantId} AND role IS NOT NULL LIMIT 1
+  `;
+  if (mapped.length === 0) return;
+
+  const fallbackRole = await getDefaultScimRole(ctx.tenantId);
+  const rows = await sql`
+    SELECT u.id, u.role,
+           ARRAY_REMOVE(ARRAY_AGG(g.role), NULL) AS group_roles
+    FROM users u
+    LEFT JOIN scim_group_members m ON m.user_id = u.id
+    LEFT JOIN scim_groups g ON g.id = m.group_id
+    WHERE u.id = ANY(${userIds}) AND u.tenant_id = ${ctx.tenantId}
+    GROUP BY u.id, u.role
+  `;
+
+  for (const row of rows) {
+    const role = resolveScimRole(row.role, row.group_roles || [], fallbackRole);
+    if (role === row.role) continue;
+
+    await sql`UPDATE users SET role = ${role}, updated_at = NOW() WHERE id = ${row.id}`;
+    await deleteUserSessions(row.id);
+    await logScimOperation(ctx, 'user_role_changed', row.id, { from: row.role, to: role });
+  }
+}
+
+// ─── Users ───────────────────────────────────────────────────────────────────
+
+function userLocation(ctx: ScimContext, id: string): string {
+  return `${ctx.baseUrl}/Users/${id}`;
+}
+
+async function toScimUser(ctx: ScimContext, row: Row): Promise<Record<string, unknown>> {
+  const groups = await sql`
+    SELECT g.id, g.display_name
+    FROM scim_group_members m
+    JOIN scim_groups g ON g.id = m.group_id
+    WHERE m.user_id = ${row.id as string}
+    ORDER BY g.display_name
+  `;
+
+  return {
+    schemas: [SCIM_SCHEMAS.user],
+    id: row.id,
+    ...(row.scim_external_id ? { externalId: row.scim_external_id } : {}),
+    userName: row.email,
+    name: {
+      givenName: row.first_name || '',
+      familyName: row.last_name || '',
+      formatted: row.display_name || [row.first_name, row.last_name].filter(Boolean).join(' '),
+    },
+    displayName: row.display_name || undefined,
+    emails: [{ value: row.email, type: 'work', primary: true }],
+    active: !row.deprovisioned_at,
+    roles: [{ value: row.role, primary: true }],
+    groups: groups.map((g) => ({
+      value: g.id,
+      display: g.display_name,
+      $ref: `${ctx.baseUrl}/Groups/${g.id}`,
+    })),
+    meta: {
+      resourceType: 'User',
+      created: row.created_at,
+      lastModified: row.updated_at,
+      location: userLocation(ctx, row.id as string),
+    },
+  };
+}
+
+async function findScimUser(ctx: ScimContext, id: string): Promise<Row | null> {
+  if (!uuidSchema.safeParse(id).success) return null;
+  const rows = await sql`
+    SELECT id, email, first_name, last_name, display_name, role,
+           scim_external_id, deprovisioned_at, created_at, updated_at
+    FROM users
+    WHERE id = ${id} AND tenant_id = ${ctx.tenantId} AND scim_deleted_at IS NULL
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+async function requireScimUser(ctx: ScimContext, id: string, operation: string): Promise<Row> {
+  const user = await findScimUser(ctx, id);
+  if (!user) throw await rejectScimOperation(ctx, operation, id, 404, 'User not found');
+  return user;
+}
+
+/** Users in the tenant, optionally filtered by userName, externalId or email. */
+export async function listScimUsers(
+  ctx: ScimContext,
+  filter: ScimFilter | null,
+  page: ScimPagination
+) {
+  const value = filter?.value.toLowerCase().trim() || '';
+  const condition = !filter
+    ? sql``
+    : filter.attribute === 'externalId'
+      ? sql`AND scim_external_id = ${filter.value}`
+      : sql`AND email = ${value}`;
+
+  const [{ total }] = await sql`
+    SELECT COUNT(*)::int AS total FROM users
+    WHERE tenant_id = ${ctx.tenantId} AND scim_deleted_at IS NULL ${condition}
+  `;
+  const rows = page.count === 0 ? [] : await sql`
+    SELECT id, email, first_name, last_name, display_name, role,
+           scim_external_id, deprovisioned_at, created_at, updated_at
+    FROM users
+    WHERE tenant_id = ${ctx.tenantId} AND scim_deleted_at IS NULL ${condition}
+    ORDER BY created_at, id
+    LIMIT ${page.count} OFFSET ${page.startIndex - 1}
+  `;
+
+  const resources = [];
+  for (const row of rows) resources.push(await toScimUser(ctx, row));
+
+  await logScimOperation(ctx, 'user_list', null, {
+    filter: filter ? `${filter.attribute} eq` : null,
+    returned: resources.length,
+  });
+  return listResponse(resources, total, page);
+}
+
+export async function getScimUser(ctx: ScimContext, id: string) {
+  const user = await requireScimUser(ctx, id, 'user_read');
+  await logScimOperation(ctx, 'user_read', id);
+  return toScimUser(ctx, user);
+}
+
+/**
+ * Map a SCIM User body to column changes. The account email is the primary
+ * email when one is given, otherwise userName.
+ */
+async function parseUserBody(ctx: ScimContext, body: unknown, operation: string, id: string | null) {
+  const parsed = scimUserSchema.safeParse(body);
+  if (!parsed.success) {
+    throw await rejectScimOperation(ctx, operation, id, 400, 'userName is required', 'invalidValue');
+  }
+
+  const { userName, externalId, name, emails, active } = parsed.data;
+  const primaryEmail = emails?.find((e) => e.primary)?.value || emails?.[0]?.value;
+  const email = (emailSchema.safeParse(userName).success ? userName : primaryEmail || '').toLowerCase().trim();
+
+  if (!emailSchema.safeParse(email).success) {
+    throw await rejectScimOperation(ctx, operation, id, 400, 'userName or a primary email must be an email address', 'invalidValue');
+  }
+
+  const changes: UserChanges = {
+    email,
+    firstName: name?.givenName ?? '',
+    lastName: name?.familyName ?? '',
+    externalId: externalId ?? null,
+  };
+  if (typeof active === 'boolean') changes.active = active;
+  return changes;
+}
+
+/**
+ * Create a user. The email must be on one of the tenant's verified domains.
+ * An existing student or edu-admin account is taken over instead when it
+ * has no tenant yet or was previously deleted over SCIM from this tenant;
+ * anything else — another role, another tenant — is a uniqueness conflict.
+ */
+export async function createScimUser(ctx: ScimContext, body: unknown) {
+  const changes = await parseUserBody(ctx, body, 'user_create', null);
+  const email = changes.email as string;
+  await requireTenantEmailDomain(ctx, 'user_create', null, email);
+
+  const existing = await sql`
+    SELECT id, role, tenant_id, scim_deleted_at FROM users WHERE email = ${email} LIMIT 1
+  `;
+
+  let userId: string;
+  if (existing.length > 0) {
+    const row = existing[0];
+    const reusable =
+      isScimManagedRole(row.role) &&
+      (!row.tenant_id || (row.tenant_id === ctx.tenantId && row.scim_deleted_at));
+    if (!reusable) {
+      throw await rejectScimOperation(ctx, 'user_create', null, 409, 'A user with this userName already exists', 'uniqueness');
+    }
+    userId = row.id;
+    await sql`
+      UPDATE users
+      SET tenant_id = ${ctx.tenantId}, scim_deleted_at = NULL, email_verified = true, updated_at = NOW()
+      WHERE id = ${userId}
+    `;
+  } else {
+    const role = await getDefaultScimRole(ctx.tenantId);
+    const inserted = await sql`
+      INSERT INTO users (email, first_name, last_name, role, tenant_id, email_verified)
+      VALUES (${email}, ${changes.firstName || ''}, ${changes.lastName || ''}, ${role}, ${ctx.tenantId}, true)
+      RETURNING id
+    `;
+    userId = inserted[0].id;
+  }
+
+  await applyUserChanges(ctx, userId, 'user_create', { ...changes, active: changes.active ?? true });
+  await syncScimRoles(ctx, [userId]);
+  await logScimOperation(ctx, 'user_create', userId, {
+    email,
+    adopted: existing.length > 0,
+    active: changes.active ?? true,
+  });
+
+  return toScimUser(ctx, (await findScimUser(ctx, userId)) as Row);
+}
+
+/** PUT — replace the user's attributes. */
+export async function replaceScimUser(ctx: ScimContext, id: string, body: unknown) {
+  await requireScimUser(ctx, id, 'user_replace');
+  const changes = await parseUserBody(ctx, body, 'user_replace', id);
+
+  await applyUserChanges(ctx, id, 'user_replace', changes);
+  await logScimOperation(ctx, 'user_replace', id, { fields: Object.keys(changes), active: changes.active });
+
+  return toScimUser(ctx, (await findScimUser(ctx, id)) as Row);
+}
+
+/** Pure function — SCIM booleans, tolerating IdPs that send "True"/"False". */
+function toBoolean(value: unknown): boolean | null {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+  return null;
+}
+
+/** Pure function — first email value from a SCIM emails attribute value. */
+function emailFromValue(value: unknown): string | null {
+  const list = Array.isArray(value) ? value : [value];
+  const entry = list.find((e) => e && typeof e === 'object' && (e as Row).primary) || list[0];
+  if (typeof entry === 'string') return entry;
+  return entry && typeof (entry as Row).value === 'string' ? ((entry as Row).value as string) : null;
+}
+
+/**
+ * Pure function — fold PATCH operations on a User into column changes.
+ * Handles both path-style operations and the path-less form where the
+ * value is an object of attributes. Returns null on anything unsupported.
+ */
+export function userPatchToChanges(
+  operations: { op: string; path?: string | null; value?: unknown }[]
+): UserChanges | null {
+  const changes: UserChanges = {};
+
+  const apply = (path: string, value: unknown, remove: boolean): boolean => {
+    const key = path.toLowerCase().replace(/^urn:ietf:params:scim:schemas:core:2\.0:user:/, '');
+    if (key === 'active') {
+      const active = toBoolean(value);
+      if (active === null) return false;
+      changes.active = active;
+    } else if (key === 'externalid') {
+      changes.externalId = remove ? null : String(value ?? '') || null;
+    } else if (key === 'name.givenname') {
+      changes.firstName = remove ? '' : String(value ?? '');
+    } else if (key === 'name.familyname') {
+      changes.lastName = remove ? '' : String(value ?? '');
+    } else if (key === 'name' && value && typeof value === 'object') {
+      const name = value as Row;
+      if (typeof name.givenName === 'string') changes.firstName = name.givenName;
+      if (typeof name.familyName === 'string') changes.lastName = name.familyName;
+    } else if (key === 'username' || key === 'emails' || key.startsWith('emails[')) {
+      if (remove) return false;
+      const email = key === 'username' ? String(value ?? '') : emailFromValue(value);
+      if (!email) return false;
+      changes.email = email.toLowerCase().trim();
+    } else if (key !== 'displayname' && key !== 'name.formatted') {
+      // displayName is derived from the name, so it's accepted and ignored
+      return false;
+    }
+    return true;
+  };
+
+  for (const operation of operations) {
+    const op = operation.op.toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) return null;
+
+    if (operation.path) {
+      if (!apply(operation.path, operation.value, op === 'remove')) return null;
+    } else {
+      if (op === 'remove' || !operation.value || typeof operation.value !== 'object') return null;
+      for (const [path, value] of Object.entries(operation.value as Row)) {
+        if (!apply(path, value, false)) return null;
+      }
+    }
+  }
+
+  return changes;
+}
+
+/** PATCH — partial update; `active: false` deprovisions the account. */
+export async function patchScimUser(ctx: ScimContext, id: string, body: unknown) {
+  await requireScimUser(ctx, id, 'user_patch');
+
+  const parsed = patchRequestSchema.safeParse(body);
+  const changes = parsed.success ? userPatchToChanges(parsed.data.Operations) : null;
+  if (!changes) {
+    throw await rejectScimOperation(ctx, 'user_patch', id, 400, 'Unsupported PATCH operation', 'invalidSyntax');
+  }
+  if (changes.email !== undefined && !emailSchema.safeParse(changes.email).success) {
+    throw await rejectScimOperation(ctx, 'user_patch', id, 400, 'userName must be an email address', 'invalidValue');
+  }
+
+  await applyUserChanges(ctx, id, 'user_patch', changes);
+  await logScimOperation(ctx, 'user_patch', id, { fields: Object.keys(changes), active: changes.active });
+
+  return toScimUser(ctx, (await findScimUser(ctx, id)) as Row);
+}
+
+/**
+ * DELETE — soft-deactivate: the account is deprovisioned, leaves its
+ * groups, its sessions are revoked and it disappears from SCIM. Its data
+ * stays, so a later POST with the same userName restores it.
+ */
+export async function deleteScimUser(ctx: ScimContext, id: string): Promise<void> {
+  const user = await requireScimUser(ctx, id, 'user_delete');
+  if (!isScimManagedRole(user.role as string)) {
+    throw await rejectScimOperation(ctx, 'user_delete', id, 403, 'This user is not managed by SCIM');
+  }
+
+  await sql`
+    UPDATE users
+    SET is_active = false,
+        deprovisioned_at = COALESCE(deprovisioned_at, NOW()),
+        scim_deleted_at = NOW(),
+        updated_at = NOW()
+    WHERE id = ${id}
+  `;
+  await sql`DELETE FROM scim_group_members WHERE user_id = ${id}`;
+  await deleteUserSessions(id);
+
+  await logScimOperation(ctx, 'user_delete', id, { sessionsRevoked: true });
+}
+
+/**
+ * Write user changes. Deactivation deprovisions the account and revokes
+ * its sessions; reactivation lets it sign in again. Only student and
+ * edu-admin accounts can be changed — never platform admins or partners —
+ * and a new email must stay on the tenant's verified domains.
+ */
+async function applyUserChanges(
+  ctx: ScimContext,
+  id: string,
+  operation: string,
+  changes: UserChanges
+): Promise<void> {
+  const [target] = await sql`SELECT role FROM users WHERE id = ${id} LIMIT 1`;
+  if (!target || !isScimManagedRole(target.role)) {
+    throw await rejectScimOperation(ctx, operation, id, 403, 'This user is not managed by SCIM');
+  }
+
+  if (changes.email !== undefined) {
+    await requireTenantEmailDomain(ctx, operation, id, changes.email);
+    const taken = await sql`SELECT 1 FROM users WHERE email = ${changes.email} AND id != ${id} LIMIT 1`;
+    if (taken.length > 0) {
+      throw await rejectScimOperation(ctx, operation, id, 409, 'Another user already has this userName', 'uniqueness');
+    }
+  }
+
+  await sql`
+    UPDATE users SET
+      email = COALESCE(${changes.email ?? null}, email),
+      first_name = COALESCE(${changes.firstName ?? null}, first_name),
+      last_name = COALESCE(${changes.lastName ?? null}, last_name),
+      ${changes.externalId !== undefined ? sql`scim_external_id = ${changes.externalId},` : sql``}
+      ${changes.active === true ? sql`is_active = true, deprovisioned_at = NULL,` : sql``}
+      ${changes.active === false ? sql`is_active = false, deprovisioned_at = COALESCE(deprovisioned_at, NOW()),` : sql``}
+      updated_at = NOW()
+    WHERE id = ${id}
+  `;
+
+  if (changes.active === false) {
+    await deleteUserSessions(id);
+  }
+}
+
+/**
+ * True when an account has been deprovisioned over SCIM. Login paths
+ * refuse these accounts.
+ */
+export async function isUserDeprovisioned(userId: string): Promise<boolean> {
+  const rows = await sql`SELECT deprovisioned_at FROM users WHERE id = ${userId} LIMIT 1`;
+  return rows.length > 0 && !!rows[0].deprovisioned_at;
+}
+
+// ─── Groups ──────────────────────────────────────────────────────────────────
+
+async function toScimGroup(ctx: ScimContext, row: Row, includeMembers: boolean = true) {
+  const members = includeMembers
+    ? await sql`
+        SELECT u.id, u.email
+        FROM scim_group_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.group_id = ${row.id as string}
+        ORDER BY u.email
+      `
+    : [];
+
+  return {
+    schemas: [SCIM_SCHEMAS.group],
+    id: row.id,
+    displayName: row.display_name,
+    ...(row.external_id ? { externalId: row.external_id } : {}),
+    ...(includeMembers
+      ? {
+          members: members.map((m) => ({
+            value: m.id,
+            display: m.email,
+            $ref: userLocation(ctx, m.id),
+          })),
+        }
+      : {}),
+    meta: {
+      resourceType: 'Group',
+      created: row.created_at,
+      lastModified: row.updated_at,
+      location: `${ctx.baseUrl}/Groups/${row.id}`,
+    },
+  };
+}
+
+async function findScimGroup(ctx: ScimContext, id: string): Promise<Row | null> {
+  if (!uuidSchema.safeParse(id).success) return null;
+  const rows = await sql`
+    SELECT id, display_name, external_id, role, created_at, updated_at
+    FROM scim_groups
+    WHERE id = ${id} AND tenant_id = ${ctx.tenantId}
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+async function requireScimGroup(ctx: ScimContext, id: string, operation: string): Promise<Row> {
+  const group = await findScimGroup(ctx, id);
+  if (!group) throw await rejectScimOperation(ctx, operation, id, 404, 'Group not found');
+  return group;
+}
+
+/**
+ * Groups in the tenant, optionally filtered by displayName or externalId.
+ * `excludedAttributes=members` skips member lists, as IdPs ask when they
+ * only need to find a group.
+ */
+export async function listScimGroups(
+  ctx: ScimContext,
+  filter: ScimFilter | null,
+  page: ScimPagination,
+  includeMembers: boolean
+) {
+  const condition = !filter
+    ? sql``
+    : filter.attribute === 'externalId'
+      ? sql`AND external_id = ${filter.value}`
+      : sql`AND display_name = ${filter.value}`;
+
+  const [{ total }] = await sql`
+    SELECT COUNT(*)::int AS total FROM scim_groups
+    WHERE tenant_id = ${ctx.tenantId} ${condition}
+  `;
+  const rows = page.count === 0 ? [] : await sql`
+    SELECT id, display_name, external_id, role, created_at, updated_at
+    FROM scim_groups
+    WHERE tenant_id = ${ctx.tenantId} ${condition}
+    ORDER BY display_name, id
+    LIMIT ${page.count} OFFSET ${page.startIndex - 1}
+  `;
+
+  const resources = [];
+  for (const row of rows) resources.push(await toScimGroup(ctx, row, includeMembers));
+
+  await logScimOperation(ctx, 'group_list', null, {
+    filter: filter ? `${filter.attribute} eq` : null,
+    returned: resources.length,
+  });
+  return listResponse(resources, total, page);
+}
+
+export async function getScimGroup(ctx: ScimContext, id: string, includeMembers: boolean) {
+  const group = await requireScimGroup(ctx, id, 'group_read');
+  await logScimOperation(ctx, 'group_read', id);
+  return toScimGroup(ctx, group, includeMembers);
+}
+
+export async function createScimGroup(ctx: ScimContext, body: unknown) {
+  const parsed = scimGroupSchema.safeParse(body);
+  if (!parsed.success) {
+    throw await rejectScimOperation(ctx, 'group_create', null, 400, 'displayName is required', 'invalidValue');
+  }
+
+  const { displayName, externalId, members } = parsed.data;
+  const existing = await sql`
+    SELECT 1 FROM scim_groups WHERE tenant_id = ${ctx.tenantId} AND display_name = ${displayName} LIMIT 1
+  `;
+  if (existing.length > 0) {
+    throw await rejectScimOperation(ctx, 'group_create', null, 409, 'A group with this displayName already exists', 'uniqueness');
+  }
+
+  const inserted = await sql`
+    INSERT INTO scim_groups (tenant_id, display_name, external_id)
+    VALUES (${ctx.tenantId}, ${displayName}, ${externalId ?? null})
+    RETURNING id
+  `;
+  const groupId = inserted[0].id;
+
+  await applyGroupChanges(ctx, groupId, 'group_create', { setMembers: (members || []).map((m) => m.value) });
+  await logScimOperation(ctx, 'group_create', groupId, { displayName, members: members?.length || 0 });
+
+  return toScimGroup(ctx, (await findScimGroup(ctx, groupId)) as Row);
+}
+
+/** PUT — replace the group's name and its full member list. */
+export async function replaceScimGroup(ctx: ScimContext, id: string, body: unknown) {
+  await requireScimGroup(ctx, id, 'group_replace');
+
+  const parsed = scimGroupSchema.safeParse(body);
+  if (!parsed.success) {
+    throw await rejectScimOperation(ctx, 'group_replace', id, 400, 'displayName is required', 'invalidValue');
+  }
+
+  const { displayName, externalId, members } = parsed.data;
+  await applyGroupChanges(ctx, id, 'group_replace', {
+    displayName,
+    externalId: externalId ?? null,
+    setMembers: (members || []).map((m) => m.value),
+  });
+  await logScimOperation(ctx, 'group_replace', id, { displayName, members: members?.length || 0 });
+
+  return toScimGroup(ctx, (await findScimGroup(ctx, id)) as Row);
+}
+
+/** Pure function — member ids from a SCIM members value (object or array). */
+function memberIdsFromValue(value: unknown): string[] | null {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  const ids = list.map((m) => (m && typeof m === 'object' ? (m as Row).value : null));
+  return ids.every((id) => typeof id === 'string') ? (ids as string[]) : null;
+}
+
+/**
+ * Pure function — fold PATCH operations on a Group into changes. Supports
+ * renaming, adding and removing members (including Azure AD's
+ * `members[value eq "id"]` remove path) and replacing the member list.
+ */
+export function groupPatchToChanges(
+  operations: { op: string; path?: string | null; value?: unknown }[]
+): GroupChanges | null {
+  const changes: GroupChanges = {};
+  const memberFilter = /^members\[value eq "([^"]+)"\]$/i;
+
+  const apply = (op: string, path: string, value: unknown): boolean => {
+    const key = path.toLowerCase();
+    const filtered = memberFilter.exec(path);
+
+    if (key === 'displayname') {
+      if (op === 'remove' || typeof value !== 'string' || !value.trim()) return false;
+      changes.displayName = value.trim();
+    } else if (key === 'externalid') {
+      changes.externalId = op === 'remove' ? null : String(value ?? '') || null;
+    } else if (filtered && op === 'remove') {
+      changes.removeMembers = [...(changes.removeMembers || []), filtered[1]];
+    } else if (key === 'members') {
+      const ids = op === 'remove' && value === undefined ? [] : memberIdsFromValue(value);
+      if (!ids) return false;
+      if (op === 'replace') {
+        changes.setMembers = ids;
+        changes.addMembers = [];
+        changes.removeMembers = [];
+      } else if (op === 'add') {
+        changes.addMembers = [...(changes.addMembers || []), ...ids];
+      } else if (value === undefined) {
+        changes.setMembers = [];
+      } else {
+        changes.removeMembers = [...(changes.removeMembers || []), ...ids];
+      }
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  for (const operation of operations) {
+    const op = operation.op.toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) return null;
+
+    if (operation.path) {
+      if (!apply(op, operation.path, operation.value)) return null;
+    } else {
+      if (op === 'remove' || !operation.value || typeof operation.value !== 'object') return null;
+      for (const [path, value] of Object.entries(operation.value as Row)) {
+        if (!apply(op, path, value)) return null;
+      }
+    }
+  }
+
+  return changes;
+}
+
+/** PATCH — rename the group or change its members. */
+export async function patchScimGroup(ctx: ScimContext, id: string, body: unknown) {
+  await requireScimGroup(ctx, id, 'group_patch');
+
+  const parsed = patchRequestSchema.safeParse(body);
+  const changes = parsed.success ? groupPatchToChanges(parsed.data.Operations) : null;
+  if (!changes) {
+    throw await rejectScimOperation(ctx, 'group_patch', id, 400, 'Unsupported PATCH operation', 'invalidSyntax');
+  }
+
+  await applyGroupChanges(ctx, id, 'group_patch', changes);
+  await logScimOperation(ctx, 'group_patch', id, {
+    displayName: changes.displayName,
+    membersSet: changes.setMembers?.length,
+    membersAdded: changes.addMembers?.length,
+    membersRemoved: changes.removeMembers?.length,
+  });
+
+  return toScimGroup(ctx, (await findScimGroup(ctx, id)) as Row);
+}
+
+/** DELETE — remove the group; its former members' roles are re-derived. */
+export async function deleteScimGroup(ctx: ScimContext, id: string): Promise<void> {
+  const group = await requireScimGroup(ctx, id, 'group_delete');
+
+  const members = await sql`SELECT user_id FROM scim_group_members WHERE group_id = ${id}`;
+  await sql`DELETE FROM scim_groups WHERE id = ${id}`;
+  await syncScimRoles(ctx, members.map((m) => m.user_id));
+
+  await logScimOperation(ctx, 'group_delete', id, { displayName: group.display_name, members: members.length });
+}
+
+/**
+ * Write group changes and re-derive the roles of every user whose
+ * membership changed. Member ids must be live users in the tenant.
+ */
+async function applyGroupChanges(
+  ctx: ScimContext,
+  groupId: string,
+  operation: string,
+  changes: GroupChanges
+): Promise<void> {
+  const requested = Array.from(
+    new Set([...(changes.setMembers || []), ...(changes.addMembers || [])])
+  );
+  if (requested.length > 0) {
+    const valid = requested.every((id) => uuidSchema.safeParse(id).success);
+    const found = valid
+      ? await sql`
+          SELECT id FROM users
+          WHERE id = ANY(${requested}) AND tenant_id = ${ctx.tenantId} AND scim_deleted_at IS NULL
+        `
+      : [];
+    if (found.length !== requested.length) {
+      throw await rejectScimOperation(ctx, operation, groupId, 400, 'members must reference users in this tenant', 'invalidValue');
+    }
+  }
+
+  if (changes.displayName !== undefined) {
+    const clash = await sql`
+      SELECT 1 FROM scim_groups
+      WHERE tenant_id = ${ctx.tenantId} AND display_name = ${changes.displayName} AND id != ${groupId}
+      LIMIT 1
+    `;
+    if (clash.length > 0) {
+      throw await rejectScimOperation(ctx, operation, groupId, 409, 'A group with this displayName already exists', 'uniqueness');
+    }
+  }
+
+  const before = await sql`SELECT user_id FROM scim_group_members WHERE group_id = ${groupId}`;
+
+  await sql`
+    UPDATE scim_groups SET
+      display_name = COALESCE(${changes.displayName ?? null}, display_name),
+      ${changes.externalId !== undefined ? sql`external_id = ${changes.externalId},` : sql``}
+      updated_at = NOW()
+    WHERE id = ${groupId}
+  `;
+
+  if (changes.setMembers) {
+    await sql`
+      DELETE FROM scim_group_members
+      WHERE group_id = ${groupId}
+      ${changes.setMembers.length > 0 ? sql`AND NOT (user_id = ANY(${changes.setMembers}))` : sql``}
+    `;
+  }
+  if (changes.removeMembers && changes.removeMembers.length > 0) {
+    await sql`
+      DELETE FROM scim_group_members
+      WHERE group_id = ${groupId} AND user_id::text = ANY(${changes.removeMembers})
+    `;
+  }
+  const additions = [...(changes.setMembers || []), ...(changes.addMembers || [])];
+  if (additions.length > 0) {
+    await sql`
+      INSERT INTO scim_group_members (group_id, user_id)
+      SELECT ${groupId}, UNNEST(${additions}::uuid[])
+      ON CONFLICT DO NOTHING
+    `;
+  }
+
+  const after = await sql`SELECT user_id FROM scim_group_members WHERE group_id = ${groupId}`;
+  const beforeIds = new Set(before.map((m) => m.user_id as string));
+  const afterIds = new Set(after.map((m) => m.user_id as string));
+  const changed = Array.from(new Set([...Array.from(beforeIds), ...Array.from(afterIds)])).filter(
+    (id) => beforeIds.has(id) !== afterIds.has(id)
+  );
+  await syncScimRoles(ctx, changed);
+}
+
+// ─── Admin ───────────────────────────────────────────────────────────────────
+
+/** Groups pushed by the tenant's IdP, with their role mapping and size. */
+export async function listScimGroupMappings(tenantId: string): Promise<ScimGroupInfo[]> {
+  const rows = await sql`
+    SELECT g.id, g.display_name, g.external_id, g.role,
+           COUNT(m.user_id)::int AS member_count
+    FROM scim_groups g
+    LEFT JOIN scim_group_members m ON m.group_id = g.id
+    WHERE g.tenant_id = ${tenantId}
+    GROUP BY g.id
+    ORDER BY g.display_name
+  `;
+  return rows.map((row) => ({
+    id: row.id,
+    displayName: row.display_name,
+    externalId: row.external_id,
+    role: row.role,
+    memberCount: row.member_count,
+  }));
+}
+
+/**
+ * Map a group to a role (or clear the mapping) and re-derive the roles of
+ * every user in the tenant's groups. Returns false when the group doesn't
+ * belong to the tenant. `ctx` is the admin the role changes are
+ * attributed to.
+ */
+export async function setScimGroupRole(
+  ctx: ScimActor,
+  groupId: string,
+  role: ScimRole | null
+): Promise<boolean> {
+  const rows = await sql`
+    UPDATE scim_groups SET role = ${role}, updated_at = NOW()
+    WHERE id = ${groupId} AND tenant_id = ${ctx.tenantId}
+    RETURNING id
+  `;
+  if (rows.length === 0) return false;
+
+  const members = await sql`
+    SELECT DISTINCT m.user_id
+    FROM scim_group_members m
+    JOIN scim_groups g ON g.id = m.group_id
+    WHERE g.tenant_id = ${ctx.tenantId}
+  `;
+  await syncScimRoles(ctx, members.map((m) => m.user_id));
+  return true;
+}
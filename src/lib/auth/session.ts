@@ -5,10 +5,17 @@
  * The table has: sid (text PK), sess (jsonb), expire (timestamptz)
  *
  * Security: 4-hour idle timeout in addition to 30-day absolute TTL.
+ *
+ * Each session records how it was signed in and the client it came from
+ * (IP, user agent, device fingerprint) so users and admins can review and
+ * revoke active sessions. Sessions are identified to clients by an opaque
+ * hash of the sid — the sid itself is the cookie value and never leaves it.
  */
 
+import { createHash } from 'crypto';
 import { sql } from '@/lib/db';
-import type { SessionData, Session } from './types';
+import { extractRequestInfo } from '@/lib/security/audit';
+import type { SessionData, Session, SessionSummary } from './types';
 
 /** Idle timeout: invalidate sessions with no activity for 4 hours */
 const IDLE_TIMEOUT_MS = 4 * 60 * 60 * 1000; // 4 hours
@@ -102,10 +109,132 @@ export async function cleanExpiredSessions(): Promise<number> {
 
 /**
  * Delete all sessions for a user (force logout everywhere).
+ * Pass exceptSid to keep the caller's own session signed in.
+ * Returns the number of sessions removed.
  */
-export async function deleteUserSessions(userId: string): Promise<void> {
-  await sql`
-    DELETE FROM sessions
+export async function deleteUserSessions(userId: string, exceptSid?: string): Promise<number> {
+  const result = exceptSid
+    ? await sql`
+        DELETE FROM sessions
+        WHERE (sess->>'userId')::text = ${userId}
+          AND sid <> ${exceptSid}
+      `
+    : await sql`
+        DELETE FROM sessions
+        WHERE (sess->>'userId')::text = ${userId}
+      `;
+  return result.count;
+}
+
+// ---------- Active session review ----------
+
+/**
+ * Opaque public ID for a session. Safe to send to the browser.
+ */
+export function sessionPublicId(sid: string): string {
+  return createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+/**
+ * Client details to store on a new session: IP, user agent and a device
+ * fingerprint hashed from headers that stay stable for one browser.
+ */
+export function sessionClientInfo(
+  request: Request
+): Pick<SessionData, 'ip' | 'userAgent' | 'deviceFingerprint'> {
+  const { ip, userAgent } = extractRequestInfo(request);
+  const deviceFingerprint = createHash('sha256')
+    .update([
+      userAgent,
+      request.headers.get('accept-language') || '',
+      request.headers.get('sec-ch-ua-platform') || '',
+    ].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { ip, userAgent, deviceFingerprint };
+}
+
+/**
+ * Short human-readable device label from a user agent,
+ * e.g. "Chrome on macOS". Good enough to recognise a session.
+ */
+export function describeUserAgent(userAgent: string | null | undefined): string {
+  if (!userAgent || userAgent === 'unknown') return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\/|CriOS\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+
+  const os =
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /CrOS/.test(userAgent) ? 'ChromeOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+/**
+ * List a user's active sessions, most recently used first.
+ * Expired and idle-timed-out sessions are left out.
+ */
+export async function listUserSessions(
+  userId: string,
+  currentSid?: string | null
+): Promise<SessionSummary[]> {
+  const result = await sql`
+    SELECT sid, sess, expire, COALESCE(mfa_verified, false) AS mfa_verified
+    FROM sessions
     WHERE (sess->>'userId')::text = ${userId}
+      AND expire > NOW()
   `;
+
+  const now = Date.now();
+  return result
+    .map((row) => {
+      const data = row.sess as SessionData;
+      const lastActivity = data.lastActivity ?? data.createdAt;
+      return { row, data, lastActivity };
+    })
+    .filter(({ lastActivity }) => now - lastActivity <= IDLE_TIMEOUT_MS)
+    .sort((a, b) => b.lastActivity - a.lastActivity)
+    .map(({ row, data, lastActivity }) => ({
+      id: sessionPublicId(row.sid),
+      current: row.sid === currentSid,
+      authMethod: data.authMethod ?? null,
+      mfaVerified: row.mfa_verified,
+      ip: data.ip ?? null,
+      userAgent: data.userAgent ?? null,
+      device: describeUserAgent(data.userAgent),
+      deviceFingerprint: data.deviceFingerprint ?? null,
+      createdAt: new Date(data.createdAt),
+      lastActivityAt: new Date(lastActivity),
+      expiresAt: new Date(row.expire),
+    }));
+}
+
+/**
+ * Revoke one of a user's sessions by its public ID.
+ * Returns the revoked sid, or null if the user has no such session.
+ */
+export async function revokeUserSession(userId: string, publicId: string): Promise<string | null> {
+  const result = await sql`
+    SELECT sid FROM sessions
+    WHERE (sess->>'userId')::text = ${userId}
+  `;
+
+  const match = result.find((row) => sessionPublicId(row.sid) === publicId);
+  if (!match) return null;
+
+  await deleteSession(match.sid);
+  return match.sid;
 }
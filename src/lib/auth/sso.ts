@@ -460,34 +460,39 @@ export async function handleOIDCCallback(
 
 /**
  * Find an existing user by email+tenant or create a new one (JIT provisioning).
- * Returns the user ID for session creation.
+ * Returns the user ID for session creation. Accounts deprovisioned over SCIM
+ * are returned with `deprovisioned: true` and must not be signed in.
  */
 export async function findOrCreateSSOUser(
   tenantId: string,
   email: string,
   attributes: SSOUserAttributes,
   defaultRole: string = 'student'
-): Promise<{ userId: string; email: string; role: string; isNew: boolean }> {
+): Promise<{ userId: string; email: string; role: string; isNew: boolean; deprovisioned: boolean }> {
   const normalizedEmail = email.toLowerCase().trim();
 
   // Look for existing user in this tenant
   const existingResult = await sql`
-    SELECT id, email, role FROM users
+    SELECT id, email, role, deprovisioned_at FROM users
     WHERE email = ${normalizedEmail} AND tenant_id = ${tenantId}
     LIMIT 1
   `;
 
   if (existingResult.length > 0) {
     const user = existingResult[0];
+    const deprovisioned = !!user.deprovisioned_at;
 
     // Update last login
-    await sql`UPDATE users SET last_login_at = NOW() WHERE id = ${user.id}`;
+    if (!deprovisioned) {
+      await sql`UPDATE users SET last_login_at = NOW() WHERE id = ${user.id}`;
+    }
 
     return {
       userId: user.id,
       email: user.email,
       role: user.role,
       isNew: false,
+      deprovisioned,
     };
   }
 
@@ -511,6 +516,7 @@ export async function findOrCreateSSOUser(
       email: user.email,
       role: user.role,
       isNew: false,
+      deprovisioned: false,
     };
   }
 
@@ -541,5 +547,6 @@ export async function findOrCreateSSOUser(
     email: newUser.email,
     role: newUser.role,
     isNew: true,
+    deprovisioned: false,
   };
 }
@@ -25,6 +25,27 @@ export interface SessionData {
   tenantId: string | null;
   createdAt: number; // epoch ms
   lastActivity?: number; // epoch ms — updated on each request
+  authMethod?: SessionAuthMethod; // how the session was signed in
+  ip?: string; // client IP at sign-in
+  userAgent?: string; // client user agent at sign-in
+  deviceFingerprint?: string; // hash of stable client headers, see sessionClientInfo()
+}
+
+export type SessionAuthMethod = 'password' | 'passkey' | 'sso';
+
+/** An active session as shown to its owner or an admin — never exposes the sid */
+export interface SessionSummary {
+  id: string; // opaque public ID derived from the sid
+  current: boolean;
+  authMethod: SessionAuthMethod | null;
+  mfaVerified: boolean;
+  ip: string | null;
+  userAgent: string | null;
+  device: string;
+  deviceFingerprint: string | null;
+  createdAt: Date;
+  lastActivityAt: Date;
+  expiresAt: Date;
 }
 
 export interface Session {
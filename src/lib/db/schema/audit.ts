@@ -1,8 +1,9 @@
-import { pgTable, uuid, text, timestamp, jsonb, inet } from 'drizzle-orm/pg-core';
+import { pgTable, uuid, text, timestamp, jsonb, inet, bigint, char } from 'drizzle-orm/pg-core';
 
 export const auditLog = pgTable('audit_log', {
   id: uuid('id').primaryKey().defaultRandom(),
   userId: uuid('user_id'),
+  tenantId: uuid('tenant_id'),
   action: text('action').notNull(),
   resource: text('resource'),
   resourceId: text('resource_id'),
@@ -12,4 +13,9 @@ export const auditLog = pgTable('audit_log', {
   createdAt: timestamp('created_at', { withTimezone: true })
     .notNull()
     .defaultNow(),
+  // Hash chain — set by the audit_log_chain trigger (migration 031)
+  chainKey: text('chain_key'),
+  chainSeq: bigint('chain_seq', { mode: 'number' }),
+  prevHash: char('prev_hash', { length: 64 }),
+  entryHash: char('entry_hash', { length: 64 }),
 });
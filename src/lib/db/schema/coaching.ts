@@ -8,6 +8,7 @@ import {
   varchar,
   date,
   numeric,
+  boolean,
   unique,
 } from 'drizzle-orm/pg-core';
 
@@ -48,6 +49,27 @@ export const aiConversations = pgTable('ai_conversations', {
   title: text('title').notNull().default('New Conversation'),
   contextType: text('context_type').notNull().default('coaching'),
   metadata: jsonb('metadata').notNull().default({}),
+  // Rolling summary of the turns up to summarized_through (see @/lib/ai/memory)
+  summary: text('summary'),
+  summarizedThrough: timestamp('summarized_through', { withTimezone: true }),
+  memoryExtractedAt: timestamp('memory_extracted_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
+// AI Student Memories (long-term coaching profile, editable by the student)
+export const aiStudentMemories = pgTable('ai_student_memories', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull(),
+  tenantId: uuid('tenant_id'),
+  category: varchar('category', { length: 20 }).notNull(), // 'goal' | 'target_role' | 'advice'
+  content: text('content').notNull(),
+  sourceConversationId: uuid('source_conversation_id'),
+  editedByStudent: boolean('edited_by_student').notNull().default(false),
   createdAt: timestamp('created_at', { withTimezone: true })
     .notNull()
     .defaultNow(),
@@ -60,7 +82,7 @@ export const aiConversations = pgTable('ai_conversations', {
 export const aiMessages = pgTable('ai_messages', {
   id: uuid('id').primaryKey().defaultRandom(),
   conversationId: uuid('conversation_id').notNull(),
-  role: text('role').notNull(), // 'user' | 'assistant' | 'system'
+  role: text('role').notNull(), // 'user' | 'assistant' | 'system' | 'tool' (tool call log)
   content: text('content').notNull(),
   metadata: jsonb('metadata').notNull().default({}),
   createdAt: timestamp('created_at', { withTimezone: true })
@@ -68,6 +90,63 @@ export const aiMessages = pgTable('ai_messages', {
     .defaultNow(),
 });
 
+// Mock Interview Results (rubric scores for a 'mock_interview' conversation)
+export const mockInterviewResults = pgTable('mock_interview_results', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  conversationId: uuid('conversation_id').notNull().unique(),
+  studentId: uuid('student_id').notNull(),
+  tenantId: uuid('tenant_id'),
+  listingId: uuid('listing_id'),
+  listingTitle: text('listing_title').notNull(),
+  overallScore: numeric('overall_score', { precision: 5, scale: 2 }).notNull(),
+  competencyScores: jsonb('competency_scores').notNull().default([]),
+  summary: text('summary'),
+  questionsAnswered: integer('questions_answered').notNull().default(0),
+  modelUsed: varchar('model_used', { length: 100 }),
+  completedAt: timestamp('completed_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
+// AI Screening Audit Log (one row per candidate-screening / talent-discovery call; inputs hashed)
+export const aiScreeningAuditLog = pgTable('ai_screening_audit_log', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id'),
+  userId: uuid('user_id'),
+  feature: varchar('feature', { length: 50 }).notNull(),
+  listingId: uuid('listing_id'),
+  inputHash: varchar('input_hash', { length: 64 }).notNull(),
+  subjectHashes: text('subject_hashes').array().notNull().default([]),
+  provider: varchar('provider', { length: 30 }),
+  model: varchar('model', { length: 100 }).notNull(),
+  promptVersion: integer('prompt_version').notNull(),
+  redacted: boolean('redacted').notNull().default(false),
+  output: jsonb('output'),
+  createdAt: timestamp('created_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
+// AI Screening Consistency Audits (synthetic profiles with demographic proxies swapped)
+export const aiScreeningConsistencyAudits = pgTable('ai_screening_consistency_audits', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  provider: varchar('provider', { length: 30 }),
+  model: varchar('model', { length: 100 }).notNull(),
+  promptVersion: integer('prompt_version').notNull(),
+  trialCount: integer('trial_count').notNull().default(0),
+  failedTrials: integer('failed_trials').notNull().default(0),
+  maxSpread: numeric('max_spread', { precision: 6, scale: 2 }),
+  results: jsonb('results').notNull().default([]),
+  trials: jsonb('trials').notNull().default([]),
+  flags: text('flags').array().notNull().default([]),
+  triggeredBy: uuid('triggered_by'),
+  startedAt: timestamp('started_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+  completedAt: timestamp('completed_at', { withTimezone: true }),
+  error: text('error'),
+});
+
 // AI Usage Counters V2 (per tenant, per user, per feature, per month)
 export const aiUsageCountersV2 = pgTable(
   'ai_usage_counters_v2',
@@ -89,6 +168,40 @@ export const aiUsageCountersV2 = pgTable(
   })
 );
 
+// AI Usage Records (one row per LLM call, token + cost metering)
+export const aiUsageRecords = pgTable('ai_usage_records', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id'),
+  userId: uuid('user_id').notNull(),
+  feature: varchar('feature', { length: 50 }).notNull(),
+  provider: varchar('provider', { length: 30 }).notNull(),
+  model: varchar('model', { length: 100 }).notNull(),
+  inputTokens: integer('input_tokens').notNull().default(0),
+  outputTokens: integer('output_tokens').notNull().default(0),
+  costUsd: numeric('cost_usd', { precision: 12, scale: 6 }).notNull().default('0'),
+  streamed: boolean('streamed').notNull().default(false),
+  createdAt: timestamp('created_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
+// AI Knowledge Chunks (coaching retrieval index over huddle posts, policies, FAQ).
+// search_vector is a generated tsvector column and is not mapped here.
+export const aiKnowledgeChunks = pgTable('ai_knowledge_chunks', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id'),
+  sourceType: varchar('source_type', { length: 20 }).notNull(),
+  sourceId: text('source_id').notNull(),
+  sourceTitle: text('source_title').notNull(),
+  sourceUrl: text('source_url'),
+  chunkIndex: integer('chunk_index').notNull().default(0),
+  content: text('content').notNull(),
+  contentHash: text('content_hash').notNull(),
+  indexedAt: timestamp('indexed_at', { withTimezone: true })
+    .notNull()
+    .defaultNow(),
+});
+
 // Portfolio Intelligence Reports
 export const portfolioIntelligenceReports = pgTable(
   'portfolio_intelligence_reports',
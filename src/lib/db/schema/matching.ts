@@ -152,9 +152,47 @@ export const matchScoreHistory = pgTable('match_score_history', {
   oldBreakdown: jsonb('old_breakdown'),
   newBreakdown: jsonb('new_breakdown').notNull().default({}),
   changeReason: text('change_reason'),
+  engineVersion: integer('engine_version'),
   changedAt: timestamp('changed_at', { withTimezone: true }).notNull().defaultNow(),
 });
 
+// ============================================================================
+// Match Fairness Snapshots — drift & disparate-impact monitoring
+// ============================================================================
+export const matchFairnessSnapshots = pgTable(
+  'match_fairness_snapshots',
+  {
+    id: uuid('id').primaryKey().defaultRandom(),
+    tenantId: uuid('tenant_id')
+      .notNull()
+      .references(() => tenants.id, { onDelete: 'cascade' }),
+    snapshotDate: date('snapshot_date').notNull().defaultNow(),
+    cohortType: text('cohort_type').notNull(),
+    cohortValue: text('cohort_value').notNull(),
+    studentCount: integer('student_count').notNull().default(0),
+    pairCount: integer('pair_count').notNull().default(0),
+    meanScore: numeric('mean_score', { precision: 5, scale: 2 }).notNull().default('0'),
+    medianScore: numeric('median_score', { precision: 5, scale: 2 }).notNull().default('0'),
+    histogram: jsonb('histogram').notNull().default([]),
+    topKRate: numeric('top_k_rate', { precision: 6, scale: 4 }).notNull().default('0'),
+    disparateImpact: numeric('disparate_impact', { precision: 6, scale: 4 }),
+    meanDelta: numeric('mean_delta', { precision: 6, scale: 2 }),
+    psi: numeric('psi', { precision: 8, scale: 4 }),
+    flags: text('flags').array().notNull().default([]),
+    context: jsonb('context').notNull().default({}),
+    engineVersion: integer('engine_version'),
+    computedAt: timestamp('computed_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => ({
+    cohortIdx: uniqueIndex('idx_match_fairness_snapshot_cohort').on(
+      table.tenantId,
+      table.snapshotDate,
+      table.cohortType,
+      table.cohortValue
+    ),
+  })
+);
+
 // ============================================================================
 // Corporate Attractiveness Scores — reverse direction
 // ============================================================================
@@ -244,4 +282,9 @@ export const recomputationQueue = pgTable('recomputation_queue', {
   processedAt: timestamp('processed_at', { withTimezone: true }),
   error: text('error'),
   attempts: integer('attempts').notNull().default(0),
+  nextAttemptAt: timestamp('next_attempt_at', { withTimezone: true }).notNull().defaultNow(),
+  startedAt: timestamp('started_at', { withTimezone: true }),
+  failedAt: timestamp('failed_at', { withTimezone: true }),
+  // GENERATED ALWAYS — read-only, never include in INSERT/UPDATE
+  pairKey: text('pair_key'),
 });
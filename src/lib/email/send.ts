@@ -9,6 +9,7 @@ import { getMailgunClient, DOMAIN, FROM_EMAIL } from './client';
 
 import { welcomeEmail } from './templates/welcome';
 import { passwordResetEmail } from './templates/password-reset';
+import { loginVerificationEmail } from './templates/login-verification';
 import { newApplicationEmail } from './templates/new-application';
 import { applicationAcceptedEmail } from './templates/application-accepted';
 import { applicationDeclinedEmail } from './templates/application-declined';
@@ -21,6 +22,7 @@ import { assessmentReceivedEmail } from './templates/assessment-received';
 export {
   welcomeEmail,
   passwordResetEmail,
+  loginVerificationEmail,
   newApplicationEmail,
   applicationAcceptedEmail,
   applicationDeclinedEmail,
@@ -0,0 +1,30 @@
+/**
+ * Login Verification Email Template
+ *
+ * Sent when a sign-in looks unusual; the code is asked for before any MFA.
+ */
+
+import { emailShell } from './shell';
+
+export function loginVerificationEmail(data: {
+  firstName: string;
+  code: string;
+  device: string;
+  ip: string;
+}): { subject: string; html: string } {
+  return {
+    subject: `${data.code} is your sign-in code — Proveground`,
+    html: emailShell({
+      title: 'Confirm It\'s You',
+      preheader: 'We noticed a sign-in from a new device or location.',
+      body: `
+        <h2>Confirm It's You</h2>
+        <p>Hi ${data.firstName},</p>
+        <p>We noticed a sign-in to your account that looks different from usual. Enter this code to finish signing in:</p>
+        <p style="text-align: center; margin: 24px 0; font-size: 32px; font-weight: 700; letter-spacing: 8px; color: #0f172a;">${data.code}</p>
+        <p style="font-size: 13px; color: #64748b;">${data.device} &middot; IP ${data.ip}</p>
+        <p style="font-size: 13px; color: #64748b;">This code expires in 10 minutes. If this wasn't you, don't share the code — change your password right away.</p>
+      `,
+    }),
+  };
+}
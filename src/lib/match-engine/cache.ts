@@ -3,11 +3,14 @@
  *
  * Read/write/invalidate match scores in the match_scores table.
  * Lazy computation pattern: compute on first request, serve stale while recomputing.
+ * Scores computed by an engine version other than ENGINE_VERSION count as stale.
  */
 
 import { sql } from '@/lib/db';
 import type { CachedMatchScore, CompositeScore } from './types';
 import { ENGINE_VERSION } from './config';
+import { enqueueStudentPairs, enqueueListingPairs, RECOMPUTE_PRIORITY } from './queue';
+import type { RecomputeReason } from './queue';
 
 // ============================================================================
 // Read
@@ -31,18 +34,7 @@ export async function getCachedScore(
 
   if (rows.length === 0) return null;
 
-  const row = rows[0];
-  return {
-    id: row.id as string,
-    studentId: row.student_id as string,
-    listingId: row.listing_id as string,
-    tenantId: row.tenant_id as string | null,
-    compositeScore: Number(row.composite_score),
-    signalBreakdown: (row.signal_breakdown || {}) as CompositeScore['signals'],
-    isStale: row.is_stale as boolean,
-    version: row.version as number,
-    computedAt: (row.computed_at as Date).toISOString(),
-  };
+  return mapRow(rows[0]);
 }
 
 /**
@@ -68,6 +60,7 @@ export async function getStudentScores(
                signal_breakdown, is_stale, version, computed_at
         FROM match_scores
         WHERE student_id = ${studentId} AND is_stale = FALSE
+          AND version = ${ENGINE_VERSION}
         ORDER BY composite_score DESC
         LIMIT ${limit}
       `;
@@ -129,13 +122,15 @@ export async function upsertScore(
     `;
 
     // Create history record if score changed
-    if (Math.abs(existing.compositeScore - composite.score) > 0.5) {
+    if (Math.abs(existing.compositeScore - composite.score) > 0.5 || existing.version !== ENGINE_VERSION) {
       await sql`
-        INSERT INTO match_score_history (match_score_id, old_score, new_score, old_breakdown, new_breakdown, change_reason)
+        INSERT INTO match_score_history (match_score_id, old_score, new_score, old_breakdown, new_breakdown,
+                                         change_reason, engine_version)
         VALUES (${existing.id}, ${existing.compositeScore}, ${composite.score},
                 ${JSON.stringify(existing.signalBreakdown)}::jsonb,
                 ${JSON.stringify(composite.signals)}::jsonb,
-                'recomputation')
+                ${existing.version !== ENGINE_VERSION ? 'version_upgrade' : 'recomputation'},
+                ${ENGINE_VERSION})
       `;
     }
 
@@ -164,8 +159,9 @@ export async function upsertScore(
 
     // Create initial history record
     await sql`
-      INSERT INTO match_score_history (match_score_id, new_score, new_breakdown, change_reason)
-      VALUES (${scoreId}, ${composite.score}, ${JSON.stringify(composite.signals)}::jsonb, 'initial')
+      INSERT INTO match_score_history (match_score_id, new_score, new_breakdown, change_reason, engine_version)
+      VALUES (${scoreId}, ${composite.score}, ${JSON.stringify(composite.signals)}::jsonb, 'initial',
+              ${ENGINE_VERSION})
     `;
 
     return scoreId;
@@ -177,49 +173,90 @@ export async function upsertScore(
 // ============================================================================
 
 /**
- * Mark all scores for a student as stale and queue for recomputation.
+ * Mark all scores for a student as stale and queue each cached pair.
  */
 export async function invalidateStudentScores(
   studentId: string,
-  reason: string = 'profile_update'
+  reason: RecomputeReason = 'profile_update'
 ): Promise<number> {
   const result = await sql`
     UPDATE match_scores SET is_stale = TRUE, updated_at = NOW()
     WHERE student_id = ${studentId} AND is_stale = FALSE
   `;
 
-  // Queue for recomputation
-  await sql`
-    INSERT INTO recomputation_queue (student_id, reason, priority)
-    VALUES (${studentId}, ${reason}, 5)
-    ON CONFLICT DO NOTHING
-  `;
+  await enqueueStudentPairs(studentId, reason);
 
   return result.count;
 }
 
 /**
- * Mark all scores for a listing as stale and queue for recomputation.
+ * Mark all scores for a listing as stale and queue each cached pair.
  */
 export async function invalidateListingScores(
   listingId: string,
-  reason: string = 'listing_update'
+  reason: RecomputeReason = 'listing_update'
 ): Promise<number> {
   const result = await sql`
     UPDATE match_scores SET is_stale = TRUE, updated_at = NOW()
     WHERE listing_id = ${listingId} AND is_stale = FALSE
   `;
 
-  // Queue each affected student for recomputation
+  await enqueueListingPairs(listingId, reason);
+
+  return result.count;
+}
+
+/**
+ * Mark scores computed by another engine version as stale and queue the
+ * affected pairs at background priority.
+ * Returns the number of scores marked.
+ */
+export async function invalidateOutdatedScores(limit: number = 1000): Promise<number> {
+  const rows = await sql`
+    UPDATE match_scores SET is_stale = TRUE, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM match_scores
+      WHERE version <> ${ENGINE_VERSION} AND is_stale = FALSE
+      LIMIT ${limit}
+    )
+    RETURNING id
+  `;
+
+  if (rows.length === 0) return 0;
+
+  const ids = rows.map((r) => r.id as string);
   await sql`
-    INSERT INTO recomputation_queue (student_id, listing_id, reason, priority)
-    SELECT DISTINCT student_id, ${listingId}, ${reason}, 3
+    INSERT INTO recomputation_queue (student_id, listing_id, tenant_id, reason, priority)
+    SELECT student_id, listing_id, tenant_id, 'version_upgrade', ${RECOMPUTE_PRIORITY.version_upgrade}
     FROM match_scores
-    WHERE listing_id = ${listingId}
-    ON CONFLICT DO NOTHING
+    WHERE id = ANY(${ids})
+    ON CONFLICT (pair_key) WHERE processed_at IS NULL AND failed_at IS NULL DO NOTHING
   `;
 
-  return result.count;
+  return rows.length;
+}
+
+// ============================================================================
+// Shadow Scores
+// ============================================================================
+
+/**
+ * Record a candidate version's score for a cached pair in match_score_history.
+ * old_* columns hold the active version's score so rankings can be diffed.
+ */
+export async function recordShadowScore(
+  matchScoreId: string,
+  active: CompositeScore,
+  shadow: CompositeScore
+): Promise<void> {
+  await sql`
+    INSERT INTO match_score_history (match_score_id, old_score, new_score, old_breakdown, new_breakdown,
+                                     change_reason, engine_version)
+    VALUES (${matchScoreId}, ${active.score}, ${shadow.score},
+            ${JSON.stringify(active.signals)}::jsonb,
+            ${JSON.stringify(shadow.signals)}::jsonb,
+            'shadow', ${shadow.version})
+  `;
 }
 
 /**
@@ -231,7 +268,7 @@ export async function getStaleScores(
   const rows = await sql`
     SELECT rq.student_id, rq.listing_id
     FROM recomputation_queue rq
-    WHERE rq.processed_at IS NULL
+    WHERE rq.processed_at IS NULL AND rq.failed_at IS NULL
     ORDER BY rq.priority DESC, rq.queued_at ASC
     LIMIT ${limit}
   `;
@@ -279,8 +316,8 @@ function mapRow(row: Record<string, unknown>): CachedMatchScore {
     tenantId: row.tenant_id as string | null,
     compositeScore: Number(row.composite_score),
     signalBreakdown: (row.signal_breakdown || {}) as CompositeScore['signals'],
-    isStale: row.is_stale as boolean,
-    version: row.version as number,
+    isStale: (row.is_stale as boolean) || Number(row.version) !== ENGINE_VERSION,
+    version: Number(row.version),
     computedAt: row.computed_at instanceof Date
       ? (row.computed_at as Date).toISOString()
       : (row.computed_at as string),
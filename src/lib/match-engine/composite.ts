@@ -1,8 +1,9 @@
 /**
  * ProveGround Match Engine™ — Composite Scorer
  *
- * Aggregates all 6 signal scores into a single composite score
- * using configurable weights.
+ * Aggregates the enabled signal scores into a single composite score
+ * using configurable weights. Weights are normalised over the enabled
+ * signals, so disabling a signal redistributes its share proportionally.
  */
 
 import type {
@@ -12,34 +13,30 @@ import type {
   CompositeScore,
 } from './types';
 import { ENGINE_VERSION } from './config';
+import { getSignalNames } from './registry';
 
 /**
  * Compute the weighted composite score from individual signals.
  *
  * @param signals - Array of signal results (one per signal)
- * @param weights - Signal weights (must sum to ~1.0)
+ * @param weights - Signal weights (enabled weights should sum to ~1.0)
+ * @param signalNames - Signals to include (default: every registered signal)
  * @returns CompositeScore with overall score and per-signal breakdown
  */
 export function computeCompositeScore(
   signals: SignalResult[],
-  weights: SignalWeights
+  weights: SignalWeights,
+  signalNames: SignalName[] = getSignalNames()
 ): CompositeScore {
   const signalMap = new Map(signals.map((s) => [s.signal, s]));
-  const allSignals: SignalName[] = [
-    'temporal',
-    'skills',
-    'sustainability',
-    'growth',
-    'trust',
-    'network',
-  ];
+  const totalWeight = sumWeights(weights, signalNames);
 
   let weightedSum = 0;
-  const breakdown: CompositeScore['signals'] = {} as CompositeScore['signals'];
+  const breakdown: CompositeScore['signals'] = {};
 
-  for (const name of allSignals) {
+  for (const name of signalNames) {
     const result = signalMap.get(name);
-    const weight = weights[name] || 0;
+    const weight = totalWeight > 0 ? (weights[name] || 0) / totalWeight : 0;
     const score = result?.score ?? 50; // default to 50 if signal not computed
 
     weightedSum += score * weight;
@@ -64,15 +61,23 @@ export function computeCompositeScore(
  */
 export function computeQuickScore(
   signals: SignalResult[],
-  weights: SignalWeights
+  weights: SignalWeights,
+  signalNames: SignalName[] = getSignalNames()
 ): number {
+  const totalWeight = sumWeights(weights, signalNames);
+  if (totalWeight <= 0) return 0;
+
   let weightedSum = 0;
   const signalMap = new Map(signals.map((s) => [s.signal, s]));
 
-  for (const name of Object.keys(weights) as SignalName[]) {
+  for (const name of signalNames) {
     const result = signalMap.get(name);
-    weightedSum += (result?.score ?? 50) * (weights[name] || 0);
+    weightedSum += (result?.score ?? 50) * ((weights[name] || 0) / totalWeight);
   }
 
   return Math.round(Math.min(100, Math.max(0, weightedSum)));
 }
+
+function sumWeights(weights: SignalWeights, signalNames: SignalName[]): number {
+  return signalNames.reduce((sum, name) => sum + (weights[name] || 0), 0);
+}
@@ -4,30 +4,31 @@
  * Default signal weights, tier configs, and thresholds.
  */
 
-import type { SignalWeights, MatchEngineConfigData } from './types';
+import { getDefaultWeights, getSignalNames } from './registry';
+import type { SignalWeights, SignalName, MatchEngineConfigData } from './types';
 
-/** Current engine version — increment on scoring algorithm changes to invalidate cache */
+/**
+ * Active engine version — increment on scoring algorithm changes.
+ * Cached scores computed by any other version are treated as stale.
+ */
 export const ENGINE_VERSION = 1;
 
-/** Default signal weights (must sum to 1.0) */
-export const DEFAULT_SIGNAL_WEIGHTS: SignalWeights = {
-  temporal: 0.25,
-  skills: 0.30,
-  sustainability: 0.15,
-  growth: 0.10,
-  trust: 0.10,
-  network: 0.10,
-};
+/** Default signal weights of the built-in signals (sum to 1.0) — see signals/index.ts */
+export const DEFAULT_SIGNAL_WEIGHTS: SignalWeights = getDefaultWeights();
 
 /** Default engine config */
 export const DEFAULT_CONFIG: MatchEngineConfigData = {
   signalWeights: DEFAULT_SIGNAL_WEIGHTS,
+  disabledSignals: [],
   minScoreThreshold: 20,
   maxResultsPerQuery: 50,
   enableAthleticTransfer: true,
   enableScheduleMatching: true,
   staleThresholdHours: 24,
   batchSize: 50,
+  shadowVersion: null,
+  diversityReranking: false,
+  diversityLambda: 0.7,
 };
 
 /** Tier-specific overrides */
@@ -63,7 +64,8 @@ export function resolveConfig(
     ...tierConfig,
     ...(tenantOverrides || {}),
     signalWeights: {
-      ...DEFAULT_CONFIG.signalWeights,
+      // Read at call time so signals registered after load get their defaults
+      ...getDefaultWeights(),
       ...(tierConfig.signalWeights || {}),
       ...(tenantOverrides?.signalWeights || {}),
     },
@@ -71,15 +73,18 @@ export function resolveConfig(
 }
 
 /**
- * Validate that signal weights sum to approximately 1.0
+ * Validate that the weights of the given signals (default: every registered
+ * signal) sum to approximately 1.0. Unknown or negative weights are rejected.
  */
-export function validateWeights(weights: SignalWeights): boolean {
-  const sum =
-    weights.temporal +
-    weights.skills +
-    weights.sustainability +
-    weights.growth +
-    weights.trust +
-    weights.network;
+export function validateWeights(
+  weights: SignalWeights,
+  signalNames: SignalName[] = getSignalNames()
+): boolean {
+  const registered = new Set(getSignalNames());
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!registered.has(name) || weight < 0) return false;
+  }
+
+  const sum = signalNames.reduce((total, name) => total + (weights[name] || 0), 0);
   return Math.abs(sum - 1.0) < 0.01;
 }
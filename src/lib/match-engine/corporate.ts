@@ -39,7 +39,7 @@ export async function computeAttractivenessScore(
   const [listing] = await sql`
     SELECT l.id, l.author_id, l.compensation, l.is_paid, l.remote_allowed,
            l.hours_per_week, l.duration, l.category, l.title, l.description,
-           u.company_name
+           l.tenant_id, u.company_name
     FROM listings l
     LEFT JOIN users u ON u.id = l.author_id
     WHERE l.id = ${listingId}
@@ -167,7 +167,7 @@ async function getCompanyStats(authorId: string): Promise<CompanyStats> {
   const [ratingStats] = await sql`
     SELECT AVG(r.rating)::numeric(3,2) as avg_rating, COUNT(r.id) as rating_count
     FROM corporate_ratings r
-    WHERE r.corporate_user_id = ${authorId}
+    WHERE r.corporate_id = ${authorId}
   `;
 
   return {
@@ -0,0 +1,200 @@
+/**
+ * ProveGround Match Engine™ — Counterfactual Explanations
+ *
+ * Answers "what would raise my score?" by re-running the signal scorers
+ * against perturbed copies of the student's data (add a missing skill,
+ * raise a proficiency, free up hours, clear a schedule block or travel
+ * conflict) and ranking the perturbations by composite score delta.
+ */
+
+import type {
+  CounterfactualAction,
+  CounterfactualActionType,
+  EngineVersionDefinition,
+  ListingData,
+  SignalContext,
+  StudentData,
+} from './types';
+
+const DEFAULT_LIMIT = 5;
+
+/** Proficiency assumed for a newly added skill (3 = meets expectations) */
+const ADDED_SKILL_PROFICIENCY = 3;
+
+const MAX_PROFICIENCY = 5;
+
+interface Perturbation {
+  type: CounterfactualActionType;
+  label: string;
+  target: string;
+  apply: (student: StudentData) => StudentData;
+}
+
+// ============================================================================
+// Explain
+// ============================================================================
+
+/**
+ * Rank the actions that would raise this pair's composite score.
+ * Only actions with a positive delta are returned, largest first.
+ * Pure function — no DB calls. `ctx.data` must already hold every loader
+ * result the engine version's signals need.
+ */
+export function explainCounterfactuals(
+  engine: EngineVersionDefinition,
+  ctx: SignalContext,
+  limit: number = DEFAULT_LIMIT
+): CounterfactualAction[] {
+  const baseline = scoreStudent(engine, ctx, ctx.student);
+  const actions: CounterfactualAction[] = [];
+
+  for (const p of generatePerturbations(ctx.student, ctx.listing)) {
+    const result = scoreStudent(engine, ctx, p.apply(ctx.student));
+    const delta = result.score - baseline.score;
+    if (delta <= 0) continue;
+
+    const signalDeltas: Record<string, number> = {};
+    for (const [name, score] of Object.entries(result.signals)) {
+      const change = score - (baseline.signals[name] ?? score);
+      if (change !== 0) signalDeltas[name] = change;
+    }
+
+    actions.push({
+      type: p.type,
+      label: p.label,
+      target: p.target,
+      scoreBefore: baseline.score,
+      scoreAfter: result.score,
+      delta,
+      signalDeltas,
+    });
+  }
+
+  return actions.sort((a, b) => b.delta - a.delta).slice(0, limit);
+}
+
+function scoreStudent(
+  engine: EngineVersionDefinition,
+  ctx: SignalContext,
+  student: StudentData
+): { score: number; signals: Record<string, number> } {
+  const definitions = engine.signals(ctx.config);
+  const results = definitions.map((def) => def.score({ ...ctx, student }));
+  const composite = engine.aggregate(
+    results,
+    ctx.config.signalWeights,
+    definitions.map((d) => d.name)
+  );
+
+  const signals: Record<string, number> = {};
+  for (const r of results) signals[r.signal] = r.score;
+  return { score: composite.score, signals };
+}
+
+// ============================================================================
+// Perturbations
+// ============================================================================
+
+/**
+ * Candidate changes a student could make for this listing.
+ * Each `apply` returns a modified copy and never mutates its input.
+ */
+export function generatePerturbations(
+  student: StudentData,
+  listing: ListingData
+): Perturbation[] {
+  const perturbations: Perturbation[] = [];
+  const studentSkills = new Map(
+    student.skills.map((s) => [s.name.toLowerCase().trim(), s])
+  );
+
+  // --- Skills: add missing ones, raise proficiency on matched ones ---
+  for (const required of listing.skillsRequired || []) {
+    const key = required.toLowerCase().trim();
+    const existing = studentSkills.get(key);
+
+    if (!existing) {
+      perturbations.push({
+        type: 'add_skill',
+        label: `Add the skill "${required}" to your profile`,
+        target: required,
+        apply: (s) => ({
+          ...s,
+          skills: [
+            ...s.skills,
+            { name: required, category: 'general', proficiencyLevel: ADDED_SKILL_PROFICIENCY },
+          ],
+        }),
+      });
+    } else if (existing.proficiencyLevel < MAX_PROFICIENCY) {
+      const level = existing.proficiencyLevel + 1;
+      perturbations.push({
+        type: 'raise_proficiency',
+        label: `Raise your "${existing.name}" proficiency to level ${level}`,
+        target: existing.name,
+        apply: (s) => ({
+          ...s,
+          skills: s.skills.map((sk) =>
+            sk.name.toLowerCase().trim() === key ? { ...sk, proficiencyLevel: level } : sk
+          ),
+        }),
+      });
+    }
+  }
+
+  // --- Hours: make room for what the listing asks for ---
+  const requiredHours = listing.hoursPerWeek || 0;
+  if (requiredHours > 0 && student.hoursPerWeek < requiredHours) {
+    perturbations.push({
+      type: 'increase_hours',
+      label: `Increase your weekly availability to ${requiredHours} hours`,
+      target: String(requiredHours),
+      apply: (s) => ({ ...s, hoursPerWeek: requiredHours }),
+    });
+  }
+
+  // --- Schedule: clear a non-academic block or an overlapping travel conflict ---
+  for (const sched of student.schedules) {
+    if (!sched.isActive) continue;
+
+    if (sched.scheduleType !== 'academic') {
+      const name = sched.sportName || sched.scheduleType;
+      perturbations.push({
+        type: 'clear_schedule_block',
+        label: `Clear your ${name} schedule block`,
+        target: sched.id,
+        apply: (s) => ({
+          ...s,
+          schedules: s.schedules.map((x) => (x.id === sched.id ? { ...x, isActive: false } : x)),
+        }),
+      });
+    }
+
+    (sched.travelConflicts || []).forEach((tc, index) => {
+      if (!overlapsListing(tc.startDate, tc.endDate, listing)) return;
+      perturbations.push({
+        type: 'clear_travel_conflict',
+        label: `Free up ${tc.startDate} – ${tc.endDate}${tc.reason ? ` (${tc.reason})` : ''}`,
+        target: `${sched.id}:${index}`,
+        apply: (s) => ({
+          ...s,
+          schedules: s.schedules.map((x) =>
+            x.id === sched.id
+              ? { ...x, travelConflicts: x.travelConflicts.filter((_, i) => i !== index) }
+              : x
+          ),
+        }),
+      });
+    });
+  }
+
+  return perturbations;
+}
+
+function overlapsListing(start: string, end: string, listing: ListingData): boolean {
+  if (!listing.startDate || !listing.endDate) return false;
+  return (
+    new Date(start).getTime() <= new Date(listing.endDate).getTime() &&
+    new Date(end).getTime() >= new Date(listing.startDate).getTime()
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * ProveGround Match Engine™ — Diversity Re-ranking
+ *
+ * Maximal marginal relevance (MMR) over a score-ranked candidate list.
+ * Each pick maximises
+ *
+ *   λ · relevance − (1 − λ) · max similarity to already-picked candidates
+ *
+ * where relevance is the composite score (0-1) and similarity is the share
+ * of profile attributes (institution, graduation year, major, sport) two
+ * students have in common. λ = 1 keeps the pure score order.
+ */
+
+import type { StudentMatchResult } from './types';
+
+type DiversityAttribute = 'university' | 'graduationYear' | 'major' | 'sport';
+
+const DIVERSITY_ATTRIBUTES: DiversityAttribute[] = ['university', 'graduationYear', 'major', 'sport'];
+
+/**
+ * Re-rank candidates for variety. Input order is ignored; `scoreRank` on
+ * each candidate is preserved so callers can show the pre/post rank.
+ * Pure function — no DB calls.
+ */
+export function diversifyRanking(
+  candidates: StudentMatchResult[],
+  lambda: number,
+  limit: number = candidates.length
+): StudentMatchResult[] {
+  const remaining = [...candidates].sort((a, b) => a.scoreRank - b.scoreRank);
+  const selected: StudentMatchResult[] = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const candidate = remaining[i];
+      const redundancy = selected.reduce(
+        (max, s) => Math.max(max, attributeSimilarity(candidate, s)),
+        0
+      );
+      const value = lambda * (candidate.compositeScore / 100) - (1 - lambda) * redundancy;
+      // Strict comparison keeps the higher-scored candidate on ties
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    }
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+}
+
+/**
+ * Share of diversity attributes two students have in common (0-1).
+ * Missing values never count as a match.
+ */
+export function attributeSimilarity(a: StudentMatchResult, b: StudentMatchResult): number {
+  let shared = 0;
+  for (const attr of DIVERSITY_ATTRIBUTES) {
+    const left = normalise(a[attr]);
+    if (left !== null && left === normalise(b[attr])) shared++;
+  }
+  return shared / DIVERSITY_ATTRIBUTES.length;
+}
+
+function normalise(value: string | number | null): string | null {
+  if (value === null || value === undefined) return null;
+  const text = String(value).toLowerCase().trim();
+  return text.length > 0 ? text : null;
+}
@@ -6,15 +6,19 @@
  */
 
 import { sql } from '@/lib/db';
-import { scoreTemporalFit } from './signals/temporal';
-import { scoreSkillsAlignment } from './signals/skills';
-import { scoreSustainability } from './signals/sustainability';
-import { scoreGrowthTrajectory } from './signals/growth';
-import { scoreTrustReliability } from './signals/trust';
-import { scoreNetworkAffinity } from './signals/network';
-import { computeCompositeScore } from './composite';
+import { registerDataLoader, runDataLoaders } from './registry';
+import { getActiveEngineVersion, getEngineVersion } from './versions';
+import { runShadowScore, scoreWithVersion } from './shadow';
+import { explainCounterfactuals } from './counterfactual';
+import { diversifyRanking } from './diversity';
+import { computeMutualScores } from './mutual';
+import { simulateRankings } from './simulation';
+import { formTeams } from './team';
+import { getAvailabilityWindows } from './availability';
+import { claimQueueItems, completeQueueItem, failQueueItem } from './queue';
 import { getCachedScore, upsertScore, getStudentScores, getListingScores } from './cache';
-import { resolveConfig, DEFAULT_CONFIG } from './config';
+import { resolveConfig, ENGINE_VERSION } from './config';
+import { loadTenantConfig } from './tenant-config';
 import type {
   StudentData,
   ListingData,
@@ -24,6 +28,13 @@ import type {
   CompositeScore,
   MatchEngineConfigData,
   SignalResult,
+  CounterfactualAction,
+  QueueRunResult,
+  MutualFitResult,
+  SimulatedPair,
+  SimulationResult,
+  TeamCandidate,
+  TeamProposal,
 } from './types';
 
 // Re-export types
@@ -37,11 +48,83 @@ export type {
   ListingData,
   AthleticTransferSkill,
   CachedMatchScore,
+  SignalDefinition,
+  SignalContext,
+  WeightProposal,
+  RankingMetrics,
+  EngineVersionDefinition,
+  ShadowComparison,
+  ListingRankingDiff,
+  CounterfactualAction,
+  QueueStats,
+  QueueRunResult,
+  MutualFitResult,
+  StudentPreferenceScore,
+  SimulationResult,
+  ListingSimulation,
+  ScoreDistribution,
+  TeamProposal,
+  TeamCoverage,
+  TeamScheduleOverlap,
+  CohortType,
+  CohortDrift,
+  FairnessFlag,
+  FairnessReport,
 } from './types';
 
-export { invalidateStudentScores, invalidateListingScores } from './cache';
+export { invalidateStudentScores, invalidateListingScores, invalidateOutdatedScores } from './cache';
 export { computeAttractivenessScore, getCompanyAttractiveness } from './corporate';
 export { getAvailabilityWindows, calculateAvailableHours } from './availability';
+export { loadTenantConfig } from './tenant-config';
+export { DEFAULT_CONFIG, DEFAULT_SIGNAL_WEIGHTS, ENGINE_VERSION, validateWeights } from './config';
+export {
+  registerEngineVersion,
+  getEngineVersion,
+  getEngineVersions,
+  getActiveEngineVersion,
+} from './versions';
+export { compareShadowRankings, diffListingRanking } from './shadow';
+export { explainCounterfactuals } from './counterfactual';
+export { diversifyRanking, attributeSimilarity } from './diversity';
+export { scoreStudentPreference, combineMutualScore, computeMutualScores } from './mutual';
+export { simulateRankings } from './simulation';
+export { formTeams, scoreTeam, scoreTeamCoverage, scoreTeamSchedule } from './team';
+export {
+  runFairnessMonitoring,
+  getLatestFairnessReport,
+  getFairnessHistory,
+  summariseCohorts,
+  compareSnapshots,
+  populationStability,
+  DISPARATE_IMPACT_THRESHOLD,
+} from './monitoring';
+export {
+  enqueueStudentPairs,
+  enqueueListingPairs,
+  enqueuePair,
+  getQueueStats,
+  RECOMPUTE_PRIORITY,
+  MAX_ATTEMPTS,
+} from './queue';
+export type { RecomputeReason } from './queue';
+export {
+  registerSignal,
+  registerDataLoader,
+  getRegisteredSignals,
+  getEnabledSignals,
+  getDefaultWeights,
+  isRegisteredSignal,
+} from './registry';
+export {
+  trainTenantWeights,
+  getWeightProposal,
+  promoteWeightProposal,
+  fitSignalWeights,
+  evaluateRanking,
+} from './training';
+
+// Built-in data loaders used by the built-in signals (see signals/index.ts)
+registerDataLoader('athleticTransfers', (studentId) => loadAthleticTransfers(studentId));
 
 // ============================================================================
 // Core: Compute Match
@@ -73,40 +156,41 @@ export async function computeMatch(
 
   // Load data
   const startTime = Date.now();
-  const [studentData, listingData, athleticTransfers] = await Promise.all([
+  const [studentData, listingData] = await Promise.all([
     loadStudentData(studentId),
     loadListingData(listingId),
-    loadAthleticTransfers(studentId),
   ]);
 
   if (!studentData || !listingData) {
     return {
       score: 0,
-      signals: {} as CompositeScore['signals'],
+      signals: {},
       computedAt: new Date().toISOString(),
-      version: 1,
+      version: ENGINE_VERSION,
     };
   }
 
-  // Resolve config
-  const engineConfig = config || DEFAULT_CONFIG;
+  // Resolve config (tenant overrides from match_engine_config when not supplied)
+  const engineConfig = config || await loadTenantConfig(tenantId || studentData.tenantId);
 
-  // Compute all signals
-  const signals: SignalResult[] = [
-    scoreTemporalFit(studentData, listingData),
-    scoreSkillsAlignment(studentData, listingData, athleticTransfers),
-    scoreSustainability(studentData, listingData),
-    scoreGrowthTrajectory(studentData, listingData),
-    scoreTrustReliability(studentData),
-    scoreNetworkAffinity(studentData, listingData),
-  ];
+  // Compute every signal of the active version, loading only the data they declare
+  const active = getActiveEngineVersion();
+  const enabled = active.signals(engineConfig);
+  const data = await runDataLoaders(enabled, studentId, listingId);
+  const signals: SignalResult[] = enabled.map((def) =>
+    def.score({ student: studentData, listing: listingData, config: engineConfig, data })
+  );
 
   // Aggregate
-  const composite = computeCompositeScore(signals, engineConfig.signalWeights);
+  const composite = active.aggregate(
+    signals,
+    engineConfig.signalWeights,
+    enabled.map((def) => def.name)
+  );
   const computationTimeMs = Date.now() - startTime;
 
   // Cache the result
-  await upsertScore(
+  const scoreId = await upsertScore(
     studentId,
     listingId,
     tenantId || studentData.tenantId,
@@ -114,9 +198,75 @@ export async function computeMatch(
     computationTimeMs
   );
 
+  // Shadow mode: score the same pair with the candidate version in the background
+  const shadow = engineConfig.shadowVersion !== null && engineConfig.shadowVersion !== ENGINE_VERSION
+    ? getEngineVersion(engineConfig.shadowVersion)
+    : null;
+  if (shadow) {
+    runShadowScore(
+      shadow,
+      scoreId,
+      composite,
+      { student: studentData, listing: listingData, config: engineConfig, data },
+      studentId,
+      listingId
+    ).catch((err) => console.error('Shadow scoring failed:', err));
+  }
+
   return composite;
 }
 
+// ============================================================================
+// Counterfactual Explanations
+// ============================================================================
+
+/**
+ * Actions the student could take to raise their score for a listing,
+ * ranked by composite score delta under the active engine version.
+ */
+export async function getCounterfactuals(
+  studentId: string,
+  listingId: string,
+  options: { tenantId?: string | null; config?: MatchEngineConfigData; limit?: number } = {}
+): Promise<CounterfactualAction[]> {
+  const { tenantId = null, config, limit } = options;
+
+  const [studentData, listingData] = await Promise.all([
+    loadStudentData(studentId),
+    loadListingData(listingId),
+  ]);
+  if (!studentData || !listingData) return [];
+
+  const engineConfig = config || await loadTenantConfig(tenantId || studentData.tenantId);
+  const active = getActiveEngineVersion();
+  const data = await runDataLoaders(active.signals(engineConfig), studentId, listingId);
+
+  return explainCounterfactuals(
+    active,
+    { student: studentData, listing: listingData, config: engineConfig, data },
+    limit
+  );
+}
+
+/**
+ * Two-sided score for a pair: the student's fit for the listing combined
+ * with the listing's appeal to this particular student.
+ */
+export async function getMutualFit(
+  studentId: string,
+  listingId: string,
+  options: { tenantId?: string | null; config?: MatchEngineConfigData } = {}
+): Promise<MutualFitResult | null> {
+  const listingData = await loadListingData(listingId);
+  if (!listingData) return null;
+
+  const fit = await computeMatch(studentId, listingId, options);
+  const [result] = await computeMutualScores([
+    { studentId, listing: listingData, studentFit: fit.score },
+  ]);
+  return result;
+}
+
 // ============================================================================
 // Batch: Get Student Matches
 // ============================================================================
@@ -132,9 +282,11 @@ export async function getStudentMatches(
     minScore?: number;
     tenantId?: string | null;
     config?: MatchEngineConfigData;
+    /** 'mutual' ranks by likelihood of a mutual yes instead of fit alone */
+    sort?: 'score' | 'mutual';
   } = {}
 ): Promise<MatchResult[]> {
-  const { limit = 50, minScore = 0, tenantId = null, config } = options;
+  const { limit = 50, minScore = 0, tenantId = null, config, sort = 'score' } = options;
 
   // Get all published listings the student could match with
   const listings = tenantId
@@ -151,6 +303,8 @@ export async function getStudentMatches(
         LIMIT 200
       `;
 
+  const engineConfig = config || await loadTenantConfig(tenantId);
+
   // Check which ones have cached scores
   const cachedScores = await getStudentScores(studentId, { limit: 200 });
   const cachedMap = new Map(cachedScores.map((c) => [c.listingId, c]));
@@ -169,14 +323,16 @@ export async function getStudentMatches(
   const computeLimit = Math.min(toCompute.length, 20);
   for (let i = 0; i < computeLimit; i++) {
     try {
-      await computeMatch(studentId, toCompute[i], { tenantId, config });
+      await computeMatch(studentId, toCompute[i], { tenantId, config: engineConfig });
     } catch {
       // Skip failed computations
     }
   }
 
-  // Re-fetch all scores after computation
-  const allScores = await getStudentScores(studentId, { limit });
+  // Re-fetch all scores after computation (a wider pool when ranking by mutual fit)
+  const allScores = await getStudentScores(studentId, {
+    limit: sort === 'mutual' ? Math.min(limit * 3, 200) : limit,
+  });
 
   // Build results with listing details
   const results: MatchResult[] = [];
@@ -200,6 +356,17 @@ export async function getStudentMatches(
     });
   }
 
+  if (sort === 'mutual') {
+    const mutual = await computeMutualScores(
+      results.map((r) => ({ studentId, listing: r.listing, studentFit: r.compositeScore }))
+    );
+    results.forEach((r, i) => {
+      r.mutualScore = mutual[i].mutualScore;
+    });
+    results.sort((a, b) => (b.mutualScore ?? 0) - (a.mutualScore ?? 0) || b.compositeScore - a.compositeScore);
+    return results.slice(0, limit);
+  }
+
   // Sort by composite score descending
   results.sort((a, b) => b.compositeScore - a.compositeScore);
 
@@ -213,6 +380,7 @@ export async function getStudentMatches(
 /**
  * Get all student matches for a specific listing.
  * Computes scores lazily for students who haven't been scored yet.
+ * With diversify, a larger score-ranked pool is re-ranked for variety.
  */
 export async function getListingMatches(
   listingId: string,
@@ -221,9 +389,13 @@ export async function getListingMatches(
     minScore?: number;
     tenantId?: string | null;
     config?: MatchEngineConfigData;
+    /** Re-rank for variety (MMR); defaults to the tenant's diversityReranking setting */
+    diversify?: boolean;
+    /** 'mutual' ranks by likelihood of a mutual yes; disables diversify */
+    sort?: 'score' | 'mutual';
   } = {}
 ): Promise<StudentMatchResult[]> {
-  const { limit = 50, minScore = 0, tenantId = null, config } = options;
+  const { limit = 50, minScore = 0, tenantId = null, config, sort = 'score' } = options;
 
   // Get students who could match with this listing
   const students = tenantId
@@ -238,6 +410,8 @@ export async function getListingMatches(
         LIMIT 200
       `;
 
+  const engineConfig = config || await loadTenantConfig(tenantId);
+
   // Check cached scores
   const cachedScores = await getListingScores(listingId, { limit: 200 });
   const cachedMap = new Map(cachedScores.map((c) => [c.studentId, c]));
@@ -255,14 +429,18 @@ export async function getListingMatches(
   const computeLimit = Math.min(toCompute.length, 20);
   for (let i = 0; i < computeLimit; i++) {
     try {
-      await computeMatch(toCompute[i], listingId, { tenantId, config });
+      await computeMatch(toCompute[i], listingId, { tenantId, config: engineConfig });
     } catch {
       // Skip failed computations
     }
   }
 
-  // Re-fetch all scores
-  const allScores = await getListingScores(listingId, { limit });
+  const diversify = sort !== 'mutual' && (options.diversify ?? engineConfig.diversityReranking);
+
+  // Re-fetch all scores (a wider pool when re-ranking for variety or mutual fit)
+  const allScores = await getListingScores(listingId, {
+    limit: diversify || sort === 'mutual' ? Math.min(limit * 3, 200) : limit,
+  });
 
   // Build results with student details
   const results: StudentMatchResult[] = [];
@@ -270,8 +448,13 @@ export async function getListingMatches(
     if (score.compositeScore < minScore) continue;
 
     const [student] = await sql`
-      SELECT id, first_name, last_name, email, university
-      FROM users WHERE id = ${score.studentId}
+      SELECT u.id, u.first_name, u.last_name, u.email, u.university, u.major, u.graduation_year,
+             (SELECT sp.sport_name
+              FROM student_schedules ss
+              JOIN sport_seasons sp ON sp.id = ss.sport_season_id
+              WHERE ss.user_id = u.id AND ss.schedule_type = 'sport' AND ss.is_active = TRUE
+              LIMIT 1) as sport_name
+      FROM users u WHERE u.id = ${score.studentId}
     `;
     if (!student) continue;
 
@@ -283,7 +466,11 @@ export async function getListingMatches(
       lastName: student.last_name as string,
       email: student.email as string,
       university: student.university as string | null,
+      major: student.major as string | null,
+      graduationYear: student.graduation_year as number | null,
+      sport: student.sport_name as string | null,
       compositeScore: score.compositeScore,
+      scoreRank: 0,
       signals: score.signalBreakdown,
       matchedSkills: (skillsDetails.matchedSkills as string[]) || [],
       missingSkills: (skillsDetails.missingSkills as string[]) || [],
@@ -292,8 +479,290 @@ export async function getListingMatches(
   }
 
   results.sort((a, b) => b.compositeScore - a.compositeScore);
+  results.forEach((r, i) => {
+    r.scoreRank = i + 1;
+  });
+
+  if (sort === 'mutual') {
+    const listingData = await loadListingData(listingId);
+    if (listingData) {
+      const mutual = await computeMutualScores(
+        results.map((r) => ({ studentId: r.studentId, listing: listingData, studentFit: r.compositeScore }))
+      );
+      results.forEach((r, i) => {
+        r.mutualScore = mutual[i].mutualScore;
+      });
+      results.sort((a, b) => (b.mutualScore ?? 0) - (a.mutualScore ?? 0) || a.scoreRank - b.scoreRank);
+    }
+    return results.slice(0, limit);
+  }
 
-  return results.slice(0, limit);
+  return diversify
+    ? diversifyRanking(results, engineConfig.diversityLambda, limit)
+    : results.slice(0, limit);
+}
+
+// ============================================================================
+// Batch: Team Formation (listings with maxStudents > 1)
+// ============================================================================
+
+/** Listings without dates are planned over this many months from today */
+const DEFAULT_TEAM_HORIZON_MONTHS = 3;
+
+/**
+ * Propose complementary teams for a multi-student listing. Candidates are
+ * the listing's top individual matches; team size defaults to the open slots.
+ * Returns null when the listing does not exist.
+ */
+export async function getListingTeams(
+  listingId: string,
+  options: {
+    size?: number;
+    limit?: number;
+    poolSize?: number;
+    tenantId?: string | null;
+    config?: MatchEngineConfigData;
+  } = {}
+): Promise<{ size: number; teams: TeamProposal[] } | null> {
+  const { limit, poolSize = 20, tenantId = null, config } = options;
+
+  const listingData = await loadListingData(listingId);
+  if (!listingData) return null;
+
+  const size = options.size ?? Math.max(1, listingData.maxStudents - listingData.studentsAccepted);
+
+  const matches = await getListingMatches(listingId, {
+    limit: poolSize,
+    tenantId,
+    config,
+    diversify: false,
+  });
+
+  const startDate = listingData.startDate || new Date().toISOString().split('T')[0];
+  const horizon = new Date(startDate);
+  horizon.setMonth(horizon.getMonth() + DEFAULT_TEAM_HORIZON_MONTHS);
+  const endDate = listingData.endDate || horizon.toISOString().split('T')[0];
+
+  const candidates: TeamCandidate[] = [];
+  for (const match of matches) {
+    const studentData = await loadStudentData(match.studentId);
+    if (!studentData) continue;
+
+    candidates.push({
+      studentId: match.studentId,
+      firstName: match.firstName,
+      lastName: match.lastName,
+      compositeScore: match.compositeScore,
+      matchedSkills: match.matchedSkills,
+      athleticTransferSkills: match.athleticTransferSkills,
+      windows: getAvailabilityWindows(studentData.schedules, startDate, endDate),
+    });
+  }
+
+  return {
+    size,
+    teams: formTeams(candidates, listingData.skillsRequired, listingData.hoursPerWeek, size, limit),
+  };
+}
+
+// ============================================================================
+// Worker: Recomputation Queue
+// ============================================================================
+
+/**
+ * Drain the recomputation queue until it is empty or the time budget runs out.
+ * Each entry is one pair, or (listing_id NULL) all of a student's stale pairs.
+ * Failures are retried with backoff by failQueueItem.
+ */
+export async function processRecomputationQueue(
+  options: { timeBudgetMs?: number; batchSize?: number } = {}
+): Promise<QueueRunResult> {
+  const { timeBudgetMs = 50000, batchSize = 25 } = options;
+  const startTime = Date.now();
+  let processed = 0;
+  let failed = 0;
+  let claimed = 0;
+
+  while (Date.now() - startTime < timeBudgetMs) {
+    const items = await claimQueueItems(batchSize);
+    if (items.length === 0) break;
+    claimed += items.length;
+
+    for (const item of items) {
+      try {
+        if (item.listingId) {
+          await computeMatch(item.studentId, item.listingId, {
+            forceRecompute: true,
+            tenantId: item.tenantId,
+          });
+        } else {
+          const staleScores = await sql`
+            SELECT listing_id FROM match_scores
+            WHERE student_id = ${item.studentId} AND is_stale = TRUE
+          `;
+          for (const score of staleScores) {
+            await computeMatch(item.studentId, score.listing_id as string, {
+              forceRecompute: true,
+              tenantId: item.tenantId,
+            });
+          }
+        }
+
+        await completeQueueItem(item.id);
+        processed++;
+      } catch (err) {
+        await failQueueItem(item, err instanceof Error ? err.message : 'Unknown error');
+        failed++;
+      }
+    }
+  }
+
+  return { processed, failed, claimed, durationMs: Date.now() - startTime };
+}
+
+// ============================================================================
+// Batch: Shadow Backfill
+// ============================================================================
+
+/**
+ * Shadow-score a tenant's current cached pairs that have no shadow score
+ * for the candidate version yet. Returns the number of pairs scored.
+ */
+export async function backfillShadowScores(
+  tenantId: string,
+  shadowVersion: number,
+  limit: number = 50
+): Promise<number> {
+  const definition = getEngineVersion(shadowVersion);
+  if (!definition || shadowVersion === ENGINE_VERSION) return 0;
+
+  const engineConfig = await loadTenantConfig(tenantId);
+  const pairs = await sql`
+    SELECT ms.id, ms.student_id, ms.listing_id
+    FROM match_scores ms
+    WHERE ms.tenant_id = ${tenantId}
+      AND ms.version = ${ENGINE_VERSION}
+      AND ms.is_stale = FALSE
+      AND NOT EXISTS (
+        SELECT 1 FROM match_score_history h
+        WHERE h.match_score_id = ms.id
+          AND h.change_reason = 'shadow'
+          AND h.engine_version = ${shadowVersion}
+      )
+    LIMIT ${limit}
+  `;
+
+  let scored = 0;
+  for (const pair of pairs) {
+    const studentId = pair.student_id as string;
+    const listingId = pair.listing_id as string;
+    try {
+      // Rescore the active version too so both scores come from the same inputs
+      const [studentData, listingData] = await Promise.all([
+        loadStudentData(studentId),
+        loadListingData(listingId),
+      ]);
+      if (!studentData || !listingData) continue;
+
+      const ctx = { student: studentData, listing: listingData, config: engineConfig, data: {} };
+      const active = await scoreWithVersion(getActiveEngineVersion(), ctx, studentId, listingId);
+      await runShadowScore(definition, pair.id as string, active, ctx, studentId, listingId);
+      scored++;
+    } catch {
+      // Skip failed computations
+    }
+  }
+
+  return scored;
+}
+
+// ============================================================================
+// Sandbox: Simulate Draft Config
+// ============================================================================
+
+/**
+ * Score a sample of the tenant's students×published listings under both the
+ * live config and a draft config, entirely in memory (match_scores is not
+ * touched). The draft is merged over the live config, like a config PUT.
+ */
+export async function simulateDraftConfig(
+  tenantId: string,
+  draft: Partial<MatchEngineConfigData>,
+  options: { maxStudents?: number; maxListings?: number; k?: number; timeBudgetMs?: number } = {}
+): Promise<SimulationResult> {
+  const { maxStudents = 40, maxListings = 10, k, timeBudgetMs = 45000 } = options;
+  const startTime = Date.now();
+
+  const baselineConfig = await loadTenantConfig(tenantId);
+  const draftConfig: MatchEngineConfigData = {
+    ...baselineConfig,
+    ...draft,
+    signalWeights: { ...baselineConfig.signalWeights, ...(draft.signalWeights || {}) },
+  };
+
+  // Stable pseudo-random sample so repeated runs compare like with like
+  const [students, listings] = await Promise.all([
+    sql`
+      SELECT id, first_name, last_name FROM users
+      WHERE role = 'student' AND tenant_id = ${tenantId}
+      ORDER BY md5(id::text)
+      LIMIT ${maxStudents}
+    `,
+    sql`
+      SELECT id FROM listings
+      WHERE status = 'published' AND tenant_id = ${tenantId}
+      ORDER BY published_at DESC NULLS LAST
+      LIMIT ${maxListings}
+    `,
+  ]);
+
+  const listingData = (await Promise.all(
+    listings.map((l) => loadListingData(l.id as string))
+  )).filter((l): l is ListingData => l !== null);
+
+  // Load loader data once per pair for the union of both configs' signals
+  const active = getActiveEngineVersion();
+  const signalsByName = new Map(
+    [...active.signals(baselineConfig), ...active.signals(draftConfig)].map((d) => [d.name, d])
+  );
+  const allSignals = Array.from(signalsByName.values());
+
+  const pairs: SimulatedPair[] = [];
+  let truncated = false;
+  for (const student of students) {
+    if (Date.now() - startTime >= timeBudgetMs) {
+      truncated = true;
+      break;
+    }
+
+    const studentId = student.id as string;
+    const studentData = await loadStudentData(studentId);
+    if (!studentData) continue;
+    const studentName = `${student.first_name || ''} ${student.last_name || ''}`.trim();
+
+    for (const listing of listingData) {
+      try {
+        const data = await runDataLoaders(allSignals, studentId, listing.id);
+        const ctx = { student: studentData, listing, data };
+        const [baseline, drafted] = await Promise.all([
+          scoreWithVersion(active, { ...ctx, config: baselineConfig }, studentId, listing.id),
+          scoreWithVersion(active, { ...ctx, config: draftConfig }, studentId, listing.id),
+        ]);
+        pairs.push({
+          studentId,
+          studentName,
+          listingId: listing.id,
+          listingTitle: listing.title,
+          baseline: baseline.score,
+          draft: drafted.score,
+        });
+      } catch {
+        // Skip failed computations
+      }
+    }
+  }
+
+  return simulateRankings(pairs, k, truncated);
 }
 
 // ============================================================================
@@ -0,0 +1,399 @@
+/**
+ * ProveGround Match Engine™ — Drift & Fairness Monitoring
+ *
+ * Snapshots each tenant's score distribution daily, overall and per
+ * protected-proxy cohort (institution, sport, class year), and compares it
+ * with the previous snapshot. Two things are flagged:
+ *
+ *  - Drift: the cohort's mean moved by DRIFT_MEAN_POINTS or more, or its
+ *    histogram shifted (population stability index ≥ DRIFT_PSI). The
+ *    report carries what changed in between (config saves, rescoring
+ *    reasons) so a jump can be traced to its cause.
+ *  - Disparate impact: the cohort's top-K selection rate is below four
+ *    fifths of the best-treated cohort of the same type.
+ *
+ * These back the AI_FAIRNESS_CONSTRAINTS promise that institution and
+ * background do not influence fit scores.
+ */
+
+import { sql } from '@/lib/db';
+import { ENGINE_VERSION } from './config';
+import { distribution } from './simulation';
+import type {
+  CohortDrift,
+  CohortStats,
+  CohortType,
+  FairnessChangeContext,
+  FairnessFlag,
+  FairnessReport,
+  MonitoredPair,
+} from './types';
+
+const DEFAULT_TOP_K = 10;
+
+/** Cohorts with fewer students get no disparate-impact ratio */
+export const MIN_COHORT_STUDENTS = 5;
+
+/** Four-fifths rule */
+export const DISPARATE_IMPACT_THRESHOLD = 0.8;
+
+export const DRIFT_MEAN_POINTS = 5;
+export const DRIFT_PSI = 0.2;
+
+const PSI_EPSILON = 0.0001;
+
+const COHORT_TYPES: Exclude<CohortType, 'tenant'>[] = ['institution', 'sport', 'class_year'];
+
+// ============================================================================
+// Cohort Statistics
+// ============================================================================
+
+/**
+ * Score distribution and top-K selection rate for the tenant and every cohort.
+ * Pure function — no DB calls.
+ */
+export function summariseCohorts(pairs: MonitoredPair[], k: number = DEFAULT_TOP_K): CohortStats[] {
+  // Top-K membership per listing (score desc, student id asc on ties)
+  const byListing = new Map<string, MonitoredPair[]>();
+  for (const pair of pairs) {
+    const group = byListing.get(pair.listingId) || [];
+    group.push(pair);
+    byListing.set(pair.listingId, group);
+  }
+  const selected = new Set<MonitoredPair>();
+  for (const group of Array.from(byListing.values())) {
+    group
+      .sort((a, b) => b.score - a.score || a.studentId.localeCompare(b.studentId))
+      .slice(0, k)
+      .forEach((p) => selected.add(p));
+  }
+
+  const groups = new Map<string, { type: CohortType; value: string; pairs: MonitoredPair[] }>();
+  const add = (type: CohortType, value: string, pair: MonitoredPair) => {
+    const key = `${type}:${value}`;
+    const group = groups.get(key) || { type, value, pairs: [] };
+    group.pairs.push(pair);
+    groups.set(key, group);
+  };
+  for (const pair of pairs) {
+    add('tenant', 'all', pair);
+    for (const type of COHORT_TYPES) add(type, cohortValue(type, pair), pair);
+  }
+
+  const stats: CohortStats[] = Array.from(groups.values()).map((g) => {
+    const dist = distribution(g.pairs.map((p) => p.score));
+    return {
+      cohortType: g.type,
+      cohortValue: g.value,
+      students: new Set(g.pairs.map((p) => p.studentId)).size,
+      pairs: g.pairs.length,
+      meanScore: dist.mean,
+      medianScore: dist.median,
+      histogram: dist.histogram,
+      topKRate: round(g.pairs.filter((p) => selected.has(p)).length / g.pairs.length),
+      disparateImpact: null,
+    };
+  });
+
+  // Disparate impact: selection rate relative to the best-treated cohort of the same type
+  for (const type of COHORT_TYPES) {
+    const eligible = stats.filter((s) => s.cohortType === type && s.students >= MIN_COHORT_STUDENTS);
+    const reference = Math.max(0, ...eligible.map((s) => s.topKRate));
+    for (const s of eligible) {
+      s.disparateImpact = reference > 0 ? round(s.topKRate / reference) : 1;
+    }
+  }
+
+  return stats;
+}
+
+function cohortValue(type: Exclude<CohortType, 'tenant'>, pair: MonitoredPair): string {
+  switch (type) {
+    case 'institution':
+      return pair.institution?.trim() || 'Unknown';
+    case 'sport':
+      return pair.sport?.trim() || 'No sport';
+    case 'class_year':
+      return pair.classYear ? String(pair.classYear) : 'Unknown';
+  }
+}
+
+// ============================================================================
+// Drift
+// ============================================================================
+
+/**
+ * Population stability index between two histograms (same buckets).
+ * < 0.1 stable, 0.1–0.2 moderate shift, ≥ 0.2 significant shift.
+ * Pure function — no DB calls.
+ */
+export function populationStability(previous: number[], current: number[]): number {
+  const prevTotal = previous.reduce((a, b) => a + b, 0);
+  const currTotal = current.reduce((a, b) => a + b, 0);
+  if (prevTotal === 0 || currTotal === 0) return 0;
+
+  let psi = 0;
+  for (let i = 0; i < Math.min(previous.length, current.length); i++) {
+    const p = Math.max(previous[i] / prevTotal, PSI_EPSILON);
+    const c = Math.max(current[i] / currTotal, PSI_EPSILON);
+    psi += (c - p) * Math.log(c / p);
+  }
+  return round(psi);
+}
+
+/**
+ * Compare current cohort stats with the previous snapshot and flag them.
+ * Pure function — no DB calls.
+ */
+export function compareSnapshots(
+  current: CohortStats[],
+  previous: Map<string, { meanScore: number; histogram: number[] }>
+): CohortDrift[] {
+  return current.map((stats) => {
+    const prev = previous.get(`${stats.cohortType}:${stats.cohortValue}`) || null;
+    const meanDelta = prev ? round(stats.meanScore - prev.meanScore) : null;
+    const psi = prev ? populationStability(prev.histogram, stats.histogram) : null;
+
+    const flags: FairnessFlag[] = [];
+    const smallSample = stats.cohortType !== 'tenant' && stats.students < MIN_COHORT_STUDENTS;
+    if (smallSample) {
+      flags.push('small_sample');
+    } else if (
+      (meanDelta !== null && Math.abs(meanDelta) >= DRIFT_MEAN_POINTS) ||
+      (psi !== null && psi >= DRIFT_PSI)
+    ) {
+      flags.push('drift');
+    }
+    if (stats.disparateImpact !== null && stats.disparateImpact < DISPARATE_IMPACT_THRESHOLD) {
+      flags.push('disparate_impact');
+    }
+
+    return {
+      ...stats,
+      previousMean: prev ? prev.meanScore : null,
+      meanDelta,
+      psi,
+      flags,
+    };
+  });
+}
+
+// ============================================================================
+// Monitoring Job
+// ============================================================================
+
+/**
+ * Snapshot a tenant's current scores, compare with the previous snapshot
+ * and store today's rows (re-running on the same day overwrites them).
+ */
+export async function runFairnessMonitoring(
+  tenantId: string,
+  k: number = DEFAULT_TOP_K
+): Promise<FairnessReport> {
+  const rows = await sql`
+    SELECT ms.student_id, ms.listing_id, ms.composite_score,
+           u.university, u.graduation_year,
+           (SELECT sp.sport_name
+            FROM student_schedules ss
+            JOIN sport_seasons sp ON sp.id = ss.sport_season_id
+            WHERE ss.user_id = u.id AND ss.schedule_type = 'sport' AND ss.is_active = TRUE
+            LIMIT 1) as sport_name
+    FROM match_scores ms
+    JOIN users u ON u.id = ms.student_id
+    WHERE ms.tenant_id = ${tenantId}
+      AND ms.is_stale = FALSE
+      AND ms.version = ${ENGINE_VERSION}
+  `;
+
+  const pairs: MonitoredPair[] = rows.map((r) => ({
+    studentId: r.student_id as string,
+    listingId: r.listing_id as string,
+    score: Number(r.composite_score),
+    institution: r.university as string | null,
+    sport: r.sport_name as string | null,
+    classYear: r.graduation_year != null ? Number(r.graduation_year) : null,
+  }));
+
+  const previousRows = await sql`
+    SELECT cohort_type, cohort_value, mean_score, histogram, computed_at
+    FROM match_fairness_snapshots
+    WHERE tenant_id = ${tenantId}
+      AND snapshot_date = (
+        SELECT MAX(snapshot_date) FROM match_fairness_snapshots
+        WHERE tenant_id = ${tenantId} AND snapshot_date < CURRENT_DATE
+      )
+  `;
+  const previous = new Map(
+    previousRows.map((r) => [
+      `${r.cohort_type}:${r.cohort_value}`,
+      { meanScore: Number(r.mean_score), histogram: (r.histogram as number[]) || [] },
+    ])
+  );
+  const previousSnapshotAt = previousRows[0]?.computed_at
+    ? new Date(previousRows[0].computed_at as string).toISOString()
+    : null;
+
+  const context = await loadChangeContext(tenantId, previousSnapshotAt);
+  const cohorts = compareSnapshots(summariseCohorts(pairs, k), previous);
+
+  for (const c of cohorts) {
+    const rowContext = c.cohortType === 'tenant' ? { ...context, k } : {};
+    await sql`
+      INSERT INTO match_fairness_snapshots
+        (tenant_id, cohort_type, cohort_value, student_count, pair_count, mean_score,
+         median_score, histogram, top_k_rate, disparate_impact, mean_delta, psi, flags,
+         context, engine_version)
+      VALUES (${tenantId}, ${c.cohortType}, ${c.cohortValue}, ${c.students}, ${c.pairs},
+              ${c.meanScore}, ${c.medianScore}, ${JSON.stringify(c.histogram)}::jsonb,
+              ${c.topKRate}, ${c.disparateImpact}, ${c.meanDelta}, ${c.psi}, ${c.flags},
+              ${JSON.stringify(rowContext)}::jsonb, ${ENGINE_VERSION})
+      ON CONFLICT (tenant_id, snapshot_date, cohort_type, cohort_value) DO UPDATE
+      SET student_count = EXCLUDED.student_count,
+          pair_count = EXCLUDED.pair_count,
+          mean_score = EXCLUDED.mean_score,
+          median_score = EXCLUDED.median_score,
+          histogram = EXCLUDED.histogram,
+          top_k_rate = EXCLUDED.top_k_rate,
+          disparate_impact = EXCLUDED.disparate_impact,
+          mean_delta = EXCLUDED.mean_delta,
+          psi = EXCLUDED.psi,
+          flags = EXCLUDED.flags,
+          context = EXCLUDED.context,
+          engine_version = EXCLUDED.engine_version,
+          computed_at = NOW()
+    `;
+  }
+
+  return {
+    tenantId,
+    snapshotDate: new Date().toISOString().split('T')[0],
+    k,
+    cohorts,
+    context,
+    alerts: cohorts.filter((c) => c.flags.includes('drift') || c.flags.includes('disparate_impact')).length,
+  };
+}
+
+/**
+ * What changed since the previous snapshot: config saves and rescoring
+ * activity by reason (skill changes, version upgrades, weight promotions...).
+ */
+async function loadChangeContext(
+  tenantId: string,
+  previousSnapshotAt: string | null
+): Promise<FairnessChangeContext> {
+  const [config] = await sql`
+    SELECT updated_at FROM match_engine_config WHERE tenant_id = ${tenantId}
+  `;
+  const configUpdatedAt = config?.updated_at ? new Date(config.updated_at as string).toISOString() : null;
+
+  const since = previousSnapshotAt || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const reasons = await sql`
+    SELECT COALESCE(h.change_reason, 'unknown') as reason, COUNT(*) as count
+    FROM match_score_history h
+    JOIN match_scores ms ON ms.id = h.match_score_id
+    WHERE ms.tenant_id = ${tenantId}
+      AND h.changed_at > ${since}
+      AND (h.change_reason IS NULL OR h.change_reason <> 'shadow')
+    GROUP BY 1
+    ORDER BY count DESC
+  `;
+
+  return {
+    previousSnapshotAt,
+    configUpdatedAt,
+    configChangedSincePrevious: !!configUpdatedAt && !!previousSnapshotAt && configUpdatedAt > previousSnapshotAt,
+    engineVersion: ENGINE_VERSION,
+    scoreChangesByReason: Object.fromEntries(reasons.map((r) => [r.reason as string, Number(r.count)])),
+  };
+}
+
+// ============================================================================
+// Reads
+// ============================================================================
+
+/**
+ * The most recent stored report for a tenant, or null before the first run.
+ */
+export async function getLatestFairnessReport(tenantId: string): Promise<FairnessReport | null> {
+  const rows = await sql`
+    SELECT * FROM match_fairness_snapshots
+    WHERE tenant_id = ${tenantId}
+      AND snapshot_date = (
+        SELECT MAX(snapshot_date) FROM match_fairness_snapshots WHERE tenant_id = ${tenantId}
+      )
+    ORDER BY cohort_type, student_count DESC
+  `;
+  if (rows.length === 0) return null;
+
+  const cohorts: CohortDrift[] = rows.map((r) => ({
+    cohortType: r.cohort_type as CohortType,
+    cohortValue: r.cohort_value as string,
+    students: Number(r.student_count),
+    pairs: Number(r.pair_count),
+    meanScore: Number(r.mean_score),
+    medianScore: Number(r.median_score),
+    histogram: (r.histogram as number[]) || [],
+    topKRate: Number(r.top_k_rate),
+    disparateImpact: r.disparate_impact != null ? Number(r.disparate_impact) : null,
+    previousMean: r.mean_delta != null ? round(Number(r.mean_score) - Number(r.mean_delta)) : null,
+    meanDelta: r.mean_delta != null ? Number(r.mean_delta) : null,
+    psi: r.psi != null ? Number(r.psi) : null,
+    flags: (r.flags as FairnessFlag[]) || [],
+  }));
+
+  const tenantRow = rows.find((r) => r.cohort_type === 'tenant');
+  const { k = DEFAULT_TOP_K, ...context } = (tenantRow?.context || {}) as FairnessChangeContext & { k?: number };
+
+  return {
+    tenantId,
+    snapshotDate: new Date(rows[0].snapshot_date as string).toISOString().split('T')[0],
+    k,
+    cohorts,
+    context,
+    alerts: cohorts.filter((c) => c.flags.includes('drift') || c.flags.includes('disparate_impact')).length,
+  };
+}
+
+/**
+ * Mean score, selection rate and flags per cohort per day, oldest first.
+ */
+export async function getFairnessHistory(
+  tenantId: string,
+  options: { days?: number; cohortType?: CohortType } = {}
+): Promise<{
+  snapshotDate: string;
+  cohortType: CohortType;
+  cohortValue: string;
+  students: number;
+  meanScore: number;
+  topKRate: number;
+  disparateImpact: number | null;
+  flags: FairnessFlag[];
+}[]> {
+  const { days = 90, cohortType = null } = options;
+  const rows = await sql`
+    SELECT snapshot_date, cohort_type, cohort_value, student_count, mean_score,
+           top_k_rate, disparate_impact, flags
+    FROM match_fairness_snapshots
+    WHERE tenant_id = ${tenantId}
+      AND snapshot_date >= CURRENT_DATE - ${days} * INTERVAL '1 day'
+      AND (${cohortType}::text IS NULL OR cohort_type = ${cohortType})
+    ORDER BY snapshot_date ASC, cohort_type, cohort_value
+  `;
+
+  return rows.map((r) => ({
+    snapshotDate: new Date(r.snapshot_date as string).toISOString().split('T')[0],
+    cohortType: r.cohort_type as CohortType,
+    cohortValue: r.cohort_value as string,
+    students: Number(r.student_count),
+    meanScore: Number(r.mean_score),
+    topKRate: Number(r.top_k_rate),
+    disparateImpact: r.disparate_impact != null ? Number(r.disparate_impact) : null,
+    flags: (r.flags as FairnessFlag[]) || [],
+  }));
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,240 @@
+/**
+ * ProveGround Match Engine™ — Mutual Fit
+ *
+ * Two-sided score: how well the student fits the listing (composite score)
+ * combined with how appealing the listing is to *this* student. Appeal
+ * starts from the listing's corporate attractiveness score and is shifted
+ * toward the student's revealed preferences — the categories, companies and
+ * work styles they have applied to, declined or rated before.
+ *
+ *   appeal = base · (1 − c) + preference · c
+ *   mutual = √(fit · appeal)
+ *
+ * where c grows with the size of the student's history. The geometric mean
+ * keeps a one-sided match (great fit, unappealing listing) low.
+ */
+
+import { sql } from '@/lib/db';
+import { computeAttractivenessScore } from './corporate';
+import type {
+  ListingData,
+  MutualFitResult,
+  StudentApplicationHistory,
+  StudentCompanyRating,
+  StudentPreferenceScore,
+} from './types';
+
+/** Maximum weight student history can take over the base attractiveness */
+const MAX_PREFERENCE_CONFIDENCE = 0.6;
+
+/** History size at which preference confidence saturates */
+const FULL_CONFIDENCE_HISTORY = 10;
+
+/** Statuses where the student said yes (applied, accepted or finished) */
+const POSITIVE_STATUSES = new Set(['pending', 'accepted', 'completed']);
+
+/** Statuses where the student said no */
+const NEGATIVE_STATUSES = new Set(['withdrawn', 'declined']);
+
+// ============================================================================
+// Preference Scoring
+// ============================================================================
+
+/**
+ * Score how well a listing matches the student's revealed preferences.
+ * Rejections by the company say nothing about the student and are ignored.
+ * Pure function — no DB calls.
+ */
+export function scoreStudentPreference(
+  history: StudentApplicationHistory[],
+  ratings: StudentCompanyRating[],
+  listing: Pick<ListingData, 'id' | 'authorId' | 'category' | 'isPaid' | 'remoteAllowed' | 'hoursPerWeek'>
+): StudentPreferenceScore {
+  const relevant = history.filter(
+    (h) => h.listingId !== listing.id && (POSITIVE_STATUSES.has(h.status) || NEGATIVE_STATUSES.has(h.status))
+  );
+  const positives = relevant.filter((h) => POSITIVE_STATUSES.has(h.status));
+  const withdrawals = relevant.length - positives.length;
+
+  // --- Category affinity: net yes/no share for this category ---
+  let categoryAffinity = 50;
+  const category = listing.category?.toLowerCase().trim();
+  if (category) {
+    const sameCategory = relevant.filter((h) => h.category?.toLowerCase().trim() === category);
+    if (sameCategory.length > 0) {
+      const yes = sameCategory.filter((h) => POSITIVE_STATUSES.has(h.status)).length;
+      categoryAffinity = Math.round((yes / sameCategory.length) * 100);
+    } else if (positives.length > 0) {
+      // Student has a track record, none of it in this category
+      categoryAffinity = 35;
+    }
+  }
+
+  // --- Company history: ratings given and past outcomes with this company ---
+  let companyHistory = 50;
+  const companyRatings = ratings.filter((r) => r.corporateId === listing.authorId);
+  const companyApps = relevant.filter((h) => h.authorId === listing.authorId);
+  if (companyRatings.length > 0) {
+    const avg = companyRatings.reduce((sum, r) => sum + r.rating, 0) / companyRatings.length;
+    companyHistory = Math.round(((avg - 1) / 4) * 100);
+  } else if (companyApps.length > 0) {
+    const completed = companyApps.filter((h) => h.status === 'completed').length;
+    const declined = companyApps.filter((h) => NEGATIVE_STATUSES.has(h.status)).length;
+    companyHistory = Math.min(100, Math.max(0, 50 + completed * 20 - declined * 25));
+  }
+
+  // --- Work style: paid, remote and hours compared with past yeses ---
+  let workStyle = 50;
+  if (positives.length > 0) {
+    const paidShare = positives.filter((h) => h.isPaid).length / positives.length;
+    const remoteShare = positives.filter((h) => h.remoteAllowed).length / positives.length;
+    const hours = positives.map((h) => h.hoursPerWeek).filter((h): h is number => h !== null && h > 0);
+    const avgHours = hours.length > 0 ? hours.reduce((a, b) => a + b, 0) / hours.length : null;
+
+    const paidMatch = listing.isPaid ? paidShare : 1 - paidShare;
+    const remoteMatch = listing.remoteAllowed ? 1 : 1 - remoteShare;
+    const hoursMatch = avgHours !== null && listing.hoursPerWeek
+      ? Math.max(0, 1 - Math.abs(listing.hoursPerWeek - avgHours) / Math.max(avgHours, listing.hoursPerWeek))
+      : 0.5;
+
+    workStyle = Math.round(((paidMatch + remoteMatch + hoursMatch) / 3) * 100);
+  }
+
+  // Company signals are strongest when present; otherwise category leads
+  const score = Math.round(categoryAffinity * 0.4 + companyHistory * 0.3 + workStyle * 0.3);
+  const historySize = relevant.length + companyRatings.length;
+
+  return {
+    score: Math.min(100, Math.max(0, score)),
+    confidence: MAX_PREFERENCE_CONFIDENCE * Math.min(1, historySize / FULL_CONFIDENCE_HISTORY),
+    details: {
+      categoryAffinity,
+      companyHistory,
+      workStyle,
+      applications: positives.length,
+      withdrawals,
+    },
+  };
+}
+
+/**
+ * Blend fit and appeal into the mutual score.
+ * Pure function — no DB calls.
+ */
+export function combineMutualScore(
+  studentFit: number,
+  baseAttractiveness: number,
+  preference: StudentPreferenceScore
+): { mutualScore: number; listingAppeal: number } {
+  const c = preference.confidence;
+  const listingAppeal = Math.round(baseAttractiveness * (1 - c) + preference.score * c);
+  const mutualScore = Math.round(Math.sqrt(Math.max(0, studentFit) * Math.max(0, listingAppeal)));
+  return { mutualScore: Math.min(100, mutualScore), listingAppeal };
+}
+
+// ============================================================================
+// Data Loading
+// ============================================================================
+
+export async function loadStudentApplicationHistory(
+  studentId: string
+): Promise<StudentApplicationHistory[]> {
+  const rows = await sql`
+    SELECT pa.listing_id, pa.status, l.category, l.author_id, l.is_paid,
+           l.remote_allowed, l.hours_per_week
+    FROM project_applications pa
+    JOIN listings l ON l.id = pa.listing_id
+    WHERE pa.student_id = ${studentId}
+    ORDER BY pa.created_at DESC
+    LIMIT 100
+  `;
+
+  return rows.map((r) => ({
+    listingId: r.listing_id as string,
+    status: r.status as string,
+    category: r.category as string | null,
+    authorId: r.author_id as string,
+    isPaid: Boolean(r.is_paid),
+    remoteAllowed: Boolean(r.remote_allowed),
+    hoursPerWeek: r.hours_per_week != null ? Number(r.hours_per_week) : null,
+  }));
+}
+
+export async function loadStudentCompanyRatings(
+  studentId: string
+): Promise<StudentCompanyRating[]> {
+  const rows = await sql`
+    SELECT corporate_id, rating
+    FROM corporate_ratings
+    WHERE student_id = ${studentId}
+  `;
+
+  return rows.map((r) => ({
+    corporateId: r.corporate_id as string,
+    rating: Number(r.rating),
+  }));
+}
+
+/**
+ * Cached attractiveness for a listing, computing it on a cache miss.
+ * Falls back to a neutral 50 when the listing cannot be scored.
+ */
+export async function loadBaseAttractiveness(listingId: string): Promise<number> {
+  const [cached] = await sql`
+    SELECT attractiveness_score
+    FROM corporate_attractiveness_scores
+    WHERE listing_id = ${listingId} AND is_stale = FALSE
+  `;
+  if (cached) return Number(cached.attractiveness_score);
+
+  const computed = await computeAttractivenessScore(listingId);
+  return computed ? computed.attractivenessScore : 50;
+}
+
+// ============================================================================
+// Mutual Scores
+// ============================================================================
+
+/**
+ * Mutual scores for a batch of pairs whose fit is already known.
+ * Student history and listing attractiveness are loaded once per id.
+ */
+export async function computeMutualScores(
+  pairs: { studentId: string; listing: ListingData; studentFit: number }[]
+): Promise<MutualFitResult[]> {
+  const histories = new Map<string, Promise<[StudentApplicationHistory[], StudentCompanyRating[]]>>();
+  const attractiveness = new Map<string, Promise<number>>();
+
+  const results: MutualFitResult[] = [];
+  for (const { studentId, listing, studentFit } of pairs) {
+    if (!histories.has(studentId)) {
+      histories.set(studentId, Promise.all([
+        loadStudentApplicationHistory(studentId),
+        loadStudentCompanyRatings(studentId),
+      ]));
+    }
+    if (!attractiveness.has(listing.id)) {
+      attractiveness.set(listing.id, loadBaseAttractiveness(listing.id));
+    }
+
+    const [[history, ratings], baseAttractiveness] = await Promise.all([
+      histories.get(studentId)!,
+      attractiveness.get(listing.id)!,
+    ]);
+
+    const preference = scoreStudentPreference(history, ratings, listing);
+    const { mutualScore, listingAppeal } = combineMutualScore(studentFit, baseAttractiveness, preference);
+
+    results.push({
+      studentId,
+      listingId: listing.id,
+      mutualScore,
+      studentFit,
+      listingAppeal,
+      baseAttractiveness,
+      preference,
+    });
+  }
+
+  return results;
+}
@@ -0,0 +1,250 @@
+/**
+ * ProveGround Match Engine™ — Recomputation Queue
+ *
+ * Event-driven, incremental recomputation. Writes that affect scoring
+ * enqueue only the cached student×listing pairs they touch; entries are
+ * deduplicated per pair (the higher priority wins) and a worker drains
+ * the queue continuously, retrying failures with exponential backoff.
+ */
+
+import { sql } from '@/lib/db';
+import type { QueueStats } from './types';
+
+/** Queue priorities (10 = highest) */
+export const RECOMPUTE_PRIORITY = {
+  manual: 10,
+  skill_change: 7,
+  schedule_change: 7,
+  profile_update: 6,
+  listing_update: 5,
+  rating: 4,
+  cron: 2,
+  version_upgrade: 1,
+} as const;
+
+export type RecomputeReason = keyof typeof RECOMPUTE_PRIORITY;
+
+/** Attempts before an entry is dead-lettered (failed_at set) */
+export const MAX_ATTEMPTS = 5;
+
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 3600;
+
+/** Claims older than this are assumed abandoned and retried */
+const CLAIM_TIMEOUT_MINUTES = 5;
+
+// ============================================================================
+// Enqueue
+// ============================================================================
+
+/**
+ * Queue every cached pair for a student (skills, schedule, rating changes).
+ * Returns the number of pairs queued or re-prioritised.
+ */
+export async function enqueueStudentPairs(
+  studentId: string,
+  reason: RecomputeReason
+): Promise<number> {
+  const priority = RECOMPUTE_PRIORITY[reason];
+  const rows = await sql`
+    INSERT INTO recomputation_queue (student_id, listing_id, tenant_id, reason, priority)
+    SELECT student_id, listing_id, tenant_id, ${reason}, ${priority}
+    FROM match_scores
+    WHERE student_id = ${studentId}
+    ON CONFLICT (pair_key) WHERE processed_at IS NULL AND failed_at IS NULL
+    DO UPDATE SET priority = GREATEST(recomputation_queue.priority, EXCLUDED.priority),
+                  next_attempt_at = LEAST(recomputation_queue.next_attempt_at, NOW())
+    RETURNING id
+  `;
+  return rows.length;
+}
+
+/**
+ * Queue every cached pair for a listing (skills, hours or dates changed).
+ * Returns the number of pairs queued or re-prioritised.
+ */
+export async function enqueueListingPairs(
+  listingId: string,
+  reason: RecomputeReason
+): Promise<number> {
+  const priority = RECOMPUTE_PRIORITY[reason];
+  const rows = await sql`
+    INSERT INTO recomputation_queue (student_id, listing_id, tenant_id, reason, priority)
+    SELECT student_id, listing_id, tenant_id, ${reason}, ${priority}
+    FROM match_scores
+    WHERE listing_id = ${listingId}
+    ON CONFLICT (pair_key) WHERE processed_at IS NULL AND failed_at IS NULL
+    DO UPDATE SET priority = GREATEST(recomputation_queue.priority, EXCLUDED.priority),
+                  next_attempt_at = LEAST(recomputation_queue.next_attempt_at, NOW())
+    RETURNING id
+  `;
+  return rows.length;
+}
+
+/**
+ * Queue a single pair.
+ */
+export async function enqueuePair(
+  studentId: string,
+  listingId: string,
+  tenantId: string | null,
+  reason: RecomputeReason
+): Promise<void> {
+  const priority = RECOMPUTE_PRIORITY[reason];
+  await sql`
+    INSERT INTO recomputation_queue (student_id, listing_id, tenant_id, reason, priority)
+    VALUES (${studentId}, ${listingId}, ${tenantId}, ${reason}, ${priority})
+    ON CONFLICT (pair_key) WHERE processed_at IS NULL AND failed_at IS NULL
+    DO UPDATE SET priority = GREATEST(recomputation_queue.priority, EXCLUDED.priority),
+                  next_attempt_at = LEAST(recomputation_queue.next_attempt_at, NOW())
+  `;
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+export interface QueueItem {
+  id: string;
+  studentId: string;
+  listingId: string | null;
+  tenantId: string | null;
+  reason: string;
+  attempts: number;
+}
+
+/**
+ * Claim up to `limit` ready entries, highest priority first.
+ * SKIP LOCKED lets several workers drain the queue concurrently.
+ */
+export async function claimQueueItems(limit: number): Promise<QueueItem[]> {
+  const rows = await sql`
+    UPDATE recomputation_queue rq
+    SET started_at = NOW()
+    FROM (
+      SELECT id FROM recomputation_queue
+      WHERE processed_at IS NULL
+        AND failed_at IS NULL
+        AND next_attempt_at <= NOW()
+        AND (started_at IS NULL OR started_at < NOW() - ${CLAIM_TIMEOUT_MINUTES} * INTERVAL '1 minute')
+      ORDER BY priority DESC, queued_at ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    ) claimed
+    WHERE rq.id = claimed.id
+    RETURNING rq.id, rq.student_id, rq.listing_id, rq.tenant_id, rq.reason, rq.attempts
+  `;
+
+  return rows.map((r) => ({
+    id: r.id as string,
+    studentId: r.student_id as string,
+    listingId: r.listing_id as string | null,
+    tenantId: r.tenant_id as string | null,
+    reason: r.reason as string,
+    attempts: Number(r.attempts),
+  }));
+}
+
+export async function completeQueueItem(id: string): Promise<void> {
+  await sql`
+    UPDATE recomputation_queue
+    SET processed_at = NOW(), attempts = attempts + 1, error = NULL
+    WHERE id = ${id}
+  `;
+}
+
+/**
+ * Record a failure: schedule a retry with exponential backoff, or
+ * dead-letter the entry once MAX_ATTEMPTS is reached.
+ */
+export async function failQueueItem(item: QueueItem, error: string): Promise<void> {
+  const attempts = item.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    await sql`
+      UPDATE recomputation_queue
+      SET attempts = ${attempts}, error = ${error}, failed_at = NOW(), started_at = NULL
+      WHERE id = ${item.id}
+    `;
+    return;
+  }
+
+  await sql`
+    UPDATE recomputation_queue
+    SET attempts = ${attempts},
+        error = ${error},
+        started_at = NULL,
+        next_attempt_at = NOW() + ${backoffSeconds(attempts)} * INTERVAL '1 second'
+    WHERE id = ${item.id}
+  `;
+}
+
+/**
+ * Delay before retry number `attempts` (30s, 60s, 120s, ... capped at 1h).
+ */
+export function backoffSeconds(attempts: number): number {
+  return Math.min(BACKOFF_MAX_SECONDS, BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+// ============================================================================
+// Stats
+// ============================================================================
+
+/**
+ * Queue depth and latency, optionally scoped to a tenant.
+ * Latency is queued → processed for entries processed in the last hour.
+ */
+export async function getQueueStats(tenantId: string | null = null): Promise<QueueStats> {
+  const [depth] = await sql`
+    SELECT
+      COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NULL) as pending,
+      COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NULL
+                         AND next_attempt_at <= NOW()
+                         AND started_at IS NULL) as ready,
+      COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NULL
+                         AND started_at IS NOT NULL) as in_flight,
+      COUNT(*) FILTER (WHERE processed_at IS NULL AND failed_at IS NULL
+                         AND next_attempt_at > NOW()) as backing_off,
+      COUNT(*) FILTER (WHERE failed_at IS NOT NULL AND processed_at IS NULL) as failed,
+      EXTRACT(EPOCH FROM NOW() - MIN(queued_at) FILTER (
+        WHERE processed_at IS NULL AND failed_at IS NULL
+      ))::integer as oldest_pending_seconds
+    FROM recomputation_queue
+    WHERE (${tenantId}::uuid IS NULL OR tenant_id = ${tenantId})
+  `;
+
+  const [latency] = await sql`
+    SELECT
+      COUNT(*) as processed,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (
+        ORDER BY EXTRACT(EPOCH FROM processed_at - queued_at)
+      ) as p50,
+      PERCENTILE_CONT(0.95) WITHIN GROUP (
+        ORDER BY EXTRACT(EPOCH FROM processed_at - queued_at)
+      ) as p95
+    FROM recomputation_queue
+    WHERE processed_at > NOW() - INTERVAL '1 hour'
+      AND (${tenantId}::uuid IS NULL OR tenant_id = ${tenantId})
+  `;
+
+  const byReason = await sql`
+    SELECT reason, COUNT(*) as count
+    FROM recomputation_queue
+    WHERE processed_at IS NULL AND failed_at IS NULL
+      AND (${tenantId}::uuid IS NULL OR tenant_id = ${tenantId})
+    GROUP BY reason
+    ORDER BY count DESC
+  `;
+
+  return {
+    pending: Number(depth?.pending || 0),
+    ready: Number(depth?.ready || 0),
+    inFlight: Number(depth?.in_flight || 0),
+    backingOff: Number(depth?.backing_off || 0),
+    failed: Number(depth?.failed || 0),
+    oldestPendingSeconds: depth?.oldest_pending_seconds != null ? Number(depth.oldest_pending_seconds) : null,
+    processedLastHour: Number(latency?.processed || 0),
+    latencyP50Seconds: latency?.p50 != null ? Math.round(Number(latency.p50)) : null,
+    latencyP95Seconds: latency?.p95 != null ? Math.round(Number(latency.p95)) : null,
+    pendingByReason: Object.fromEntries(byReason.map((r) => [r.reason as string, Number(r.count)])),
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * ProveGround Match Engine™ — Signal Registry
+ *
+ * Each signal declares its name, default weight, the data loaders it
+ * needs and a pure scorer. The composite scorer, config validation and
+ * admin API all work over whatever is registered, so adding a signal is
+ * a single registerSignal() call.
+ */
+
+import { BUILT_IN_SIGNALS } from './signals';
+import type {
+  SignalDefinition,
+  SignalDataLoader,
+  SignalName,
+  SignalWeights,
+  MatchEngineConfigData,
+} from './types';
+
+const signals = new Map<SignalName, SignalDefinition>(
+  BUILT_IN_SIGNALS.map((s) => [s.name, s])
+);
+
+const dataLoaders = new Map<string, SignalDataLoader>();
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register a signal. Throws if the name is already taken.
+ */
+export function registerSignal(definition: SignalDefinition): void {
+  if (signals.has(definition.name)) {
+    throw new Error(`Match signal "${definition.name}" is already registered`);
+  }
+  signals.set(definition.name, definition);
+}
+
+/**
+ * Register a named data loader that signals can list in `loaders`.
+ * Re-registering a name replaces the previous loader.
+ */
+export function registerDataLoader(name: string, loader: SignalDataLoader): void {
+  dataLoaders.set(name, loader);
+}
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * All registered signals, in registration order.
+ */
+export function getRegisteredSignals(): SignalDefinition[] {
+  return Array.from(signals.values());
+}
+
+export function getSignalNames(): SignalName[] {
+  return Array.from(signals.keys());
+}
+
+export function isRegisteredSignal(name: string): boolean {
+  return signals.has(name);
+}
+
+/**
+ * Default weights keyed by signal name.
+ */
+export function getDefaultWeights(): SignalWeights {
+  const weights: SignalWeights = {};
+  for (const s of Array.from(signals.values())) {
+    weights[s.name] = s.defaultWeight;
+  }
+  return weights;
+}
+
+/**
+ * Signals the tenant has not disabled.
+ */
+export function getEnabledSignals(config: Pick<MatchEngineConfigData, 'disabledSignals'>): SignalDefinition[] {
+  const disabled = new Set(config.disabledSignals || []);
+  return getRegisteredSignals().filter((s) => !disabled.has(s.name));
+}
+
+// ============================================================================
+// Data Loading
+// ============================================================================
+
+/**
+ * Run every loader required by the given signals (each loader once).
+ * Returns the results keyed by loader name.
+ */
+export async function runDataLoaders(
+  definitions: SignalDefinition[],
+  studentId: string,
+  listingId: string
+): Promise<Record<string, unknown>> {
+  const required = new Set<string>();
+  for (const def of definitions) {
+    for (const loader of def.loaders) required.add(loader);
+  }
+
+  const names = Array.from(required);
+  const results = await Promise.all(
+    names.map((name) => {
+      const loader = dataLoaders.get(name);
+      if (!loader) {
+        throw new Error(`Match signal data loader "${name}" is not registered`);
+      }
+      return loader(studentId, listingId);
+    })
+  );
+
+  const data: Record<string, unknown> = {};
+  names.forEach((name, i) => {
+    data[name] = results[i];
+  });
+  return data;
+}
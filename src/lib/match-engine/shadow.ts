@@ -0,0 +1,172 @@
+/**
+ * ProveGround Match Engine™ — Shadow Scoring
+ *
+ * Scores pairs with a candidate engine version next to the active one and
+ * records the result in match_score_history (change_reason 'shadow').
+ * Shadow scores are never served; they exist to diff rankings between
+ * versions before ENGINE_VERSION is bumped.
+ */
+
+import { sql } from '@/lib/db';
+import { ENGINE_VERSION } from './config';
+import { runDataLoaders } from './registry';
+import { recordShadowScore } from './cache';
+import type {
+  CompositeScore,
+  EngineVersionDefinition,
+  ListingRankingDiff,
+  ShadowComparison,
+  SignalContext,
+} from './types';
+
+const DEFAULT_TOP_K = 5;
+const MOST_CHANGED_LIMIT = 10;
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Score a pair with the given engine version.
+ * Reuses loader results already in `ctx.data` and runs only the missing ones.
+ */
+export async function scoreWithVersion(
+  definition: EngineVersionDefinition,
+  ctx: SignalContext,
+  studentId: string,
+  listingId: string
+): Promise<CompositeScore> {
+  const signals = definition.signals(ctx.config);
+  const missing = signals.filter((s) => s.loaders.some((l) => !(l in ctx.data)));
+  const data = missing.length > 0
+    ? { ...ctx.data, ...(await runDataLoaders(missing, studentId, listingId)) }
+    : ctx.data;
+
+  const results = signals.map((def) => def.score({ ...ctx, data }));
+  const composite = definition.aggregate(
+    results,
+    ctx.config.signalWeights,
+    signals.map((s) => s.name)
+  );
+  return { ...composite, version: definition.version };
+}
+
+/**
+ * Score a pair with a candidate version and record it against the cached score.
+ */
+export async function runShadowScore(
+  definition: EngineVersionDefinition,
+  matchScoreId: string,
+  active: CompositeScore,
+  ctx: SignalContext,
+  studentId: string,
+  listingId: string
+): Promise<CompositeScore> {
+  const shadow = await scoreWithVersion(definition, ctx, studentId, listingId);
+  await recordShadowScore(matchScoreId, active, shadow);
+  return shadow;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Diff active vs shadow rankings for a tenant, using the latest shadow score
+ * recorded for each pair.
+ */
+export async function compareShadowRankings(
+  tenantId: string,
+  shadowVersion: number,
+  k: number = DEFAULT_TOP_K
+): Promise<ShadowComparison> {
+  const rows = await sql`
+    SELECT DISTINCT ON (h.match_score_id)
+           ms.listing_id, ms.student_id, h.old_score, h.new_score
+    FROM match_score_history h
+    JOIN match_scores ms ON ms.id = h.match_score_id
+    WHERE ms.tenant_id = ${tenantId}
+      AND h.change_reason = 'shadow'
+      AND h.engine_version = ${shadowVersion}
+    ORDER BY h.match_score_id, h.changed_at DESC
+  `;
+
+  const byListing = new Map<string, { studentId: string; active: number; shadow: number }[]>();
+  for (const r of rows) {
+    const listingId = r.listing_id as string;
+    const group = byListing.get(listingId) || [];
+    group.push({
+      studentId: r.student_id as string,
+      active: Number(r.old_score),
+      shadow: Number(r.new_score),
+    });
+    byListing.set(listingId, group);
+  }
+
+  const diffs = Array.from(byListing.entries()).map(([listingId, scores]) =>
+    diffListingRanking(listingId, scores, k)
+  );
+
+  const mean = (values: number[]) =>
+    values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  return {
+    activeVersion: ENGINE_VERSION,
+    shadowVersion,
+    k,
+    pairs: rows.length,
+    listings: diffs.length,
+    meanRankCorrelation: round(mean(diffs.map((d) => d.rankCorrelation))),
+    meanTopKOverlap: round(mean(diffs.map((d) => d.topKOverlap))),
+    meanAbsScoreDelta: round(mean(diffs.map((d) => d.meanAbsScoreDelta))),
+    mostChanged: diffs
+      .sort((a, b) => a.rankCorrelation - b.rankCorrelation)
+      .slice(0, MOST_CHANGED_LIMIT),
+  };
+}
+
+/**
+ * Compare the active and shadow ranking of one listing's candidates.
+ * Pure function — no DB calls.
+ */
+export function diffListingRanking(
+  listingId: string,
+  scores: { studentId: string; active: number; shadow: number }[],
+  k: number = DEFAULT_TOP_K
+): ListingRankingDiff {
+  const n = scores.length;
+  const rank = (key: 'active' | 'shadow') => {
+    const order = [...scores].sort(
+      (a, b) => b[key] - a[key] || a.studentId.localeCompare(b.studentId)
+    );
+    return new Map(order.map((s, i) => [s.studentId, i]));
+  };
+  const activeRank = rank('active');
+  const shadowRank = rank('shadow');
+
+  let sumSquaredRankDiff = 0;
+  let sumAbsDelta = 0;
+  for (const s of scores) {
+    const d = activeRank.get(s.studentId)! - shadowRank.get(s.studentId)!;
+    sumSquaredRankDiff += d * d;
+    sumAbsDelta += Math.abs(s.active - s.shadow);
+  }
+
+  const topK = Math.min(k, n);
+  let overlap = 0;
+  for (const s of scores) {
+    if (activeRank.get(s.studentId)! < topK && shadowRank.get(s.studentId)! < topK) overlap++;
+  }
+
+  return {
+    listingId,
+    students: n,
+    rankCorrelation: n > 1 ? round(1 - (6 * sumSquaredRankDiff) / (n * (n * n - 1))) : 1,
+    topKOverlap: topK > 0 ? round(overlap / topK) : 1,
+    meanAbsScoreDelta: n > 0 ? round(sumAbsDelta / n) : 0,
+  };
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,64 @@
+/**
+ * ProveGround Match Engine™ — Built-in Signals
+ *
+ * Definitions for the six signals that ship with the engine.
+ * Seeded into the signal registry (registry.ts) at load time.
+ */
+
+import { scoreTemporalFit } from './temporal';
+import { scoreSkillsAlignment } from './skills';
+import { scoreSustainability } from './sustainability';
+import { scoreGrowthTrajectory } from './growth';
+import { scoreTrustReliability } from './trust';
+import { scoreNetworkAffinity } from './network';
+import type { SignalDefinition, AthleticTransferSkill } from '../types';
+
+export const BUILT_IN_SIGNALS: SignalDefinition[] = [
+  {
+    name: 'temporal',
+    label: 'Schedule Fit',
+    defaultWeight: 0.25,
+    loaders: [],
+    score: ({ student, listing }) => scoreTemporalFit(student, listing),
+  },
+  {
+    name: 'skills',
+    label: 'Skills',
+    defaultWeight: 0.30,
+    loaders: ['athleticTransfers'],
+    score: ({ student, listing, data }) =>
+      scoreSkillsAlignment(
+        student,
+        listing,
+        (data.athleticTransfers as AthleticTransferSkill[]) || []
+      ),
+  },
+  {
+    name: 'sustainability',
+    label: 'Workload Balance',
+    defaultWeight: 0.15,
+    loaders: [],
+    score: ({ student, listing }) => scoreSustainability(student, listing),
+  },
+  {
+    name: 'growth',
+    label: 'Career Growth',
+    defaultWeight: 0.10,
+    loaders: [],
+    score: ({ student, listing }) => scoreGrowthTrajectory(student, listing),
+  },
+  {
+    name: 'trust',
+    label: 'Track Record',
+    defaultWeight: 0.10,
+    loaders: [],
+    score: ({ student }) => scoreTrustReliability(student),
+  },
+  {
+    name: 'network',
+    label: 'Network',
+    defaultWeight: 0.10,
+    loaders: [],
+    score: ({ student, listing }) => scoreNetworkAffinity(student, listing),
+  },
+];
@@ -0,0 +1,132 @@
+/**
+ * ProveGround Match Engine™ — Simulation Sandbox
+ *
+ * Compares rankings produced by the live tenant config with those of a
+ * draft config over the same sample of students×listings. Both sides are
+ * scored in memory from identical inputs; nothing is written to
+ * match_scores, so admins can try weights before saving them.
+ */
+
+import { diffListingRanking } from './shadow';
+import type {
+  ListingSimulation,
+  ScoreDistribution,
+  SimulatedPair,
+  SimulatedStudentRank,
+  SimulationResult,
+} from './types';
+
+const DEFAULT_TOP_K = 5;
+const HISTOGRAM_BUCKETS = 10;
+const MOVERS_LIMIT = 5;
+
+/**
+ * Summarise live vs draft rankings for every listing in the sample.
+ * Pure function — no DB calls.
+ */
+export function simulateRankings(
+  pairs: SimulatedPair[],
+  k: number = DEFAULT_TOP_K,
+  truncated: boolean = false
+): SimulationResult {
+  const byListing = new Map<string, SimulatedPair[]>();
+  for (const pair of pairs) {
+    const group = byListing.get(pair.listingId) || [];
+    group.push(pair);
+    byListing.set(pair.listingId, group);
+  }
+
+  const listingResults = Array.from(byListing.entries()).map(([listingId, group]) =>
+    simulateListing(listingId, group, k)
+  );
+
+  const mean = (values: number[]) =>
+    values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  return {
+    k,
+    students: new Set(pairs.map((p) => p.studentId)).size,
+    listings: listingResults.length,
+    pairs: pairs.length,
+    truncated,
+    baseline: distribution(pairs.map((p) => p.baseline)),
+    draft: distribution(pairs.map((p) => p.draft)),
+    meanRankCorrelation: round(mean(listingResults.map((l) => l.rankCorrelation))),
+    meanTopKOverlap: round(mean(listingResults.map((l) => l.topKOverlap))),
+    meanAbsScoreDelta: round(mean(listingResults.map((l) => l.meanAbsScoreDelta))),
+    listingsWithTopKChanges: listingResults.filter((l) => l.entered.length > 0).length,
+    listingResults: listingResults.sort(
+      (a, b) => a.topKOverlap - b.topKOverlap || a.rankCorrelation - b.rankCorrelation
+    ),
+  };
+}
+
+function simulateListing(listingId: string, group: SimulatedPair[], k: number): ListingSimulation {
+  const diff = diffListingRanking(
+    listingId,
+    group.map((p) => ({ studentId: p.studentId, active: p.baseline, shadow: p.draft })),
+    k
+  );
+
+  // Same ordering (score desc, id asc on ties) as diffListingRanking
+  const rank = (key: 'baseline' | 'draft') => {
+    const order = [...group].sort(
+      (a, b) => b[key] - a[key] || a.studentId.localeCompare(b.studentId)
+    );
+    return new Map(order.map((p, i) => [p.studentId, i + 1]));
+  };
+  const baselineRank = rank('baseline');
+  const draftRank = rank('draft');
+
+  const ranks: SimulatedStudentRank[] = group.map((p) => ({
+    studentId: p.studentId,
+    studentName: p.studentName,
+    baselineRank: baselineRank.get(p.studentId)!,
+    draftRank: draftRank.get(p.studentId)!,
+    baselineScore: p.baseline,
+    draftScore: p.draft,
+  }));
+
+  return {
+    ...diff,
+    title: group[0]?.listingTitle || '',
+    entered: ranks
+      .filter((r) => r.draftRank <= k && r.baselineRank > k)
+      .sort((a, b) => a.draftRank - b.draftRank),
+    exited: ranks
+      .filter((r) => r.baselineRank <= k && r.draftRank > k)
+      .sort((a, b) => a.baselineRank - b.baselineRank),
+    movers: ranks
+      .filter((r) => r.baselineRank !== r.draftRank)
+      .sort((a, b) => Math.abs(b.baselineRank - b.draftRank) - Math.abs(a.baselineRank - a.draftRank))
+      .slice(0, MOVERS_LIMIT),
+  };
+}
+
+/**
+ * Mean, median and 10-point histogram of 0-100 scores.
+ * Pure function — no DB calls.
+ */
+export function distribution(scores: number[]): ScoreDistribution {
+  const histogram = new Array<number>(HISTOGRAM_BUCKETS).fill(0);
+  for (const score of scores) {
+    const bucket = Math.min(HISTOGRAM_BUCKETS - 1, Math.max(0, Math.floor(score / 10)));
+    histogram[bucket]++;
+  }
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length === 0
+    ? 0
+    : sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+  return {
+    mean: round(sorted.length > 0 ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0),
+    median: round(median),
+    histogram,
+  };
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,196 @@
+/**
+ * ProveGround Match Engine™ — Team Formation
+ *
+ * For listings that take several students (maxStudents > 1), proposes
+ * teams instead of individuals. Teams are grown greedily from each strong
+ * candidate, adding whoever raises the team score most, so members with
+ * complementary skills win over near-duplicates of the seed.
+ *
+ *   teamScore = 0.45 · skill coverage + 0.30 · schedule overlap
+ *             + 0.25 · mean individual composite score
+ */
+
+import type {
+  TeamCandidate,
+  TeamCoverage,
+  TeamProposal,
+  TeamScheduleOverlap,
+} from './types';
+
+const TEAM_WEIGHTS = { coverage: 0.45, schedule: 0.30, individual: 0.25 };
+
+/** Credit for a required skill covered only through an athletic transfer */
+const TRANSFER_CREDIT = 0.5;
+
+/** Seeds tried per proposal returned */
+const SEEDS_PER_PROPOSAL = 3;
+
+const DEFAULT_PROPOSALS = 3;
+
+// ============================================================================
+// Team Scoring
+// ============================================================================
+
+/**
+ * How much of skillsRequired the team covers between them.
+ * Pure function — no DB calls.
+ */
+export function scoreTeamCoverage(
+  members: TeamCandidate[],
+  skillsRequired: string[]
+): TeamCoverage {
+  const required = skillsRequired.map((s) => s.toLowerCase().trim());
+  const contributions: Record<string, string[]> = {};
+  const credit = new Map<string, number>();
+
+  for (const member of members) {
+    const direct = new Set(member.matchedSkills.map((s) => s.toLowerCase().trim()));
+    const transferred = new Set(
+      member.athleticTransferSkills.map((t) => t.professionalSkill.toLowerCase().trim())
+    );
+    contributions[member.studentId] = [];
+
+    for (const skill of required) {
+      const value = direct.has(skill) ? 1 : transferred.has(skill) ? TRANSFER_CREDIT : 0;
+      if (value === 0) continue;
+      contributions[member.studentId].push(skill);
+      credit.set(skill, Math.max(credit.get(skill) || 0, value));
+    }
+  }
+
+  const coveredSkills = required.filter((s) => credit.has(s));
+  const total = required.reduce((sum, s) => sum + (credit.get(s) || 0), 0);
+
+  return {
+    // No requirements: any team covers them
+    score: required.length > 0 ? Math.round((total / required.length) * 100) : 100,
+    coveredSkills,
+    missingSkills: required.filter((s) => !credit.has(s)),
+    contributions,
+  };
+}
+
+/**
+ * How well every member's availability meets the listing's weekly hours,
+ * window by window. Windows must cover the same date range for every member.
+ * Pure function — no DB calls.
+ */
+export function scoreTeamSchedule(
+  members: TeamCandidate[],
+  hoursPerWeek: number | null
+): TeamScheduleOverlap {
+  const windowCount = members.length > 0
+    ? Math.min(...members.map((m) => m.windows.length))
+    : 0;
+  if (windowCount === 0) {
+    return { score: 50, windows: [] };
+  }
+
+  const required = hoursPerWeek || 0;
+  const windows: TeamScheduleOverlap['windows'] = [];
+  let totalCredit = 0;
+
+  for (let i = 0; i < windowCount; i++) {
+    const minAvailableHours = Math.min(...members.map((m) => m.windows[i].availableHoursPerWeek));
+    const credit = required > 0
+      ? Math.min(1, minAvailableHours / required)
+      : minAvailableHours > 0 ? 1 : 0;
+    totalCredit += credit;
+
+    windows.push({
+      startDate: members[0].windows[i].startDate,
+      endDate: members[0].windows[i].endDate,
+      minAvailableHours,
+      allAvailable: minAvailableHours >= required,
+    });
+  }
+
+  return { score: Math.round((totalCredit / windowCount) * 100), windows };
+}
+
+/**
+ * Score a fixed team.
+ * Pure function — no DB calls.
+ */
+export function scoreTeam(
+  members: TeamCandidate[],
+  skillsRequired: string[],
+  hoursPerWeek: number | null
+): TeamProposal {
+  const coverage = scoreTeamCoverage(members, skillsRequired);
+  const scheduleOverlap = scoreTeamSchedule(members, hoursPerWeek);
+  const avgIndividualScore = members.length > 0
+    ? Math.round(members.reduce((sum, m) => sum + m.compositeScore, 0) / members.length)
+    : 0;
+
+  const teamScore = Math.round(
+    coverage.score * TEAM_WEIGHTS.coverage +
+    scheduleOverlap.score * TEAM_WEIGHTS.schedule +
+    avgIndividualScore * TEAM_WEIGHTS.individual
+  );
+
+  return {
+    members: members.map((m) => ({
+      studentId: m.studentId,
+      firstName: m.firstName,
+      lastName: m.lastName,
+      compositeScore: m.compositeScore,
+    })),
+    teamScore: Math.min(100, Math.max(0, teamScore)),
+    coverage,
+    scheduleOverlap,
+    avgIndividualScore,
+  };
+}
+
+// ============================================================================
+// Team Formation
+// ============================================================================
+
+/**
+ * Propose up to `limit` distinct teams of `size` from the candidate pool.
+ * Returns no proposals when the pool is smaller than the team.
+ * Pure function — no DB calls.
+ */
+export function formTeams(
+  candidates: TeamCandidate[],
+  skillsRequired: string[],
+  hoursPerWeek: number | null,
+  size: number,
+  limit: number = DEFAULT_PROPOSALS
+): TeamProposal[] {
+  if (size < 1 || candidates.length < size) return [];
+
+  const pool = [...candidates].sort((a, b) => b.compositeScore - a.compositeScore);
+  const seeds = pool.slice(0, limit * SEEDS_PER_PROPOSAL);
+  const proposals = new Map<string, TeamProposal>();
+
+  for (const seed of seeds) {
+    const team = [seed];
+
+    while (team.length < size) {
+      let best: TeamCandidate | null = null;
+      let bestScore = -Infinity;
+      for (const candidate of pool) {
+        if (team.includes(candidate)) continue;
+        const score = scoreTeam([...team, candidate], skillsRequired, hoursPerWeek).teamScore;
+        // Strict comparison keeps the higher-scored candidate on ties
+        if (score > bestScore) {
+          bestScore = score;
+          best = candidate;
+        }
+      }
+      if (!best) break;
+      team.push(best);
+    }
+
+    const key = team.map((m) => m.studentId).sort().join(',');
+    if (!proposals.has(key)) {
+      proposals.set(key, scoreTeam(team, skillsRequired, hoursPerWeek));
+    }
+  }
+
+  return Array.from(proposals.values())
+    .sort((a, b) => b.teamScore - a.teamScore || b.avgIndividualScore - a.avgIndividualScore)
+    .slice(0, limit);
+}
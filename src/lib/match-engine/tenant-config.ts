@@ -0,0 +1,50 @@
+/**
+ * ProveGround Match Engine™ — Tenant Config Loader
+ *
+ * Reads per-tenant overrides from match_engine_config and merges them
+ * with the tier defaults from config.ts.
+ */
+
+import { sql } from '@/lib/db';
+import { getTenantPlan } from '@/lib/tenant/features';
+import { resolveConfig, DEFAULT_CONFIG } from './config';
+import type { MatchEngineConfigData, SignalWeights } from './types';
+
+/**
+ * Load the resolved engine config for a tenant.
+ * Falls back to the default config when there is no tenant context.
+ */
+export async function loadTenantConfig(
+  tenantId: string | null
+): Promise<MatchEngineConfigData> {
+  if (!tenantId) return DEFAULT_CONFIG;
+
+  const [plan, rows] = await Promise.all([
+    getTenantPlan(tenantId),
+    sql`
+      SELECT signal_weights, min_score_threshold, max_results_per_query,
+             enable_athletic_transfer, enable_schedule_matching, config
+      FROM match_engine_config
+      WHERE tenant_id = ${tenantId}
+    `,
+  ]);
+
+  if (rows.length === 0) return resolveConfig(plan);
+
+  const row = rows[0];
+  const extra = (row.config || {}) as Record<string, unknown>;
+
+  return resolveConfig(plan, {
+    signalWeights: (row.signal_weights || DEFAULT_CONFIG.signalWeights) as SignalWeights,
+    disabledSignals: (extra.disabled_signals as string[]) || [],
+    minScoreThreshold: Number(row.min_score_threshold),
+    maxResultsPerQuery: row.max_results_per_query as number,
+    enableAthleticTransfer: row.enable_athletic_transfer as boolean,
+    enableScheduleMatching: row.enable_schedule_matching as boolean,
+    staleThresholdHours: (extra.stale_threshold_hours as number) || DEFAULT_CONFIG.staleThresholdHours,
+    batchSize: (extra.batch_size as number) || DEFAULT_CONFIG.batchSize,
+    shadowVersion: (extra.shadow_version as number) ?? null,
+    diversityReranking: (extra.diversity_reranking as boolean) ?? DEFAULT_CONFIG.diversityReranking,
+    diversityLambda: (extra.diversity_lambda as number) ?? DEFAULT_CONFIG.diversityLambda,
+  });
+}
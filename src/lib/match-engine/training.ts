@@ -0,0 +1,429 @@
+/**
+ * ProveGround Match Engine™ — Learning-to-Rank Trainer
+ *
+ * Offline, per-tenant fitting of the enabled signal weights against real
+ * outcomes: accepted/declined/completed applications plus explicit
+ * match_feedback ratings. The result is stored as a proposal in
+ * match_engine_config.config and only goes live when an admin promotes it.
+ *
+ * Method: pairwise logistic loss (RankNet style) within each listing,
+ * minimised with projected gradient descent on the weight simplex and an
+ * L2 pull toward the current weights so small datasets can't swing rankings.
+ */
+
+import { sql } from '@/lib/db';
+import { getEnabledSignals } from './registry';
+import { loadTenantConfig } from './tenant-config';
+import type {
+  SignalName,
+  SignalWeights,
+  TrainingExample,
+  RankingMetrics,
+  WeightProposal,
+} from './types';
+
+/** Relevance grade per application status (statuses not listed carry no label) */
+const STATUS_RELEVANCE: Record<string, number> = {
+  completed: 3,
+  accepted: 2,
+  rejected: 0,
+  declined: 0,
+};
+
+/** Relevance assumed for a pair that only has explicit feedback */
+const FEEDBACK_ONLY_BASE = 1;
+
+/** Every signal keeps at least this much weight */
+const MIN_WEIGHT = 0.02;
+
+/** Below this many ordered pairs the trainer won't propose anything */
+const MIN_TRAINING_PAIRS = 20;
+
+/** Upper bound on pairs per training run (keeps the fit well under a request timeout) */
+const MAX_TRAINING_PAIRS = 20000;
+
+/** Cut-off used for NDCG@k and acceptance-rate@k */
+const RANKING_K = 5;
+
+const ITERATIONS = 300;
+const LEARNING_RATE = 0.05;
+const SCORE_SCALE = 10; // sharpens the logistic on 0-1 score differences
+const REGULARIZATION = 0.5;
+
+// ============================================================================
+// Data
+// ============================================================================
+
+/**
+ * Load labelled student-listing pairs for a tenant.
+ * Only pairs with a decisive application status or explicit feedback are returned.
+ */
+export async function loadTrainingExamples(tenantId: string): Promise<TrainingExample[]> {
+  const rows = await sql`
+    SELECT ms.student_id, ms.listing_id, ms.signal_breakdown,
+           pa.status AS application_status,
+           fb.avg_rating
+    FROM match_scores ms
+    LEFT JOIN LATERAL (
+      SELECT status FROM project_applications
+      WHERE student_id = ms.student_id AND listing_id = ms.listing_id
+      ORDER BY updated_at DESC
+      LIMIT 1
+    ) pa ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT AVG(rating)::numeric(3,2) AS avg_rating
+      FROM match_feedback
+      WHERE student_id = ms.student_id AND listing_id = ms.listing_id
+    ) fb ON TRUE
+    WHERE ms.tenant_id = ${tenantId}
+      AND (pa.status IS NOT NULL OR fb.avg_rating IS NOT NULL)
+    LIMIT 5000
+  `;
+
+  const examples: TrainingExample[] = [];
+  for (const row of rows) {
+    const example = buildExample(row);
+    if (example) examples.push(example);
+  }
+  return examples;
+}
+
+function buildExample(row: Record<string, unknown>): TrainingExample | null {
+  const status = row.application_status as string | null;
+  const avgRating = row.avg_rating !== null && row.avg_rating !== undefined
+    ? Number(row.avg_rating)
+    : null;
+
+  const statusRelevance = status ? STATUS_RELEVANCE[status] : undefined;
+  if (statusRelevance === undefined && avgRating === null) return null;
+
+  // Explicit feedback nudges the label by up to ±1 grade
+  let relevance = statusRelevance ?? FEEDBACK_ONLY_BASE;
+  if (avgRating !== null) {
+    relevance += (avgRating - 3) * 0.5;
+  }
+
+  const breakdown = (row.signal_breakdown || {}) as Record<string, { score?: number }>;
+  const signalScores: Record<string, number> = {};
+  for (const [name, entry] of Object.entries(breakdown)) {
+    signalScores[name] = Number(entry?.score ?? 50);
+  }
+
+  return {
+    studentId: row.student_id as string,
+    listingId: row.listing_id as string,
+    signalScores,
+    relevance: Math.min(3, Math.max(0, relevance)),
+    accepted: status === 'accepted' || status === 'completed',
+  };
+}
+
+// ============================================================================
+// Fitting
+// ============================================================================
+
+/**
+ * Fit weights for the given signals with pairwise logistic loss.
+ * Returned weights cover `names` and sum to 1.0.
+ * Pure function — no DB calls.
+ */
+export function fitSignalWeights(
+  examples: TrainingExample[],
+  initialWeights: SignalWeights,
+  names: SignalName[] = Object.keys(initialWeights)
+): { weights: SignalWeights; pairs: number } {
+  const pairs = buildPairs(examples, names);
+  const anchor = names.map((n) => initialWeights[n] ?? 0);
+
+  if (pairs.length === 0) {
+    return { weights: toWeights(names, projectToSimplex(anchor, MIN_WEIGHT)), pairs: 0 };
+  }
+
+  let w = projectToSimplex(anchor, MIN_WEIGHT);
+
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    const grad = new Array(names.length).fill(0);
+
+    for (const [better, worse] of pairs) {
+      let diff = 0;
+      for (let i = 0; i < names.length; i++) {
+        diff += w[i] * (better[i] - worse[i]);
+      }
+      // d/dw log(1 + e^(-s·diff)) = -s · (x_better - x_worse) · σ(-s·diff)
+      const coeff = -SCORE_SCALE / (1 + Math.exp(SCORE_SCALE * diff));
+      for (let i = 0; i < names.length; i++) {
+        grad[i] += coeff * (better[i] - worse[i]);
+      }
+    }
+
+    for (let i = 0; i < names.length; i++) {
+      grad[i] = grad[i] / pairs.length + 2 * REGULARIZATION * (w[i] - anchor[i]);
+    }
+
+    w = projectToSimplex(
+      w.map((value, i) => value - LEARNING_RATE * grad[i]),
+      MIN_WEIGHT
+    );
+  }
+
+  return { weights: toWeights(names, w), pairs: pairs.length };
+}
+
+/**
+ * Ordered (better, worse) feature pairs within each listing.
+ * Features are signal scores scaled to 0-1.
+ */
+function buildPairs(examples: TrainingExample[], names: SignalName[]): [number[], number[]][] {
+  const pairs: [number[], number[]][] = [];
+
+  for (const group of Array.from(groupByListing(examples).values())) {
+    for (let a = 0; a < group.length; a++) {
+      for (let b = 0; b < group.length; b++) {
+        if (group[a].relevance <= group[b].relevance) continue;
+        if (pairs.length >= MAX_TRAINING_PAIRS) return pairs;
+        pairs.push([
+          names.map((n) => (group[a].signalScores[n] ?? 50) / 100),
+          names.map((n) => (group[b].signalScores[n] ?? 50) / 100),
+        ]);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Euclidean projection onto { w : Σw = 1, w_i ≥ floor }.
+ */
+function projectToSimplex(values: number[], floor: number): number[] {
+  const budget = 1 - floor * values.length;
+  const shifted = values.map((v) => v - floor);
+  const sorted = [...shifted].sort((a, b) => b - a);
+
+  let cumulative = 0;
+  let theta = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i];
+    const t = (cumulative - budget) / (i + 1);
+    if (sorted[i] - t > 0) theta = t;
+  }
+
+  return shifted.map((v) => Math.max(v - theta, 0) + floor);
+}
+
+/**
+ * Round to 3 decimals and absorb rounding drift in the largest weight
+ * so the result still passes validateWeights.
+ */
+function toWeights(names: SignalName[], values: number[]): SignalWeights {
+  const rounded = values.map((v) => Math.round(v * 1000) / 1000);
+  const drift = 1 - rounded.reduce((sum, v) => sum + v, 0);
+  const largest = rounded.indexOf(Math.max(...rounded));
+  rounded[largest] = Math.round((rounded[largest] + drift) * 1000) / 1000;
+
+  const weights: SignalWeights = {};
+  names.forEach((name, i) => {
+    weights[name] = rounded[i];
+  });
+  return weights;
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+/**
+ * Ranking quality of a weight set over labelled examples.
+ * Each listing is one ranked list; listings without any positive label are skipped.
+ * Pure function — no DB calls.
+ */
+export function evaluateRanking(
+  examples: TrainingExample[],
+  weights: SignalWeights,
+  names: SignalName[] = Object.keys(weights),
+  k: number = RANKING_K
+): RankingMetrics {
+  let ndcgSum = 0;
+  let acceptanceSum = 0;
+  let groups = 0;
+  let count = 0;
+
+  for (const group of Array.from(groupByListing(examples).values())) {
+    if (group.length < 2 || !group.some((e) => e.relevance > 0)) continue;
+
+    const scored = group
+      .map((e) => ({
+        e,
+        score: names.reduce((sum, n) => sum + (e.signalScores[n] ?? 50) * (weights[n] || 0), 0),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const ideal = [...group].sort((a, b) => b.relevance - a.relevance);
+    const dcg = discountedGain(scored.map((s) => s.e.relevance), k);
+    const idcg = discountedGain(ideal.map((e) => e.relevance), k);
+
+    const topK = scored.slice(0, k);
+    ndcgSum += idcg > 0 ? dcg / idcg : 0;
+    acceptanceSum += topK.filter((s) => s.e.accepted).length / topK.length;
+    groups++;
+    count += group.length;
+  }
+
+  return {
+    ndcg: groups > 0 ? round4(ndcgSum / groups) : 0,
+    acceptanceRateAtK: groups > 0 ? round4(acceptanceSum / groups) : 0,
+    k,
+    groups,
+    examples: count,
+  };
+}
+
+function discountedGain(relevances: number[], k: number): number {
+  let gain = 0;
+  for (let i = 0; i < Math.min(k, relevances.length); i++) {
+    gain += (Math.pow(2, relevances[i]) - 1) / Math.log2(i + 2);
+  }
+  return gain;
+}
+
+// ============================================================================
+// Orchestration
+// ============================================================================
+
+/**
+ * Train a weight proposal for a tenant and store it in match_engine_config.
+ * Does not change live weights — see promoteWeightProposal.
+ */
+export async function trainTenantWeights(tenantId: string): Promise<WeightProposal> {
+  const [config, examples] = await Promise.all([
+    loadTenantConfig(tenantId),
+    loadTrainingExamples(tenantId),
+  ]);
+  const currentWeights = config.signalWeights;
+  const names = getEnabledSignals(config).map((s) => s.name);
+
+  // Hold out ~20% of listings for evaluation when there are enough of them
+  const train: TrainingExample[] = [];
+  const holdout: TrainingExample[] = [];
+  for (const example of examples) {
+    (hashString(example.listingId) % 5 === 0 ? holdout : train).push(example);
+  }
+  const holdoutGroups = evaluateRanking(holdout, currentWeights, names).groups;
+  const useHoldout = holdoutGroups >= 3;
+  const fitSet = useHoldout ? train : examples;
+  const evalSet = useHoldout ? holdout : examples;
+
+  const { weights, pairs } = fitSignalWeights(fitSet, currentWeights, names);
+  const sufficient = pairs >= MIN_TRAINING_PAIRS;
+  // The fit is a simplex over the enabled signals only, so disabled ones are
+  // zeroed — the proposal then sums to 1.0 and is promoted exactly as fitted
+  const disabled: SignalWeights = {};
+  for (const name of Object.keys(currentWeights)) {
+    if (!names.includes(name)) disabled[name] = 0;
+  }
+  const proposedWeights = sufficient ? { ...disabled, ...weights } : { ...currentWeights };
+
+  const before = evaluateRanking(evalSet, currentWeights, names);
+  const after = evaluateRanking(evalSet, proposedWeights, names);
+
+  const proposal: WeightProposal = {
+    status: sufficient ? 'proposed' : 'insufficient_data',
+    currentWeights,
+    proposedWeights,
+    before,
+    after,
+    acceptanceLift: before.acceptanceRateAtK > 0
+      ? round4((after.acceptanceRateAtK - before.acceptanceRateAtK) / before.acceptanceRateAtK)
+      : 0,
+    evaluatedOn: useHoldout ? 'holdout' : 'training',
+    trainingPairs: pairs,
+    trainedAt: new Date().toISOString(),
+  };
+
+  await saveProposal(tenantId, proposal);
+  return proposal;
+}
+
+/**
+ * Get the latest stored weight proposal for a tenant.
+ */
+export async function getWeightProposal(tenantId: string): Promise<WeightProposal | null> {
+  const [row] = await sql`
+    SELECT config->'weight_proposal' AS proposal
+    FROM match_engine_config
+    WHERE tenant_id = ${tenantId}
+  `;
+  return (row?.proposal as WeightProposal | null) || null;
+}
+
+/**
+ * Promote a pending proposal to the live signal weights.
+ * Marks the tenant's cached scores stale so they're recomputed with the new weights.
+ * Returns null if there is no pending proposal.
+ */
+export async function promoteWeightProposal(
+  tenantId: string,
+  promotedBy: string
+): Promise<{ proposal: WeightProposal; scoresMarkedStale: number } | null> {
+  const proposal = await getWeightProposal(tenantId);
+  if (!proposal || proposal.status !== 'proposed') return null;
+
+  const promoted: WeightProposal = {
+    ...proposal,
+    status: 'promoted',
+    promotedAt: new Date().toISOString(),
+    promotedBy,
+  };
+
+  await sql`
+    UPDATE match_engine_config
+    SET signal_weights = ${JSON.stringify(proposal.proposedWeights)}::jsonb,
+        config = config || jsonb_build_object('weight_proposal', ${JSON.stringify(promoted)}::jsonb),
+        updated_at = NOW()
+    WHERE tenant_id = ${tenantId}
+  `;
+
+  const result = await sql`
+    UPDATE match_scores SET is_stale = TRUE, updated_at = NOW()
+    WHERE tenant_id = ${tenantId} AND is_stale = FALSE
+  `;
+
+  return { proposal: promoted, scoresMarkedStale: result.count };
+}
+
+async function saveProposal(tenantId: string, proposal: WeightProposal): Promise<void> {
+  const json = JSON.stringify(proposal);
+  await sql`
+    INSERT INTO match_engine_config (tenant_id, config)
+    VALUES (${tenantId}, jsonb_build_object('weight_proposal', ${json}::jsonb))
+    ON CONFLICT (tenant_id) DO UPDATE
+    SET config = match_engine_config.config || jsonb_build_object('weight_proposal', ${json}::jsonb),
+        updated_at = NOW()
+  `;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function groupByListing(examples: TrainingExample[]): Map<string, TrainingExample[]> {
+  const groups = new Map<string, TrainingExample[]>();
+  for (const example of examples) {
+    const group = groups.get(example.listingId) || [];
+    group.push(example);
+    groups.set(example.listingId, group);
+  }
+  return groups;
+}
+
+function hashString(value: string): number {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+function round4(value: number): number {
+  return Math.round(value * 10000) / 10000;
+}
@@ -2,11 +2,16 @@
  * ProveGround Match Engine™ — Type Definitions
  */
 
+import type { AvailabilityWindow } from './availability';
+
 // ============================================================================
 // Signal Types
 // ============================================================================
 
-export type SignalName = 'temporal' | 'skills' | 'sustainability' | 'growth' | 'trust' | 'network';
+/** Signals that ship with the engine — more can be added via registerSignal (registry.ts) */
+export type BuiltInSignalName = 'temporal' | 'skills' | 'sustainability' | 'growth' | 'trust' | 'network';
+
+export type SignalName = BuiltInSignalName | (string & {});
 
 export interface SignalResult {
   signal: SignalName;
@@ -14,13 +19,28 @@ export interface SignalResult {
   details: Record<string, unknown>;
 }
 
-export interface SignalWeights {
-  temporal: number;
-  skills: number;
-  sustainability: number;
-  growth: number;
-  trust: number;
-  network: number;
+/** Weight per registered signal (enabled weights must sum to 1.0) */
+export type SignalWeights = Record<string, number>;
+
+/** Everything a scorer can see — base data plus the output of its declared loaders */
+export interface SignalContext {
+  student: StudentData;
+  listing: ListingData;
+  config: MatchEngineConfigData;
+  data: Record<string, unknown>;
+}
+
+/** Loads extra data for a student-listing pair (e.g. athletic transfers) */
+export type SignalDataLoader = (studentId: string, listingId: string) => Promise<unknown>;
+
+export interface SignalDefinition {
+  name: SignalName;
+  label: string;
+  defaultWeight: number;
+  /** Names of data loaders whose results must be in SignalContext.data */
+  loaders: string[];
+  /** Pure scorer — no DB calls */
+  score: (ctx: SignalContext) => SignalResult;
 }
 
 // ============================================================================
@@ -29,7 +49,7 @@ export interface SignalWeights {
 
 export interface CompositeScore {
   score: number; // 0-100
-  signals: Record<SignalName, { score: number; weight: number; details: Record<string, unknown> }>;
+  signals: Record<string, { score: number; weight: number; details: Record<string, unknown> }>;
   computedAt: string;
   version: number;
 }
@@ -43,6 +63,8 @@ export interface MatchResult {
   matchedSkills: string[];
   missingSkills: string[];
   athleticTransferSkills: AthleticTransferSkill[];
+  /** Likelihood of a mutual yes (0-100), set when sorting by mutual fit */
+  mutualScore?: number;
 }
 
 export interface StudentMatchResult {
@@ -51,11 +73,18 @@ export interface StudentMatchResult {
   lastName: string;
   email: string;
   university: string | null;
+  major: string | null;
+  graduationYear: number | null;
+  sport: string | null;
   compositeScore: number;
+  /** 1-based position in the pure score ordering (differs from list position when diversified) */
+  scoreRank: number;
   signals: CompositeScore['signals'];
   matchedSkills: string[];
   missingSkills: string[];
   athleticTransferSkills: AthleticTransferSkill[];
+  /** Likelihood of a mutual yes (0-100), set when sorting by mutual fit */
+  mutualScore?: number;
 }
 
 // ============================================================================
@@ -170,12 +199,20 @@ export interface AthleticTransferSkill {
 
 export interface MatchEngineConfigData {
   signalWeights: SignalWeights;
+  /** Registered signals this tenant has switched off */
+  disabledSignals: SignalName[];
   minScoreThreshold: number;
   maxResultsPerQuery: number;
   enableAthleticTransfer: boolean;
   enableScheduleMatching: boolean;
   staleThresholdHours: number;
   batchSize: number;
+  /** Candidate engine version scored in shadow mode alongside the active one */
+  shadowVersion: number | null;
+  /** Re-rank corporate candidate lists for variety by default */
+  diversityReranking: boolean;
+  /** MMR trade-off: 1 = pure score order, 0 = pure variety */
+  diversityLambda: number;
 }
 
 // ============================================================================
@@ -193,3 +230,347 @@ export interface CachedMatchScore {
   version: number;
   computedAt: string;
 }
+
+// ============================================================================
+// Learning-to-Rank
+// ============================================================================
+
+/** One labelled student-listing pair used to fit signal weights */
+export interface TrainingExample {
+  studentId: string;
+  listingId: string;
+  /** Per-signal scores (0-100) from the cached breakdown */
+  signalScores: Record<string, number>;
+  /** Graded relevance (0 = rejected/declined … 3 = completed) */
+  relevance: number;
+  /** Whether the application was accepted or completed */
+  accepted: boolean;
+}
+
+export interface RankingMetrics {
+  ndcg: number; // 0-1, mean NDCG@k across listings
+  acceptanceRateAtK: number; // 0-1, share of top-k that were accepted/completed
+  k: number;
+  groups: number;
+  examples: number;
+}
+
+export interface WeightProposal {
+  status: 'proposed' | 'promoted' | 'insufficient_data';
+  currentWeights: SignalWeights;
+  proposedWeights: SignalWeights;
+  before: RankingMetrics;
+  after: RankingMetrics;
+  /** Relative change in acceptance-rate@k (0.12 = +12%) */
+  acceptanceLift: number;
+  evaluatedOn: 'holdout' | 'training';
+  trainingPairs: number;
+  trainedAt: string;
+  promotedAt?: string;
+  promotedBy?: string;
+}
+
+// ============================================================================
+// Engine Versions & Shadow Scoring
+// ============================================================================
+
+export interface EngineVersionDefinition {
+  version: number;
+  description: string;
+  /** Signals this version scores, given the tenant config */
+  signals: (config: MatchEngineConfigData) => SignalDefinition[];
+  /** Aggregate signal results into a composite score */
+  aggregate: (
+    signals: SignalResult[],
+    weights: SignalWeights,
+    signalNames: SignalName[]
+  ) => CompositeScore;
+}
+
+export interface ListingRankingDiff {
+  listingId: string;
+  students: number;
+  /** Spearman rank correlation between active and shadow rankings (-1..1) */
+  rankCorrelation: number;
+  /** Share of the active top-K that is also in the shadow top-K (0..1) */
+  topKOverlap: number;
+  meanAbsScoreDelta: number;
+}
+
+export interface ShadowComparison {
+  activeVersion: number;
+  shadowVersion: number;
+  k: number;
+  pairs: number;
+  listings: number;
+  meanRankCorrelation: number;
+  meanTopKOverlap: number;
+  meanAbsScoreDelta: number;
+  /** Listings whose rankings moved the most, worst first */
+  mostChanged: ListingRankingDiff[];
+}
+
+// ============================================================================
+// Counterfactual Explanations
+// ============================================================================
+
+export type CounterfactualActionType =
+  | 'add_skill'
+  | 'raise_proficiency'
+  | 'increase_hours'
+  | 'clear_schedule_block'
+  | 'clear_travel_conflict';
+
+export interface CounterfactualAction {
+  type: CounterfactualActionType;
+  /** Short student-facing instruction, e.g. "Add the skill python" */
+  label: string;
+  /** Skill name, hours or schedule entry the action applies to */
+  target: string;
+  scoreBefore: number;
+  scoreAfter: number;
+  delta: number;
+  /** Per-signal score change (only signals that moved) */
+  signalDeltas: Record<string, number>;
+}
+
+// ============================================================================
+// Recomputation Queue
+// ============================================================================
+
+export interface QueueStats {
+  /** Open entries (not processed, not dead-lettered) */
+  pending: number;
+  ready: number;
+  inFlight: number;
+  backingOff: number;
+  /** Dead-lettered after exhausting retries */
+  failed: number;
+  oldestPendingSeconds: number | null;
+  processedLastHour: number;
+  latencyP50Seconds: number | null;
+  latencyP95Seconds: number | null;
+  pendingByReason: Record<string, number>;
+}
+
+export interface QueueRunResult {
+  processed: number;
+  failed: number;
+  claimed: number;
+  durationMs: number;
+}
+
+// ============================================================================
+// Mutual Fit
+// ============================================================================
+
+export interface StudentApplicationHistory {
+  listingId: string;
+  status: string;
+  category: string | null;
+  authorId: string;
+  isPaid: boolean;
+  remoteAllowed: boolean;
+  hoursPerWeek: number | null;
+}
+
+export interface StudentCompanyRating {
+  corporateId: string;
+  rating: number;
+}
+
+export interface StudentPreferenceScore {
+  /** 0-100: how well the listing matches what this student has gone for before */
+  score: number;
+  /** 0-1: how much history backs the preference */
+  confidence: number;
+  details: {
+    categoryAffinity: number;
+    companyHistory: number;
+    workStyle: number;
+    applications: number;
+    withdrawals: number;
+  };
+}
+
+export interface MutualFitResult {
+  studentId: string;
+  listingId: string;
+  /** Geometric mean of studentFit and listingAppeal (0-100) */
+  mutualScore: number;
+  /** Student → listing composite score */
+  studentFit: number;
+  /** Listing → student: attractiveness personalised by the student's history */
+  listingAppeal: number;
+  baseAttractiveness: number;
+  preference: StudentPreferenceScore;
+}
+
+// ============================================================================
+// Simulation Sandbox
+// ============================================================================
+
+/** One student×listing pair scored under the live and the draft config */
+export interface SimulatedPair {
+  studentId: string;
+  studentName: string;
+  listingId: string;
+  listingTitle: string;
+  baseline: number;
+  draft: number;
+}
+
+export interface SimulatedStudentRank {
+  studentId: string;
+  studentName: string;
+  baselineRank: number;
+  draftRank: number;
+  baselineScore: number;
+  draftScore: number;
+}
+
+export interface ListingSimulation extends ListingRankingDiff {
+  title: string;
+  /** Students who move into the top-N under the draft config */
+  entered: SimulatedStudentRank[];
+  /** Students who drop out of the top-N under the draft config */
+  exited: SimulatedStudentRank[];
+  /** Largest rank changes, either direction */
+  movers: SimulatedStudentRank[];
+}
+
+export interface ScoreDistribution {
+  mean: number;
+  median: number;
+  /** Counts per 10-point bucket: [0-9, 10-19, ..., 90-100] */
+  histogram: number[];
+}
+
+export interface SimulationResult {
+  k: number;
+  students: number;
+  listings: number;
+  pairs: number;
+  /** True when the time budget ran out before every pair was scored */
+  truncated: boolean;
+  baseline: ScoreDistribution;
+  draft: ScoreDistribution;
+  meanRankCorrelation: number;
+  meanTopKOverlap: number;
+  meanAbsScoreDelta: number;
+  /** Listings whose top-N membership changes */
+  listingsWithTopKChanges: number;
+  /** Every listing in the sample, most changed first */
+  listingResults: ListingSimulation[];
+}
+
+// ============================================================================
+// Team Formation
+// ============================================================================
+
+export interface TeamCandidate {
+  studentId: string;
+  firstName: string;
+  lastName: string;
+  compositeScore: number;
+  /** Required skills (lowercased) the student matches directly */
+  matchedSkills: string[];
+  athleticTransferSkills: AthleticTransferSkill[];
+  /** Windows over the listing's date range, from getAvailabilityWindows */
+  windows: AvailabilityWindow[];
+}
+
+export interface TeamCoverage {
+  /** 0-100: share of skillsRequired covered by at least one member */
+  score: number;
+  coveredSkills: string[];
+  missingSkills: string[];
+  /** Required skills each member brings, by studentId */
+  contributions: Record<string, string[]>;
+}
+
+export interface TeamScheduleOverlap {
+  /** 0-100: how well every member's availability meets the listing's hours, window by window */
+  score: number;
+  windows: {
+    startDate: string;
+    endDate: string;
+    /** Hours per week the least available member has */
+    minAvailableHours: number;
+    allAvailable: boolean;
+  }[];
+}
+
+export interface TeamProposal {
+  members: {
+    studentId: string;
+    firstName: string;
+    lastName: string;
+    compositeScore: number;
+  }[];
+  /** Blend of coverage, schedule overlap and mean individual score (0-100) */
+  teamScore: number;
+  coverage: TeamCoverage;
+  scheduleOverlap: TeamScheduleOverlap;
+  avgIndividualScore: number;
+}
+
+// ============================================================================
+// Drift & Fairness Monitoring
+// ============================================================================
+
+/** Protected-proxy cohorts; 'tenant' is the whole tenant */
+export type CohortType = 'tenant' | 'institution' | 'sport' | 'class_year';
+
+export type FairnessFlag = 'drift' | 'disparate_impact' | 'small_sample';
+
+export interface MonitoredPair {
+  studentId: string;
+  listingId: string;
+  score: number;
+  institution: string | null;
+  sport: string | null;
+  classYear: number | null;
+}
+
+export interface CohortStats {
+  cohortType: CohortType;
+  cohortValue: string;
+  students: number;
+  pairs: number;
+  meanScore: number;
+  medianScore: number;
+  /** Counts per 10-point bucket: [0-9, 10-19, ..., 90-100] */
+  histogram: number[];
+  /** Share of the cohort's pairs that rank in their listing's top K */
+  topKRate: number;
+  /** topKRate over the best-treated cohort of the same type; null when the sample is too small */
+  disparateImpact: number | null;
+}
+
+export interface CohortDrift extends CohortStats {
+  previousMean: number | null;
+  meanDelta: number | null;
+  /** Population stability index against the previous snapshot */
+  psi: number | null;
+  flags: FairnessFlag[];
+}
+
+export interface FairnessChangeContext {
+  previousSnapshotAt: string | null;
+  configUpdatedAt: string | null;
+  configChangedSincePrevious: boolean;
+  engineVersion: number;
+  /** match_score_history entries since the previous snapshot, by change_reason */
+  scoreChangesByReason: Record<string, number>;
+}
+
+export interface FairnessReport {
+  tenantId: string;
+  snapshotDate: string;
+  k: number;
+  cohorts: CohortDrift[];
+  context: FairnessChangeContext;
+  /** Cohorts with at least one drift or disparate-impact flag */
+  alerts: number;
+}
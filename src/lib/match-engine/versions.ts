@@ -0,0 +1,53 @@
+/**
+ * ProveGround Match Engine™ — Engine Versions
+ *
+ * Each engine version pairs a signal set with an aggregation step.
+ * The active version (ENGINE_VERSION) serves and caches scores; any other
+ * registered version can run in shadow mode so its rankings can be
+ * compared before the active version is bumped.
+ */
+
+import { ENGINE_VERSION } from './config';
+import { computeCompositeScore } from './composite';
+import { getEnabledSignals } from './registry';
+import type { EngineVersionDefinition } from './types';
+
+const versions = new Map<number, EngineVersionDefinition>([
+  [
+    ENGINE_VERSION,
+    {
+      version: ENGINE_VERSION,
+      description: 'Weighted composite over the enabled registered signals',
+      signals: (config) => getEnabledSignals(config),
+      aggregate: computeCompositeScore,
+    },
+  ],
+]);
+
+/**
+ * Register a candidate engine version. Throws if the version number is taken.
+ */
+export function registerEngineVersion(definition: EngineVersionDefinition): void {
+  if (versions.has(definition.version)) {
+    throw new Error(`Match engine version ${definition.version} is already registered`);
+  }
+  versions.set(definition.version, definition);
+}
+
+export function getEngineVersion(version: number): EngineVersionDefinition | null {
+  return versions.get(version) || null;
+}
+
+/**
+ * All registered versions, lowest first.
+ */
+export function getEngineVersions(): EngineVersionDefinition[] {
+  return Array.from(versions.values()).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * The active version's definition.
+ */
+export function getActiveEngineVersion(): EngineVersionDefinition {
+  return versions.get(ENGINE_VERSION)!;
+}
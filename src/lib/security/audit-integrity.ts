@@ -0,0 +1,687 @@
+/**
+ * Audit Log Integrity, Export & Retention
+ *
+ * audit_log entries are hash-chained per tenant by a database trigger
+ * (migration 031): each entry stores the hash of the previous one, and its
+ * own hash is an HMAC over the canonical row. This module:
+ *
+ * - verifies a chain — recomputing every hash in SQL with the same function
+ *   the trigger used — and reports modified, missing or re-linked entries
+ * - exports filtered entries as NDJSON, hashes included, for offline checks
+ * - applies per-tenant retention: entries past the window are verified,
+ *   archived as gzipped NDJSON, then removed from the live log; the chain
+ *   head records where the live log resumes so verification still works
+ * - keeps a copy of each chain head outside the database (Redis, plus the
+ *   [AUDIT] stdout line for the log drain). Someone with database access
+ *   could delete the newest entries and roll audit_log_chains back to
+ *   match; verification compares against this copy to catch that
+ *
+ * Chains are keyed by tenant ID, or 'platform' for users without a tenant.
+ */
+
+import { createHash } from 'crypto';
+import { gzipSync } from 'zlib';
+import { NextResponse } from 'next/server';
+import { sql, withTransaction } from '@/lib/db';
+import { getRedis, isRedisAvailable } from '@/lib/redis';
+import type { Session } from '@/lib/auth/types';
+
+export const PLATFORM_CHAIN = 'platform';
+export const DEFAULT_RETENTION_DAYS = 2555; // 7 years, as stated in our HECVAT answers
+export const MIN_RETENTION_DAYS = 90;
+export const MAX_RETENTION_DAYS = 3650;
+
+const MAX_REPORTED_ISSUES = 100;
+const ARCHIVE_BATCH_SIZE = 5000;
+const MAX_BATCHES_PER_RUN = 20;
+const EXPORT_CURSOR_SIZE = 500;
+const RECORDED_HEADS_KEPT = 20;
+
+export interface AuditLogFilters {
+  chainKey?: string;
+  action?: string;
+  userId?: string;
+  q?: string; // matches user name/email, resource or resource ID
+  from?: Date;
+  to?: Date;
+}
+
+export type AuditChainIssueType =
+  | 'modified'       // entry hash doesn't match its contents
+  | 'missing'        // sequence gap — entries deleted
+  | 'broken_link'    // prev_hash doesn't match the previous entry
+  | 'truncated_head' // live log doesn't resume where the last archive ended
+  | 'truncated_tail'; // newest entries removed, or chain head altered
+
+export interface AuditChainIssue {
+  type: AuditChainIssueType;
+  seq: number;
+  entryId?: string;
+  detail: string;
+}
+
+export interface AuditChainReport {
+  chainKey: string;
+  tenantId: string | null;
+  tenantName: string | null;
+  verified: boolean;
+  entriesChecked: number;
+  firstSeq: number | null;
+  lastSeq: number | null;
+  archivedThroughSeq: number;
+  recordedHeadSeq: number | null; // newest head recorded outside the database
+  issues: AuditChainIssue[];
+  checkedAt: Date;
+}
+
+export interface AuditRetentionSetting {
+  chainKey: string;
+  tenantId: string | null;
+  tenantName: string | null;
+  retentionDays: number;
+  isDefault: boolean;
+  liveEntries: number;
+  oldestEntryAt: Date | null;
+  archivedThroughSeq: number;
+  updatedAt: Date | null;
+}
+
+export interface AuditArchiveInfo {
+  id: string;
+  chainKey: string;
+  tenantId: string | null;
+  fromSeq: number;
+  toSeq: number;
+  entryCount: number;
+  oldestAt: Date;
+  newestAt: Date;
+  contentSha256: string;
+  sizeBytes: number;
+  createdAt: Date;
+}
+
+export function chainKeyFor(tenantId: string | null): string {
+  return tenantId || PLATFORM_CHAIN;
+}
+
+function hmacKey(): string | null {
+  return process.env.AUDIT_LOG_HMAC_KEY || null;
+}
+
+// ---------- Recorded chain heads ----------
+
+const recordedHeads = new Map<string, { seq: number; hash: string }>();
+
+/**
+ * Record a chain head outside the database after an entry commits.
+ * Synchronous — the Redis copy is written in the background.
+ */
+export function recordChainHead(chainKey: string, seq: number, hash: string): void {
+  const local = recordedHeads.get(chainKey);
+  if (!local || seq > local.seq) recordedHeads.set(chainKey, { seq, hash });
+
+  if (!isRedisAvailable()) return;
+  try {
+    const redis = getRedis();
+    const key = `audit:head:${chainKey}`;
+    redis
+      .zadd(key, seq, `${seq}:${hash}`)
+      .then(() => redis.zremrangebyrank(key, 0, -(RECORDED_HEADS_KEPT + 1)))
+      .catch(() => {
+        // Swallow — the log drain line still has it
+      });
+  } catch {
+    // Swallow
+  }
+}
+
+/** Newest recorded head for a chain, across dynos when Redis is available. */
+async function getRecordedChainHead(chainKey: string): Promise<{ seq: number; hash: string } | null> {
+  let head = recordedHeads.get(chainKey) ?? null;
+
+  if (isRedisAvailable()) {
+    try {
+      const [member] = await getRedis().zrange(`audit:head:${chainKey}`, -1, -1);
+      if (member) {
+        const [seq, hash] = member.split(':');
+        if (!head || Number(seq) > head.seq) head = { seq: Number(seq), hash };
+      }
+    } catch {
+      // Fall back to this process's copy
+    }
+  }
+
+  return head;
+}
+
+// ---------- Access ----------
+
+/**
+ * Resolve which chain the caller may see. Platform admins may look at any
+ * chain (or all, when none is requested); educational admins only at their
+ * own tenant's. Throws a 403 NextResponse otherwise.
+ */
+export function getAuditScope(session: Session, requestedChainKey?: string | null): string | undefined {
+  if (session.data.role === 'admin') {
+    return requestedChainKey || undefined;
+  }
+
+  if (session.data.role === 'educational_admin' && session.data.tenantId) {
+    const own = chainKeyFor(session.data.tenantId);
+    if (requestedChainKey && requestedChainKey !== own) {
+      throw NextResponse.json({ error: 'Cannot view audit logs outside your institution' }, { status: 403 });
+    }
+    return own;
+  }
+
+  throw NextResponse.json({ error: 'Insufficient permissions' }, { status: 403 });
+}
+
+// ---------- Querying ----------
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseDate(value: string | null): Date | undefined {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Read viewer/export filters from a query string (?action=&userId=&q=&from=&to=).
+ * The chain is resolved separately through getAuditScope().
+ */
+export function parseAuditFilters(searchParams: URLSearchParams): Omit<AuditLogFilters, 'chainKey'> {
+  const userId = searchParams.get('userId');
+  return {
+    action: searchParams.get('action') || undefined,
+    userId: userId && UUID_PATTERN.test(userId) ? userId : undefined,
+    q: searchParams.get('q')?.trim().slice(0, 200) || undefined,
+    from: parseDate(searchParams.get('from')),
+    to: parseDate(searchParams.get('to')),
+  };
+}
+
+function filterClause(filters: AuditLogFilters) {
+  const pattern = filters.q ? `%${filters.q}%` : null;
+  return sql`
+    WHERE TRUE
+      ${filters.chainKey ? sql`AND al.chain_key = ${filters.chainKey}` : sql``}
+      ${filters.action ? sql`AND al.action = ${filters.action}` : sql``}
+      ${filters.userId ? sql`AND al.user_id = ${filters.userId}` : sql``}
+      ${filters.from ? sql`AND al.created_at >= ${filters.from}` : sql``}
+      ${filters.to ? sql`AND al.created_at < ${filters.to}` : sql``}
+      ${pattern ? sql`AND (u.display_name ILIKE ${pattern} OR u.email ILIKE ${pattern}
+                           OR al.resource ILIKE ${pattern} OR al.resource_id ILIKE ${pattern})` : sql``}
+  `;
+}
+
+function mapEntry(e: Record<string, unknown>) {
+  return {
+    id: e.id as string,
+    chainKey: (e.chain_key as string | null) ?? null,
+    seq: e.chain_seq !== null ? Number(e.chain_seq) : null,
+    prevHash: (e.prev_hash as string | null) ?? null,
+    entryHash: (e.entry_hash as string | null) ?? null,
+    createdAt: e.created_at as Date,
+    tenantId: (e.tenant_id as string | null) ?? null,
+    userId: (e.user_id as string | null) ?? null,
+    userName: (e.user_name as string | null) ?? null,
+    userEmail: (e.user_email as string | null) ?? null,
+    action: e.action as string,
+    resource: (e.resource as string | null) ?? null,
+    resourceId: (e.resource_id as string | null) ?? null,
+    details: e.details as Record<string, unknown>,
+    ipAddress: (e.ip_address as string | null) ?? null,
+    userAgent: (e.user_agent as string | null) ?? null,
+  };
+}
+
+export type AuditLogEntry = ReturnType<typeof mapEntry>;
+
+/**
+ * One page of audit entries, newest first.
+ */
+export async function listAuditEntries(
+  filters: AuditLogFilters,
+  page: number,
+  limit: number
+): Promise<{ entries: AuditLogEntry[]; total: number }> {
+  const offset = (page - 1) * limit;
+
+  const entries = await sql`
+    SELECT al.id, al.chain_key, al.chain_seq, al.prev_hash, al.entry_hash, al.created_at,
+           al.tenant_id, al.user_id, al.action, al.resource, al.resource_id, al.details,
+           al.ip_address::text AS ip_address, al.user_agent,
+           u.display_name AS user_name, u.email AS user_email
+    FROM audit_log al
+    LEFT JOIN users u ON u.id = al.user_id
+    ${filterClause(filters)}
+    ORDER BY al.created_at DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+
+  const total = await sql`
+    SELECT COUNT(*) AS count
+    FROM audit_log al
+    LEFT JOIN users u ON u.id = al.user_id
+    ${filterClause(filters)}
+  `;
+
+  return {
+    entries: entries.map(mapEntry),
+    total: parseInt(total[0].count as string),
+  };
+}
+
+/** Distinct actions present in the log, for filter dropdowns. */
+export async function listAuditActions(chainKey?: string): Promise<string[]> {
+  const rows = await sql`
+    SELECT DISTINCT action FROM audit_log
+    ${chainKey ? sql`WHERE chain_key = ${chainKey}` : sql``}
+    ORDER BY action
+  `;
+  return rows.map((r) => r.action as string);
+}
+
+// ---------- Export ----------
+
+function toNdjsonLine(entry: AuditLogEntry): string {
+  return JSON.stringify(entry) + '\n';
+}
+
+/**
+ * Stream matching entries as NDJSON, oldest first per chain, so the
+ * hash links can be followed line by line.
+ */
+export function streamAuditEntriesNdjson(filters: AuditLogFilters): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        const cursor = sql`
+          SELECT al.id, al.chain_key, al.chain_seq, al.prev_hash, al.entry_hash, al.created_at,
+                 al.tenant_id, al.user_id, al.action, al.resource, al.resource_id, al.details,
+                 al.ip_address::text AS ip_address, al.user_agent,
+                 u.email AS user_email
+          FROM audit_log al
+          LEFT JOIN users u ON u.id = al.user_id
+          ${filterClause(filters)}
+          ORDER BY al.chain_key NULLS FIRST, al.chain_seq, al.created_at
+        `.cursor(EXPORT_CURSOR_SIZE);
+
+        for await (const rows of cursor) {
+          controller.enqueue(encoder.encode(rows.map((r) => toNdjsonLine(mapEntry(r))).join('')));
+        }
+        controller.close();
+      } catch (error) {
+        console.error('Audit log export error:', error);
+        controller.error(error);
+      }
+    },
+  });
+}
+
+// ---------- Verification ----------
+
+/**
+ * Verify one chain end to end. Every entry's hash is recomputed in SQL,
+ * sequence numbers must be contiguous, each prev_hash must equal the
+ * previous entry's hash, both ends must meet the chain head and the
+ * last retention archive, and the head must match the copy recorded
+ * outside the database.
+ */
+export async function verifyAuditChain(chainKey: string): Promise<AuditChainReport | null> {
+  const heads = await sql`
+    SELECT c.chain_key, c.tenant_id, c.last_seq, c.last_hash,
+           c.archived_through_seq, c.archived_hash, t.name AS tenant_name
+    FROM audit_log_chains c
+    LEFT JOIN tenants t ON t.id = c.tenant_id
+    WHERE c.chain_key = ${chainKey}
+  `;
+  const head = heads[0];
+  if (!head) return null;
+
+  const issues: AuditChainIssue[] = [];
+
+  const problems = await sql`
+    WITH chain AS (
+      SELECT al.id, al.chain_seq, al.prev_hash, al.entry_hash,
+             audit_log_entry_hash(al, ${hmacKey()}) AS computed_hash,
+             LAG(al.chain_seq) OVER w AS prior_seq,
+             LAG(al.entry_hash) OVER w AS prior_hash
+      FROM audit_log al
+      WHERE al.chain_key = ${chainKey}
+      WINDOW w AS (ORDER BY al.chain_seq)
+    )
+    SELECT id, chain_seq, prev_hash, entry_hash, computed_hash, prior_seq, prior_hash
+    FROM chain
+    WHERE computed_hash <> entry_hash
+       OR (prior_seq IS NOT NULL AND chain_seq <> prior_seq + 1)
+       OR (prior_hash IS NOT NULL AND prev_hash <> prior_hash)
+    ORDER BY chain_seq
+    LIMIT ${MAX_REPORTED_ISSUES}
+  `;
+
+  for (const p of problems) {
+    const seq = Number(p.chain_seq);
+    if (p.computed_hash !== p.entry_hash) {
+      issues.push({ type: 'modified', seq, entryId: p.id, detail: 'Entry contents do not match its hash' });
+    }
+    if (p.prior_seq !== null && seq !== Number(p.prior_seq) + 1) {
+      issues.push({
+        type: 'missing',
+        seq,
+        entryId: p.id,
+        detail: `Entries ${Number(p.prior_seq) + 1}–${seq - 1} are missing`,
+      });
+    } else if (p.prior_hash !== null && p.prev_hash !== p.prior_hash) {
+      issues.push({ type: 'broken_link', seq, entryId: p.id, detail: 'Entry does not link to the previous entry' });
+    }
+  }
+
+  const bounds = await sql`
+    SELECT
+      COUNT(*) AS count,
+      (SELECT chain_seq FROM audit_log WHERE chain_key = ${chainKey} ORDER BY chain_seq ASC LIMIT 1) AS first_seq,
+      (SELECT prev_hash FROM audit_log WHERE chain_key = ${chainKey} ORDER BY chain_seq ASC LIMIT 1) AS first_prev_hash,
+      (SELECT chain_seq FROM audit_log WHERE chain_key = ${chainKey} ORDER BY chain_seq DESC LIMIT 1) AS last_seq,
+      (SELECT entry_hash FROM audit_log WHERE chain_key = ${chainKey} ORDER BY chain_seq DESC LIMIT 1) AS last_hash
+    FROM audit_log
+    WHERE chain_key = ${chainKey}
+  `;
+  const b = bounds[0];
+  const entriesChecked = parseInt(b.count as string);
+  const archivedThroughSeq = Number(head.archived_through_seq);
+  const firstSeq = b.first_seq !== null ? Number(b.first_seq) : null;
+  const lastSeq = b.last_seq !== null ? Number(b.last_seq) : null;
+
+  if (firstSeq === null) {
+    if (Number(head.last_seq) !== archivedThroughSeq) {
+      issues.push({
+        type: 'truncated_tail',
+        seq: archivedThroughSeq + 1,
+        detail: `All live entries through ${head.last_seq} are missing`,
+      });
+    }
+  } else {
+    if (firstSeq !== archivedThroughSeq + 1 || b.first_prev_hash !== head.archived_hash) {
+      issues.push({
+        type: 'truncated_head',
+        seq: firstSeq,
+        detail: `Live log should resume at entry ${archivedThroughSeq + 1} after the last archive`,
+      });
+    }
+    if (lastSeq !== Number(head.last_seq) || b.last_hash !== head.last_hash) {
+      issues.push({
+        type: 'truncated_tail',
+        seq: lastSeq ?? 0,
+        detail: `Chain head expects entry ${head.last_seq} to be the newest`,
+      });
+    }
+  }
+
+  const recorded = await getRecordedChainHead(chainKey);
+  if (recorded && recorded.seq > Number(head.last_seq)) {
+    issues.push({
+      type: 'truncated_tail',
+      seq: recorded.seq,
+      detail: `Entry ${recorded.seq} was recorded outside the database, but the chain head stops at ${head.last_seq} — newest entries removed and the head rolled back`,
+    });
+  } else if (recorded && recorded.seq > archivedThroughSeq) {
+    const [entry] = await sql`
+      SELECT entry_hash FROM audit_log WHERE chain_key = ${chainKey} AND chain_seq = ${recorded.seq}
+    `;
+    if (!entry || entry.entry_hash !== recorded.hash) {
+      issues.push({
+        type: 'truncated_tail',
+        seq: recorded.seq,
+        detail: `Entry ${recorded.seq} does not match the hash recorded outside the database`,
+      });
+    }
+  }
+
+  return {
+    chainKey,
+    tenantId: head.tenant_id,
+    tenantName: head.tenant_name ?? null,
+    verified: issues.length === 0,
+    entriesChecked,
+    firstSeq,
+    lastSeq,
+    archivedThroughSeq,
+    recordedHeadSeq: recorded?.seq ?? null,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    checkedAt: new Date(),
+  };
+}
+
+/**
+ * Verify every chain (or just one) and return a report per chain.
+ */
+export async function verifyAuditChains(chainKey?: string): Promise<AuditChainReport[]> {
+  const keys = chainKey
+    ? [chainKey]
+    : (await sql`SELECT chain_key FROM audit_log_chains ORDER BY chain_key`).map((r) => r.chain_key as string);
+
+  const reports: AuditChainReport[] = [];
+  for (const key of keys) {
+    const report = await verifyAuditChain(key);
+    if (report) reports.push(report);
+  }
+  return reports;
+}
+
+// ---------- Retention ----------
+
+/**
+ * Retention setting and live-log size for each chain.
+ */
+export async function listRetentionSettings(chainKey?: string): Promise<AuditRetentionSetting[]> {
+  const rows = await sql`
+    SELECT c.chain_key, c.tenant_id, c.archived_through_seq, t.name AS tenant_name,
+           p.retention_days, p.updated_at,
+           (SELECT COUNT(*) FROM audit_log al WHERE al.chain_key = c.chain_key) AS live_entries,
+           (SELECT MIN(created_at) FROM audit_log al WHERE al.chain_key = c.chain_key) AS oldest_entry_at
+    FROM audit_log_chains c
+    LEFT JOIN audit_retention_policies p ON p.chain_key = c.chain_key
+    LEFT JOIN tenants t ON t.id = c.tenant_id
+    ${chainKey ? sql`WHERE c.chain_key = ${chainKey}` : sql``}
+    ORDER BY (c.chain_key = ${PLATFORM_CHAIN}) DESC, t.name
+  `;
+
+  return rows.map((r) => ({
+    chainKey: r.chain_key,
+    tenantId: r.tenant_id,
+    tenantName: r.tenant_name ?? null,
+    retentionDays: r.retention_days ?? DEFAULT_RETENTION_DAYS,
+    isDefault: r.retention_days === null,
+    liveEntries: parseInt(r.live_entries as string),
+    oldestEntryAt: r.oldest_entry_at,
+    archivedThroughSeq: Number(r.archived_through_seq),
+    updatedAt: r.updated_at,
+  }));
+}
+
+/**
+ * Set a chain's retention window, or pass null to fall back to the default.
+ */
+export async function setRetentionPolicy(
+  chainKey: string,
+  retentionDays: number | null,
+  updatedBy: string
+): Promise<void> {
+  if (retentionDays === null) {
+    await sql`DELETE FROM audit_retention_policies WHERE chain_key = ${chainKey}`;
+    return;
+  }
+
+  const tenantId = chainKey === PLATFORM_CHAIN ? null : chainKey;
+  await sql`
+    INSERT INTO audit_retention_policies (chain_key, tenant_id, retention_days, updated_by)
+    VALUES (${chainKey}, ${tenantId}, ${retentionDays}, ${updatedBy})
+    ON CONFLICT (chain_key) DO UPDATE
+    SET retention_days = ${retentionDays}, updated_by = ${updatedBy}, updated_at = NOW()
+  `;
+}
+
+/**
+ * Archive and purge one batch of expired entries from a chain.
+ * The cut is by sequence: everything up to the newest expired entry, so the
+ * batch is always a contiguous prefix of the live chain. Entries are only
+ * removed if the batch verifies and continues exactly where the previous
+ * archive ended — a damaged chain is left in place as evidence. Returns the
+ * number of entries archived.
+ */
+async function archiveExpiredBatch(
+  chainKey: string,
+  cutoff: Date
+): Promise<{ archived: number; issue?: string }> {
+  return withTransaction(async (tx) => {
+    const [head] = await tx`
+      SELECT tenant_id, archived_through_seq, archived_hash
+      FROM audit_log_chains
+      WHERE chain_key = ${chainKey}
+      FOR UPDATE
+    `;
+    if (!head) return { archived: 0 };
+
+    const rows = await tx`
+      SELECT al.id, al.chain_key, al.chain_seq, al.prev_hash, al.entry_hash, al.created_at,
+             al.tenant_id, al.user_id, al.action, al.resource, al.resource_id, al.details,
+             al.ip_address::text AS ip_address, al.user_agent,
+             audit_log_entry_hash(al, ${hmacKey()}) = al.entry_hash AS hash_valid
+      FROM audit_log al
+      WHERE al.chain_key = ${chainKey}
+        AND al.chain_seq <= (
+          SELECT MAX(chain_seq) FROM audit_log
+          WHERE chain_key = ${chainKey} AND created_at < ${cutoff}
+        )
+      ORDER BY al.chain_seq
+      LIMIT ${ARCHIVE_BATCH_SIZE}
+    `;
+    if (rows.length === 0) return { archived: 0 };
+
+    let expectedSeq = Number(head.archived_through_seq) + 1;
+    let expectedPrev = head.archived_hash as string;
+    for (const row of rows) {
+      if (Number(row.chain_seq) !== expectedSeq || row.prev_hash !== expectedPrev || !row.hash_valid) {
+        return { archived: 0, issue: `Chain fails verification at entry ${row.chain_seq}` };
+      }
+      expectedSeq += 1;
+      expectedPrev = row.entry_hash;
+    }
+
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const ndjson = rows.map((r) => toNdjsonLine(mapEntry(r))).join('');
+
+    await tx`
+      INSERT INTO audit_log_archives (
+        chain_key, tenant_id, from_seq, to_seq, entry_count, prev_hash, last_hash,
+        oldest_at, newest_at, content, content_sha256
+      )
+      VALUES (
+        ${chainKey}, ${head.tenant_id}, ${first.chain_seq}, ${last.chain_seq}, ${rows.length},
+        ${first.prev_hash}, ${last.entry_hash}, ${first.created_at}, ${last.created_at},
+        ${gzipSync(ndjson)}, ${createHash('sha256').update(ndjson).digest('hex')}
+      )
+    `;
+
+    await tx`SELECT set_config('audit_log.allow_purge', 'on', true)`;
+    await tx`
+      DELETE FROM audit_log
+      WHERE chain_key = ${chainKey}
+        AND chain_seq BETWEEN ${first.chain_seq} AND ${last.chain_seq}
+    `;
+
+    await tx`
+      UPDATE audit_log_chains
+      SET archived_through_seq = ${last.chain_seq}, archived_hash = ${last.entry_hash}, updated_at = NOW()
+      WHERE chain_key = ${chainKey}
+    `;
+
+    return { archived: rows.length };
+  });
+}
+
+/**
+ * Apply retention to every chain: archive then purge entries older than
+ * the chain's window. Called from the audit-log-retention cron job.
+ */
+export async function applyAuditRetention(): Promise<
+  { chainKey: string; retentionDays: number; archived: number; issue?: string }[]
+> {
+  const settings = await listRetentionSettings();
+  const results: { chainKey: string; retentionDays: number; archived: number; issue?: string }[] = [];
+
+  for (const setting of settings) {
+    const cutoff = new Date(Date.now() - setting.retentionDays * 24 * 60 * 60 * 1000);
+    if (!setting.oldestEntryAt || new Date(setting.oldestEntryAt) >= cutoff) continue;
+
+    let archived = 0;
+    let issue: string | undefined;
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+      const result = await archiveExpiredBatch(setting.chainKey, cutoff);
+      archived += result.archived;
+      issue = result.issue;
+      if (result.issue || result.archived < ARCHIVE_BATCH_SIZE) break;
+    }
+
+    if (issue) {
+      console.error(`[AUDIT] Retention skipped for chain ${setting.chainKey}: ${issue}`);
+    }
+    results.push({ chainKey: setting.chainKey, retentionDays: setting.retentionDays, archived, issue });
+  }
+
+  return results;
+}
+
+// ---------- Archives ----------
+
+export async function listAuditArchives(chainKey?: string): Promise<AuditArchiveInfo[]> {
+  const rows = await sql`
+    SELECT id, chain_key, tenant_id, from_seq, to_seq, entry_count, oldest_at, newest_at,
+           content_sha256, octet_length(content) AS size_bytes, created_at
+    FROM audit_log_archives
+    ${chainKey ? sql`WHERE chain_key = ${chainKey}` : sql``}
+    ORDER BY created_at DESC
+    LIMIT 200
+  `;
+
+  return rows.map((r) => ({
+    id: r.id,
+    chainKey: r.chain_key,
+    tenantId: r.tenant_id,
+    fromSeq: Number(r.from_seq),
+    toSeq: Number(r.to_seq),
+    entryCount: r.entry_count,
+    oldestAt: r.oldest_at,
+    newestAt: r.newest_at,
+    contentSha256: r.content_sha256,
+    sizeBytes: Number(r.size_bytes),
+    createdAt: r.created_at,
+  }));
+}
+
+/**
+ * Fetch an archive's gzipped NDJSON for download.
+ */
+export async function getAuditArchive(
+  id: string
+): Promise<{ chainKey: string; fromSeq: number; toSeq: number; content: Buffer } | null> {
+  const rows = await sql`
+    SELECT chain_key, from_seq, to_seq, content
+    FROM audit_log_archives
+    WHERE id = ${id}
+  `;
+  if (rows.length === 0) return null;
+
+  return {
+    chainKey: rows[0].chain_key,
+    fromSeq: Number(rows[0].from_seq),
+    toSeq: Number(rows[0].to_seq),
+    content: rows[0].content as Buffer,
+  };
+}
@@ -5,9 +5,24 @@
  * Also outputs structured JSON to stdout for Heroku log drain capture.
  *
  * Uses the existing schema at /src/lib/db/schema/audit.ts.
+ *
+ * Entries are hash-chained per tenant by a database trigger (migration 031).
+ * The HMAC key (AUDIT_LOG_HMAC_KEY) is handed to the trigger per transaction,
+ * so rows can't be re-hashed by anyone with database access alone. See
+ * audit-integrity.ts for verification, export and retention.
+ *
+ * The trigger locks the chain head, so writes to one chain run one at a
+ * time; each entry gets its own short transaction to keep that wait brief.
+ * Don't call auditLog() from inside a caller's long-running transaction.
+ *
+ * Each entry's chainSeq and entryHash go out on the stdout line and are
+ * recorded as the chain head outside the database (recordChainHead), so
+ * deleting the newest entries and rolling the head back is still caught.
  */
 
-import { sql } from '@/lib/db';
+import { isIP } from 'net';
+import { withTransaction } from '@/lib/db';
+import { recordChainHead } from '@/lib/security/audit-integrity';
 
 export type AuditEventType =
   | 'AUTH_SUCCESS'
@@ -29,10 +44,14 @@ export type AuditEventType =
   | 'MFA_VERIFIED'
   | 'MFA_FAILED'
   | 'MFA_BACKUP_USED'
-  | 'MFA_BACKUP_REGENERATED';
+  | 'MFA_BACKUP_REGENERATED'
+  | 'SCIM_OPERATION'
+  | 'SESSION_REVOKED'
+  | 'LOGIN_RISK_ASSESSED';
 
 interface AuditLogData {
   userId?: string;
+  tenantId?: string | null; // defaults to the user's tenant
   email?: string;
   ip?: string;
   userAgent?: string;
@@ -50,33 +69,43 @@ export async function auditLog(
   action: AuditEventType,
   data: AuditLogData
 ): Promise<void> {
-  const logEntry = {
-    action,
-    ...data,
-    timestamp: new Date().toISOString(),
-  };
-
-  // Always write to stdout for Heroku log drain (Papertrail, Datadog, etc.)
-  console.log(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  const timestamp = new Date().toISOString();
+  let chained: { chainKey: string; chainSeq: number; entryHash: string } | null = null;
 
   // Write to database (fire-and-forget)
   try {
-    await sql`
-      INSERT INTO audit_log (user_id, action, resource, resource_id, details, ip_address, user_agent)
-      VALUES (
-        ${data.userId || null},
-        ${action},
-        ${data.resource || data.path || null},
-        ${data.resourceId || null},
-        ${JSON.stringify(data.details || { email: data.email })}::jsonb,
-        ${data.ip || null},
-        ${data.userAgent || null}
-      )
-    `;
+    const [row] = await withTransaction(async (tx) => {
+      const hmacKey = process.env.AUDIT_LOG_HMAC_KEY;
+      if (hmacKey) {
+        await tx`SELECT set_config('audit_log.hmac_key', ${hmacKey}, true)`;
+      }
+      return tx`
+        INSERT INTO audit_log (user_id, tenant_id, action, resource, resource_id, details, ip_address, user_agent)
+        VALUES (
+          ${data.userId || null},
+          ${data.tenantId || null},
+          ${action},
+          ${data.resource || data.path || null},
+          ${data.resourceId || null},
+          ${JSON.stringify(data.details || { email: data.email })}::jsonb,
+          ${data.ip && isIP(data.ip) ? data.ip : null /* INET column — 'unknown' would fail the insert */},
+          ${data.userAgent || null}
+        )
+        RETURNING chain_key, chain_seq, entry_hash
+      `;
+    });
+    if (row?.chain_key) {
+      chained = { chainKey: row.chain_key, chainSeq: Number(row.chain_seq), entryHash: row.entry_hash };
+      recordChainHead(chained.chainKey, chained.chainSeq, chained.entryHash);
+    }
   } catch (error) {
     // Never let audit logging break the request flow
     console.error('[AUDIT] Failed to write audit log to database:', error);
   }
+
+  // Always write to stdout for Heroku log drain (Papertrail, Datadog, etc.).
+  // The chain position makes the drain an off-database copy of each head.
+  console.log(`[AUDIT] ${JSON.stringify({ action, ...data, timestamp, ...chained })}`);
 }
 
 /**
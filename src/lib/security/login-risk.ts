@@ -0,0 +1,529 @@
+/**
+ * Login Risk Scoring
+ *
+ * Scores each password sign-in after the password checks out and picks a
+ * tier:
+ *
+ *   low      — allow (MFA users still pass MFA as usual)
+ *   medium   — step up to MFA for users who have it, otherwise an emailed code
+ *   high     — emailed code, then MFA for users who have it
+ *   critical — block
+ *
+ * Signals:
+ *
+ *   new_device          — device fingerprint not seen on a completed sign-in or verified session
+ *   ip_change           — IP not seen recently for this user
+ *   impossible_travel   — faster than an airliner since the last completed sign-in
+ *   credential_stuffing — many different emails failing from this IP
+ *
+ * An IP failing for very many emails (LOGIN_STUFFING_FLAG_THRESHOLD within
+ * LOGIN_STUFFING_WINDOW_MINUTES) is flagged: a correct password from it
+ * always needs the emailed code. Nothing is blocked outright by IP, so a
+ * campus behind shared NAT can't be locked out by junk sign-ins. Known
+ * institution egress IPs (LOGIN_TRUSTED_EGRESS_IPS, or a tenant's
+ * features.egressIps) are exempt from stuffing detection altogether.
+ *
+ * New-device and IP signals need a baseline, so a user's very first sign-in
+ * is only scored on travel and stuffing. Impossible travel needs geolocation
+ * from the edge (LOGIN_GEO_HEADERS=vercel|cloudflare); without it that signal
+ * is skipped. Failed attempts per IP live in memory with a Redis mirror, like
+ * account lockout.
+ *
+ * Every assessment is stored in login_risk_events and written to the audit
+ * log as LOGIN_RISK_ASSESSED.
+ */
+
+import { createHash, randomInt, randomUUID, timingSafeEqual } from 'crypto';
+import { sql } from '@/lib/db';
+import { getRedis, isRedisAvailable } from '@/lib/redis';
+import { sessionClientInfo, sessionPublicId } from '@/lib/auth/session';
+import { auditLog, extractRequestInfo } from '@/lib/security/audit';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SIGNAL_WEIGHTS = {
+  new_device: 25,
+  ip_change: 10,
+  impossible_travel: 50,
+  credential_stuffing: 40,
+} as const;
+
+const MEDIUM_SCORE = 25;                      // MFA, or email for users without it
+const HIGH_SCORE = 50;                        // email code for everyone
+const BLOCK_SCORE = 90;
+
+/** Positive integer from the environment, or the fallback. */
+function envInt(name: string, fallback: number): number {
+  const value = parseInt(process.env[name] || '', 10);
+  return value > 0 ? value : fallback;
+}
+
+const STUFFING_WINDOW_MS = envInt('LOGIN_STUFFING_WINDOW_MINUTES', 15) * 60 * 1000;
+const STUFFING_EMAIL_THRESHOLD = envInt('LOGIN_STUFFING_SIGNAL_THRESHOLD', 5);  // distinct failing emails from one IP
+const STUFFING_FLAG_THRESHOLD = envInt('LOGIN_STUFFING_FLAG_THRESHOLD', 20);    // always email-verify from this IP
+const STUFFING_WINDOW_SEC = Math.ceil(STUFFING_WINDOW_MS / 1000);
+const EGRESS_CACHE_MS = 5 * 60 * 1000;
+
+const MAX_TRAVEL_KMH = 900;                   // roughly airliner cruising speed
+const MIN_TRAVEL_KM = 500;                    // ignore geolocation noise between nearby cities
+const HISTORY_DAYS = 90;
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;      // 10 minutes
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type LoginRiskTier = 'low' | 'medium' | 'high' | 'critical';
+
+export type LoginRiskDecision = 'allow' | 'mfa' | 'email_verification' | 'block';
+
+export type LoginRiskSignalType = keyof typeof SIGNAL_WEIGHTS;
+
+export interface LoginRiskSignal {
+  type: LoginRiskSignalType;
+  weight: number;
+  detail: string;
+}
+
+export interface LoginRiskAssessment {
+  eventId: string;
+  score: number;
+  tier: LoginRiskTier;
+  decision: LoginRiskDecision;
+  signals: LoginRiskSignal[];
+}
+
+interface RequestGeo {
+  country: string | null;
+  latitude: number | null;
+  longitude: number | null;
+}
+
+// ---------------------------------------------------------------------------
+// Credential stuffing tracker (failed emails per IP)
+// ---------------------------------------------------------------------------
+
+const failureStore = new Map<string, Map<string, number>>();
+
+// Clean up stale entries every 5 minutes
+setInterval(() => {
+  const cutoff = Date.now() - STUFFING_WINDOW_MS;
+  const keysToDelete: string[] = [];
+  failureStore.forEach((emails, ip) => {
+    emails.forEach((at, email) => {
+      if (at < cutoff) emails.delete(email);
+    });
+    if (emails.size === 0) keysToDelete.push(ip);
+  });
+  keysToDelete.forEach((ip) => failureStore.delete(ip));
+}, 300000);
+
+function hashEmail(email: string): string {
+  return createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Record a failed password attempt for stuffing detection.
+ * Synchronous — the Redis mirror is updated in the background.
+ */
+export function recordFailedLogin(ip: string, email: string): void {
+  if (ip === 'unknown') return;
+
+  const now = Date.now();
+  const member = hashEmail(email);
+  let emails = failureStore.get(ip);
+  if (!emails) {
+    emails = new Map();
+    failureStore.set(ip, emails);
+  }
+  emails.set(member, now);
+
+  if (!isRedisAvailable()) return;
+  try {
+    const redis = getRedis();
+    const key = `risk:stuffing:${ip}`;
+    redis
+      .zadd(key, now, member)
+      .then(() => redis.expire(key, STUFFING_WINDOW_SEC))
+      .catch(() => {
+        // Swallow — in-memory is authoritative when Redis fails
+      });
+  } catch {
+    // Swallow
+  }
+}
+
+/**
+ * Distinct emails that failed from this IP within the window,
+ * across dynos when Redis is available.
+ */
+async function countFailedEmails(ip: string): Promise<number> {
+  const cutoff = Date.now() - STUFFING_WINDOW_MS;
+  let local = 0;
+  failureStore.get(ip)?.forEach((at) => {
+    if (at >= cutoff) local += 1;
+  });
+
+  if (!isRedisAvailable()) return local;
+  try {
+    const shared = await getRedis().zcount(`risk:stuffing:${ip}`, cutoff, '+inf');
+    return Math.max(local, shared);
+  } catch {
+    return local;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Trusted egress IPs
+// ---------------------------------------------------------------------------
+
+let egressCache: { entries: string[]; loadedAt: number } | null = null;
+
+/** Pure function — exact match, or IPv4 CIDR (e.g. 203.0.113.0/24). */
+function ipMatches(ip: string, entry: string): boolean {
+  const [base, bits] = entry.split('/');
+  if (bits === undefined) return ip === base;
+
+  const toInt = (addr: string) => {
+    const parts = addr.split('.').map(Number);
+    if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+  };
+  const prefix = parseInt(bits, 10);
+  const a = toInt(ip);
+  const b = toInt(base);
+  if (a === null || b === null || isNaN(prefix) || prefix < 0 || prefix > 32) return false;
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return ((a & mask) >>> 0) === ((b & mask) >>> 0);
+}
+
+/**
+ * Institution NAT/egress addresses, from LOGIN_TRUSTED_EGRESS_IPS plus each
+ * tenant's features.egressIps. Cached for a few minutes.
+ */
+async function getTrustedEgressIps(): Promise<string[]> {
+  if (egressCache && Date.now() - egressCache.loadedAt < EGRESS_CACHE_MS) {
+    return egressCache.entries;
+  }
+
+  const entries = (process.env.LOGIN_TRUSTED_EGRESS_IPS || '')
+    .split(',')
+    .map((e) => e.trim())
+    .filter(Boolean);
+  try {
+    const rows = await sql`
+      SELECT features->'egressIps' AS egress_ips
+      FROM tenants
+      WHERE jsonb_typeof(features->'egressIps') = 'array'
+    `;
+    for (const row of rows) {
+      for (const entry of row.egress_ips as unknown[]) {
+        if (typeof entry === 'string' && entry.trim()) entries.push(entry.trim());
+      }
+    }
+  } catch {
+    // Fall back to the environment list
+  }
+
+  egressCache = { entries, loadedAt: Date.now() };
+  return entries;
+}
+
+async function isTrustedEgressIp(ip: string): Promise<boolean> {
+  const entries = await getTrustedEgressIps();
+  return entries.some((entry) => ipMatches(ip, entry));
+}
+
+// ---------------------------------------------------------------------------
+// Geolocation
+// ---------------------------------------------------------------------------
+
+/**
+ * Client location from edge-provided headers. Only trusted when
+ * LOGIN_GEO_HEADERS names the proxy in front of the app — otherwise
+ * a client could send the headers itself.
+ */
+function getRequestGeo(request: Request): RequestGeo {
+  const source = process.env.LOGIN_GEO_HEADERS;
+  const h = request.headers;
+  const [country, lat, lon] =
+    source === 'vercel'
+      ? [h.get('x-vercel-ip-country'), h.get('x-vercel-ip-latitude'), h.get('x-vercel-ip-longitude')]
+      : source === 'cloudflare'
+        ? [h.get('cf-ipcountry'), h.get('cf-iplatitude'), h.get('cf-iplongitude')]
+        : [null, null, null];
+
+  const latitude = lat ? parseFloat(lat) : NaN;
+  const longitude = lon ? parseFloat(lon) : NaN;
+  const hasCoords = !isNaN(latitude) && !isNaN(longitude);
+
+  return {
+    country: country && /^[A-Z]{2}$/.test(country) ? country : null,
+    latitude: hasCoords ? latitude : null,
+    longitude: hasCoords ? longitude : null,
+  };
+}
+
+/** Great-circle distance in km. */
+function distanceKm(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const toRad = (deg: number) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ---------------------------------------------------------------------------
+// Assessment
+// ---------------------------------------------------------------------------
+
+/**
+ * Pure function — tier and decision for a score. A flagged IP always gets
+ * at least the emailed code; MFA alone only covers medium risk.
+ */
+export function decideLoginRisk(
+  score: number,
+  mfaEnabled: boolean,
+  ipFlagged: boolean
+): { tier: LoginRiskTier; decision: LoginRiskDecision } {
+  const tier: LoginRiskTier =
+    score >= BLOCK_SCORE ? 'critical'
+    : score >= HIGH_SCORE || ipFlagged ? 'high'
+    : score >= MEDIUM_SCORE ? 'medium'
+    : 'low';
+
+  const decision: LoginRiskDecision =
+    tier === 'critical' ? 'block'
+    : tier === 'high' ? 'email_verification'
+    : tier === 'medium' ? (mfaEnabled ? 'mfa' : 'email_verification')
+    : 'allow';
+
+  return { tier, decision };
+}
+
+/**
+ * Score a sign-in whose password has been verified, store the result and
+ * audit it. See the module header for what each tier asks of the user.
+ */
+export async function assessLoginRisk(
+  request: Request,
+  user: { id: string; email: string; mfaEnabled: boolean }
+): Promise<LoginRiskAssessment> {
+  const { ip, userAgent } = extractRequestInfo(request);
+  const { deviceFingerprint } = sessionClientInfo(request);
+  const geo = getRequestGeo(request);
+  const signals: LoginRiskSignal[] = [];
+
+  // Baseline: completed sign-ins, plus live sessions that passed MFA or were
+  // trusted through a risk event. Sessions still waiting on MFA don't count,
+  // or a password alone could plant a known device for the next attempt.
+  const history = await sql`
+    SELECT ip_address AS ip, device_fingerprint, latitude, longitude, created_at
+    FROM login_risk_events
+    WHERE user_id = ${user.id}
+      AND trusted = true
+      AND created_at > NOW() - make_interval(days => ${HISTORY_DAYS})
+    ORDER BY created_at DESC
+    LIMIT 200
+  `;
+  const sessions = await sql`
+    SELECT sess->>'ip' AS ip, sess->>'deviceFingerprint' AS device_fingerprint
+    FROM sessions s
+    WHERE (sess->>'userId')::text = ${user.id}
+      AND expire > NOW()
+      AND (
+        s.mfa_verified = true
+        OR EXISTS (
+          SELECT 1 FROM login_risk_events e
+          WHERE e.session_id = left(encode(digest(s.sid, 'sha256'), 'hex'), 32)
+            AND e.trusted = true
+        )
+      )
+  `;
+  const known = [...history, ...sessions];
+
+  if (known.length > 0) {
+    if (deviceFingerprint && !known.some((k) => k.device_fingerprint === deviceFingerprint)) {
+      signals.push({
+        type: 'new_device',
+        weight: SIGNAL_WEIGHTS.new_device,
+        detail: 'Sign-in from a device not seen before',
+      });
+    }
+    if (ip !== 'unknown' && !known.some((k) => k.ip === ip)) {
+      signals.push({
+        type: 'ip_change',
+        weight: SIGNAL_WEIGHTS.ip_change,
+        detail: 'Sign-in from a new IP address',
+      });
+    }
+  }
+
+  const lastLocated = history.find((h) => h.latitude !== null && h.longitude !== null);
+  if (lastLocated && geo.latitude !== null && geo.longitude !== null) {
+    const km = distanceKm(lastLocated.latitude, lastLocated.longitude, geo.latitude, geo.longitude);
+    const hours = Math.max((Date.now() - new Date(lastLocated.created_at).getTime()) / 3600000, 1 / 60);
+    if (km >= MIN_TRAVEL_KM && km / hours > MAX_TRAVEL_KMH) {
+      signals.push({
+        type: 'impossible_travel',
+        weight: SIGNAL_WEIGHTS.impossible_travel,
+        detail: `${Math.round(km)} km from the previous sign-in ${hours < 1 ? `${Math.round(hours * 60)} minutes` : `${hours.toFixed(1)} hours`} earlier`,
+      });
+    }
+  }
+
+  const failedEmails =
+    ip !== 'unknown' && !(await isTrustedEgressIp(ip)) ? await countFailedEmails(ip) : 0;
+  if (failedEmails >= STUFFING_EMAIL_THRESHOLD) {
+    signals.push({
+      type: 'credential_stuffing',
+      weight: SIGNAL_WEIGHTS.credential_stuffing,
+      detail: `${failedEmails} different accounts failed to sign in from this IP in the last ${Math.round(STUFFING_WINDOW_MS / 60000)} minutes`,
+    });
+  }
+  const ipFlagged = failedEmails >= STUFFING_FLAG_THRESHOLD;
+
+  const score = Math.min(100, signals.reduce((sum, s) => sum + s.weight, 0));
+  const { tier, decision } = decideLoginRisk(score, user.mfaEnabled, ipFlagged);
+
+  // Trusted straight away only when nothing else is asked of the user
+  const trusted = decision === 'allow' && !user.mfaEnabled;
+
+  const [event] = await sql`
+    INSERT INTO login_risk_events (
+      user_id, ip_address, user_agent, device_fingerprint,
+      country, latitude, longitude, score, decision, signals, trusted
+    )
+    VALUES (
+      ${user.id}, ${ip}, ${userAgent}, ${deviceFingerprint ?? null},
+      ${geo.country}, ${geo.latitude}, ${geo.longitude},
+      ${score}, ${decision}, ${JSON.stringify(signals)}::jsonb, ${trusted}
+    )
+    RETURNING id
+  `;
+
+  auditLog('LOGIN_RISK_ASSESSED', {
+    ip,
+    userAgent,
+    userId: user.id,
+    email: user.email,
+    path: '/api/auth/login',
+    resource: 'login_risk_event',
+    resourceId: event.id,
+    details: {
+      score,
+      tier,
+      decision,
+      mfaEnabled: user.mfaEnabled,
+      ipFlagged,
+      signals: signals.map((s) => s.type),
+      country: geo.country,
+    },
+  });
+
+  return { eventId: event.id, score, tier, decision, signals };
+}
+
+/**
+ * Link a risk event to the session it produced, so completing MFA on
+ * that session can mark the sign-in as trusted. Only call once any email
+ * step-up has passed.
+ */
+export async function attachLoginSession(eventId: string, sid: string, trusted = false): Promise<void> {
+  await sql`
+    UPDATE login_risk_events
+    SET session_id = ${sessionPublicId(sid)},
+        trusted = trusted OR ${trusted}
+    WHERE id = ${eventId}
+  `;
+}
+
+/**
+ * Mark the sign-in behind a session as trusted (call once MFA passes).
+ * Its device and location then count as known for later sign-ins.
+ */
+export async function trustLoginSession(sid: string): Promise<void> {
+  await sql`
+    UPDATE login_risk_events
+    SET trusted = true
+    WHERE session_id = ${sessionPublicId(sid)}
+  `;
+}
+
+// ---------------------------------------------------------------------------
+// Email step-up
+// ---------------------------------------------------------------------------
+
+function hashChallengeCode(challengeId: string, code: string): string {
+  return createHash('sha256').update(`${challengeId}:${code}`).digest('hex');
+}
+
+/**
+ * Start an email step-up for a risk event. Returns the challenge ID for
+ * the client and the 6-digit code to email — only its hash is stored.
+ */
+export async function createLoginChallenge(
+  userId: string,
+  eventId: string
+): Promise<{ challengeId: string; code: string }> {
+  const challengeId = randomUUID();
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS).toISOString();
+
+  await sql`
+    INSERT INTO login_challenges (id, user_id, risk_event_id, code_hash, expires_at)
+    VALUES (${challengeId}, ${userId}, ${eventId}, ${hashChallengeCode(challengeId, code)}, ${expiresAt})
+  `;
+
+  return { challengeId, code };
+}
+
+/**
+ * Check an emailed sign-in code. A challenge can be used once and
+ * allows a handful of wrong guesses before it is spent.
+ */
+export async function verifyLoginChallenge(
+  challengeId: string,
+  code: string
+): Promise<{ success: boolean; userId?: string; eventId?: string; error?: string }> {
+  // Claim a guess before comparing, in one statement, so parallel
+  // guesses can't all read the same attempt count
+  const rows = await sql`
+    UPDATE login_challenges
+    SET attempts = attempts + 1
+    WHERE id = ${challengeId}
+      AND consumed_at IS NULL
+      AND expires_at > NOW()
+      AND attempts < ${CHALLENGE_MAX_ATTEMPTS}
+    RETURNING id, user_id, risk_event_id, code_hash
+  `;
+  if (rows.length === 0) {
+    return { success: false, error: 'Verification expired. Please sign in again.' };
+  }
+
+  const challenge = rows[0];
+  const expected = Buffer.from(challenge.code_hash);
+  const actual = Buffer.from(hashChallengeCode(challenge.id, code));
+  if (!timingSafeEqual(expected, actual)) {
+    return { success: false, userId: challenge.user_id, error: 'Invalid verification code' };
+  }
+
+  // Consume atomically so a code can't start two sessions
+  const consumed = await sql`
+    UPDATE login_challenges
+    SET consumed_at = NOW()
+    WHERE id = ${challenge.id} AND consumed_at IS NULL
+    RETURNING id
+  `;
+  if (consumed.length === 0) {
+    return { success: false, error: 'Verification expired. Please sign in again.' };
+  }
+
+  return { success: true, userId: challenge.user_id, eventId: challenge.risk_event_id };
+}
@@ -25,6 +25,7 @@ const CSRF_EXEMPT_PATHS = [
   '/api/health',
   '/api/cron/',
   '/api/public/',
+  '/api/scim/',
 ];
 
 // Max body sizes (checked via Content-Length header)